@@ -3,6 +3,8 @@
 import { useState, useEffect } from 'react'
 import { useRouter } from 'next/navigation'
 import axios from 'axios'
+import { useRealtimeEvents } from '@/lib/realtime'
+import { Toasts, useToasts } from '@/components/Toasts'
 
 interface User {
   id: string
@@ -47,11 +49,66 @@ export default function Dashboard() {
     description: ''
   })
   const router = useRouter()
+  const { toasts, showToast, dismissToast } = useToasts()
 
   useEffect(() => {
     checkAuth()
   }, [])
 
+  // Live updates replace re-polling; after a dropped connection everything is reloaded once
+  const realtimeStatus = useRealtimeEvents(!!user, {
+    onBalance: (update) => {
+      setAccounts((current) => current.map((account) =>
+        account.id === update.accountId ? { ...account, balance: update.balance } : account
+      ))
+    },
+    onAccountCreated: (update) => {
+      setAccounts((current) => current.some((account) => account.id === update.accountId) ? current : [
+        ...current,
+        {
+          id: update.accountId,
+          userId: user!.id,
+          balance: update.balance,
+          currency: update.currency,
+          status: 'active',
+          createdAt: update.timestamp
+        }
+      ])
+    },
+    onTransactionCreated: (update) => {
+      setTransactions((current) => current.some((transaction) => transaction.id === update.transactionId) ? current : [
+        {
+          id: update.transactionId,
+          fromAccountId: '',
+          toAccountId: '',
+          amount: update.amount,
+          currency: update.currency,
+          type: update.type,
+          status: update.status,
+          description: '',
+          createdAt: update.timestamp
+        },
+        ...current
+      ])
+    },
+    onTransactionStatus: (update) => {
+      setTransactions((current) => current.map((transaction) =>
+        transaction.id === update.transactionId ? { ...transaction, status: update.status } : transaction
+      ))
+    },
+    onNotification: (update) => {
+      showToast({
+        title: update.subject || 'New notification',
+        message: update.type.replace(/_/g, ' '),
+        tone: update.priority === 'high' || update.priority === 'urgent' ? 'warning' : 'info'
+      })
+    },
+    onReconnect: () => {
+      const token = localStorage.getItem('token')
+      if (token) loadUserData(token)
+    }
+  })
+
   const checkAuth = () => {
     const token = localStorage.getItem('token')
     const userData = localStorage.getItem('user')
@@ -160,6 +217,13 @@ export default function Dashboard() {
           <div className="flex justify-between items-center py-4">
             <h1 className="text-2xl font-bold text-gray-900">Dashboard</h1>
             <div className="flex items-center space-x-4">
+              <span
+                className={`text-xs px-2 py-1 rounded-full ${
+                  realtimeStatus === 'open' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+                }`}
+              >
+                {realtimeStatus === 'open' ? 'Live' : 'Reconnecting…'}
+              </span>
               <span className="text-gray-700">Welcome, {user?.firstName}</span>
               <button
                 onClick={handleLogout}
@@ -447,6 +511,8 @@ export default function Dashboard() {
           </div>
         </div>
       )}
+
+      <Toasts toasts={toasts} onDismiss={dismissToast} />
     </div>
   )
 }
\ No newline at end of file
@@ -0,0 +1,62 @@
+'use client'
+
+import { useCallback, useRef, useState } from 'react'
+
+export type ToastTone = 'info' | 'success' | 'warning'
+
+export interface Toast {
+  id: number
+  title: string
+  message?: string
+  tone: ToastTone
+}
+
+const TOAST_DURATION = 5000
+
+const toneClasses: Record<ToastTone, string> = {
+  info: 'border-primary-500',
+  success: 'border-green-500',
+  warning: 'border-yellow-500',
+}
+
+export function useToasts() {
+  const [toasts, setToasts] = useState<Toast[]>([])
+  const nextId = useRef(1)
+
+  const dismissToast = useCallback((id: number) => {
+    setToasts((current) => current.filter((toast) => toast.id !== id))
+  }, [])
+
+  const showToast = useCallback((toast: Omit<Toast, 'id'>) => {
+    const id = nextId.current++
+    setToasts((current) => [...current.slice(-3), { ...toast, id }])
+    setTimeout(() => dismissToast(id), TOAST_DURATION)
+  }, [dismissToast])
+
+  return { toasts, showToast, dismissToast }
+}
+
+export function Toasts({ toasts, onDismiss }: { toasts: Toast[], onDismiss: (id: number) => void }) {
+  return (
+    <div className="fixed bottom-4 right-4 z-50 space-y-2 w-80" aria-live="polite">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          className={`bg-white shadow-lg rounded-lg border-l-4 p-4 flex justify-between items-start ${toneClasses[toast.tone]}`}
+        >
+          <div>
+            <p className="font-semibold text-gray-900">{toast.title}</p>
+            {toast.message && <p className="text-sm text-gray-600">{toast.message}</p>}
+          </div>
+          <button
+            onClick={() => onDismiss(toast.id)}
+            className="ml-4 text-gray-400 hover:text-gray-600"
+            aria-label="Dismiss"
+          >
+            &times;
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
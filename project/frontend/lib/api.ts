@@ -1,6 +1,6 @@
 import axios from 'axios'
 
-const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000'
+export const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000'
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -64,4 +64,8 @@ export const paymentAPI = {
   refund: (refundData: any) => api.post('/api/payment/refund', refundData),
 }
 
+export const eventsAPI = {
+  createStreamTicket: () => api.post('/api/events/tickets'),
+}
+
 export default api
\ No newline at end of file
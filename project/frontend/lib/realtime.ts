@@ -0,0 +1,140 @@
+import { useEffect, useRef, useState } from 'react'
+import { API_BASE_URL, eventsAPI } from './api'
+
+export type RealtimeStatus = 'connecting' | 'open' | 'closed'
+
+export interface BalanceUpdate {
+  accountId: string
+  balance: number
+  previousBalance: number
+  currency: string
+  reason?: string
+  reference?: string
+  timestamp: string
+}
+
+export interface AccountCreatedUpdate {
+  accountId: string
+  accountType: string
+  accountName?: string
+  currency: string
+  balance: number
+  timestamp: string
+}
+
+export interface TransactionCreatedUpdate {
+  transactionId: string
+  amount: number
+  currency: string
+  type: string
+  status: string
+  timestamp: string
+}
+
+export interface TransactionStatusUpdate {
+  transactionId: string
+  status: string
+  previousStatus: string
+  reason?: string
+  timestamp: string
+}
+
+export interface NotificationUpdate {
+  notificationId: string
+  type: string
+  subject?: string
+  priority?: string
+  timestamp: string
+}
+
+export interface RealtimeHandlers {
+  onBalance?: (update: BalanceUpdate) => void
+  onAccountCreated?: (update: AccountCreatedUpdate) => void
+  onTransactionCreated?: (update: TransactionCreatedUpdate) => void
+  onTransactionStatus?: (update: TransactionStatusUpdate) => void
+  onNotification?: (update: NotificationUpdate) => void
+  // The stream came back after a drop; updates sent in between were missed
+  onReconnect?: () => void
+}
+
+const EVENT_HANDLERS: { [eventType: string]: keyof RealtimeHandlers } = {
+  'account.balance': 'onBalance',
+  'account.created': 'onAccountCreated',
+  'transaction.created': 'onTransactionCreated',
+  'transaction.status': 'onTransactionStatus',
+  'notification': 'onNotification',
+}
+
+const MAX_RETRY_DELAY = 30000
+
+// Subscribes to the gateway's event stream for the signed-in user
+export function useRealtimeEvents(enabled: boolean, handlers: RealtimeHandlers): RealtimeStatus {
+  const [status, setStatus] = useState<RealtimeStatus>('connecting')
+  const handlersRef = useRef(handlers)
+  handlersRef.current = handlers
+
+  useEffect(() => {
+    if (!enabled) return
+
+    let source: EventSource | null = null
+    let retryTimer: ReturnType<typeof setTimeout> | undefined
+    let attempts = 0
+    let connectedBefore = false
+    let cancelled = false
+
+    const scheduleReconnect = () => {
+      setStatus('closed')
+      const delay = Math.min(1000 * Math.pow(2, attempts), MAX_RETRY_DELAY)
+      attempts += 1
+      retryTimer = setTimeout(connect, delay)
+    }
+
+    const connect = async () => {
+      if (cancelled) return
+      setStatus('connecting')
+
+      let stream: EventSource
+      try {
+        // Tickets are single-use, so every connection attempt needs a fresh one
+        const { data } = await eventsAPI.createStreamTicket()
+        if (cancelled) return
+        stream = new EventSource(`${API_BASE_URL}/api/events/stream?ticket=${encodeURIComponent(data.ticket)}`)
+      } catch (error) {
+        if (!cancelled) scheduleReconnect()
+        return
+      }
+      source = stream
+
+      stream.addEventListener('ready', () => {
+        attempts = 0
+        setStatus('open')
+        if (connectedBefore) handlersRef.current.onReconnect?.()
+        connectedBefore = true
+      })
+
+      Object.keys(EVENT_HANDLERS).forEach((eventType) => {
+        stream.addEventListener(eventType, (event) => {
+          const handler = handlersRef.current[EVENT_HANDLERS[eventType]] as ((update: any) => void) | undefined
+          handler?.(JSON.parse((event as MessageEvent).data))
+        })
+      })
+
+      // EventSource would retry on its own with the spent ticket
+      stream.onerror = () => {
+        stream.close()
+        source = null
+        if (!cancelled) scheduleReconnect()
+      }
+    }
+
+    connect()
+
+    return () => {
+      cancelled = true
+      clearTimeout(retryTimer)
+      source?.close()
+    }
+  }, [enabled])
+
+  return status
+}
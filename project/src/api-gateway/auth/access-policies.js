@@ -0,0 +1,112 @@
+// Access rules for proxied routes, evaluated top to bottom; the first rule whose service,
+// method and path match decides. Paths are relative to /api/<service> and support :params
+// and a trailing /* wildcard, and match regardless of case. Routes no rule matches are refused.
+//   public: true      - no token required
+//   roles / scopes    - the token must carry at least one of the listed roles or scopes
+//   neither           - any authenticated caller
+// Roles come from the user record (see AddUserRoleCommand); scopes are issued to services.
+// Rules only decide who may call a route; services check that the caller owns the records.
+const accessPolicies = [
+  // Unauthenticated endpoints
+  { service: '*', methods: ['GET'], path: '/health', public: true },
+  { service: 'user', methods: ['POST'], path: '/register', public: true },
+  { service: 'user', methods: ['POST'], path: '/login', public: true },
+  { service: 'payment', methods: ['POST'], path: '/webhooks/*', public: true },
+  { service: 'events', methods: ['GET'], path: '/stream', public: true }, // Authenticated by a stream ticket
+  { service: 'events', methods: ['POST'], path: '/tickets' },
+
+  // Operational endpoints
+  { service: '*', methods: ['GET'], path: '/metrics', roles: ['admin'], scopes: ['metrics:read'] },
+  { service: '*', methods: ['GET'], path: '/openapi.json' },
+  { service: 'eventstore', path: '/*', roles: ['admin'] },
+  { service: 'audit', path: '/*', roles: ['admin'], scopes: ['audit:write'] },
+
+  // Service registry: instances register themselves, operators read live state
+  { service: 'discovery', methods: ['GET'], path: '/services', roles: ['admin', 'manager'], scopes: ['registry:read'] },
+  { service: 'discovery', path: '/*', scopes: ['registry:write'] },
+
+  // Users
+  { service: 'user', methods: ['GET', 'PUT'], path: '/profile' },
+
+  // Accounts
+  { service: 'account', methods: ['PUT'], path: '/accounts/:id/suspend', roles: ['admin', 'manager'] },
+  { service: 'account', methods: ['PUT'], path: '/accounts/:id/activate', roles: ['admin', 'manager'] },
+  { service: 'account', methods: ['PUT'], path: '/accounts/:id/close', roles: ['admin', 'manager'] },
+  { service: 'account', methods: ['GET'], path: '/accounts/:id/ledger/verify', roles: ['admin'] },
+  { service: 'account', methods: ['POST'], path: '/accounts/:id/deposit', roles: ['user', 'admin'], scopes: ['accounts:write'] },
+  { service: 'account', methods: ['POST'], path: '/accounts/:id/withdraw', roles: ['user', 'admin'], scopes: ['accounts:write'] },
+  { service: 'account', methods: ['POST'], path: '/accounts/transfer', roles: ['user', 'admin'], scopes: ['accounts:write'] },
+  { service: 'account', methods: ['POST'], path: '/accounts/validate-transfer', roles: ['user', 'admin'], scopes: ['accounts:write'] },
+  { service: 'account', methods: ['POST'], path: '/accounts', roles: ['user', 'admin'], scopes: ['accounts:write'] },
+  { service: 'account', methods: ['PUT'], path: '/accounts/:id', roles: ['user', 'admin'], scopes: ['accounts:write'] },
+  { service: 'account', methods: ['GET'], path: '/accounts/*', roles: ['user', 'admin', 'manager'], scopes: ['accounts:read'] },
+  { service: 'account', methods: ['GET'], path: '/accounts', roles: ['user', 'admin', 'manager'], scopes: ['accounts:read'] },
+
+  // Transactions
+  { service: 'transaction', methods: ['PUT'], path: '/transactions/:id/status', roles: ['admin'], scopes: ['transactions:write'] },
+  { service: 'transaction', methods: ['GET'], path: '/sagas/:id', roles: ['admin', 'manager'] },
+  { service: 'transaction', methods: ['POST'], path: '/transactions/:id/process', roles: ['user', 'admin'], scopes: ['transactions:write'] },
+  { service: 'transaction', methods: ['POST'], path: '/transactions', roles: ['user', 'admin'], scopes: ['transactions:write'] },
+  { service: 'transaction', methods: ['GET'], path: '/transactions/*', roles: ['user', 'admin', 'manager'], scopes: ['transactions:read'] },
+  { service: 'transaction', methods: ['GET'], path: '/transactions', roles: ['user', 'admin', 'manager'], scopes: ['transactions:read'] },
+
+  // Payments
+  { service: 'payment', methods: ['POST'], path: '/payments/:id/refund', roles: ['admin', 'manager'], scopes: ['payments:write'] },
+  { service: 'payment', methods: ['POST'], path: '/payments/:id/capture', roles: ['admin'], scopes: ['payments:write'] },
+  { service: 'payment', methods: ['POST'], path: '/payments/:id/void', roles: ['admin'], scopes: ['payments:write'] },
+  { service: 'payment', methods: ['PUT'], path: '/payments/:id/status', roles: ['admin'], scopes: ['payments:write'] },
+  { service: 'payment', methods: ['GET'], path: '/webhook-events', roles: ['admin'] },
+  { service: 'payment', methods: ['POST'], path: '/disputes/:id/outcome', roles: ['admin'] },
+  { service: 'payment', methods: ['POST'], path: '/disputes/*', roles: ['admin', 'manager'], scopes: ['disputes:write'] },
+  { service: 'payment', methods: ['GET'], path: '/disputes/*', roles: ['admin', 'manager'], scopes: ['disputes:read'] },
+  { service: 'payment', methods: ['GET'], path: '/disputes', roles: ['admin', 'manager'], scopes: ['disputes:read'] },
+  { service: 'payment', methods: ['GET'], path: '/analytics/*', roles: ['admin', 'manager'] },
+  { service: 'payment', methods: ['GET'], path: '/reports/*', roles: ['admin', 'manager'] },
+  { service: 'payment', methods: ['POST'], path: '/payments', roles: ['user', 'admin'], scopes: ['payments:write'] },
+  { service: 'payment', methods: ['POST'], path: '/subscriptions/*', roles: ['user', 'admin'], scopes: ['subscriptions:write'] },
+  { service: 'payment', methods: ['POST'], path: '/subscriptions', roles: ['user', 'admin'], scopes: ['subscriptions:write'] },
+  { service: 'payment', methods: ['GET'], path: '/subscriptions/*', roles: ['user', 'admin'], scopes: ['subscriptions:read'] },
+  { service: 'payment', methods: ['GET'], path: '/subscriptions', roles: ['user', 'admin'], scopes: ['subscriptions:read'] },
+  { service: 'payment', methods: ['GET'], path: '/payments/*', roles: ['user', 'admin', 'manager'], scopes: ['payments:read'] },
+  { service: 'payment', methods: ['GET'], path: '/payments', roles: ['user', 'admin', 'manager'], scopes: ['payments:read'] },
+  { service: 'payment', methods: ['GET', 'POST'], path: '/payment-methods', roles: ['user', 'admin'], scopes: ['payments:write'] },
+  { service: 'payment', methods: ['POST'], path: '/convert-currency', roles: ['user', 'admin'], scopes: ['payments:write'] },
+  { service: 'payment', methods: ['POST'], path: '/validate-card', roles: ['user', 'admin'], scopes: ['payments:write'] },
+
+  // Risk
+  { service: 'risk', methods: ['POST'], path: '/risk-assessment/*', roles: ['admin'], scopes: ['risk:assess'] },
+  { service: 'risk', path: '/*', roles: ['admin', 'manager'] },
+
+  // Currency administration
+  { service: 'currency', methods: ['POST', 'PUT', 'DELETE'], path: '/currencies/*', roles: ['admin'] },
+  { service: 'currency', methods: ['POST', 'PUT', 'DELETE'], path: '/currencies', roles: ['admin'] },
+  { service: 'currency', methods: ['POST', 'PUT'], path: '/exchange-rates/*', roles: ['admin'] },
+  { service: 'currency', methods: ['PUT'], path: '/base-currency', roles: ['admin'] },
+  { service: 'currency', methods: ['GET'], path: '/reports', roles: ['admin', 'manager'] },
+  { service: 'currency', methods: ['GET'], path: '/analytics/*', roles: ['admin', 'manager'] },
+
+  // Rates and conversions
+  { service: 'currency', methods: ['GET'], path: '/currencies' },
+  { service: 'currency', methods: ['GET'], path: '/base-currency' },
+  { service: 'currency', methods: ['GET'], path: '/exchange-rates' },
+  { service: 'currency', methods: ['GET'], path: '/historical-rates' },
+  { service: 'currency', methods: ['POST'], path: '/convert/*' },
+  { service: 'currency', methods: ['POST'], path: '/quotes/*' },
+
+  // Notifications are sent by services; users may read their own
+  { service: 'notification', methods: ['POST'], path: '/notifications', roles: ['admin'], scopes: ['notifications:send'] },
+  { service: 'notification', methods: ['POST'], path: '/notifications/*', roles: ['admin'], scopes: ['notifications:send'] },
+  { service: 'notification', methods: ['PUT'], path: '/notifications/:id/status', roles: ['admin'], scopes: ['notifications:send'] },
+  { service: 'notification', methods: ['GET'], path: '/notifications/statistics', roles: ['admin', 'manager'] },
+  { service: 'notification', methods: ['GET'], path: '/notifications/failed', roles: ['admin', 'manager'] },
+  { service: 'notification', methods: ['GET'], path: '/notifications/*' },
+  { service: 'notification', methods: ['GET', 'PUT'], path: '/users/:userId/preferences' },
+  { service: 'notification', methods: ['GET'], path: '/templates', roles: ['admin', 'manager'] },
+
+  // Back-office services
+  { service: 'settlement', path: '/*', roles: ['admin', 'manager'], scopes: ['settlements:write'] },
+  { service: 'reporting', path: '/*', roles: ['admin', 'manager'] },
+  { service: 'analytics', path: '/*', roles: ['admin', 'manager'] }
+];
+
+export default accessPolicies;
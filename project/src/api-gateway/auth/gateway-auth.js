@@ -0,0 +1,127 @@
+import jwt from 'jsonwebtoken';
+import accessPolicies from './access-policies.js';
+import {
+  IDENTITY_HEADER,
+  IDENTITY_SIGNATURE_HEADER,
+  signIdentity
+} from '../../shared/security/gateway-identity.js';
+
+const compilePath = (path) => {
+  const wildcard = path.endsWith('/*');
+  const base = wildcard ? path.slice(0, -2) : path;
+  const pattern = base
+    .split('/')
+    .map(segment => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+
+  // Services route case-insensitively, so /Accounts/1/suspend must meet the same rule
+  return new RegExp(`^${pattern}${wildcard ? '(/.*)?' : '/?'}$`, 'i');
+};
+
+export class AccessPolicy {
+  constructor(policies = accessPolicies) {
+    this.rules = policies.map(rule => ({ ...rule, pattern: compilePath(rule.path) }));
+  }
+
+  match(serviceName, method, path) {
+    const effectiveMethod = method === 'HEAD' ? 'GET' : method;
+
+    return this.rules.find(rule =>
+      (rule.service === '*' || rule.service === serviceName) &&
+      (!rule.methods || rule.methods.includes(effectiveMethod)) &&
+      rule.pattern.test(path)
+    ) || null;
+  }
+
+  isAllowed(rule, identity) {
+    if (!rule.roles && !rule.scopes) {
+      return true;
+    }
+
+    const hasRole = (rule.roles || []).some(role => identity.roles.includes(role));
+    const hasScope = (rule.scopes || []).some(scope => identity.scopes.includes(scope));
+    return hasRole || hasScope;
+  }
+}
+
+export function identityFromToken(payload) {
+  const scopes = Array.isArray(payload.scopes)
+    ? payload.scopes
+    : (payload.scope || '').split(' ').filter(Boolean);
+
+  return {
+    userId: payload.userId || payload.sub,
+    email: payload.email || null,
+    roles: payload.roles || [],
+    scopes,
+    plan: payload.plan || null,
+    // The merchant a manager's token was issued for; their dispute reads are limited to it
+    merchantId: payload.merchantId || null
+  };
+}
+
+// Verifies the bearer token, applies the policy table and forwards a signed identity to the service
+export function createAuthMiddleware(serviceName, options = {}) {
+  const policy = options.policy || new AccessPolicy();
+  const secret = options.secret || process.env.JWT_SECRET || 'default-secret';
+  const logger = options.logger || console;
+
+  return (req, res, next) => {
+    // Never trust identity headers supplied by the client
+    delete req.headers[IDENTITY_HEADER];
+    delete req.headers[IDENTITY_SIGNATURE_HEADER];
+
+    const rule = policy.match(serviceName, req.method, req.path);
+
+    if (!rule) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'No access policy matches this route'
+      });
+    }
+
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+    if (rule.public && !token) {
+      return next();
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Access token required'
+      });
+    }
+
+    let identity;
+    try {
+      identity = identityFromToken(jwt.verify(token, secret, { algorithms: ['HS256'] }));
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+      });
+    }
+
+    if (!rule.public && !policy.isAllowed(rule, identity)) {
+      logger.warn(`Access denied to ${req.method} /api/${serviceName}${req.path}`, {
+        userId: identity.userId,
+        roles: identity.roles,
+        scopes: identity.scopes
+      });
+
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Insufficient permissions for this route'
+      });
+    }
+
+    const signed = signIdentity(identity);
+    req.headers[IDENTITY_HEADER] = signed.value;
+    req.headers[IDENTITY_SIGNATURE_HEADER] = signed.signature;
+    req.user = identity;
+
+    next();
+  };
+}
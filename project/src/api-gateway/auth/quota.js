@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import {
+  ANONYMOUS_PLAN,
+  DEFAULT_USER_PLAN,
+  IP_QUOTA,
+  SERVICE_PLAN,
+  getQuota,
+  loadApiKeyPlans
+} from '../config/rate-limit-plans.js';
+
+const API_KEY_HEADER = 'x-api-key';
+
+// Raw API keys never end up in Redis keys or logs
+const hashKey = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+
+export function resolveClient(req, apiKeys) {
+  const apiKey = req.headers[API_KEY_HEADER];
+  if (apiKey && apiKeys.has(apiKey)) {
+    return { id: `key:${hashKey(apiKey)}`, plan: apiKeys.get(apiKey) };
+  }
+
+  if (req.user && req.user.userId) {
+    const isService = String(req.user.userId).startsWith('service:');
+    return {
+      id: `user:${req.user.userId}`,
+      plan: req.user.plan || (isService ? SERVICE_PLAN : DEFAULT_USER_PLAN)
+    };
+  }
+
+  return { id: `ip:${req.ip || 'unknown'}`, plan: ANONYMOUS_PLAN };
+}
+
+// Applies the client's token-bucket quota for this route group. Runs after authentication so
+// quotas follow the user or API key rather than the IP address.
+export function createQuotaMiddleware(routeGroup, options) {
+  const limiter = options.limiter;
+  const apiKeys = options.apiKeys || loadApiKeyPlans();
+  const logger = options.logger || console;
+
+  return async (req, res, next) => {
+    const client = resolveClient(req, apiKeys);
+    const quota = getQuota(client.plan, routeGroup);
+    const result = await limiter.tokenBucket(`${routeGroup}:${client.id}`, 1, quota);
+    const resetSeconds = Math.max(0, Math.ceil((result.resetTime - Date.now()) / 1000));
+
+    // IETF RateLimit header fields; the policy window is the time to refill a full bucket
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${quota.capacity};w=${Math.ceil(quota.capacity / quota.refillRate)}`
+    });
+
+    if (!result.allowed) {
+      logger.warn(`Rate limit exceeded for ${client.id} on ${routeGroup}`, { plan: client.plan });
+
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        message: `Quota for the ${client.plan} plan exhausted, retry in ${result.retryAfter}s`,
+        plan: client.plan,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  };
+}
+
+// Per-IP bucket in front of authentication; plan quotas still apply once the caller is known
+export function createIpLimitMiddleware(options) {
+  const limiter = options.limiter;
+  const quota = options.quota || IP_QUOTA;
+  const logger = options.logger || console;
+
+  return async (req, res, next) => {
+    const address = req.ip || 'unknown';
+    const result = await limiter.tokenBucket(`address:${address}`, 1, quota);
+
+    if (!result.allowed) {
+      logger.warn(`Rate limit exceeded for address ${address}`);
+
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        message: `Too many requests from this address, retry in ${result.retryAfter}s`,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  };
+}
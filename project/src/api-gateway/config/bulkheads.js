@@ -0,0 +1,35 @@
+// Concurrency limits for proxied calls, per service. A slot is held for the whole proxied request.
+//   size            - concurrent requests forwarded to the service
+//   queueTimeout    - how long a request may wait for a slot before it is rejected
+//   maxQueueDepth   - waiting requests beyond this are shed immediately with a 503
+// Any value can be overridden with BULKHEAD_<SERVICE>_SIZE, BULKHEAD_<SERVICE>_QUEUE_TIMEOUT_MS
+// and BULKHEAD_<SERVICE>_MAX_QUEUE (e.g. BULKHEAD_PAYMENT_SIZE=40).
+const defaults = {
+  size: parseInt(process.env.BULKHEAD_DEFAULT_SIZE) || 15,
+  queueTimeout: parseInt(process.env.BULKHEAD_DEFAULT_QUEUE_TIMEOUT_MS) || 5000,
+  maxQueueDepth: parseInt(process.env.BULKHEAD_DEFAULT_MAX_QUEUE) || 30
+};
+
+const bulkheads = {
+  account: { size: 25, maxQueueDepth: 50 },
+  transaction: { size: 25, maxQueueDepth: 50 },
+  payment: { size: 25, maxQueueDepth: 50 },
+  user: { size: 20 },
+  // Slow report and analytics queries must not starve the transactional services
+  reporting: { size: 5, queueTimeout: 15000, maxQueueDepth: 10 },
+  analytics: { size: 5, queueTimeout: 15000, maxQueueDepth: 10 },
+  eventstore: { size: 5, maxQueueDepth: 10 }
+};
+
+export function getBulkheadConfig(serviceName) {
+  const prefix = `BULKHEAD_${serviceName.toUpperCase()}`;
+  const config = { ...defaults, ...bulkheads[serviceName] };
+
+  return {
+    size: parseInt(process.env[`${prefix}_SIZE`]) || config.size,
+    queueTimeout: parseInt(process.env[`${prefix}_QUEUE_TIMEOUT_MS`]) || config.queueTimeout,
+    maxQueueDepth: parseInt(process.env[`${prefix}_MAX_QUEUE`]) || config.maxQueueDepth
+  };
+}
+
+export default bulkheads;
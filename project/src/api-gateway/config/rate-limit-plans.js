@@ -0,0 +1,71 @@
+// Token-bucket quotas per plan and route group (the service name under /api/<service>).
+//   capacity   - burst size, i.e. requests allowed at once from a full bucket
+//   refillRate - tokens added back per second, i.e. the sustained request rate
+// Clients are bucketed by API key when one is configured for them, otherwise by user id, and
+// anonymous callers by IP. Users get their token's `plan` claim, or DEFAULT_USER_PLAN.
+const plans = {
+  anonymous: {
+    default: { capacity: 20, refillRate: 0.2 },
+    payment: { capacity: 5, refillRate: 0.05 }
+  },
+  free: {
+    default: { capacity: 60, refillRate: 1 },
+    payment: { capacity: 10, refillRate: 0.1 },
+    transaction: { capacity: 20, refillRate: 0.2 },
+    analytics: { capacity: 120, refillRate: 2 },
+    reporting: { capacity: 30, refillRate: 0.5 }
+  },
+  standard: {
+    default: { capacity: 120, refillRate: 2 },
+    payment: { capacity: 30, refillRate: 0.5 },
+    transaction: { capacity: 60, refillRate: 1 },
+    analytics: { capacity: 300, refillRate: 5 },
+    reporting: { capacity: 60, refillRate: 1 }
+  },
+  premium: {
+    default: { capacity: 600, refillRate: 10 },
+    payment: { capacity: 120, refillRate: 2 },
+    transaction: { capacity: 240, refillRate: 4 },
+    analytics: { capacity: 1200, refillRate: 20 }
+  },
+  // Service-to-service calls made with service tokens
+  internal: {
+    default: { capacity: 2000, refillRate: 200 }
+  }
+};
+
+// Every request from one IP address, checked before authentication so callers without a valid
+// token cannot flood the gateway. Sized for many users sharing a NAT address.
+export const IP_QUOTA = {
+  capacity: parseInt(process.env.RATE_LIMIT_IP_CAPACITY) || 600,
+  refillRate: parseFloat(process.env.RATE_LIMIT_IP_REFILL_RATE) || 20
+};
+
+export const DEFAULT_USER_PLAN = 'standard';
+export const SERVICE_PLAN = 'internal';
+export const ANONYMOUS_PLAN = 'anonymous';
+
+export function getQuota(planName, routeGroup) {
+  const plan = plans[planName] || plans[DEFAULT_USER_PLAN];
+  return plan[routeGroup] || plan.default;
+}
+
+// RATE_LIMIT_API_KEYS="key1:premium,key2:free"
+export function loadApiKeyPlans(value = process.env.RATE_LIMIT_API_KEYS) {
+  const apiKeys = new Map();
+
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.lastIndexOf(':');
+    const key = separator > 0 ? entry.slice(0, separator) : entry;
+    const plan = separator > 0 ? entry.slice(separator + 1) : DEFAULT_USER_PLAN;
+
+    if (!plans[plan]) {
+      throw new Error(`Unknown rate limit plan ${plan} for API key`);
+    }
+    apiKeys.set(key, plan);
+  });
+
+  return apiKeys;
+}
+
+export default plans;
@@ -0,0 +1,102 @@
+// Server-rendered, script-free view of the merged OpenAPI document, so it works under the
+// gateway's default Content-Security-Policy without loading anything from a CDN.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const STYLES = `
+  body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 1100px; padding: 24px; color: #1f2933; }
+  h1 { margin-bottom: 4px; }
+  h2 { border-bottom: 1px solid #d9e2ec; padding-bottom: 4px; margin-top: 32px; }
+  nav a { margin-right: 12px; }
+  details { border: 1px solid #d9e2ec; border-radius: 4px; margin: 6px 0; }
+  summary { cursor: pointer; padding: 8px; }
+  .body { padding: 0 12px 12px; }
+  .method { display: inline-block; width: 64px; font-weight: bold; text-transform: uppercase; }
+  .get { color: #2680c2; } .post { color: #27ab83; } .put { color: #de911d; } .patch { color: #8662c7; } .delete { color: #e12d39; }
+  table { border-collapse: collapse; margin: 8px 0; }
+  td, th { border: 1px solid #d9e2ec; padding: 4px 8px; text-align: left; }
+  pre { background: #f5f7fa; padding: 8px; overflow-x: auto; }
+  .warning { background: #fffbea; border: 1px solid #f0b429; padding: 8px; }
+`;
+
+function renderParameters(parameters = []) {
+  if (parameters.length === 0) return '';
+
+  const rows = parameters.map(parameter => `
+        <tr>
+          <td><code>${escapeHtml(parameter.name)}</code></td>
+          <td>${escapeHtml(parameter.in)}</td>
+          <td>${parameter.required ? 'yes' : 'no'}</td>
+          <td>${escapeHtml((parameter.schema && parameter.schema.type) || '')}</td>
+          <td>${escapeHtml(parameter.description || '')}</td>
+        </tr>`).join('');
+
+  return `
+      <h4>Parameters</h4>
+      <table>
+        <tr><th>Name</th><th>In</th><th>Required</th><th>Type</th><th>Description</th></tr>${rows}
+      </table>`;
+}
+
+function renderOperation(path, method, operation) {
+  const body = operation.requestBody && operation.requestBody.content['application/json'];
+  const responses = Object.entries(operation.responses || {})
+    .map(([status, response]) => `<li><code>${escapeHtml(status)}</code> ${escapeHtml(response.description || '')}</li>`)
+    .join('');
+
+  return `
+    <details id="${escapeHtml(operation.operationId || `${method}-${path}`)}">
+      <summary><span class="method ${method}">${method}</span> <code>${escapeHtml(path)}</code> ${escapeHtml(operation.summary || '')}</summary>
+      <div class="body">${renderParameters(operation.parameters)}
+      ${body ? `<h4>Request body</h4><pre>${escapeHtml(JSON.stringify(body.schema, null, 2))}</pre>` : ''}
+      <h4>Responses</h4>
+      <ul>${responses}</ul>
+      </div>
+    </details>`;
+}
+
+export function renderDocsPage(spec, options = {}) {
+  const specUrl = options.specUrl || '/api/docs/openapi.json';
+  const byTag = new Map(spec.tags.map(tag => [tag.name, []]));
+
+  Object.entries(spec.paths).forEach(([path, operations]) => {
+    Object.entries(operations).forEach(([method, operation]) => {
+      const tag = (operation.tags && operation.tags[0]) || 'other';
+      if (!byTag.has(tag)) byTag.set(tag, []);
+      byTag.get(tag).push(renderOperation(path, method, operation));
+    });
+  });
+
+  const unavailable = spec['x-unavailable-services'] || [];
+  const warning = unavailable.length === 0 ? '' : `
+  <p class="warning">Could not refresh: ${unavailable
+    .map(entry => `${escapeHtml(entry.service)} (${escapeHtml(entry.reason)}${entry.stale ? ', showing the last known description' : ''})`)
+    .join(', ')}</p>`;
+
+  const sections = [...byTag.entries()].map(([tag, operations]) => {
+    const description = (spec.tags.find(entry => entry.name === tag) || {}).description;
+    return `
+  <section id="${escapeHtml(tag)}">
+    <h2>${escapeHtml(tag)}${description ? ` <small>${escapeHtml(description)}</small>` : ''}</h2>${operations.join('')}
+  </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(spec.info.title)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(spec.info.title)}</h1>
+  <p>Version ${escapeHtml(spec.info.version)} &middot; <a href="${escapeHtml(specUrl)}">OpenAPI document</a></p>${warning}
+  <nav>${[...byTag.keys()].map(tag => `<a href="#${escapeHtml(tag)}">${escapeHtml(tag)}</a>`).join('')}</nav>${sections}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,121 @@
+import { injectTraceHeaders } from '../../shared/tracing/trace-context.js';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Builds the gateway's OpenAPI document from each service's /openapi.json. Paths are rebased onto
+// the service's /api/<service> prefix and tagged with the service name. The merged document is
+// cached; a service that cannot be reached keeps its last fetched description and is listed
+// under x-unavailable-services.
+export class OpenApiAggregator {
+  constructor(options) {
+    this.registry = options.registry;
+    this.services = options.services;
+    this.cacheTtl = options.cacheTtl || 60000;
+    this.timeout = options.timeout || 3000;
+    this.logger = options.logger || console;
+    this.info = options.info || { title: 'Transaction Microservices API', version: '1.0.0' };
+
+    this.serviceSpecs = new Map();
+    this.cached = null;
+    this.cachedAt = 0;
+    this.pending = null;
+  }
+
+  async fetchServiceSpec(service) {
+    const instance = this.registry.choose(service);
+    if (!instance) {
+      throw new Error('no available instance');
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${instance.url}/openapi.json`, {
+        headers: injectTraceHeaders({ Accept: 'application/json' }),
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`responded with ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      throw new Error(error.name === 'AbortError' ? 'timed out' : error.message);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  rebase(service, spec) {
+    const paths = {};
+
+    Object.entries(spec.paths || {}).forEach(([path, operations]) => {
+      const rebased = {};
+      Object.entries(operations).forEach(([method, operation]) => {
+        if (!METHODS.includes(method)) return;
+        rebased[method] = {
+          ...operation,
+          operationId: operation.operationId ? `${service}.${operation.operationId}` : undefined,
+          tags: [service]
+        };
+      });
+      paths[`/api/${service}${path}`] = rebased;
+    });
+
+    return paths;
+  }
+
+  async refresh() {
+    const unavailable = [];
+
+    await Promise.all(this.services.map(async (service) => {
+      try {
+        this.serviceSpecs.set(service, await this.fetchServiceSpec(service));
+      } catch (error) {
+        this.logger.warn(`Could not load the OpenAPI description of ${service}: ${error.message}`);
+        unavailable.push({ service, reason: error.message, stale: this.serviceSpecs.has(service) });
+      }
+    }));
+
+    const spec = {
+      openapi: '3.0.3',
+      info: this.info,
+      servers: [{ url: '/' }],
+      tags: [],
+      paths: {},
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+        }
+      },
+      security: [{ bearerAuth: [] }],
+      'x-unavailable-services': unavailable.sort((a, b) => a.service.localeCompare(b.service))
+    };
+
+    this.services.forEach((service) => {
+      const serviceSpec = this.serviceSpecs.get(service);
+      if (!serviceSpec) return;
+
+      spec.tags.push({ name: service, description: serviceSpec.info && serviceSpec.info.title });
+      Object.assign(spec.paths, this.rebase(service, serviceSpec));
+    });
+
+    this.cached = spec;
+    this.cachedAt = Date.now();
+    return spec;
+  }
+
+  async getSpec(options = {}) {
+    if (!options.refresh && this.cached && Date.now() - this.cachedAt < this.cacheTtl) {
+      return this.cached;
+    }
+
+    // Concurrent requests share one round of fetches
+    if (!this.pending) {
+      this.pending = this.refresh().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+}
@@ -0,0 +1,101 @@
+import { toUserEvents } from './user-events.js';
+
+// Holds the open Server-Sent Events streams per user and fans Kafka events out to them.
+// Every gateway instance consumes the topics in its own consumer group, so a user's update
+// reaches whichever instance holds their connection.
+export class RealtimeHub {
+  constructor(options = {}) {
+    this.logger = options.logger || console;
+    this.heartbeatInterval = options.heartbeatInterval || 25000;
+    this.retryDelay = options.retryDelay || 3000;
+    this.maxConnectionsPerUser = options.maxConnectionsPerUser || 5;
+
+    this.connections = new Map(); // userId -> Set<res>
+    this.nextEventId = 1;
+    this.delivered = 0;
+  }
+
+  connect(req, res, identity) {
+    const userId = String(identity.userId);
+    const userConnections = this.connections.get(userId) || new Set();
+
+    if (userConnections.size >= this.maxConnectionsPerUser) {
+      return res.status(429).json({
+        error: 'Too many connections',
+        message: `At most ${this.maxConnectionsPerUser} event streams may be open per user`
+      });
+    }
+
+    // no-transform keeps the compression middleware from buffering the stream
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    req.socket.setTimeout(0);
+    req.socket.setNoDelay(true);
+
+    res.write(`retry: ${this.retryDelay}\n\n`);
+    this.send(res, 'ready', { userId, timestamp: new Date().toISOString() });
+
+    userConnections.add(res);
+    this.connections.set(userId, userConnections);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatInterval);
+    heartbeat.unref();
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      userConnections.delete(res);
+      if (userConnections.size === 0) {
+        this.connections.delete(userId);
+      }
+    });
+  }
+
+  send(res, type, data) {
+    res.write(`id: ${this.nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  publish(userId, type, data) {
+    const userConnections = this.connections.get(String(userId));
+    if (!userConnections) return 0;
+
+    userConnections.forEach(res => this.send(res, type, data));
+    this.delivered += userConnections.size;
+    return userConnections.size;
+  }
+
+  // Kafka message handler for the realtime topics
+  async handleMessage(message) {
+    let event;
+    try {
+      event = JSON.parse(message.value);
+    } catch (error) {
+      this.logger.warn(`Skipping unparseable message on ${message.topic}`, { key: message.key });
+      return;
+    }
+
+    toUserEvents(message.topic, event).forEach(({ userId, type, data }) => this.publish(userId, type, data));
+  }
+
+  getStats() {
+    let connections = 0;
+    this.connections.forEach(userConnections => {
+      connections += userConnections.size;
+    });
+
+    return {
+      users: this.connections.size,
+      connections,
+      delivered: this.delivered
+    };
+  }
+
+  close() {
+    this.connections.forEach(userConnections => userConnections.forEach(res => res.end()));
+    this.connections.clear();
+  }
+}
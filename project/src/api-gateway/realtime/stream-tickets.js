@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { identityFromToken } from '../auth/gateway-auth.js';
+
+// EventSource cannot send an Authorization header, so the browser exchanges its access token
+// for a short-lived, single-use ticket and passes that in the stream URL instead. Tickets are
+// signed with a key derived from JWT_SECRET so they are never accepted as access tokens.
+export class StreamTickets {
+  constructor(options = {}) {
+    const secret = options.secret || process.env.JWT_SECRET || 'default-secret';
+    this.key = crypto.createHmac('sha256', secret).update('event-stream-ticket').digest();
+    this.ttlSeconds = options.ttlSeconds || 30;
+    this.redeemed = new Map(); // jti -> expiry (ms)
+  }
+
+  issue(identity) {
+    const ticket = jwt.sign(
+      {
+        sub: identity.userId,
+        roles: identity.roles,
+        scopes: identity.scopes,
+        plan: identity.plan
+      },
+      this.key,
+      { algorithm: 'HS256', expiresIn: this.ttlSeconds, jwtid: crypto.randomUUID() }
+    );
+
+    return { ticket, expiresIn: this.ttlSeconds };
+  }
+
+  // Returns the identity the ticket was issued to, or null if it is invalid, expired or reused
+  redeem(ticket) {
+    let payload;
+    try {
+      payload = jwt.verify(ticket, this.key, { algorithms: ['HS256'] });
+    } catch (error) {
+      return null;
+    }
+
+    this.prune();
+    if (this.redeemed.has(payload.jti)) {
+      return null;
+    }
+    this.redeemed.set(payload.jti, payload.exp * 1000);
+
+    return identityFromToken(payload);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [jti, expiresAt] of this.redeemed) {
+      if (expiresAt <= now) this.redeemed.delete(jti);
+    }
+  }
+}
@@ -0,0 +1,85 @@
+// Maps domain events from Kafka onto the updates pushed to a user's dashboard. Each entry names
+// the user it belongs to; events without an owner are not forwarded.
+const mappers = {
+  'account-events': {
+    AccountCreated: (event) => [{
+      userId: event.userId,
+      type: 'account.created',
+      data: {
+        accountId: event.accountId,
+        accountType: event.accountType,
+        accountName: event.accountName,
+        currency: event.currency,
+        balance: event.initialBalance || 0
+      }
+    }],
+    AccountBalanceUpdated: (event) => [{
+      userId: event.userId,
+      type: 'account.balance',
+      data: {
+        accountId: event.accountId,
+        balance: event.newBalance,
+        previousBalance: event.oldBalance,
+        currency: event.currency,
+        reason: event.reason,
+        reference: event.reference
+      }
+    }]
+  },
+
+  'transaction-events': {
+    TransactionCreated: (event) => [{
+      userId: event.userId,
+      type: 'transaction.created',
+      data: {
+        transactionId: event.transactionId,
+        amount: event.amount,
+        currency: event.currency,
+        type: event.type,
+        status: 'pending'
+      }
+    }],
+    TransactionStatusUpdated: (event) => [{
+      userId: event.userId,
+      type: 'transaction.status',
+      data: {
+        transactionId: event.transactionId,
+        status: event.newStatus,
+        previousStatus: event.oldStatus,
+        reason: event.reason
+      }
+    }]
+  },
+
+  'notification-events': {
+    NotificationCreated: (event) => [{
+      userId: event.userId,
+      type: 'notification',
+      data: {
+        notificationId: event.notificationId,
+        type: event.type,
+        subject: event.subject,
+        priority: event.priority
+      }
+    }]
+  }
+};
+
+export const REALTIME_TOPICS = Object.keys(mappers);
+
+// Every gateway instance reads all realtime events, so each needs a consumer group of its own.
+// The id must survive restarts: a new group per process would leave an abandoned group (and its
+// offsets) behind on every restart. Host and port tell apart instances sharing a host;
+// GATEWAY_INSTANCE_ID names instances whose hostname changes between runs.
+export function realtimeGroupId({ instanceId = process.env.GATEWAY_INSTANCE_ID, hostname, port }) {
+  return `api-gateway-realtime-${instanceId || `${hostname}-${port}`}`;
+}
+
+export function toUserEvents(topic, event) {
+  const mapper = mappers[topic] && mappers[topic][event.eventType];
+  if (!mapper) return [];
+
+  return mapper(event)
+    .filter(update => update.userId)
+    .map(update => ({ ...update, data: { ...update.data, timestamp: event.timestamp } }));
+}
@@ -0,0 +1,65 @@
+import express from 'express';
+
+// Lets service instances register, heartbeat and deregister themselves, and shows staff the
+// registry's live state. services lists the names the gateway routes; no other name is accepted.
+export function createDiscoveryRouter({ registry, services }) {
+  const router = express.Router();
+
+  router.post('/register', (req, res) => {
+    const { service, url, metadata } = req.body;
+
+    if (!services.includes(service)) {
+      return res.status(400).json({
+        error: 'Unknown service',
+        message: `Service ${service} is not routed by the gateway`
+      });
+    }
+
+    try {
+      new URL(url);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid instance',
+        message: 'A valid instance url is required'
+      });
+    }
+
+    const instance = registry.register({ service, url, metadata });
+    res.status(201).json({ instance, timestamp: new Date().toISOString() });
+  });
+
+  router.put('/services/:service/instances/:instanceId/heartbeat', (req, res) => {
+    const instance = registry.heartbeat(req.params.service, req.params.instanceId);
+
+    if (!instance) {
+      return res.status(404).json({
+        error: 'Instance not found',
+        message: 'The instance is not registered; register it again'
+      });
+    }
+
+    res.json({ instance, timestamp: new Date().toISOString() });
+  });
+
+  router.delete('/services/:service/instances/:instanceId', (req, res) => {
+    if (!registry.deregister(req.params.service, req.params.instanceId)) {
+      return res.status(404).json({
+        error: 'Instance not found',
+        message: 'The instance is not registered'
+      });
+    }
+
+    res.status(204).end();
+  });
+
+  router.get('/services', (req, res) => {
+    res.json({
+      services,
+      strategy: registry.strategy,
+      registry: registry.getSnapshot(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,252 @@
+import { EventEmitter } from 'events';
+
+export const STRATEGIES = ['round-robin', 'least-connections'];
+
+// Instances registered by services themselves heartbeat in; the gateway also probes every
+// instance's /health route so a hung process is ejected even while its heartbeats still arrive.
+export class ServiceRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.logger = options.logger || console;
+    this.strategy = options.strategy || 'round-robin';
+    this.healthCheckInterval = options.healthCheckInterval || 10000;
+    this.healthCheckTimeout = options.healthCheckTimeout || 2000;
+    this.heartbeatTtl = options.heartbeatTtl || 30000;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.ejectionTime = options.ejectionTime || 30000;
+    this.services = new Map();
+    this.cursors = new Map();
+    this.healthTimer = null;
+
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unknown load balancing strategy: ${this.strategy}`);
+    }
+  }
+
+  // Static instances (e.g. from environment configuration) never expire for missing heartbeats
+  seed(serviceName, url) {
+    return this.register({ service: serviceName, url, static: true });
+  }
+
+  register({ service, url, id, metadata, static: isStatic = false }) {
+    if (!service || !url) {
+      throw new Error('Service name and url are required');
+    }
+
+    const instanceId = id || `${service}@${new URL(url).host}`;
+    const instances = this.getInstances(service, true);
+    const now = Date.now();
+    const existing = instances.get(instanceId);
+
+    const instance = {
+      id: instanceId,
+      service,
+      url: url.replace(/\/$/, ''),
+      status: 'healthy',
+      metadata: metadata || {},
+      static: isStatic || Boolean(existing && existing.static),
+      activeConnections: existing ? existing.activeConnections : 0,
+      consecutiveFailures: 0,
+      registeredAt: existing ? existing.registeredAt : now,
+      lastHeartbeat: now,
+      lastCheckedAt: null,
+      ejectedUntil: null
+    };
+
+    instances.set(instanceId, instance);
+    this.logger.info(`Registered ${service} instance ${instanceId} at ${instance.url}`);
+    this.emit('registered', instance);
+    return instance;
+  }
+
+  heartbeat(serviceName, instanceId) {
+    const instance = this.getInstance(serviceName, instanceId);
+    if (!instance) {
+      return null;
+    }
+
+    instance.lastHeartbeat = Date.now();
+    return instance;
+  }
+
+  deregister(serviceName, instanceId) {
+    const instances = this.getInstances(serviceName);
+    const instance = instances && instances.get(instanceId);
+    if (!instance) {
+      return false;
+    }
+
+    instances.delete(instanceId);
+    this.logger.info(`Deregistered ${serviceName} instance ${instanceId}`);
+    this.emit('deregistered', instance);
+    return true;
+  }
+
+  getInstances(serviceName, create = false) {
+    if (!this.services.has(serviceName) && create) {
+      this.services.set(serviceName, new Map());
+    }
+    return this.services.get(serviceName);
+  }
+
+  getInstance(serviceName, instanceId) {
+    const instances = this.getInstances(serviceName);
+    return (instances && instances.get(instanceId)) || null;
+  }
+
+  getServiceNames() {
+    return [...this.services.keys()];
+  }
+
+  isAvailable(instance, now = Date.now()) {
+    if (instance.status === 'ejected') {
+      // Ejected instances get another chance once the ejection window has passed
+      return instance.ejectedUntil <= now;
+    }
+    return instance.status === 'healthy';
+  }
+
+  getAvailableInstances(serviceName) {
+    const instances = this.getInstances(serviceName);
+    if (!instances) {
+      return [];
+    }
+
+    const now = Date.now();
+    return [...instances.values()].filter(instance => this.isAvailable(instance, now));
+  }
+
+  choose(serviceName, strategy = this.strategy) {
+    const available = this.getAvailableInstances(serviceName);
+    if (available.length === 0) {
+      return null;
+    }
+
+    if (strategy === 'least-connections') {
+      return available.reduce((best, instance) =>
+        instance.activeConnections < best.activeConnections ? instance : best
+      );
+    }
+
+    const cursor = this.cursors.get(serviceName) || 0;
+    this.cursors.set(serviceName, (cursor + 1) % Number.MAX_SAFE_INTEGER);
+    return available[cursor % available.length];
+  }
+
+  acquire(instance) {
+    instance.activeConnections++;
+  }
+
+  release(instance) {
+    instance.activeConnections = Math.max(0, instance.activeConnections - 1);
+  }
+
+  reportSuccess(instance) {
+    instance.consecutiveFailures = 0;
+    if (instance.status !== 'healthy') {
+      instance.status = 'healthy';
+      instance.ejectedUntil = null;
+      this.logger.info(`${instance.service} instance ${instance.id} is healthy again`);
+      this.emit('recovered', instance);
+    }
+  }
+
+  reportFailure(instance, reason) {
+    instance.consecutiveFailures++;
+
+    if (instance.status === 'ejected' && instance.ejectedUntil <= Date.now()) {
+      // A failed probe after the ejection window puts the instance straight back out
+      this.eject(instance, reason);
+    } else if (instance.status === 'healthy' && instance.consecutiveFailures >= this.failureThreshold) {
+      this.eject(instance, reason);
+    }
+  }
+
+  eject(instance, reason) {
+    instance.status = 'ejected';
+    instance.ejectedUntil = Date.now() + this.ejectionTime;
+    this.logger.warn(`Ejected ${instance.service} instance ${instance.id}: ${reason}`);
+    this.emit('ejected', instance);
+  }
+
+  async checkInstance(instance) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.healthCheckTimeout);
+
+    try {
+      const response = await fetch(`${instance.url}/health`, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Health check returned ${response.status}`);
+      }
+      this.reportSuccess(instance);
+    } catch (error) {
+      this.reportFailure(instance, error.name === 'AbortError' ? 'health check timed out' : error.message);
+    } finally {
+      clearTimeout(timeoutId);
+      instance.lastCheckedAt = Date.now();
+    }
+  }
+
+  async checkAll() {
+    const now = Date.now();
+    const checks = [];
+
+    for (const instances of this.services.values()) {
+      for (const instance of [...instances.values()]) {
+        if (!instance.static && now - instance.lastHeartbeat > this.heartbeatTtl) {
+          this.logger.warn(`${instance.service} instance ${instance.id} missed its heartbeats`);
+          this.deregister(instance.service, instance.id);
+          continue;
+        }
+        checks.push(this.checkInstance(instance));
+      }
+    }
+
+    await Promise.all(checks);
+  }
+
+  start() {
+    if (this.healthTimer) {
+      return;
+    }
+
+    this.healthTimer = setInterval(() => {
+      this.checkAll().catch(error => this.logger.error('Registry health check failed:', error));
+    }, this.healthCheckInterval);
+    this.healthTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  getSnapshot() {
+    const now = Date.now();
+    const snapshot = {};
+
+    for (const [serviceName, instances] of this.services) {
+      const list = [...instances.values()].map(instance => ({
+        id: instance.id,
+        url: instance.url,
+        status: instance.status,
+        available: this.isAvailable(instance, now),
+        activeConnections: instance.activeConnections,
+        consecutiveFailures: instance.consecutiveFailures,
+        static: instance.static,
+        metadata: instance.metadata,
+        registeredAt: new Date(instance.registeredAt).toISOString(),
+        lastHeartbeat: new Date(instance.lastHeartbeat).toISOString(),
+        lastCheckedAt: instance.lastCheckedAt ? new Date(instance.lastCheckedAt).toISOString() : null,
+        ejectedUntil: instance.ejectedUntil ? new Date(instance.ejectedUntil).toISOString() : null
+      }));
+
+      snapshot[serviceName] = {
+        instances: list,
+        available: list.filter(instance => instance.available).length
+      };
+    }
+
+    return snapshot;
+  }
+}
@@ -1,4 +1,5 @@
 import express from 'express';
+import os from 'os';
 import { createProxyMiddleware } from 'http-proxy-middleware';
 import cors from 'cors';
 import helmet from 'helmet';
@@ -7,6 +8,27 @@ import compression from 'compression';
 import RateLimiter from '../shared/patterns/rate-limiter.js';
 import CircuitBreaker from '../shared/patterns/circuit-breaker.js';
 import Bulkhead from '../shared/patterns/bulkhead.js';
+import { createAuthMiddleware } from './auth/gateway-auth.js';
+import { createIpLimitMiddleware, createQuotaMiddleware } from './auth/quota.js';
+import { loadApiKeyPlans } from './config/rate-limit-plans.js';
+import { ServiceRegistry } from './registry/service-registry.js';
+import { createDiscoveryRouter } from './registry/discovery-router.js';
+import { getBulkheadConfig } from './config/bulkheads.js';
+import { OpenApiAggregator } from './docs/openapi-aggregator.js';
+import { renderDocsPage } from './docs/docs-page.js';
+import { RealtimeHub } from './realtime/realtime-hub.js';
+import { StreamTickets } from './realtime/stream-tickets.js';
+import { REALTIME_TOPICS, realtimeGroupId } from './realtime/user-events.js';
+import { KafkaService } from '../shared/messaging/kafka-service.js';
+import { tracing, traceFormat } from '../shared/tracing/trace-context.js';
+import MetricsRegistry from '../shared/metrics/metrics-registry.js';
+import {
+  httpMetrics,
+  instrumentBulkhead,
+  instrumentCircuitBreakers,
+  instrumentKafka,
+  metricsHandler
+} from '../shared/metrics/instrumentation.js';
 import winston from 'winston';
 
 const app = express();
@@ -17,6 +39,7 @@ const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
+    traceFormat(),
     winston.format.json()
   ),
   transports: [
@@ -25,6 +48,10 @@ const logger = winston.createLogger({
   ]
 });
 
+// Metrics
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'api-gateway' } });
+app.use(httpMetrics(metrics));
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
@@ -32,37 +59,22 @@ app.use(cors({
   credentials: true
 }));
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks are proxied byte for byte so the payment-service can verify their signatures
+const jsonBody = express.json({ limit: '10mb' });
+app.use((req, res, next) => (req.path.startsWith('/api/payment/webhooks/') ? next() : jsonBody(req, res, next)));
+app.use(tracing());
 
-// Rate limiting
-const rateLimiter = new RateLimiter({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000,
-  maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
-});
+// Rate limiting: token-bucket quotas per plan and route group, see config/rate-limit-plans.js
+const rateLimiter = new RateLimiter({ logger });
+const apiKeyPlans = loadApiKeyPlans();
 
 // Bulkhead for different service types
 const bulkhead = new Bulkhead({
   defaultPoolSize: 10
 });
 
-// Circuit breakers for each service
-const serviceBreakers = {
-  user: new CircuitBreaker({ timeout: 30000, errorThreshold: 50 }),
-  account: new CircuitBreaker({ timeout: 30000, errorThreshold: 50 }),
-  transaction: new CircuitBreaker({ timeout: 30000, errorThreshold: 50 }),
-  payment: new CircuitBreaker({ timeout: 30000, errorThreshold: 50 }),
-  notification: new CircuitBreaker({ timeout: 30000, errorThreshold: 50 }),
-  audit: new CircuitBreaker({ timeout: 30000, errorThreshold: 50 }),
-  analytics: new CircuitBreaker({ timeout: 30000, errorThreshold: 50 }),
-  risk: new CircuitBreaker({ timeout: 30000, errorThreshold: 50 }),
-  currency: new CircuitBreaker({ timeout: 30000, errorThreshold: 50 }),
-  settlement: new CircuitBreaker({ timeout: 30000, errorThreshold: 50 }),
-  reporting: new CircuitBreaker({ timeout: 30000, errorThreshold: 50 }),
-  eventstore: new CircuitBreaker({ timeout: 30000, errorThreshold: 50 })
-};
-
-// Service registry
-const services = {
+// Default instance per service; self-registered instances are added alongside these
+const staticServices = {
   user: `http://localhost:${process.env.USER_SERVICE_PORT || 3001}`,
   account: `http://localhost:${process.env.ACCOUNT_SERVICE_PORT || 3002}`,
   transaction: `http://localhost:${process.env.TRANSACTION_SERVICE_PORT || 3003}`,
@@ -77,52 +89,165 @@ const services = {
   eventstore: `http://localhost:${process.env.EVENTSTORE_SERVICE_PORT || 3012}`
 };
 
-// Rate limiting middleware
-const applyRateLimit = async (req, res, next) => {
-  const clientId = req.ip || 'anonymous';
-  const result = await rateLimiter.slidingWindowLog(clientId, 1);
-  
-  if (!result.allowed) {
-    return res.status(429).json({
-      error: 'Rate limit exceeded',
-      resetTime: result.resetTime,
-      remaining: result.remaining
-    });
-  }
+// Service registry
+const registry = new ServiceRegistry({
+  logger,
+  strategy: process.env.LOAD_BALANCING_STRATEGY || 'round-robin',
+  healthCheckInterval: parseInt(process.env.REGISTRY_HEALTH_CHECK_INTERVAL_MS) || 10000,
+  healthCheckTimeout: parseInt(process.env.REGISTRY_HEALTH_CHECK_TIMEOUT_MS) || 2000,
+  heartbeatTtl: parseInt(process.env.REGISTRY_HEARTBEAT_TTL_MS) || 30000,
+  failureThreshold: parseInt(process.env.REGISTRY_FAILURE_THRESHOLD) || 3,
+  ejectionTime: parseInt(process.env.REGISTRY_EJECTION_TIME_MS) || 30000
+});
 
-  res.set({
-    'X-RateLimit-Remaining': result.remaining,
-    'X-RateLimit-Reset': new Date(result.resetTime).toISOString()
-  });
+if (process.env.REGISTRY_STATIC_INSTANCES !== 'false') {
+  Object.entries(staticServices).forEach(([serviceName, url]) => registry.seed(serviceName, url));
+}
+
+const services = Object.keys(staticServices);
 
-  next();
+// Circuit breakers for each service
+const breakerOptions = {
+  timeout: parseInt(process.env.CIRCUIT_BREAKER_TIMEOUT_MS) || 30000,
+  errorThreshold: parseInt(process.env.CIRCUIT_BREAKER_ERROR_THRESHOLD) || 50,
+  resetTimeout: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT_MS) || 30000,
+  slowCallThreshold: parseInt(process.env.CIRCUIT_BREAKER_SLOW_CALL_MS) || 10000,
+  minimumRequests: parseInt(process.env.CIRCUIT_BREAKER_MINIMUM_REQUESTS) || 10,
+  halfOpenMaxCalls: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_CALLS) || 3
 };
 
-// Bulkhead middleware
+const serviceBreakers = {};
+services.forEach((serviceName) => {
+  const breaker = new CircuitBreaker(breakerOptions);
+
+  breaker.on('stateChange', ({ from, to, stats }) => {
+    logger.log(to === 'CLOSED' ? 'info' : 'warn', `Circuit breaker for ${serviceName} changed from ${from} to ${to}`, {
+      service: serviceName,
+      failureRate: stats.failureRate,
+      slowCalls: stats.slowCallCount,
+      transitions: stats.transitions
+    });
+  });
+
+  serviceBreakers[serviceName] = breaker;
+});
+
+instrumentCircuitBreakers(metrics, serviceBreakers);
+instrumentBulkhead(metrics, bulkhead);
+
+// Rate limiting middleware, applied after authentication so quotas follow the caller's identity
+const applyRateLimit = (routeGroup) => createQuotaMiddleware(routeGroup, {
+  limiter: rateLimiter,
+  apiKeys: apiKeyPlans,
+  logger
+});
+
+// Per-IP limit ahead of authentication for everything under /api
+app.use('/api', createIpLimitMiddleware({ limiter: rateLimiter, logger }));
+
+// Bulkhead middleware: the slot is held until the proxied response finishes or the connection closes
 const applyBulkhead = (poolName) => {
   return async (req, res, next) => {
     try {
-      await bulkhead.execute(poolName, async () => {
-        return new Promise((resolve) => {
-          next();
-          resolve();
-        });
-      });
+      await bulkhead.execute(poolName, () => new Promise((resolve) => {
+        // The client gave up while queued; free the slot without forwarding the request
+        if (res.destroyed || res.writableEnded) {
+          return resolve();
+        }
+
+        res.on('finish', resolve);
+        res.on('close', resolve);
+        next();
+      }));
     } catch (error) {
-      logger.error(`Bulkhead rejection for pool ${poolName}:`, error);
+      if (res.headersSent) {
+        return;
+      }
+
+      const shed = error.code === 'BULKHEAD_FULL';
+      logger.warn(`Bulkhead ${shed ? 'shed' : 'rejected'} request for pool ${poolName}: ${error.message}`);
+
+      res.set('Retry-After', '1');
       res.status(503).json({
         error: 'Service temporarily unavailable',
-        message: 'Too many concurrent requests'
+        message: shed ? 'Service is overloaded, retry shortly' : 'Too many concurrent requests'
+      });
+    }
+  };
+};
+
+// Pick a healthy instance and count the request against it until the response ends
+const selectInstance = (serviceName) => {
+  return (req, res, next) => {
+    const instance = registry.choose(serviceName);
+
+    if (!instance) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        service: serviceName,
+        message: 'No healthy instances are registered for this service'
+      });
+    }
+
+    registry.acquire(instance);
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      registry.release(instance);
+    };
+    res.on('finish', release);
+    res.on('close', release);
+
+    req.serviceInstance = instance;
+    next();
+  };
+};
+
+// Fail fast while the service's breaker is open and record the outcome of every proxied call.
+// 5xx responses, aborted requests and responses slower than the slow-call threshold count as failures.
+const applyCircuitBreaker = (serviceName) => {
+  const breaker = serviceBreakers[serviceName];
+
+  return (req, res, next) => {
+    if (!breaker.tryAcquire()) {
+      const retryAfter = breaker.getRetryAfter();
+      res.set('Retry-After', String(retryAfter));
+      return res.status(503).json({
+        error: 'Service unavailable',
+        service: serviceName,
+        message: 'Circuit breaker is open',
+        retryAfter
       });
     }
+
+    const startTime = Date.now();
+    let recorded = false;
+    const record = (failed) => {
+      if (recorded) return;
+      recorded = true;
+
+      if (failed) {
+        breaker.onFailure();
+      } else {
+        breaker.onSuccess(Date.now() - startTime);
+      }
+    };
+
+    res.on('finish', () => record(res.statusCode >= 500));
+    res.on('close', () => record(!res.writableFinished || res.statusCode >= 500));
+
+    next();
   };
 };
 
-// Create proxy middleware with circuit breaker
-const createServiceProxy = (serviceName, target) => {
+// Create proxy middleware
+const createServiceProxy = (serviceName) => {
   return createProxyMiddleware({
-    target,
+    target: staticServices[serviceName],
+    router: (req) => req.serviceInstance.url,
     changeOrigin: true,
+    proxyTimeout: breakerOptions.timeout,
     pathRewrite: {
       [`^/api/${serviceName}`]: ''
     },
@@ -130,16 +255,22 @@ const createServiceProxy = (serviceName, target) => {
       logger.info(`Proxying request to ${serviceName}:`, {
         method: req.method,
         url: req.url,
-        target
+        instance: req.serviceInstance.id
       });
     },
     onProxyRes: (proxyRes, req, res) => {
       // Add service name to response headers
       proxyRes.headers['X-Service'] = serviceName;
+
+      if (proxyRes.statusCode >= 500) {
+        registry.reportFailure(req.serviceInstance, `responded with ${proxyRes.statusCode}`);
+      } else {
+        registry.reportSuccess(req.serviceInstance);
+      }
     },
     onError: (err, req, res) => {
       logger.error(`Proxy error for ${serviceName}:`, err);
-      serviceBreakers[serviceName].onFailure();
+      registry.reportFailure(req.serviceInstance, err.message);
       
       res.status(503).json({
         error: 'Service unavailable',
@@ -150,18 +281,20 @@ const createServiceProxy = (serviceName, target) => {
   });
 };
 
-// Apply middleware to all routes
-app.use(applyRateLimit);
-
-// Setup service routes with bulkhead and circuit breaker
-Object.entries(services).forEach(([serviceName, target]) => {
+// Setup service routes with authentication, rate limiting, bulkhead and circuit breaker
+services.forEach((serviceName) => {
   const poolName = `${serviceName}-pool`;
-  bulkhead.createPool(poolName, 15); // Create pool for each service
+  const { size, ...poolOptions } = getBulkheadConfig(serviceName);
+  bulkhead.createPool(poolName, size, poolOptions);
   
   app.use(
     `/api/${serviceName}`,
+    createAuthMiddleware(serviceName, { logger }),
+    applyRateLimit(serviceName),
     applyBulkhead(poolName),
-    createServiceProxy(serviceName, target)
+    selectInstance(serviceName),
+    applyCircuitBreaker(serviceName),
+    createServiceProxy(serviceName)
   );
 });
 
@@ -177,43 +310,105 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    services: Object.keys(services),
+    services,
     circuitBreakers: circuitBreakerStates,
-    bulkheadStats
+    bulkheadStats,
+    realtime: realtimeHub.getStats()
   });
 });
 
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
-  const metrics = {
-    timestamp: new Date().toISOString(),
-    circuitBreakers: {},
-    bulkhead: bulkhead.getAllStats(),
-    services: Object.keys(services).length
-  };
+app.get('/metrics', metricsHandler(metrics));
 
-  Object.entries(serviceBreakers).forEach(([service, breaker]) => {
-    metrics.circuitBreakers[service] = breaker.getState();
-  });
+// API documentation: every service's OpenAPI description merged under its /api/<service> prefix
+const apiDocs = new OpenApiAggregator({
+  registry,
+  services,
+  cacheTtl: parseInt(process.env.API_DOCS_CACHE_TTL_MS) || 60000,
+  logger
+});
 
-  res.json(metrics);
+app.get('/api/docs/openapi.json', applyRateLimit('docs'), async (req, res) => {
+  try {
+    res.json(await apiDocs.getSpec({ refresh: req.query.refresh === 'true' }));
+  } catch (error) {
+    logger.error('Failed to build the API description:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
 });
 
-// Service discovery endpoint
-app.get('/api/discovery/services', (req, res) => {
-  res.json({
-    services: Object.keys(services),
-    registry: services,
-    timestamp: new Date().toISOString()
-  });
+app.get('/api/docs', applyRateLimit('docs'), async (req, res) => {
+  try {
+    res.type('html').send(renderDocsPage(await apiDocs.getSpec()));
+  } catch (error) {
+    logger.error('Failed to render the API docs:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Real-time updates: account, transaction and notification events pushed to the signed-in user
+// over Server-Sent Events. The browser trades its access token for a one-time stream ticket.
+const kafkaService = new KafkaService();
+const streamTickets = new StreamTickets({
+  ttlSeconds: parseInt(process.env.STREAM_TICKET_TTL_SECONDS) || 30
+});
+const realtimeHub = new RealtimeHub({
+  logger,
+  heartbeatInterval: parseInt(process.env.REALTIME_HEARTBEAT_INTERVAL_MS) || 25000,
+  maxConnectionsPerUser: parseInt(process.env.REALTIME_MAX_CONNECTIONS_PER_USER) || 5
+});
+
+instrumentKafka(metrics, kafkaService);
+metrics.gauge({
+  name: 'realtime_connections',
+  help: 'Open event streams',
+  collect() {
+    this.set(realtimeHub.getStats().connections);
+  }
+});
+
+const eventsRouter = express.Router();
+
+eventsRouter.post('/tickets', (req, res) => {
+  res.status(201).json({ ...streamTickets.issue(req.user), timestamp: new Date().toISOString() });
 });
 
+eventsRouter.get('/stream', (req, res) => {
+  const identity = req.query.ticket ? streamTickets.redeem(String(req.query.ticket)) : null;
+
+  if (!identity) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid stream ticket is required'
+    });
+  }
+
+  realtimeHub.connect(req, res, identity);
+});
+
+app.use(
+  '/api/events',
+  createAuthMiddleware('events', { logger }),
+  applyRateLimit('events'),
+  eventsRouter
+);
+
+// Service discovery endpoints
+const discoveryRouter = createDiscoveryRouter({ registry, services });
+
+app.use(
+  '/api/discovery',
+  createAuthMiddleware('discovery', { logger }),
+  applyRateLimit('discovery'),
+  discoveryRouter
+);
+
 // Fallback route for unmatched paths
 app.use('*', (req, res) => {
   res.status(404).json({
     error: 'Route not found',
     message: 'The requested endpoint does not exist',
-    availableServices: Object.keys(services)
+    availableServices: services
   });
 });
 
@@ -228,7 +423,18 @@ app.use((err, req, res, next) => {
 
 app.listen(PORT, () => {
   logger.info(`API Gateway running on port ${PORT}`);
-  logger.info('Registered services:', Object.keys(services));
+  logger.info('Registered services:', services);
+  registry.start();
+
+  // Each instance reads every event in its own group, since any instance may hold the user's stream
+  kafkaService.initialize()
+    .then(() => kafkaService.consumeMessages(
+      REALTIME_TOPICS,
+      realtimeGroupId({ hostname: os.hostname(), port: PORT }),
+      (message) => realtimeHub.handleMessage(message)
+    ))
+    .then(() => logger.info('Subscribed to realtime topics:', REALTIME_TOPICS))
+    .catch(error => logger.error('Failed to subscribe to realtime topics:', error));
 });
 
 export default app;
\ No newline at end of file
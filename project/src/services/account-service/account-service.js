@@ -20,6 +20,10 @@ import {
 } from './queries/account-queries.js';
 import { KafkaService } from '../../shared/messaging/kafka-service.js';
 import EventStore from '../../shared/event-sourcing/event-store.js';
+import AggregateRepository from '../../shared/event-sourcing/aggregate-repository.js';
+import { AccountAggregate } from './aggregates/account-aggregate.js';
+import { Ledger } from './ledger/ledger.js';
+import { CurrencyClient } from './clients/currency-client.js';
 import CommandBus from '../../shared/cqrs/command-bus.js';
 import QueryBus from '../../shared/cqrs/query-bus.js';
 
@@ -33,6 +37,19 @@ export class AccountService {
     this.kafkaService = dependencies.kafkaService || new KafkaService();
     this.logger = dependencies.logger;
 
+    this.accountRepository = new AggregateRepository(
+      this.eventStore,
+      (id) => new AccountAggregate(id),
+      { snapshotFrequency: 50, logger: this.logger }
+    );
+
+    this.ledger = new Ledger({
+      connectionPool: this.connectionPool,
+      logger: this.logger
+    });
+
+    this.currencyClient = dependencies.currencyClient || new CurrencyClient();
+
     // Initialize cache
     this.cache = new Map();
 
@@ -40,12 +57,16 @@ export class AccountService {
       connectionPool: this.connectionPool,
       dualWriter: this.dualWriter,
       eventStore: this.eventStore,
+      accountRepository: this.accountRepository,
+      ledger: this.ledger,
+      currencyClient: this.currencyClient,
       kafkaService: this.kafkaService,
       logger: this.logger
     });
 
     this.queryHandler = new AccountQueryHandler({
       connectionPool: this.connectionPool,
+      ledger: this.ledger,
       cache: this.cache,
       logger: this.logger
     });
@@ -277,6 +298,10 @@ export class AccountService {
     return summary;
   }
 
+  async verifyAccountBalance(accountId) {
+    return await this.ledger.verifyBalance(accountId);
+  }
+
   async validateAccountTransfer(fromAccountId, toAccountId, amount) {
     const [fromAccount, toAccount] = await Promise.all([
       this.getAccount(fromAccountId),
@@ -304,10 +329,6 @@ export class AccountService {
       }
     }
 
-    if (fromAccount && toAccount && fromAccount.currency !== toAccount.currency) {
-      errors.push('Currency mismatch between accounts');
-    }
-
     return {
       isValid: errors.length === 0,
       errors,
@@ -0,0 +1,45 @@
+import AggregateRoot from '../../../shared/event-sourcing/aggregate-root.js';
+
+export class AccountAggregate extends AggregateRoot {
+  get balance() {
+    return this.state.balance || 0;
+  }
+
+  get status() {
+    return this.state.status;
+  }
+
+  onAccountCreated(event) {
+    this.state = {
+      accountId: event.accountId,
+      userId: event.userId,
+      accountType: event.accountType,
+      currency: event.currency,
+      accountName: event.accountName,
+      balance: event.initialBalance || 0,
+      status: 'active',
+      createdAt: event.timestamp,
+      updatedAt: event.timestamp
+    };
+  }
+
+  onAccountUpdated(event) {
+    this.state = { ...this.state, ...event.updates, updatedAt: event.timestamp };
+  }
+
+  onAccountSuspended(event) {
+    this.state = { ...this.state, status: 'suspended', suspendedAt: event.timestamp, updatedAt: event.timestamp };
+  }
+
+  onAccountActivated(event) {
+    this.state = { ...this.state, status: 'active', suspendedAt: null, updatedAt: event.timestamp };
+  }
+
+  onAccountClosed(event) {
+    this.state = { ...this.state, status: 'closed', closedAt: event.timestamp, updatedAt: event.timestamp };
+  }
+
+  onAccountBalanceUpdated(event) {
+    this.state = { ...this.state, balance: event.newBalance, updatedAt: event.timestamp };
+  }
+}
@@ -0,0 +1,66 @@
+import { createServiceToken } from '../../../shared/security/service-token.js';
+import { injectTraceHeaders } from '../../../shared/tracing/trace-context.js';
+
+// Talks to the currency-service through the API gateway, which only forwards /quotes
+// calls that carry an identity; the account-service quotes on behalf of the account owner.
+export class CurrencyClient {
+  constructor(options = {}) {
+    this.gatewayUrl = options.gatewayUrl || process.env.API_GATEWAY_URL || 'http://localhost:3000';
+    this.timeout = options.timeout || 5000;
+  }
+
+  async call(path, body, action) {
+    const response = await fetch(`${this.gatewayUrl}/api/currency${path}`, {
+      method: 'POST',
+      headers: injectTraceHeaders({
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${createServiceToken('account-service')}`
+      }),
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok || !payload.success) {
+      const error = new Error(`Currency ${action} failed: ${payload.error || response.statusText}`);
+      error.code = payload.code;
+      throw error;
+    }
+
+    return payload.data;
+  }
+
+  // Lock a rate for converting amount (in fromCurrency) for userId. The fee is charged in
+  // fromCurrency and the rest converted at the quoted rate; the currency-service honours the
+  // quote once, until lockedUntil, when executeQuote is called (again after releaseQuote).
+  async getQuote(fromCurrency, toCurrency, amount, userId) {
+    const quote = await this.call('/quotes', { from: fromCurrency, to: toCurrency, amount, userId }, 'quote');
+    const rate = Number(quote.rate);
+
+    if (!(rate > 0)) {
+      throw new Error(`No exchange rate available for ${fromCurrency} to ${toCurrency}`);
+    }
+
+    return {
+      quoteId: quote.quoteId,
+      fromCurrency,
+      toCurrency,
+      amount,
+      rate,
+      fee: Math.round((Number(quote.fee) || 0) * 100) / 100,
+      convertedAmount: Math.round(Number(quote.convertedAmount) * 100) / 100,
+      lockedUntil: quote.expiresAt
+    };
+  }
+
+  // Execute the quote at its locked rate; refused once it has expired or already been executed
+  async executeQuote(quoteId, metadata = {}) {
+    return await this.call(`/quotes/${encodeURIComponent(quoteId)}/execute`, { purpose: 'transfer', metadata }, 'quote execution');
+  }
+
+  // Undo an execution whose transfer was not posted, so the conversion is not left used up
+  async releaseQuote(quoteId, reason, metadata = {}) {
+    return await this.call(`/quotes/${encodeURIComponent(quoteId)}/release`, { reason, metadata }, 'quote release');
+  }
+}
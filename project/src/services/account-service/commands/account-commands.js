@@ -1,3 +1,6 @@
+import { assertValid } from '../../../shared/validation/request-validation.js';
+import { depositFundsCommand, transferFundsCommand, withdrawFundsCommand } from '../schemas/account-schemas.js';
+
 export class CreateAccountCommand {
   constructor(data) {
     this.id = data.id;
@@ -143,16 +146,7 @@ export class DepositFundsCommand {
   }
 
   validate() {
-    const errors = [];
-
-    if (!this.accountId) errors.push('Account ID is required');
-    if (!this.amount || this.amount <= 0) errors.push('Valid deposit amount is required');
-    if (!this.currency) errors.push('Currency is required');
-    if (!this.depositedBy) errors.push('Deposited by is required');
-
-    if (errors.length > 0) {
-      throw new Error(`Validation errors: ${errors.join(', ')}`);
-    }
+    assertValid(depositFundsCommand, this);
   }
 }
 
@@ -169,16 +163,7 @@ export class WithdrawFundsCommand {
   }
 
   validate() {
-    const errors = [];
-
-    if (!this.accountId) errors.push('Account ID is required');
-    if (!this.amount || this.amount <= 0) errors.push('Valid withdrawal amount is required');
-    if (!this.currency) errors.push('Currency is required');
-    if (!this.withdrawnBy) errors.push('Withdrawn by is required');
-
-    if (errors.length > 0) {
-      throw new Error(`Validation errors: ${errors.join(', ')}`);
-    }
+    assertValid(withdrawFundsCommand, this);
   }
 }
 
@@ -196,19 +181,6 @@ export class TransferFundsCommand {
   }
 
   validate() {
-    const errors = [];
-
-    if (!this.fromAccountId) errors.push('From account ID is required');
-    if (!this.toAccountId) errors.push('To account ID is required');
-    if (this.fromAccountId === this.toAccountId) {
-      errors.push('From and to accounts cannot be the same');
-    }
-    if (!this.amount || this.amount <= 0) errors.push('Valid transfer amount is required');
-    if (!this.currency) errors.push('Currency is required');
-    if (!this.transferredBy) errors.push('Transferred by is required');
-
-    if (errors.length > 0) {
-      throw new Error(`Validation errors: ${errors.join(', ')}`);
-    }
+    assertValid(transferFundsCommand, this);
   }
 }
\ No newline at end of file
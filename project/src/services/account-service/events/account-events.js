@@ -66,6 +66,7 @@ export class FundsDepositedEvent {
     this.eventType = 'FundsDeposited';
     this.aggregateId = data.accountId;
     this.accountId = data.accountId;
+    this.userId = data.userId; // Account owner
     this.amount = data.amount;
     this.currency = data.currency;
     this.newBalance = data.newBalance;
@@ -82,6 +83,7 @@ export class FundsWithdrawnEvent {
     this.eventType = 'FundsWithdrawn';
     this.aggregateId = data.accountId;
     this.accountId = data.accountId;
+    this.userId = data.userId; // Account owner
     this.amount = data.amount;
     this.currency = data.currency;
     this.newBalance = data.newBalance;
@@ -100,8 +102,13 @@ export class FundsTransferredEvent {
     this.transferId = data.transferId;
     this.fromAccountId = data.fromAccountId;
     this.toAccountId = data.toAccountId;
+    this.fromUserId = data.fromUserId;
+    this.toUserId = data.toUserId;
     this.amount = data.amount;
     this.currency = data.currency;
+    this.creditedAmount = data.creditedAmount ?? data.amount;
+    this.creditedCurrency = data.creditedCurrency || data.currency;
+    this.fx = data.fx || null; // Executed quote { quoteId, rate, fee, convertedAmount, lockedUntil } for cross-currency transfers
     this.fromAccountNewBalance = data.fromAccountNewBalance;
     this.toAccountNewBalance = data.toAccountNewBalance;
     this.description = data.description;
@@ -117,6 +124,7 @@ export class AccountBalanceUpdatedEvent {
     this.eventType = 'AccountBalanceUpdated';
     this.aggregateId = data.accountId;
     this.accountId = data.accountId;
+    this.userId = data.userId; // Account owner
     this.oldBalance = data.oldBalance;
     this.newBalance = data.newBalance;
     this.currency = data.currency;
@@ -1,3 +1,4 @@
+import { v4 as uuidv4 } from 'uuid';
 import {
   CreateAccountCommand,
   UpdateAccountCommand,
@@ -20,11 +21,19 @@ import {
   AccountBalanceUpdatedEvent
 } from '../events/account-events.js';
 
+import { Ledger } from '../ledger/ledger.js';
+
+// Rows read back from MySQL are snake_case, rows built in this handler are camelCase
+const ownerOf = (account) => account.user_id || account.userId;
+
 export class AccountCommandHandler {
   constructor(dependencies) {
     this.connectionPool = dependencies.connectionPool;
+    this.ledger = dependencies.ledger;
+    this.currencyClient = dependencies.currencyClient;
     this.dualWriter = dependencies.dualWriter;
     this.eventStore = dependencies.eventStore;
+    this.accountRepository = dependencies.accountRepository;
     this.kafkaService = dependencies.kafkaService;
     this.logger = dependencies.logger;
   }
@@ -65,7 +74,7 @@ export class AccountCommandHandler {
       userId: command.userId,
       accountType: command.accountType,
       currency: command.currency,
-      balance: command.initialBalance,
+      balance: 0, // Set by the opening journal entry below
       accountName: command.accountName,
       description: command.description,
       status: 'active',
@@ -77,6 +86,19 @@ export class AccountCommandHandler {
     // Write to databases
     await this.dualWriter.writeToAllDatabases(accountData, 'accounts');
 
+    if (command.initialBalance > 0) {
+      await this.ledger.postEntry({
+        entryType: 'opening_balance',
+        description: 'Opening balance',
+        createdAt: accountData.createdAt,
+        postings: [
+          { accountId: Ledger.clearingAccount(command.currency), direction: 'debit', amount: command.initialBalance, currency: command.currency },
+          { accountId: command.id, direction: 'credit', amount: command.initialBalance, currency: command.currency }
+        ]
+      });
+      accountData.balance = command.initialBalance;
+    }
+
     // Publish event
     const event = new AccountCreatedEvent({
       accountId: command.id,
@@ -88,8 +110,8 @@ export class AccountCommandHandler {
       timestamp: command.createdAt || new Date().toISOString()
     });
 
-    await this.eventStore.saveEvent(event);
-    await this.kafkaService.produce('account-events', event);
+    await this.recordEvents(command.id, [event]);
+    await this.publishEvents([event]);
 
     this.logger.info('Account created successfully', { accountId: command.id });
     return accountData;
@@ -121,8 +143,8 @@ export class AccountCommandHandler {
       timestamp: command.updatedAt || new Date().toISOString()
     });
 
-    await this.eventStore.saveEvent(event);
-    await this.kafkaService.produce('account-events', event);
+    await this.recordEvents(command.accountId, [event]);
+    await this.publishEvents([event]);
 
     this.logger.info('Account updated successfully', { accountId: command.accountId });
     return { ...currentAccount, ...updates };
@@ -159,8 +181,8 @@ export class AccountCommandHandler {
       timestamp: command.suspendedAt || new Date().toISOString()
     });
 
-    await this.eventStore.saveEvent(event);
-    await this.kafkaService.produce('account-events', event);
+    await this.recordEvents(command.accountId, [event]);
+    await this.publishEvents([event]);
 
     this.logger.info('Account suspended successfully', { accountId: command.accountId });
     return { ...currentAccount, ...updates };
@@ -197,8 +219,8 @@ export class AccountCommandHandler {
       timestamp: command.activatedAt || new Date().toISOString()
     });
 
-    await this.eventStore.saveEvent(event);
-    await this.kafkaService.produce('account-events', event);
+    await this.recordEvents(command.accountId, [event]);
+    await this.publishEvents([event]);
 
     this.logger.info('Account activated successfully', { accountId: command.accountId });
     return { ...currentAccount, ...updates };
@@ -240,8 +262,8 @@ export class AccountCommandHandler {
       timestamp: command.closedAt || new Date().toISOString()
     });
 
-    await this.eventStore.saveEvent(event);
-    await this.kafkaService.produce('account-events', event);
+    await this.recordEvents(command.accountId, [event]);
+    await this.publishEvents([event]);
 
     this.logger.info('Account closed successfully', { accountId: command.accountId });
     return { ...currentAccount, ...updates };
@@ -261,19 +283,23 @@ export class AccountCommandHandler {
       throw new Error('Currency mismatch');
     }
 
-    const oldBalance = account.balance;
-    const newBalance = oldBalance + command.amount;
-
-    // Update balance
-    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-      await connection.execute(
-        'UPDATE accounts SET balance = ?, updated_at = ? WHERE id = ?',
-        [newBalance, command.depositedAt || new Date().toISOString(), command.accountId]
-      );
+    // Post to the ledger; the balance is read and updated under a row lock
+    const entry = await this.ledger.postEntry({
+      entryType: 'deposit',
+      reference: command.reference,
+      description: command.description,
+      createdBy: command.depositedBy,
+      createdAt: command.depositedAt,
+      postings: [
+        { accountId: Ledger.clearingAccount(command.currency), direction: 'debit', amount: command.amount, currency: command.currency },
+        { accountId: command.accountId, direction: 'credit', amount: command.amount, currency: command.currency }
+      ]
     });
 
+    const { before: oldBalance, after: newBalance } = entry.balances[command.accountId];
+
     // Record transaction
-    const transactionId = require('uuid').v4();
+    const transactionId = entry.entryId;
     const transactionData = {
       id: transactionId,
       accountId: command.accountId,
@@ -292,6 +318,7 @@ export class AccountCommandHandler {
     // Publish events
     const balanceEvent = new AccountBalanceUpdatedEvent({
       accountId: command.accountId,
+      userId: ownerOf(account),
       oldBalance,
       newBalance,
       currency: command.currency,
@@ -303,6 +330,7 @@ export class AccountCommandHandler {
 
     const depositEvent = new FundsDepositedEvent({
       accountId: command.accountId,
+      userId: ownerOf(account),
       amount: command.amount,
       currency: command.currency,
       newBalance,
@@ -312,10 +340,8 @@ export class AccountCommandHandler {
       timestamp: command.depositedAt || new Date().toISOString()
     });
 
-    await this.eventStore.saveEvent(balanceEvent);
-    await this.eventStore.saveEvent(depositEvent);
-    await this.kafkaService.produce('account-events', balanceEvent);
-    await this.kafkaService.produce('account-events', depositEvent);
+    await this.recordEvents(command.accountId, [balanceEvent, depositEvent]);
+    await this.publishEvents([balanceEvent, depositEvent]);
 
     this.logger.info('Funds deposited successfully', {
       accountId: command.accountId,
@@ -340,23 +366,23 @@ export class AccountCommandHandler {
       throw new Error('Currency mismatch');
     }
 
-    if (account.balance < command.amount) {
-      throw new Error('Insufficient funds');
-    }
-
-    const oldBalance = account.balance;
-    const newBalance = oldBalance - command.amount;
-
-    // Update balance
-    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-      await connection.execute(
-        'UPDATE accounts SET balance = ?, updated_at = ? WHERE id = ?',
-        [newBalance, command.withdrawnAt || new Date().toISOString(), command.accountId]
-      );
+    // The ledger rejects the entry if the locked balance cannot cover it
+    const entry = await this.ledger.postEntry({
+      entryType: 'withdrawal',
+      reference: command.reference,
+      description: command.description,
+      createdBy: command.withdrawnBy,
+      createdAt: command.withdrawnAt,
+      postings: [
+        { accountId: command.accountId, direction: 'debit', amount: command.amount, currency: command.currency },
+        { accountId: Ledger.clearingAccount(command.currency), direction: 'credit', amount: command.amount, currency: command.currency }
+      ]
     });
 
+    const { before: oldBalance, after: newBalance } = entry.balances[command.accountId];
+
     // Record transaction
-    const transactionId = require('uuid').v4();
+    const transactionId = entry.entryId;
     const transactionData = {
       id: transactionId,
       accountId: command.accountId,
@@ -375,6 +401,7 @@ export class AccountCommandHandler {
     // Publish events
     const balanceEvent = new AccountBalanceUpdatedEvent({
       accountId: command.accountId,
+      userId: ownerOf(account),
       oldBalance,
       newBalance,
       currency: command.currency,
@@ -386,6 +413,7 @@ export class AccountCommandHandler {
 
     const withdrawalEvent = new FundsWithdrawnEvent({
       accountId: command.accountId,
+      userId: ownerOf(account),
       amount: command.amount,
       currency: command.currency,
       newBalance,
@@ -395,10 +423,8 @@ export class AccountCommandHandler {
       timestamp: command.withdrawnAt || new Date().toISOString()
     });
 
-    await this.eventStore.saveEvent(balanceEvent);
-    await this.eventStore.saveEvent(withdrawalEvent);
-    await this.kafkaService.produce('account-events', balanceEvent);
-    await this.kafkaService.produce('account-events', withdrawalEvent);
+    await this.recordEvents(command.accountId, [balanceEvent, withdrawalEvent]);
+    await this.publishEvents([balanceEvent, withdrawalEvent]);
 
     this.logger.info('Funds withdrawn successfully', {
       accountId: command.accountId,
@@ -424,38 +450,59 @@ export class AccountCommandHandler {
       throw new Error('Both accounts must be active');
     }
 
-    if (fromAccount.currency !== command.currency || toAccount.currency !== command.currency) {
+    // The amount is always expressed in the source account's currency
+    if (fromAccount.currency !== command.currency) {
       throw new Error('Currency mismatch');
     }
 
-    if (fromAccount.balance < command.amount) {
-      throw new Error('Insufficient funds in source account');
-    }
-
-    const transferId = require('uuid').v4();
     const timestamp = command.transferredAt || new Date().toISOString();
+    const fx = toAccount.currency !== command.currency
+      ? await this.currencyClient.getQuote(command.currency, toAccount.currency, command.amount, ownerOf(fromAccount))
+      : null;
+    const creditedAmount = fx ? fx.convertedAmount : command.amount;
+    const entryId = uuidv4();
+
+    // The quote is executed before the ledger locks the accounts, so no row lock is held across
+    // the call to the currency-service; it is released again if the entry does not commit
+    if (fx) {
+      await this.currencyClient.executeQuote(fx.quoteId, { journalEntryId: entryId, reference: command.reference });
+    }
 
-    // Update balances
-    const fromNewBalance = fromAccount.balance - command.amount;
-    const toNewBalance = toAccount.balance + command.amount;
-
-    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-      // Update from account
-      await connection.execute(
-        'UPDATE accounts SET balance = ?, updated_at = ? WHERE id = ?',
-        [fromNewBalance, timestamp, command.fromAccountId]
-      );
+    // Both legs are posted in one DB transaction with both account rows locked
+    let entry;
+    try {
+      entry = await this.ledger.postEntry({
+        id: entryId,
+        entryType: fx ? 'fx_transfer' : 'transfer',
+        reference: command.reference,
+        description: command.description,
+        createdBy: command.transferredBy,
+        createdAt: timestamp,
+        expiresAt: fx ? fx.lockedUntil : null,
+        metadata: fx ? { fx } : {},
+        postings: fx
+          ? this.buildFxTransferPostings(command, toAccount.currency, fx)
+          : [
+            { accountId: command.fromAccountId, direction: 'debit', amount: command.amount, currency: command.currency },
+            { accountId: command.toAccountId, direction: 'credit', amount: command.amount, currency: command.currency }
+          ]
+      });
+    } catch (error) {
+      if (fx) {
+        await this.releaseFxQuote(fx, entryId, error);
+      }
+      throw error;
+    }
 
-      // Update to account
-      await connection.execute(
-        'UPDATE accounts SET balance = ?, updated_at = ? WHERE id = ?',
-        [toNewBalance, timestamp, command.toAccountId]
-      );
-    });
+    const transferId = entry.entryId;
+    const fromBalances = entry.balances[command.fromAccountId];
+    const toBalances = entry.balances[command.toAccountId];
+    const fromNewBalance = fromBalances.after;
+    const toNewBalance = toBalances.after;
 
     // Record transactions
     const fromTransaction = {
-      id: require('uuid').v4(),
+      id: uuidv4(),
       accountId: command.fromAccountId,
       type: 'transfer',
       amount: -command.amount, // Negative for outgoing
@@ -463,20 +510,22 @@ export class AccountCommandHandler {
       description: command.description,
       reference: command.reference,
       transferId,
+      fx,
       status: 'completed',
       createdBy: command.transferredBy,
       createdAt: timestamp
     };
 
     const toTransaction = {
-      id: require('uuid').v4(),
+      id: uuidv4(),
       accountId: command.toAccountId,
       type: 'transfer',
-      amount: command.amount, // Positive for incoming
-      currency: command.currency,
+      amount: creditedAmount, // Positive for incoming
+      currency: toAccount.currency,
       description: command.description,
       reference: command.reference,
       transferId,
+      fx,
       status: 'completed',
       createdBy: command.transferredBy,
       createdAt: timestamp
@@ -492,8 +541,13 @@ export class AccountCommandHandler {
       transferId,
       fromAccountId: command.fromAccountId,
       toAccountId: command.toAccountId,
+      fromUserId: ownerOf(fromAccount),
+      toUserId: ownerOf(toAccount),
       amount: command.amount,
       currency: command.currency,
+      creditedAmount,
+      creditedCurrency: toAccount.currency,
+      fx,
       fromAccountNewBalance: fromNewBalance,
       toAccountNewBalance: toNewBalance,
       description: command.description,
@@ -504,7 +558,8 @@ export class AccountCommandHandler {
 
     const fromBalanceEvent = new AccountBalanceUpdatedEvent({
       accountId: command.fromAccountId,
-      oldBalance: fromAccount.balance,
+      userId: ownerOf(fromAccount),
+      oldBalance: fromBalances.before,
       newBalance: fromNewBalance,
       currency: command.currency,
       reason: 'transfer_out',
@@ -515,9 +570,10 @@ export class AccountCommandHandler {
 
     const toBalanceEvent = new AccountBalanceUpdatedEvent({
       accountId: command.toAccountId,
-      oldBalance: toAccount.balance,
+      userId: ownerOf(toAccount),
+      oldBalance: toBalances.before,
       newBalance: toNewBalance,
-      currency: command.currency,
+      currency: toAccount.currency,
       reason: 'transfer_in',
       reference: command.reference,
       updatedBy: command.transferredBy,
@@ -525,12 +581,9 @@ export class AccountCommandHandler {
     });
 
     await Promise.all([
-      this.eventStore.saveEvent(transferEvent),
-      this.eventStore.saveEvent(fromBalanceEvent),
-      this.eventStore.saveEvent(toBalanceEvent),
-      this.kafkaService.produce('account-events', transferEvent),
-      this.kafkaService.produce('account-events', fromBalanceEvent),
-      this.kafkaService.produce('account-events', toBalanceEvent)
+      this.recordEvents(command.fromAccountId, [transferEvent, fromBalanceEvent]),
+      this.recordEvents(command.toAccountId, [toBalanceEvent]),
+      this.publishEvents([transferEvent, fromBalanceEvent, toBalanceEvent])
     ]);
 
     this.logger.info('Funds transferred successfully', {
@@ -543,10 +596,60 @@ export class AccountCommandHandler {
     return {
       transferId,
       fromAccount: { ...fromAccount, balance: fromNewBalance },
-      toAccount: { ...toAccount, balance: toNewBalance }
+      toAccount: { ...toAccount, balance: toNewBalance },
+      creditedAmount,
+      fx
     };
   }
 
+  // A release that fails leaves the conversion recorded against a journal entry that does not
+  // exist; it is logged with both ids so it can be released by hand
+  async releaseFxQuote(fx, entryId, cause) {
+    try {
+      await this.currencyClient.releaseQuote(fx.quoteId, cause.message, { journalEntryId: entryId });
+    } catch (error) {
+      this.logger.error('Failed to release FX quote of a transfer that was not posted', {
+        quoteId: fx.quoteId,
+        journalEntryId: entryId,
+        error: error.message
+      });
+    }
+  }
+
+  // Source funds move into the FX position in their own currency (less the fee), and the
+  // converted amount leaves the FX position in the destination currency
+  buildFxTransferPostings(command, toCurrency, fx) {
+    const postings = [
+      { accountId: command.fromAccountId, direction: 'debit', amount: command.amount, currency: command.currency },
+      { accountId: Ledger.fxAccount(command.currency), direction: 'credit', amount: command.amount - fx.fee, currency: command.currency },
+      { accountId: Ledger.fxAccount(toCurrency), direction: 'debit', amount: fx.convertedAmount, currency: toCurrency },
+      { accountId: command.toAccountId, direction: 'credit', amount: fx.convertedAmount, currency: toCurrency }
+    ];
+
+    if (fx.fee > 0) {
+      postings.push({ accountId: Ledger.feeAccount(command.currency), direction: 'credit', amount: fx.fee, currency: command.currency });
+    }
+
+    return postings;
+  }
+
+  // Keyed by aggregate so each account's events stay ordered within a partition
+  async publishEvents(events) {
+    for (const event of events) {
+      await this.kafkaService.produce('account-events', {
+        key: event.aggregateId,
+        value: JSON.stringify(event)
+      });
+    }
+  }
+
+  async recordEvents(accountId, events) {
+    // Append to the account's event stream, retrying on concurrent appends
+    return await this.accountRepository.update(accountId, (account) => {
+      events.forEach(event => account.apply(event));
+    });
+  }
+
   async getAccountById(accountId) {
     const result = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
       const [rows] = await connection.execute('SELECT * FROM accounts WHERE id = ?', [accountId]);
@@ -9,6 +9,7 @@ import {
 export class AccountQueryHandler {
   constructor(dependencies) {
     this.connectionPool = dependencies.connectionPool;
+    this.ledger = dependencies.ledger;
     this.cache = dependencies.cache || new Map();
     this.logger = dependencies.logger;
   }
@@ -130,31 +131,28 @@ export class AccountQueryHandler {
   }
 
   async handleGetAccountBalance(query) {
-    const cacheKey = `balance:${query.accountId}`;
-    let balance = this.cache.get(cacheKey);
+    // Not cached: the ledger is the source of truth and a stale balance is worse than a query
+    const account = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        'SELECT currency FROM accounts WHERE id = ?',
+        [query.accountId]
+      );
+      return rows[0];
+    });
 
-    if (balance === undefined) {
-      const account = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-        const [rows] = await connection.execute(
-          'SELECT balance, currency FROM accounts WHERE id = ?',
-          [query.accountId]
-        );
-        return rows[0];
-      });
+    if (!account) {
+      throw new Error('Account not found');
+    }
 
-      if (!account) {
-        throw new Error('Account not found');
-      }
+    const ledgerBalance = await this.ledger.getBalance(query.accountId);
 
-      balance = {
-        accountId: query.accountId,
-        balance: account.balance,
-        currency: account.currency,
-        lastUpdated: new Date().toISOString()
-      };
-
-      this.cache.set(cacheKey, balance);
-    }
+    const balance = {
+      accountId: query.accountId,
+      balance: ledgerBalance.balance,
+      currency: account.currency,
+      postingCount: ledgerBalance.postingCount,
+      lastUpdated: ledgerBalance.lastPostingAt || null
+    };
 
     this.logger.info('Account balance retrieved successfully', { accountId: query.accountId });
     return balance;
@@ -233,44 +231,41 @@ export class AccountQueryHandler {
         throw new Error('Account not found');
       }
 
-      // Get transactions for the period
-      const transactions = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-        const params = [query.accountId, query.startDate, query.endDate];
-        const [rows] = await connection.execute(
-          'SELECT * FROM account_transactions WHERE account_id = ? AND created_at BETWEEN ? AND ? ORDER BY created_at ASC',
-          params
-        );
-        return rows;
-      });
+      // Opening balance is everything posted before the period; lines come from the postings in it
+      const opening = await this.ledger.getBalance(query.accountId, query.startDate);
+      const postings = await this.ledger.getPostings(query.accountId, query.startDate, query.endDate);
 
-      // Calculate running balance
-      let runningBalance = account.balance;
-      const statementLines = transactions.map(transaction => {
-        const line = {
-          date: transaction.created_at,
-          description: transaction.description,
-          type: transaction.type,
-          amount: transaction.amount,
-          balance: runningBalance
-        };
+      let runningBalance = opening.balance;
+      let totalCredits = 0;
+      let totalDebits = 0;
+
+      const statementLines = postings.map(posting => {
+        const amount = Number(posting.amount);
+        const metadata = typeof posting.metadata === 'string' ? JSON.parse(posting.metadata) : posting.metadata || {};
 
-        // Adjust running balance based on transaction type
-        if (transaction.type === 'deposit' || (transaction.type === 'transfer' && transaction.amount > 0)) {
-          runningBalance -= transaction.amount;
-        } else if (transaction.type === 'withdrawal' || (transaction.type === 'transfer' && transaction.amount < 0)) {
-          runningBalance += Math.abs(transaction.amount);
+        if (posting.direction === 'credit') {
+          runningBalance += amount;
+          totalCredits += amount;
+        } else {
+          runningBalance -= amount;
+          totalDebits += amount;
         }
 
-        return line;
+        return {
+          date: posting.created_at,
+          entryId: posting.entry_id,
+          description: posting.description,
+          reference: posting.reference,
+          type: posting.entry_type,
+          direction: posting.direction,
+          amount: posting.direction === 'credit' ? amount : -amount,
+          balance: posting.balance_after !== null && posting.balance_after !== undefined
+            ? Number(posting.balance_after)
+            : runningBalance,
+          fx: metadata.fx || null // Locked rate and fee of a cross-currency transfer
+        };
       });
 
-      // Calculate summary
-      const deposits = transactions.filter(t => t.type === 'deposit' || (t.type === 'transfer' && t.amount > 0));
-      const withdrawals = transactions.filter(t => t.type === 'withdrawal' || (t.type === 'transfer' && t.amount < 0));
-
-      const totalDeposits = deposits.reduce((sum, t) => sum + t.amount, 0);
-      const totalWithdrawals = withdrawals.reduce((sum, t) => sum + Math.abs(t.amount), 0);
-
       statement = {
         account: {
           id: account.id,
@@ -282,12 +277,12 @@ export class AccountQueryHandler {
           startDate: query.startDate,
           endDate: query.endDate
         },
-        openingBalance: account.balance - totalDeposits + totalWithdrawals,
-        closingBalance: account.balance,
+        openingBalance: opening.balance,
+        closingBalance: opening.balance + totalCredits - totalDebits,
         summary: {
-          totalDeposits,
-          totalWithdrawals,
-          netMovement: totalDeposits - totalWithdrawals
+          totalDeposits: totalCredits,
+          totalWithdrawals: totalDebits,
+          netMovement: totalCredits - totalDebits
         },
         transactions: statementLines,
         generatedAt: new Date().toISOString()
@@ -0,0 +1,67 @@
+-- Account Ledger Database Migration
+-- This script creates the double-entry ledger tables used by the account-service
+
+-- Create journal_entries table (one row per business operation)
+CREATE TABLE IF NOT EXISTS journal_entries (
+  id VARCHAR(36) PRIMARY KEY,
+  entry_type VARCHAR(50) NOT NULL,
+  reference VARCHAR(255),
+  description TEXT,
+  created_by VARCHAR(36),
+  metadata JSON,
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX idx_entry_type (entry_type),
+  INDEX idx_reference (reference),
+  INDEX idx_created_at (created_at)
+);
+
+-- Create ledger_postings table (debits and credits of an entry always sum to zero per currency)
+CREATE TABLE IF NOT EXISTS ledger_postings (
+  id VARCHAR(36) PRIMARY KEY,
+  entry_id VARCHAR(36) NOT NULL,
+  account_id VARCHAR(64) NOT NULL, -- Customer account id or system account such as system:clearing:USD
+  direction ENUM('debit', 'credit') NOT NULL,
+  amount DECIMAL(19, 4) NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  balance_after DECIMAL(19, 4), -- Running balance of customer accounts; NULL for system accounts
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  FOREIGN KEY (entry_id) REFERENCES journal_entries(id),
+  INDEX idx_account_created (account_id, created_at),
+  INDEX idx_entry_id (entry_id),
+  CHECK (amount > 0)
+);
+
+-- Backfill opening balances: accounts opened before the ledger hold their balance only in
+-- accounts.balance, so the ledger would report them as empty. Post each such balance as an
+-- opening_balance entry against the clearing account, as new accounts get when they open.
+-- Accounts with postings are left alone, so running this again changes nothing. Run it before
+-- the account-service starts posting to the ledger.
+INSERT INTO journal_entries (id, entry_type, reference, description, created_by, metadata, created_at)
+SELECT UUID(), 'opening_balance', a.id, 'Opening balance carried over from accounts.balance', 'ledger-migration',
+  JSON_OBJECT('backfilled', TRUE), CURRENT_TIMESTAMP(3)
+FROM accounts a
+WHERE a.balance <> 0
+  AND NOT EXISTS (SELECT 1 FROM ledger_postings p WHERE p.account_id = a.id)
+  AND NOT EXISTS (
+    SELECT 1 FROM journal_entries j
+    WHERE j.reference = a.id AND j.entry_type = 'opening_balance' AND j.created_by = 'ledger-migration'
+  );
+
+-- The customer side: a credit raises the account's balance (a debit for an overdrawn account)
+INSERT INTO ledger_postings (id, entry_id, account_id, direction, amount, currency, balance_after, created_at)
+SELECT UUID(), e.id, a.id, IF(a.balance > 0, 'credit', 'debit'), ABS(a.balance), a.currency, a.balance, e.created_at
+FROM accounts a
+JOIN journal_entries e
+  ON e.reference = a.id AND e.entry_type = 'opening_balance' AND e.created_by = 'ledger-migration'
+WHERE NOT EXISTS (SELECT 1 FROM ledger_postings p WHERE p.entry_id = e.id AND p.account_id = a.id);
+
+-- The external counterparty: the opposite posting on the clearing account of the same currency
+INSERT INTO ledger_postings (id, entry_id, account_id, direction, amount, currency, balance_after, created_at)
+SELECT UUID(), e.id, CONCAT('system:clearing:', a.currency), IF(a.balance > 0, 'debit', 'credit'), ABS(a.balance),
+  a.currency, NULL, e.created_at
+FROM accounts a
+JOIN journal_entries e
+  ON e.reference = a.id AND e.entry_type = 'opening_balance' AND e.created_by = 'ledger-migration'
+WHERE NOT EXISTS (
+  SELECT 1 FROM ledger_postings p WHERE p.entry_id = e.id AND p.account_id = CONCAT('system:clearing:', a.currency)
+);
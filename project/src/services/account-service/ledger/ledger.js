@@ -0,0 +1,261 @@
+import { v4 as uuidv4 } from 'uuid';
+
+const SYSTEM_ACCOUNT_PREFIX = 'system:';
+const SCALE = 10000; // Amounts are stored as DECIMAL(19, 4)
+
+const toUnits = (amount) => Math.round(Number(amount) * SCALE);
+const fromUnits = (units) => units / SCALE;
+
+export class Ledger {
+  constructor(dependencies) {
+    this.connectionPool = dependencies.connectionPool;
+    this.logger = dependencies.logger;
+  }
+
+  // Counterparty for money entering or leaving the bank (deposits, withdrawals, opening balances)
+  static clearingAccount(currency) {
+    return `${SYSTEM_ACCOUNT_PREFIX}clearing:${currency}`;
+  }
+
+  // Position accounts for the two currencies of a cross-currency transfer
+  static fxAccount(currency) {
+    return `${SYSTEM_ACCOUNT_PREFIX}fx:${currency}`;
+  }
+
+  static feeAccount(currency) {
+    return `${SYSTEM_ACCOUNT_PREFIX}fees:${currency}`;
+  }
+
+  static isSystemAccount(accountId) {
+    return accountId.startsWith(SYSTEM_ACCOUNT_PREFIX);
+  }
+
+  // postings: [{ accountId, direction: 'debit' | 'credit', amount, currency }]
+  // Customer accounts are liabilities, so a credit increases their balance and a debit decreases it.
+  async postEntry(entry) {
+    this.validateEntry(entry);
+
+    const entryId = entry.id || uuidv4();
+    const createdAt = entry.createdAt ? new Date(entry.createdAt) : new Date();
+    const customerAccountIds = [...new Set(
+      entry.postings.map(posting => posting.accountId).filter(id => !Ledger.isSystemAccount(id))
+    )].sort();
+
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.beginTransaction();
+
+      try {
+        // Lock in a stable order so two transfers between the same accounts cannot deadlock
+        const accounts = await this.lockAccounts(connection, customerAccountIds);
+        const balances = {};
+
+        // Entries priced from a locked FX rate must not post once the lock has lapsed
+        if (entry.expiresAt && Date.now() > new Date(entry.expiresAt).getTime()) {
+          throw new Error('Journal entry expired before it could be posted');
+        }
+
+        for (const accountId of customerAccountIds) {
+          const account = accounts.get(accountId);
+          const before = toUnits(account.balance);
+          balances[accountId] = { before, after: before };
+        }
+
+        const rows = entry.postings.map(posting => {
+          const units = toUnits(posting.amount);
+          let balanceAfter = null;
+
+          if (!Ledger.isSystemAccount(posting.accountId)) {
+            const account = accounts.get(posting.accountId);
+            if (account.status !== 'active') {
+              throw new Error(`Account ${posting.accountId} is not active`);
+            }
+            if (account.currency !== posting.currency) {
+              throw new Error(`Currency mismatch for account ${posting.accountId}`);
+            }
+
+            const balance = balances[posting.accountId];
+            balance.after += posting.direction === 'credit' ? units : -units;
+            balanceAfter = balance.after;
+          }
+
+          return { ...posting, id: uuidv4(), units, balanceAfter };
+        });
+
+        for (const accountId of customerAccountIds) {
+          if (balances[accountId].after < 0 && !entry.allowOverdraft) {
+            throw new Error(`Insufficient funds in account ${accountId}`);
+          }
+        }
+
+        await connection.execute(
+          `INSERT INTO journal_entries (id, entry_type, reference, description, created_by, metadata, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            entryId,
+            entry.entryType,
+            entry.reference || null,
+            entry.description || null,
+            entry.createdBy || null,
+            JSON.stringify(entry.metadata || {}),
+            createdAt
+          ]
+        );
+
+        for (const row of rows) {
+          await connection.execute(
+            `INSERT INTO ledger_postings (id, entry_id, account_id, direction, amount, currency, balance_after, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              row.id,
+              entryId,
+              row.accountId,
+              row.direction,
+              fromUnits(row.units),
+              row.currency,
+              row.balanceAfter === null ? null : fromUnits(row.balanceAfter),
+              createdAt
+            ]
+          );
+        }
+
+        // accounts.balance is a cached projection of the postings, kept in step under the same lock
+        for (const accountId of customerAccountIds) {
+          await connection.execute(
+            'UPDATE accounts SET balance = ?, updated_at = ? WHERE id = ?',
+            [fromUnits(balances[accountId].after), createdAt, accountId]
+          );
+        }
+
+        await connection.commit();
+
+        const result = { entryId, balances: {} };
+        for (const accountId of customerAccountIds) {
+          result.balances[accountId] = {
+            before: fromUnits(balances[accountId].before),
+            after: fromUnits(balances[accountId].after)
+          };
+        }
+
+        this.logger.info('Journal entry posted', { entryId, entryType: entry.entryType });
+        return result;
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  validateEntry(entry) {
+    const errors = [];
+
+    if (!entry.entryType) errors.push('Entry type is required');
+    if (!Array.isArray(entry.postings) || entry.postings.length < 2) {
+      errors.push('A journal entry needs at least two postings');
+    }
+
+    if (errors.length === 0) {
+      const totals = {};
+
+      for (const posting of entry.postings) {
+        if (!posting.accountId) errors.push('Posting account is required');
+        if (!['debit', 'credit'].includes(posting.direction)) errors.push('Posting direction must be debit or credit');
+        if (!posting.currency) errors.push('Posting currency is required');
+        if (!(toUnits(posting.amount) > 0)) errors.push('Posting amount must be positive');
+
+        const units = toUnits(posting.amount) || 0;
+        totals[posting.currency] = (totals[posting.currency] || 0) + (posting.direction === 'debit' ? units : -units);
+      }
+
+      for (const [currency, total] of Object.entries(totals)) {
+        if (total !== 0) {
+          errors.push(`Debits and credits do not balance for ${currency}`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Validation errors: ${errors.join(', ')}`);
+    }
+  }
+
+  async lockAccounts(connection, accountIds) {
+    const accounts = new Map();
+    if (accountIds.length === 0) {
+      return accounts;
+    }
+
+    const placeholders = accountIds.map(() => '?').join(', ');
+    const [rows] = await connection.execute(
+      `SELECT id, balance, currency, status FROM accounts WHERE id IN (${placeholders}) ORDER BY id FOR UPDATE`,
+      accountIds
+    );
+
+    rows.forEach(row => accounts.set(row.id, row));
+
+    for (const accountId of accountIds) {
+      if (!accounts.has(accountId)) {
+        throw new Error(`Account ${accountId} not found`);
+      }
+    }
+
+    return accounts;
+  }
+
+  async getBalance(accountId, before) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const params = [accountId];
+      let dateFilter = '';
+
+      if (before) {
+        dateFilter = ' AND created_at < ?';
+        params.push(before);
+      }
+
+      const [rows] = await connection.execute(
+        `SELECT COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END), 0) AS balance,
+                COUNT(*) AS posting_count, MAX(created_at) AS last_posting_at
+         FROM ledger_postings WHERE account_id = ?${dateFilter}`,
+        params
+      );
+
+      return {
+        balance: fromUnits(toUnits(rows[0].balance)),
+        postingCount: Number(rows[0].posting_count),
+        lastPostingAt: rows[0].last_posting_at
+      };
+    });
+  }
+
+  async getPostings(accountId, startDate, endDate) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT p.*, e.entry_type, e.reference, e.description, e.metadata
+         FROM ledger_postings p JOIN journal_entries e ON e.id = p.entry_id
+         WHERE p.account_id = ? AND p.created_at BETWEEN ? AND ?
+         ORDER BY p.created_at ASC, p.id ASC`,
+        [accountId, startDate, endDate]
+      );
+      return rows;
+    });
+  }
+
+  // Compare the cached accounts.balance with the sum of the account's postings
+  async verifyBalance(accountId) {
+    const ledgerBalance = await this.getBalance(accountId);
+    const account = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute('SELECT balance FROM accounts WHERE id = ?', [accountId]);
+      return rows[0];
+    });
+
+    if (!account) {
+      throw new Error('Account not found');
+    }
+
+    return {
+      accountId,
+      ledgerBalance: ledgerBalance.balance,
+      cachedBalance: Number(account.balance),
+      inBalance: toUnits(account.balance) === toUnits(ledgerBalance.balance)
+    };
+  }
+}
@@ -0,0 +1,84 @@
+import Joi from 'joi';
+import { currencyCode, id, idParams, metadata, money, timestamp } from '../../../shared/validation/common-schemas.js';
+
+// Request bodies; the command schemas below extend them with the fields the service fills in
+
+const movementFields = {
+  amount: money.required(),
+  currency: currencyCode.required(),
+  description: Joi.string().max(500),
+  reference: Joi.string().max(128)
+};
+
+export const depositFundsRequest = Joi.object({
+  ...movementFields,
+  depositedBy: id.required()
+});
+
+export const withdrawFundsRequest = Joi.object({
+  ...movementFields,
+  withdrawnBy: id.required(),
+  ownerId: id.description('Refuse the withdrawal unless the account belongs to this user; services withdrawing for a customer pass it')
+});
+
+export const transferFundsRequest = Joi.object({
+  ...movementFields,
+  fromAccountId: id.required(),
+  toAccountId: id.required().invalid(Joi.ref('fromAccountId')).messages({
+    'any.invalid': 'toAccountId must differ from fromAccountId'
+  }),
+  transferredBy: id.required()
+});
+
+export const depositFundsCommand = depositFundsRequest.keys({
+  accountId: id.required(),
+  depositedAt: timestamp,
+  metadata
+});
+
+export const withdrawFundsCommand = withdrawFundsRequest.keys({
+  accountId: id.required(),
+  withdrawnAt: timestamp,
+  metadata
+});
+
+export const transferFundsCommand = transferFundsRequest.keys({
+  transferredAt: timestamp,
+  metadata
+});
+
+export const accountRoutes = {
+  createAccount: { method: 'post', path: '/accounts', summary: 'Open an account', status: 201 },
+  getAccount: { method: 'get', path: '/accounts/:id', summary: 'Get an account' },
+  listAccounts: { method: 'get', path: '/accounts', summary: 'List accounts' },
+  updateAccount: { method: 'put', path: '/accounts/:id', summary: 'Update account details' },
+  suspendAccount: { method: 'put', path: '/accounts/:id/suspend', summary: 'Suspend an account' },
+  activateAccount: { method: 'put', path: '/accounts/:id/activate', summary: 'Reactivate a suspended account' },
+  closeAccount: { method: 'put', path: '/accounts/:id/close', summary: 'Close an account' },
+  depositFunds: {
+    method: 'post',
+    path: '/accounts/:id/deposit',
+    summary: 'Deposit funds into an account',
+    params: idParams,
+    body: depositFundsRequest
+  },
+  withdrawFunds: {
+    method: 'post',
+    path: '/accounts/:id/withdraw',
+    summary: 'Withdraw funds from an account',
+    params: idParams,
+    body: withdrawFundsRequest
+  },
+  transferFunds: {
+    method: 'post',
+    path: '/accounts/transfer',
+    summary: 'Transfer funds between two accounts',
+    body: transferFundsRequest
+  },
+  getBalance: { method: 'get', path: '/accounts/:id/balance', summary: 'Get an account balance' },
+  verifyLedger: { method: 'get', path: '/accounts/:id/ledger/verify', summary: 'Check the account balance against its ledger entries' },
+  listAccountTransactions: { method: 'get', path: '/accounts/:id/transactions', summary: 'List account transactions' },
+  getStatement: { method: 'get', path: '/accounts/:id/statement', summary: 'Account statement for a period' },
+  getUserAccountSummary: { method: 'get', path: '/accounts/summary/user/:userId', summary: 'Summary of a user\'s accounts' },
+  validateTransfer: { method: 'post', path: '/accounts/validate-transfer', summary: 'Check whether a transfer would be accepted' }
+};
@@ -3,12 +3,23 @@ import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
 import DatabaseConnectionPool from '../../shared/database/connection-pool.js';
+import { idempotency } from '../../shared/middleware/idempotency.js';
+import { gatewayIdentity } from '../../shared/security/gateway-identity.js';
+import { actsFor, actsForAnyone, requireIdentity } from '../../shared/security/ownership.js';
+import { tracing, traceFormat } from '../../shared/tracing/trace-context.js';
+import MetricsRegistry from '../../shared/metrics/metrics-registry.js';
+import { instrumentService, metricsHandler } from '../../shared/metrics/instrumentation.js';
+import { RegistryClient } from '../../shared/discovery/registry-client.js';
 import DualDatabaseWriter from '../../shared/database/dual-writer.js';
 import { KafkaService } from '../../shared/messaging/kafka-service.js';
 import EventStore from '../../shared/event-sourcing/event-store.js';
 import CommandBus from '../../shared/cqrs/command-bus.js';
 import QueryBus from '../../shared/cqrs/query-bus.js';
 import { AccountService } from './account-service.js';
+import { accountRoutes } from './schemas/account-schemas.js';
+import { validateRequest, validationErrorBody } from '../../shared/validation/request-validation.js';
+import ValidationError from '../../shared/validation/validation-error.js';
+import { describeApi } from '../../shared/validation/schema-description.js';
 import winston from 'winston';
 
 const app = express();
@@ -19,6 +30,7 @@ const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
+    traceFormat(),
     winston.format.json()
   ),
   transports: [
@@ -46,11 +58,18 @@ const accountService = new AccountService({
   logger
 });
 
+// Metrics
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'account-service' } });
+
 // Middleware
+app.use(instrumentService(metrics, { connectionPool, commandBus, queryBus, kafkaService, dualWriter }));
 app.use(helmet());
 app.use(cors());
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
+app.use(tracing());
+app.use(gatewayIdentity());
+app.use(idempotency({ connectionPool, logger }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -62,7 +81,38 @@ app.use((req, res, next) => {
   next();
 });
 
+const accountNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Account not found',
+  timestamp: new Date().toISOString()
+});
+
+// Answers 404 unless the account exists and belongs to the caller (so another customer's account
+// is not revealed either). Admins and services reach every account; a service acting for a
+// customer names them in ownerId.
+const requireOwnedAccount = (accountIdOf = (req) => req.params.id) => async (req, res, next) => {
+  try {
+    const account = await accountService.getAccount(accountIdOf(req));
+    const ownerId = req.body && req.body.ownerId;
+    if (!actsFor(req.identity, account.user_id) || (ownerId && ownerId !== account.user_id)) {
+      return accountNotFound(res);
+    }
+    next();
+  } catch (error) {
+    if (error.message === 'Account not found') {
+      return accountNotFound(res);
+    }
+    logger.error('Error checking account ownership:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
 // Routes
+app.use('/accounts', requireIdentity());
 
 // Account CRUD Routes
 app.post('/accounts', async (req, res) => {
@@ -86,6 +136,14 @@ app.post('/accounts', async (req, res) => {
       });
     }
 
+    if (!actsFor(req.identity, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Accounts can only be opened for yourself',
+        timestamp: new Date().toISOString()
+      });
+    }
+
     const account = await accountService.createAccount({
       id,
       userId,
@@ -112,7 +170,7 @@ app.post('/accounts', async (req, res) => {
   }
 });
 
-app.get('/accounts/:id', async (req, res) => {
+app.get('/accounts/:id', requireOwnedAccount(), async (req, res) => {
   try {
     const account = await accountService.getAccount(req.params.id);
     res.json({
@@ -149,8 +207,10 @@ app.get('/accounts', async (req, res) => {
       limit = 10
     } = req.query;
 
+    // Customers only list their own accounts
     const filters = {};
-    if (userId) filters.userId = userId;
+    if (!actsForAnyone(req.identity)) filters.userId = req.identity.userId;
+    else if (userId) filters.userId = userId;
     if (accountType) filters.accountType = accountType;
     if (currency) filters.currency = currency;
     if (status) filters.status = status;
@@ -171,7 +231,7 @@ app.get('/accounts', async (req, res) => {
   }
 });
 
-app.put('/accounts/:id', async (req, res) => {
+app.put('/accounts/:id', requireOwnedAccount(), async (req, res) => {
   try {
     const { updates, updatedBy } = req.body;
 
@@ -285,22 +345,14 @@ app.put('/accounts/:id/close', async (req, res) => {
 });
 
 // Transaction Routes
-app.post('/accounts/:id/deposit', async (req, res) => {
+app.post('/accounts/:id/deposit', validateRequest(accountRoutes.depositFunds), requireOwnedAccount(), async (req, res) => {
   try {
     const { amount, currency, description, reference, depositedBy } = req.body;
 
-    if (!amount || !depositedBy) {
-      return res.status(400).json({
-        success: false,
-        error: 'amount and depositedBy are required',
-        timestamp: new Date().toISOString()
-      });
-    }
-
     const result = await accountService.depositFunds(
       req.params.id,
       amount,
-      currency || 'USD',
+      currency,
       description,
       reference,
       depositedBy
@@ -312,6 +364,9 @@ app.post('/accounts/:id/deposit', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (ValidationError.isValidationError(error)) {
+      return res.status(400).json(validationErrorBody(error));
+    }
     logger.error('Error depositing funds:', error);
     res.status(500).json({
       success: false,
@@ -321,22 +376,14 @@ app.post('/accounts/:id/deposit', async (req, res) => {
   }
 });
 
-app.post('/accounts/:id/withdraw', async (req, res) => {
+app.post('/accounts/:id/withdraw', validateRequest(accountRoutes.withdrawFunds), requireOwnedAccount(), async (req, res) => {
   try {
     const { amount, currency, description, reference, withdrawnBy } = req.body;
 
-    if (!amount || !withdrawnBy) {
-      return res.status(400).json({
-        success: false,
-        error: 'amount and withdrawnBy are required',
-        timestamp: new Date().toISOString()
-      });
-    }
-
     const result = await accountService.withdrawFunds(
       req.params.id,
       amount,
-      currency || 'USD',
+      currency,
       description,
       reference,
       withdrawnBy
@@ -348,6 +395,9 @@ app.post('/accounts/:id/withdraw', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (ValidationError.isValidationError(error)) {
+      return res.status(400).json(validationErrorBody(error));
+    }
     logger.error('Error withdrawing funds:', error);
     res.status(500).json({
       success: false,
@@ -357,7 +407,7 @@ app.post('/accounts/:id/withdraw', async (req, res) => {
   }
 });
 
-app.post('/accounts/transfer', async (req, res) => {
+app.post('/accounts/transfer', validateRequest(accountRoutes.transferFunds), requireOwnedAccount((req) => req.body.fromAccountId), async (req, res) => {
   try {
     const {
       fromAccountId,
@@ -369,19 +419,11 @@ app.post('/accounts/transfer', async (req, res) => {
       transferredBy
     } = req.body;
 
-    if (!fromAccountId || !toAccountId || !amount || !transferredBy) {
-      return res.status(400).json({
-        success: false,
-        error: 'fromAccountId, toAccountId, amount, and transferredBy are required',
-        timestamp: new Date().toISOString()
-      });
-    }
-
     const result = await accountService.transferFunds(
       fromAccountId,
       toAccountId,
       amount,
-      currency || 'USD',
+      currency,
       description,
       reference,
       transferredBy
@@ -393,6 +435,9 @@ app.post('/accounts/transfer', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (ValidationError.isValidationError(error)) {
+      return res.status(400).json(validationErrorBody(error));
+    }
     logger.error('Error transferring funds:', error);
     res.status(500).json({
       success: false,
@@ -403,7 +448,7 @@ app.post('/accounts/transfer', async (req, res) => {
 });
 
 // Query Routes
-app.get('/accounts/:id/balance', async (req, res) => {
+app.get('/accounts/:id/balance', requireOwnedAccount(), async (req, res) => {
   try {
     const balance = await accountService.getAccountBalance(req.params.id);
     res.json({
@@ -421,7 +466,25 @@ app.get('/accounts/:id/balance', async (req, res) => {
   }
 });
 
-app.get('/accounts/:id/transactions', async (req, res) => {
+app.get('/accounts/:id/ledger/verify', async (req, res) => {
+  try {
+    const result = await accountService.verifyAccountBalance(req.params.id);
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error verifying account balance:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/accounts/:id/transactions', requireOwnedAccount(), async (req, res) => {
   try {
     const {
       startDate,
@@ -453,7 +516,7 @@ app.get('/accounts/:id/transactions', async (req, res) => {
   }
 });
 
-app.get('/accounts/:id/statement', async (req, res) => {
+app.get('/accounts/:id/statement', requireOwnedAccount(), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
@@ -488,6 +551,14 @@ app.get('/accounts/:id/statement', async (req, res) => {
 
 app.get('/accounts/summary/user/:userId', async (req, res) => {
   try {
+    if (!actsFor(req.identity, req.params.userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account summaries are only available for yourself',
+        timestamp: new Date().toISOString()
+      });
+    }
+
     const summary = await accountService.getAccountSummary(req.params.userId);
     res.json({
       success: true,
@@ -516,6 +587,14 @@ app.post('/accounts/validate-transfer', async (req, res) => {
       });
     }
 
+    const fromAccount = await accountService.getAccount(fromAccountId).catch((error) => {
+      if (error.message === 'Account not found') return null;
+      throw error;
+    });
+    if (!fromAccount || !actsFor(req.identity, fromAccount.user_id)) {
+      return accountNotFound(res);
+    }
+
     const validation = await accountService.validateAccountTransfer(
       fromAccountId,
       toAccountId,
@@ -550,14 +629,16 @@ app.get('/health', (req, res) => {
 });
 
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
-  res.json({
-    service: 'account-service',
-    timestamp: new Date().toISOString(),
-    database: connectionPool.getStats()
-  });
+app.get('/metrics', metricsHandler(metrics));
+
+// API description generated from the route table
+app.get('/openapi.json', (req, res) => {
+  res.json(describeApi({ title: 'Account Service', routes: accountRoutes }));
 });
 
+// Register with the gateway's service registry once the service is ready
+const registryClient = new RegistryClient({ serviceName: 'account', port: PORT, logger });
+
 // Initialize service
 async function initializeService() {
   try {
@@ -566,6 +647,7 @@ async function initializeService() {
     await accountService.initialize();
 
     logger.info(`Account Service started on port ${PORT}`);
+    await registryClient.start();
   } catch (error) {
     logger.error('Failed to initialize Account Service:', error);
     process.exit(1);
@@ -575,6 +657,7 @@ async function initializeService() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  await registryClient.stop();
   await connectionPool.close();
   await kafkaService.close();
   process.exit(0);
@@ -582,6 +665,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  await registryClient.stop();
   await connectionPool.close();
   await kafkaService.close();
   process.exit(0);
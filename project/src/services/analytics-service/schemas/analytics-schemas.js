@@ -0,0 +1,18 @@
+export const analyticsRoutes = {
+  getTransactionSummary: { method: 'get', path: '/analytics/transactions/summary', summary: 'Transaction totals for a period' },
+  getUserActivity: { method: 'get', path: '/analytics/users/activity', summary: 'User activity analytics' },
+  getPaymentMethodUsage: { method: 'get', path: '/analytics/payments/methods', summary: 'Payment method usage' },
+  getRevenue: { method: 'get', path: '/analytics/revenue', summary: 'Revenue analytics' },
+  getAccountSummary: { method: 'get', path: '/analytics/accounts/summary', summary: 'Account analytics summary' },
+  generateReport: { method: 'post', path: '/analytics/reports/generate', summary: 'Generate an analytics report', status: 201 },
+  getReport: { method: 'get', path: '/analytics/reports/:reportId', summary: 'Get a generated report' },
+  createDashboard: { method: 'post', path: '/analytics/dashboards', summary: 'Create a dashboard', status: 201 },
+  getDashboard: { method: 'get', path: '/analytics/dashboards/:dashboardId', summary: 'Get a dashboard' },
+  listDashboards: { method: 'get', path: '/analytics/dashboards', summary: 'List dashboards' },
+  updateDashboard: { method: 'put', path: '/analytics/dashboards/:dashboardId', summary: 'Update a dashboard' },
+  exportData: { method: 'post', path: '/analytics/export', summary: 'Export analytics data', status: 201 },
+  refreshCache: { method: 'post', path: '/analytics/cache/refresh', summary: 'Refresh cached analytics' },
+  getMetrics: { method: 'get', path: '/analytics/metrics', summary: 'Business metrics' },
+  getUserSummary: { method: 'get', path: '/analytics/summary/:userId', summary: 'Analytics summary for a user' },
+  cleanup: { method: 'post', path: '/analytics/cleanup', summary: 'Remove expired analytics data' }
+};
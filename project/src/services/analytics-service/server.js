@@ -3,12 +3,20 @@ import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
 import DatabaseConnectionPool from '../../shared/database/connection-pool.js';
+import { idempotency } from '../../shared/middleware/idempotency.js';
+import { gatewayIdentity } from '../../shared/security/gateway-identity.js';
+import { tracing, traceFormat } from '../../shared/tracing/trace-context.js';
+import MetricsRegistry from '../../shared/metrics/metrics-registry.js';
+import { instrumentService, metricsHandler } from '../../shared/metrics/instrumentation.js';
+import { RegistryClient } from '../../shared/discovery/registry-client.js';
 import DualDatabaseWriter from '../../shared/database/dual-writer.js';
 import { KafkaService } from '../../shared/messaging/kafka-service.js';
 import EventStore from '../../shared/event-sourcing/event-store.js';
 import CommandBus from '../../shared/cqrs/command-bus.js';
 import QueryBus from '../../shared/cqrs/query-bus.js';
 import { AnalyticsService } from './analytics-service.js';
+import { analyticsRoutes } from './schemas/analytics-schemas.js';
+import { describeApi } from '../../shared/validation/schema-description.js';
 import winston from 'winston';
 
 const app = express();
@@ -19,6 +27,7 @@ const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
+    traceFormat(),
     winston.format.json()
   ),
   transports: [
@@ -46,11 +55,18 @@ const analyticsService = new AnalyticsService({
   logger
 });
 
+// Metrics
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'analytics-service' } });
+
 // Middleware
+app.use(instrumentService(metrics, { connectionPool, commandBus, queryBus, kafkaService, dualWriter }));
 app.use(helmet());
 app.use(cors());
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
+app.use(tracing());
+app.use(gatewayIdentity());
+app.use(idempotency({ connectionPool, logger }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -651,16 +667,11 @@ app.get('/health', async (req, res) => {
   }
 });
 
-app.get('/metrics', (req, res) => {
-  res.json({
-    service: 'analytics-service',
-    timestamp: new Date().toISOString(),
-    database: connectionPool.getStats(),
-    dualWriter: dualWriter.getStats(),
-    cache: {
-      size: analyticsService.cache?.size || 0
-    }
-  });
+app.get('/metrics', metricsHandler(metrics));
+
+// API description generated from the route table
+app.get('/openapi.json', (req, res) => {
+  res.json(describeApi({ title: 'Analytics Service', routes: analyticsRoutes }));
 });
 
 app.post('/analytics/cleanup', async (req, res) => {
@@ -684,6 +695,9 @@ app.post('/analytics/cleanup', async (req, res) => {
   }
 });
 
+// Register with the gateway's service registry once the service is ready
+const registryClient = new RegistryClient({ serviceName: 'analytics', port: PORT, logger });
+
 // Initialize service
 async function initializeService() {
   try {
@@ -692,6 +706,7 @@ async function initializeService() {
     await analyticsService.initialize();
 
     logger.info(`Analytics Service started on port ${PORT}`);
+    await registryClient.start();
   } catch (error) {
     logger.error('Failed to initialize Analytics Service:', error);
     process.exit(1);
@@ -701,6 +716,7 @@ async function initializeService() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  await registryClient.stop();
   await connectionPool.close();
   await kafkaService.close();
   process.exit(0);
@@ -708,6 +724,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  await registryClient.stop();
   await connectionPool.close();
   await kafkaService.close();
   process.exit(0);
@@ -0,0 +1,34 @@
+export const auditRoutes = {
+  createAuditLog: { method: 'post', path: '/audit-logs', summary: 'Record an audit log entry', status: 201 },
+  createAuditLogs: { method: 'post', path: '/audit-logs/bulk', summary: 'Record several audit log entries', status: 201 },
+  archiveAuditLogs: { method: 'post', path: '/audit-logs/archive', summary: 'Archive old audit logs' },
+  purgeAuditLogs: { method: 'delete', path: '/audit-logs', summary: 'Purge audit logs past retention' },
+  flagSuspiciousActivity: { method: 'post', path: '/audit-logs/suspicious', summary: 'Flag suspicious activity', status: 201 },
+  generateAuditReport: { method: 'post', path: '/audit-reports', summary: 'Generate an audit report', status: 201 },
+  updateRetentionPolicy: { method: 'put', path: '/audit-retention', summary: 'Update the retention policy' },
+  listAuditLogs: { method: 'get', path: '/audit-logs', summary: 'List audit logs' },
+  getAuditLog: { method: 'get', path: '/audit-logs/:id', summary: 'Get an audit log entry' },
+  listUserAuditLogs: { method: 'get', path: '/audit-logs/user/:userId', summary: 'Audit logs for a user' },
+  listResourceAuditLogs: { method: 'get', path: '/audit-logs/resource/:resource/:resourceId', summary: 'Audit logs for a resource' },
+  getAuditStatistics: { method: 'get', path: '/audit-logs/statistics', summary: 'Audit log statistics' },
+  listSuspiciousActivity: { method: 'get', path: '/audit-logs/suspicious', summary: 'List flagged suspicious activity' },
+  getComplianceReport: { method: 'get', path: '/audit-reports/compliance', summary: 'Compliance report' },
+  getRetentionStatus: { method: 'get', path: '/audit-retention/status', summary: 'Retention policy status' },
+  listSystemAccess: { method: 'get', path: '/audit-logs/system-access', summary: 'System access logs' },
+  listDataAccess: { method: 'get', path: '/audit-logs/data-access', summary: 'Data access logs' },
+  clearCache: { method: 'post', path: '/audit-logs/cache/clear', summary: 'Clear cached audit queries' },
+  cleanup: { method: 'post', path: '/audit-logs/cleanup', summary: 'Remove audit data past retention' },
+  exportAuditLogs: { method: 'get', path: '/audit-logs/export', summary: 'Export audit logs' },
+  verifyAuditLog: { method: 'post', path: '/audit-logs/verify/:id', summary: 'Verify an audit log entry\'s integrity' },
+  searchAuditLogs: { method: 'get', path: '/audit-logs/search', summary: 'Search audit logs' },
+  getUserTimeline: { method: 'get', path: '/audit-logs/user/:userId/timeline', summary: 'Activity timeline for a user' },
+  listSuspiciousActivities: { method: 'get', path: '/audit-logs/suspicious-activities', summary: 'List detected suspicious activities' },
+  getComplianceLogs: { method: 'get', path: '/audit-logs/compliance/:type', summary: 'Audit logs for a compliance regime' },
+  bulkDeleteAuditLogs: { method: 'post', path: '/audit-logs/bulk-delete', summary: 'Delete several audit log entries' },
+  reconstructEntity: { method: 'get', path: '/audit-logs/reconstruct/:entityId', summary: 'Reconstruct an entity\'s history from audit logs' },
+  createAlert: { method: 'post', path: '/audit-logs/alerts', summary: 'Create an audit alert rule', status: 201 },
+  listAlerts: { method: 'get', path: '/audit-logs/alerts', summary: 'List audit alert rules' },
+  getAlertHistory: { method: 'get', path: '/audit-logs/alerts/history', summary: 'Triggered audit alerts' },
+  getConfig: { method: 'get', path: '/audit-logs/config', summary: 'Get the audit configuration' },
+  updateConfig: { method: 'put', path: '/audit-logs/config', summary: 'Update the audit configuration' }
+};
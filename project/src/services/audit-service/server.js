@@ -5,6 +5,12 @@ import compression from 'compression';
 import { v4 as uuidv4 } from 'uuid';
 import crypto from 'crypto';
 import DatabaseConnectionPool from '../../shared/database/connection-pool.js';
+import { idempotency } from '../../shared/middleware/idempotency.js';
+import { gatewayIdentity } from '../../shared/security/gateway-identity.js';
+import { tracing, traceFormat } from '../../shared/tracing/trace-context.js';
+import MetricsRegistry from '../../shared/metrics/metrics-registry.js';
+import { instrumentService, metricsHandler } from '../../shared/metrics/instrumentation.js';
+import { RegistryClient } from '../../shared/discovery/registry-client.js';
 import DualDatabaseWriter from '../../shared/database/dual-writer.js';
 import { KafkaService } from '../../shared/messaging/kafka-service.js';
 import CommandBus from '../../shared/cqrs/command-bus.js';
@@ -12,6 +18,8 @@ import QueryBus from '../../shared/cqrs/query-bus.js';
 import EventStore from '../../shared/event-sourcing/event-store.js';
 import winston from 'winston';
 import { AuditService } from './audit-service.js';
+import { auditRoutes } from './schemas/audit-schemas.js';
+import { describeApi } from '../../shared/validation/schema-description.js';
 
 const app = express();
 const PORT = process.env.AUDIT_SERVICE_PORT || 3006;
@@ -21,6 +29,7 @@ const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
+    traceFormat(),
     winston.format.json()
   ),
   transports: [
@@ -48,11 +57,18 @@ const auditService = new AuditService({
   logger
 });
 
+// Metrics
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'audit-service' } });
+
 // Middleware
+app.use(instrumentService(metrics, { connectionPool, commandBus, queryBus, kafkaService, dualWriter }));
 app.use(helmet());
 app.use(cors());
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
+app.use(tracing());
+app.use(gatewayIdentity());
+app.use(idempotency({ connectionPool, logger }));
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -625,6 +641,9 @@ app.use((req, res) => {
   });
 });
 
+// Register with the gateway's service registry once the service is ready
+const registryClient = new RegistryClient({ serviceName: 'audit', port: PORT, logger });
+
 // Initialize service
 async function initializeService() {
   try {
@@ -633,6 +652,7 @@ async function initializeService() {
     await auditService.initialize();
 
     logger.info(`Audit Service started on port ${PORT}`);
+    await registryClient.start();
   } catch (error) {
     logger.error('Failed to initialize Audit Service:', error);
     process.exit(1);
@@ -1203,13 +1223,11 @@ app.get('/health', (req, res) => {
 });
 
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
-  res.json({
-    service: 'audit-service',
-    timestamp: new Date().toISOString(),
-    database: connectionPool.getStats(),
-    dualWriter: dualWriter.getStats()
-  });
+app.get('/metrics', metricsHandler(metrics));
+
+// API description generated from the route table
+app.get('/openapi.json', (req, res) => {
+  res.json(describeApi({ title: 'Audit Service', routes: auditRoutes }));
 });
 
 // Helper functions
@@ -2312,6 +2330,7 @@ async function initializeService() {
     });
 
     logger.info(`Audit Service started on port ${PORT}`);
+    await registryClient.start();
   } catch (error) {
     logger.error('Failed to initialize Audit Service:', error);
     process.exit(1);
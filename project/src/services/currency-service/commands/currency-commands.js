@@ -517,4 +517,83 @@ export class UpdateCurrencyRiskProfileCommand {
       throw new Error('Currency code must be a valid 3-letter currency code');
     }
   }
-}
\ No newline at end of file
+}
+export class CreateFxQuoteCommand {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.fromCurrency = data.fromCurrency;
+    this.toCurrency = data.toCurrency;
+    this.amount = data.amount;
+    this.userId = data.userId;
+    this.ttlSeconds = data.ttlSeconds || parseInt(process.env.FX_QUOTE_TTL_SECONDS) || 30;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp || new Date().toISOString();
+  }
+
+  validate() {
+    if (!this.fromCurrency) {
+      throw new Error('From currency is required');
+    }
+    if (!this.toCurrency) {
+      throw new Error('To currency is required');
+    }
+    if (!this.amount || this.amount <= 0) {
+      throw new Error('Valid amount is required');
+    }
+    if (this.ttlSeconds < 1 || this.ttlSeconds > 300) {
+      throw new Error('Quote TTL must be between 1 and 300 seconds');
+    }
+
+    const currencyRegex = /^[A-Z]{3}$/;
+    if (!currencyRegex.test(this.fromCurrency)) {
+      throw new Error('From currency must be a valid 3-letter currency code');
+    }
+    if (!currencyRegex.test(this.toCurrency)) {
+      throw new Error('To currency must be a valid 3-letter currency code');
+    }
+
+    if (this.fromCurrency === this.toCurrency) {
+      throw new Error('From and to currencies cannot be the same');
+    }
+  }
+}
+
+export class ExecuteFxQuoteCommand {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.quoteId = data.quoteId;
+    this.identity = data.identity; // the caller, checked against the quote's owner
+    this.purpose = data.purpose || 'conversion';
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp || new Date().toISOString();
+  }
+
+  validate() {
+    if (!this.quoteId) {
+      throw new Error('Quote ID is required');
+    }
+    if (!this.identity) {
+      throw new Error('Caller identity is required');
+    }
+  }
+}
+
+export class ReleaseFxQuoteCommand {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.quoteId = data.quoteId;
+    this.identity = data.identity; // the caller, checked against the quote's owner
+    this.reason = data.reason;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp || new Date().toISOString();
+  }
+
+  validate() {
+    if (!this.quoteId) {
+      throw new Error('Quote ID is required');
+    }
+    if (!this.identity) {
+      throw new Error('Caller identity is required');
+    }
+  }
+}
@@ -1,10 +1,9 @@
-import { CommandBus } from '../../../shared/cqrs/command-bus.js';
-import { QueryBus } from '../../../shared/cqrs/query-bus.js';
-import { EventStore } from '../../../shared/event-sourcing/event-store.js';
-import { DualWriter } from '../../../shared/database/dual-writer.js';
-import { KafkaService } from '../../../shared/messaging/kafka-service.js';
-import { ConnectionPool } from '../../../shared/database/connection-pool.js';
-import { Logger } from '../../../shared/logging/logger.js';
+import CommandBus from '../../shared/cqrs/command-bus.js';
+import QueryBus from '../../shared/cqrs/query-bus.js';
+import EventStore from '../../shared/event-sourcing/event-store.js';
+import DualDatabaseWriter from '../../shared/database/dual-writer.js';
+import { KafkaService } from '../../shared/messaging/kafka-service.js';
+import DatabaseConnectionPool from '../../shared/database/connection-pool.js';
 
 import { CurrencyCommandHandler } from './handlers/currency-command-handler.js';
 import { CurrencyQueryHandler } from './handlers/currency-query-handler.js';
@@ -25,8 +24,11 @@ import {
   GenerateCurrencyReportCommand,
   UpdateCurrencyRetentionPolicyCommand,
   CreateCurrencyAlertCommand,
-  UpdateCurrencyRiskProfileCommand
-} from '../commands/currency-commands.js';
+  UpdateCurrencyRiskProfileCommand,
+  CreateFxQuoteCommand,
+  ExecuteFxQuoteCommand,
+  ReleaseFxQuoteCommand
+} from './commands/currency-commands.js';
 
 import {
   GetExchangeRatesQuery,
@@ -48,23 +50,16 @@ import {
   GetCurrencyComplianceReportsQuery,
   GetCurrencyFraudAlertsQuery,
   GetCurrencyExposureAnalysisQuery
-} from '../queries/currency-queries.js';
+} from './queries/currency-queries.js';
 
 export class CurrencyService {
-  constructor(config = {}) {
-    this.config = {
-      kafka: config.kafka || {},
-      database: config.database || {},
-      eventStore: config.eventStore || {},
-      externalApi: config.externalApi || {},
-      ...config
-    };
-
-    this.logger = new Logger('CurrencyService');
-    this.connectionPool = new ConnectionPool(this.config.database);
-    this.dualWriter = new DualWriter(this.connectionPool);
-    this.eventStore = new EventStore(this.config.eventStore);
-    this.kafkaService = new KafkaService(this.config.kafka);
+  constructor(dependencies = {}) {
+    this.connectionPool = dependencies.connectionPool || new DatabaseConnectionPool();
+    this.kafkaService = dependencies.kafkaService || new KafkaService();
+    this.dualWriter = dependencies.dualWriter || new DualDatabaseWriter(this.connectionPool);
+    this.eventStore = dependencies.eventStore || new EventStore(this.connectionPool, this.kafkaService);
+    this.logger = dependencies.logger || console;
+    this.externalApiService = dependencies.externalApiService || null;
 
     this.commandBus = new CommandBus();
     this.queryBus = new QueryBus();
@@ -85,7 +80,6 @@ export class CurrencyService {
       logger: this.logger
     });
 
-    this.externalApiService = config.externalApiService || null;
     this.isInitialized = false;
   }
 
@@ -93,13 +87,6 @@ export class CurrencyService {
     try {
       this.logger.info('Initializing Currency Service...');
 
-      // Initialize database connections
-      await this.connectionPool.initialize();
-      await this.dualWriter.initialize();
-
-      // Initialize event store
-      await this.eventStore.initialize();
-
       // Initialize Kafka service
       await this.kafkaService.initialize();
 
@@ -120,6 +107,9 @@ export class CurrencyService {
       this.commandBus.registerHandler(UpdateCurrencyRetentionPolicyCommand.name, this.commandHandler);
       this.commandBus.registerHandler(CreateCurrencyAlertCommand.name, this.commandHandler);
       this.commandBus.registerHandler(UpdateCurrencyRiskProfileCommand.name, this.commandHandler);
+      this.commandBus.registerHandler(CreateFxQuoteCommand.name, this.commandHandler);
+      this.commandBus.registerHandler(ExecuteFxQuoteCommand.name, this.commandHandler);
+      this.commandBus.registerHandler(ReleaseFxQuoteCommand.name, this.commandHandler);
 
       // Register query handlers
       this.queryBus.registerHandler(GetExchangeRatesQuery.name, this.queryHandler);
@@ -159,9 +149,7 @@ export class CurrencyService {
       this.logger.info('Shutting down Currency Service...');
 
       await this.kafkaService.disconnect();
-      await this.eventStore.disconnect();
-      await this.dualWriter.disconnect();
-      await this.connectionPool.disconnect();
+      await this.connectionPool.close();
 
       this.isInitialized = false;
       this.logger.info('Currency Service shut down successfully');
@@ -199,6 +187,41 @@ export class CurrencyService {
     return await this.commandBus.execute(command);
   }
 
+  async createFxQuote(fromCurrency, toCurrency, amount, userId, ttlSeconds = null, metadata = {}) {
+    const command = new CreateFxQuoteCommand({
+      fromCurrency,
+      toCurrency,
+      amount,
+      userId,
+      ttlSeconds,
+      metadata
+    });
+
+    return await this.commandBus.execute(command);
+  }
+
+  async executeFxQuote(quoteId, identity, purpose = 'conversion', metadata = {}) {
+    const command = new ExecuteFxQuoteCommand({
+      quoteId,
+      identity,
+      purpose,
+      metadata
+    });
+
+    return await this.commandBus.execute(command);
+  }
+
+  async releaseFxQuote(quoteId, identity, reason, metadata = {}) {
+    const command = new ReleaseFxQuoteCommand({
+      quoteId,
+      identity,
+      reason,
+      metadata
+    });
+
+    return await this.commandBus.execute(command);
+  }
+
   async addCurrency(currencyCode, currencyName, symbol, decimalPlaces = 2, addedBy = 'system', metadata = {}) {
     const command = new AddCurrencyCommand({
       currencyCode,
@@ -627,6 +650,31 @@ export class CurrencyService {
           )
         `);
 
+        // Create fx_quotes table (rate-locked quotes, executable once before expires_at)
+        await connection.execute(`
+          CREATE TABLE IF NOT EXISTS fx_quotes (
+            id VARCHAR(36) PRIMARY KEY,
+            from_currency VARCHAR(3) NOT NULL,
+            to_currency VARCHAR(3) NOT NULL,
+            amount DECIMAL(20,8) NOT NULL,
+            mid_rate DECIMAL(20,8) NOT NULL,
+            rate DECIMAL(20,8) NOT NULL,
+            spread DECIMAL(10,6) NOT NULL,
+            fee DECIMAL(20,8) DEFAULT 0,
+            converted_amount DECIMAL(20,8) NOT NULL,
+            user_id VARCHAR(100),
+            status ENUM('active', 'executed', 'expired') DEFAULT 'active',
+            conversion_id VARCHAR(36),
+            metadata JSON,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL,
+            executed_at TIMESTAMP NULL,
+            INDEX idx_user_id (user_id),
+            INDEX idx_status (status),
+            INDEX idx_created_at (created_at)
+          )
+        `);
+
         // Create currency_settings table
         await connection.execute(`
           CREATE TABLE IF NOT EXISTS currency_settings (
@@ -674,18 +722,18 @@ export class CurrencyService {
   // Event subscription methods
   async subscribeToEvents() {
     // Subscribe to relevant events from other services
-    await this.kafkaService.subscribe('payment-events', this.handlePaymentEvent.bind(this));
-    await this.kafkaService.subscribe('transaction-events', this.handleTransactionEvent.bind(this));
+    await this.kafkaService.consumeMessages(['payment-events'], 'currency-service-payment', this.handlePaymentEvent.bind(this));
+    await this.kafkaService.consumeMessages(['transaction-events'], 'currency-service-transaction', this.handleTransactionEvent.bind(this));
   }
 
-  async handlePaymentEvent(event) {
+  async handlePaymentEvent(message) {
     // Handle payment events that might affect currency conversions
-    this.logger.info('Received payment event:', event.type);
+    this.logger.info('Received payment event:', JSON.parse(message.value).eventType);
   }
 
-  async handleTransactionEvent(event) {
+  async handleTransactionEvent(message) {
     // Handle transaction events for currency analytics
-    this.logger.info('Received transaction event:', event.type);
+    this.logger.info('Received transaction event:', JSON.parse(message.value).eventType);
   }
 
   // Health check
@@ -366,4 +366,57 @@ export class CurrencyFraudAlertEvent {
     this.eventType = 'CURRENCY_FRAUD_ALERT';
     this.version = 1;
   }
-}
\ No newline at end of file
+}
+export class FxQuoteCreatedEvent {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.quoteId = data.quoteId;
+    this.fromCurrency = data.fromCurrency;
+    this.toCurrency = data.toCurrency;
+    this.amount = data.amount;
+    this.midRate = data.midRate;
+    this.rate = data.rate;
+    this.spread = data.spread;
+    this.fee = data.fee || 0;
+    this.convertedAmount = data.convertedAmount;
+    this.userId = data.userId;
+    this.expiresAt = data.expiresAt;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp || new Date().toISOString();
+    this.eventType = 'FX_QUOTE_CREATED';
+    this.version = 1;
+  }
+}
+
+export class FxQuoteExecutedEvent {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.quoteId = data.quoteId;
+    this.conversionId = data.conversionId;
+    this.fromCurrency = data.fromCurrency;
+    this.toCurrency = data.toCurrency;
+    this.amount = data.amount;
+    this.rate = data.rate;
+    this.fee = data.fee || 0;
+    this.convertedAmount = data.convertedAmount;
+    this.userId = data.userId;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp || new Date().toISOString();
+    this.eventType = 'FX_QUOTE_EXECUTED';
+    this.version = 1;
+  }
+}
+
+export class FxQuoteReleasedEvent {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.quoteId = data.quoteId;
+    this.conversionId = data.conversionId;
+    this.userId = data.userId;
+    this.reason = data.reason;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp || new Date().toISOString();
+    this.eventType = 'FX_QUOTE_RELEASED';
+    this.version = 1;
+  }
+}
@@ -1,4 +1,5 @@
 import { v4 as uuidv4 } from 'uuid';
+import { actsFor } from '../../../shared/security/ownership.js';
 
 import {
   UpdateExchangeRatesCommand,
@@ -16,7 +17,10 @@ import {
   GenerateCurrencyReportCommand,
   UpdateCurrencyRetentionPolicyCommand,
   CreateCurrencyAlertCommand,
-  UpdateCurrencyRiskProfileCommand
+  UpdateCurrencyRiskProfileCommand,
+  CreateFxQuoteCommand,
+  ExecuteFxQuoteCommand,
+  ReleaseFxQuoteCommand
 } from '../commands/currency-commands.js';
 
 import {
@@ -40,7 +44,10 @@ import {
   CurrencyAlertCreatedEvent,
   CurrencyRiskProfileUpdatedEvent,
   CurrencyComplianceCheckEvent,
-  CurrencyFraudAlertEvent
+  CurrencyFraudAlertEvent,
+  FxQuoteCreatedEvent,
+  FxQuoteExecutedEvent,
+  FxQuoteReleasedEvent
 } from '../events/currency-events.js';
 
 export class CurrencyCommandHandler {
@@ -52,6 +59,7 @@ export class CurrencyCommandHandler {
     this.logger = dependencies.logger;
     this.cache = new Map();
     this.externalApiService = dependencies.externalApiService;
+    this.quoteSpread = parseFloat(process.env.FX_QUOTE_SPREAD) || 0.0025; // 25 bps off the mid rate
   }
 
   async handle(command) {
@@ -91,6 +99,12 @@ export class CurrencyCommandHandler {
           return await this.handleCreateCurrencyAlert(command);
         case 'UpdateCurrencyRiskProfileCommand':
           return await this.handleUpdateCurrencyRiskProfile(command);
+        case 'CreateFxQuoteCommand':
+          return await this.handleCreateFxQuote(command);
+        case 'ExecuteFxQuoteCommand':
+          return await this.handleExecuteFxQuote(command);
+        case 'ReleaseFxQuoteCommand':
+          return await this.handleReleaseFxQuote(command);
         default:
           throw new Error(`Unknown command: ${command.constructor.name}`);
       }
@@ -207,6 +221,238 @@ export class CurrencyCommandHandler {
     };
   }
 
+  async handleCreateFxQuote(command) {
+    const midRate = await this.getExchangeRate(command.fromCurrency, command.toCurrency);
+
+    if (!midRate || !isFinite(midRate)) {
+      throw new Error(`Exchange rate not available for ${command.fromCurrency} to ${command.toCurrency}`);
+    }
+
+    // The quoted rate includes our spread; the fee is charged in the source currency
+    const rate = midRate * (1 - this.quoteSpread);
+    const fee = this.calculateConversionFee(command.amount, command.fromCurrency, command.toCurrency);
+    const convertedAmount = (command.amount - fee) * rate;
+    const expiresAt = new Date(new Date(command.timestamp).getTime() + command.ttlSeconds * 1000);
+
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute(
+        `INSERT INTO fx_quotes (id, from_currency, to_currency, amount, mid_rate, rate, spread, fee,
+          converted_amount, user_id, status, metadata, created_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, ?)`,
+        [
+          command.id,
+          command.fromCurrency,
+          command.toCurrency,
+          command.amount,
+          midRate,
+          rate,
+          this.quoteSpread,
+          fee,
+          convertedAmount,
+          command.userId || null,
+          JSON.stringify(command.metadata),
+          new Date(command.timestamp),
+          expiresAt
+        ]
+      );
+    });
+
+    const quote = {
+      quoteId: command.id,
+      fromCurrency: command.fromCurrency,
+      toCurrency: command.toCurrency,
+      amount: command.amount,
+      midRate,
+      rate,
+      spread: this.quoteSpread,
+      fee,
+      feeCurrency: command.fromCurrency,
+      convertedAmount,
+      expiresAt: expiresAt.toISOString()
+    };
+
+    const event = new FxQuoteCreatedEvent({
+      ...quote,
+      userId: command.userId,
+      metadata: command.metadata
+    });
+
+    await this.eventStore.saveEvent(event);
+    await this.kafkaService.publishMessage('currency-events', event);
+
+    this.logger.info(`FX quote created: ${command.id} ${command.amount} ${command.fromCurrency} to ${command.toCurrency} at ${rate}`);
+
+    return quote;
+  }
+
+  async handleExecuteFxQuote(command) {
+    const conversionId = uuidv4();
+
+    // Lock the quote row so concurrent executions of the same quote serialize
+    const quote = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.beginTransaction();
+
+      try {
+        const [rows] = await connection.execute('SELECT * FROM fx_quotes WHERE id = ? FOR UPDATE', [command.quoteId]);
+        const row = rows[0];
+
+        if (!row) {
+          throw this.quoteError(`FX quote ${command.quoteId} not found`, 'FX_QUOTE_NOT_FOUND');
+        }
+        if (!actsFor(command.identity, row.user_id)) {
+          throw this.quoteError(`FX quote ${command.quoteId} belongs to another user`, 'FX_QUOTE_FORBIDDEN');
+        }
+        if (row.status === 'executed') {
+          throw this.quoteError(`FX quote ${command.quoteId} has already been executed`, 'FX_QUOTE_ALREADY_EXECUTED');
+        }
+
+        if (row.status === 'expired' || new Date(row.expires_at) <= new Date(command.timestamp)) {
+          // Record the expiry before rejecting so the audit trail shows why the quote was not honoured
+          await connection.execute("UPDATE fx_quotes SET status = 'expired' WHERE id = ?", [command.quoteId]);
+          await connection.commit();
+          throw this.quoteError(
+            `FX quote ${command.quoteId} expired at ${new Date(row.expires_at).toISOString()}`,
+            'FX_QUOTE_EXPIRED'
+          );
+        }
+
+        await connection.execute(
+          "UPDATE fx_quotes SET status = 'executed', executed_at = ?, conversion_id = ? WHERE id = ?",
+          [new Date(command.timestamp), conversionId, command.quoteId]
+        );
+
+        await connection.execute(
+          `INSERT INTO currency_conversions (id, from_currency, to_currency, amount, converted_amount,
+            exchange_rate, fee, user_id, purpose, metadata, timestamp)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            conversionId,
+            row.from_currency,
+            row.to_currency,
+            row.amount,
+            row.converted_amount,
+            row.rate,
+            row.fee,
+            row.user_id,
+            command.purpose,
+            JSON.stringify({ ...command.metadata, quoteId: command.quoteId }),
+            new Date(command.timestamp)
+          ]
+        );
+
+        await connection.commit();
+        return row;
+      } catch (error) {
+        if (error.code !== 'FX_QUOTE_EXPIRED') {
+          await connection.rollback();
+        }
+        throw error;
+      }
+    });
+
+    const result = {
+      quoteId: command.quoteId,
+      conversionId,
+      fromCurrency: quote.from_currency,
+      toCurrency: quote.to_currency,
+      amount: Number(quote.amount),
+      convertedAmount: Number(quote.converted_amount),
+      exchangeRate: Number(quote.rate),
+      fee: Number(quote.fee)
+    };
+
+    const convertedEvent = new CurrencyConvertedEvent({
+      id: conversionId,
+      fromCurrency: result.fromCurrency,
+      toCurrency: result.toCurrency,
+      amount: result.amount,
+      convertedAmount: result.convertedAmount,
+      exchangeRate: result.exchangeRate,
+      userId: quote.user_id,
+      purpose: command.purpose,
+      fee: result.fee,
+      metadata: { ...command.metadata, quoteId: command.quoteId }
+    });
+
+    const executedEvent = new FxQuoteExecutedEvent({
+      ...result,
+      rate: result.exchangeRate,
+      userId: quote.user_id,
+      metadata: command.metadata
+    });
+
+    await this.eventStore.saveEvent(convertedEvent);
+    await this.eventStore.saveEvent(executedEvent);
+    await this.kafkaService.publishMessage('currency-events', convertedEvent);
+    await this.kafkaService.publishMessage('currency-events', executedEvent);
+
+    this.logger.info(`FX quote executed: ${command.quoteId} as conversion ${conversionId}`);
+
+    return result;
+  }
+
+  // Undo an execution whose conversion the caller could not use (its ledger entry did not
+  // commit). The quote becomes executable again until it expires; releasing a quote that is
+  // not executed changes nothing, so a release can be retried.
+  async handleReleaseFxQuote(command) {
+    const released = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.beginTransaction();
+
+      try {
+        const [rows] = await connection.execute('SELECT * FROM fx_quotes WHERE id = ? FOR UPDATE', [command.quoteId]);
+        const row = rows[0];
+
+        if (!row) {
+          throw this.quoteError(`FX quote ${command.quoteId} not found`, 'FX_QUOTE_NOT_FOUND');
+        }
+        if (!actsFor(command.identity, row.user_id)) {
+          throw this.quoteError(`FX quote ${command.quoteId} belongs to another user`, 'FX_QUOTE_FORBIDDEN');
+        }
+        if (row.status !== 'executed') {
+          await connection.rollback();
+          return null;
+        }
+
+        await connection.execute(
+          "UPDATE fx_quotes SET status = 'active', executed_at = NULL, conversion_id = NULL WHERE id = ?",
+          [command.quoteId]
+        );
+        await connection.execute('DELETE FROM currency_conversions WHERE id = ?', [row.conversion_id]);
+
+        await connection.commit();
+        return row;
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+
+    if (!released) {
+      return { quoteId: command.quoteId, released: false };
+    }
+
+    const releasedEvent = new FxQuoteReleasedEvent({
+      quoteId: command.quoteId,
+      conversionId: released.conversion_id,
+      userId: released.user_id,
+      reason: command.reason,
+      metadata: command.metadata
+    });
+
+    await this.eventStore.saveEvent(releasedEvent);
+    await this.kafkaService.publishMessage('currency-events', releasedEvent);
+
+    this.logger.info(`FX quote released: ${command.quoteId} (conversion ${released.conversion_id})`);
+
+    return { quoteId: command.quoteId, conversionId: released.conversion_id, released: true };
+  }
+
+  quoteError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
   async handleAddCurrency(command) {
     // Check if currency already exists
     const existing = await this.getCurrencyByCode(command.currencyCode);
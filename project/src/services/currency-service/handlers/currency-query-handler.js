@@ -689,6 +689,10 @@ export class CurrencyQueryHandler {
   }
 
   async handleGetCurrencyReports(query) {
+    if (query.reportType === 'fx-quotes') {
+      return await this.getFxQuoteReport(query);
+    }
+
     let sql = `
       SELECT id, report_id, report_type, format, record_count, file_size_bytes,
              generation_time_ms, generated_by, status, created_at
@@ -764,6 +768,72 @@ export class CurrencyQueryHandler {
     };
   }
 
+  async getFxQuoteReport(query) {
+    let whereClause = '1=1';
+    const params = [];
+
+    if (query.generatedBy) {
+      whereClause += ' AND user_id = ?';
+      params.push(query.generatedBy);
+    }
+
+    if (query.status !== 'all') {
+      whereClause += ' AND status = ?';
+      params.push(query.status);
+    }
+
+    if (query.startDate) {
+      whereClause += ' AND created_at >= ?';
+      params.push(query.startDate);
+    }
+
+    if (query.endDate) {
+      whereClause += ' AND created_at <= ?';
+      params.push(query.endDate);
+    }
+
+    const sortOrder = query.sortOrder === 'asc' ? 'ASC' : 'DESC';
+
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT * FROM fx_quotes WHERE ${whereClause} ORDER BY created_at ${sortOrder} LIMIT ? OFFSET ?`,
+        [...params, query.limit, (query.page - 1) * query.limit]
+      );
+      const [countRows] = await connection.execute(
+        `SELECT COUNT(*) as count FROM fx_quotes WHERE ${whereClause}`,
+        params
+      );
+      const total = countRows[0].count;
+
+      return {
+        reportType: 'fx-quotes',
+        quotes: rows.map(row => ({
+          quoteId: row.id,
+          fromCurrency: row.from_currency,
+          toCurrency: row.to_currency,
+          amount: Number(row.amount),
+          midRate: Number(row.mid_rate),
+          rate: Number(row.rate),
+          spread: Number(row.spread),
+          fee: Number(row.fee),
+          convertedAmount: Number(row.converted_amount),
+          userId: row.user_id,
+          status: row.status,
+          conversionId: row.conversion_id,
+          createdAt: row.created_at,
+          expiresAt: row.expires_at,
+          executedAt: row.executed_at
+        })),
+        pagination: {
+          page: query.page,
+          limit: query.limit,
+          total,
+          totalPages: Math.ceil(total / query.limit)
+        }
+      };
+    });
+  }
+
   async handleGetCurrencyRetentionPolicies(query) {
     let sql = `
       SELECT id, policy_id, name, description, approved_by, effective_date, status
@@ -313,6 +313,84 @@ export class GetCurrencyPairsQuery {
   }
 }
 
+export class GetCurrencyListQuery {
+  constructor(data = {}) {
+    this.metadata = data.metadata || {};
+  }
+
+  validate() {}
+}
+
+export class GetExchangeRateHistoryQuery {
+  constructor(data) {
+    this.baseCurrency = data.baseCurrency || 'USD';
+    this.targetCurrency = data.targetCurrency;
+    this.startDate = data.startDate;
+    this.endDate = data.endDate;
+    this.interval = data.interval || 'daily'; // 'hourly', 'daily', 'weekly'
+    this.metadata = data.metadata || {};
+  }
+
+  validate() {
+    if (!/^[A-Z]{3}$/.test(this.baseCurrency)) {
+      throw new Error('Base currency must be a valid 3-letter currency code');
+    }
+    if (this.targetCurrency && !/^[A-Z]{3}$/.test(this.targetCurrency)) {
+      throw new Error('Target currency must be a valid 3-letter currency code');
+    }
+    if (!this.startDate || !this.endDate) {
+      throw new Error('Start date and end date are required');
+    }
+    if (new Date(this.startDate) >= new Date(this.endDate)) {
+      throw new Error('Start date must be before end date');
+    }
+  }
+}
+
+export class GetConversionAnalyticsQuery {
+  constructor(data) {
+    this.startDate = data.startDate;
+    this.endDate = data.endDate;
+    this.groupBy = data.groupBy || 'overall'; // 'overall', 'currency_pair', 'user', 'daily'
+    this.metadata = data.metadata || {};
+  }
+
+  validate() {
+    if (this.startDate && this.endDate && new Date(this.startDate) >= new Date(this.endDate)) {
+      throw new Error('Start date must be before end date');
+    }
+  }
+}
+
+export class GetCurrencySettingsQuery {
+  constructor(data) {
+    this.currencyCode = data.currencyCode;
+    this.metadata = data.metadata || {};
+  }
+
+  validate() {
+    if (!this.currencyCode || !/^[A-Z]{3}$/.test(this.currencyCode)) {
+      throw new Error('Currency code must be a valid 3-letter currency code');
+    }
+  }
+}
+
+export class GetBaseCurrencyQuery {
+  constructor(data = {}) {
+    this.metadata = data.metadata || {};
+  }
+
+  validate() {}
+}
+
+export class GetCurrencyServiceHealthQuery {
+  constructor(data = {}) {
+    this.metadata = data.metadata || {};
+  }
+
+  validate() {}
+}
+
 export class GetBulkCurrencyUpdatesQuery {
   constructor(data) {
     this.batchId = data.batchId;
@@ -458,14 +536,17 @@ export class GetCurrencyReportsQuery {
     const validReportTypes = [
       'conversion-summary', 'exchange-rate-analysis', 'currency-exposure',
       'regulatory-compliance', 'fraud-analysis', 'revenue-report',
-      'user-activity', 'market-volatility', 'custom-currency'
+      'user-activity', 'market-volatility', 'custom-currency', 'fx-quotes'
     ];
 
     if (this.reportType && !validReportTypes.includes(this.reportType)) {
       throw new Error(`Invalid report type: ${this.reportType}`);
     }
 
-    const validStatuses = ['completed', 'failed', 'in_progress', 'all'];
+    // The fx-quotes audit report filters on quote status instead of report status
+    const validStatuses = this.reportType === 'fx-quotes'
+      ? ['active', 'executed', 'expired', 'all']
+      : ['completed', 'failed', 'in_progress', 'all'];
     if (!validStatuses.includes(this.status)) {
       throw new Error(`Invalid status: ${this.status}`);
     }
@@ -0,0 +1,21 @@
+export const currencyRoutes = {
+  getExchangeRates: { method: 'get', path: '/exchange-rates', summary: 'Current exchange rates' },
+  convert: { method: 'post', path: '/convert', summary: 'Convert an amount between currencies' },
+  createQuote: { method: 'post', path: '/quotes', summary: 'Lock a conversion rate in a quote', status: 201 },
+  executeQuote: { method: 'post', path: '/quotes/:id/execute', summary: 'Execute a conversion at the quoted rate' },
+  releaseQuote: { method: 'post', path: '/quotes/:id/release', summary: 'Undo the execution of a quote whose conversion was not used' },
+  getReports: { method: 'get', path: '/reports', summary: 'Currency conversion reports' },
+  listCurrencies: { method: 'get', path: '/currencies', summary: 'List supported currencies' },
+  updateExchangeRates: { method: 'post', path: '/exchange-rates/update', summary: 'Set exchange rates' },
+  getHistoricalRates: { method: 'get', path: '/historical-rates', summary: 'Historical exchange rates' },
+  convertBulk: { method: 'post', path: '/convert/bulk', summary: 'Convert several amounts at once' },
+  getCurrencyAnalytics: { method: 'get', path: '/analytics/currency/:currencyCode', summary: 'Analytics for one currency' },
+  getConversionAnalytics: { method: 'get', path: '/analytics/conversions', summary: 'Conversion volume analytics' },
+  addCurrency: { method: 'post', path: '/currencies', summary: 'Add a supported currency', status: 201 },
+  updateCurrency: { method: 'put', path: '/currencies/:currencyCode', summary: 'Update a currency' },
+  removeCurrency: { method: 'delete', path: '/currencies/:currencyCode', summary: 'Remove a supported currency' },
+  getBaseCurrency: { method: 'get', path: '/base-currency', summary: 'Get the base currency' },
+  setBaseCurrency: { method: 'put', path: '/base-currency', summary: 'Change the base currency' },
+  refreshExchangeRates: { method: 'post', path: '/exchange-rates/refresh', summary: 'Refresh rates from the providers' },
+  previewConversion: { method: 'post', path: '/convert/preview', summary: 'Preview a conversion with fees' }
+};
@@ -4,10 +4,19 @@ import helmet from 'helmet';
 import compression from 'compression';
 import { v4 as uuidv4 } from 'uuid';
 import { CurrencyService } from './currency-service.js';
+import { currencyRoutes } from './schemas/currency-schemas.js';
+import { describeApi } from '../../shared/validation/schema-description.js';
 import winston from 'winston';
-import { DatabaseConnectionPool } from '../../shared/database/connection-pool.js';
+import DatabaseConnectionPool from '../../shared/database/connection-pool.js';
+import { idempotency } from '../../shared/middleware/idempotency.js';
+import { gatewayIdentity } from '../../shared/security/gateway-identity.js';
+import { actsFor, requireIdentity } from '../../shared/security/ownership.js';
+import { tracing, traceFormat } from '../../shared/tracing/trace-context.js';
+import MetricsRegistry from '../../shared/metrics/metrics-registry.js';
+import { instrumentService, metricsHandler } from '../../shared/metrics/instrumentation.js';
+import { RegistryClient } from '../../shared/discovery/registry-client.js';
 import { KafkaService } from '../../shared/messaging/kafka-service.js';
-import { DualDatabaseWriter } from '../../shared/database/dual-writer.js';
+import DualDatabaseWriter from '../../shared/database/dual-writer.js';
 
 const app = express();
 const PORT = process.env.CURRENCY_SERVICE_PORT || 3009;
@@ -17,6 +26,7 @@ const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
+    traceFormat(),
     winston.format.json()
   ),
   transports: [
@@ -42,11 +52,19 @@ const currencyService = new CurrencyService({
 const exchangeRateCache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
+// Metrics
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'currency-service' } });
+
 // Middleware
+app.use(instrumentService(metrics, { connectionPool, commandBus: currencyService.commandBus, queryBus: currencyService.queryBus, kafkaService, dualWriter }));
 app.use(helmet());
 app.use(cors());
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
+app.use(tracing());
+app.use(gatewayIdentity());
+app.use(idempotency({ connectionPool, logger }));
+app.use('/quotes', requireIdentity());
 
 // Routes
 
@@ -103,6 +121,138 @@ app.post('/convert', async (req, res) => {
   }
 });
 
+// Create a rate-locked FX quote
+app.post('/quotes', async (req, res) => {
+  try {
+    const { from, to, amount, ttlSeconds, metadata } = req.body;
+    // Services quote for a customer by naming them; everyone else quotes for themselves
+    const userId = req.body.userId || req.identity.userId;
+
+    if (!from || !to || !amount) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: from, to, amount',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!actsFor(req.identity, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot create quotes for another user',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const quote = await currencyService.createFxQuote(
+      from,
+      to,
+      parseFloat(amount),
+      userId,
+      ttlSeconds ? parseInt(ttlSeconds) : null,
+      metadata
+    );
+
+    res.status(201).json({
+      success: true,
+      data: quote,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error creating FX quote:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Execute an FX quote at its locked rate (once, before it expires)
+app.post('/quotes/:id/execute', async (req, res) => {
+  const quoteErrorStatus = {
+    FX_QUOTE_NOT_FOUND: 404,
+    FX_QUOTE_FORBIDDEN: 403,
+    FX_QUOTE_ALREADY_EXECUTED: 409,
+    FX_QUOTE_EXPIRED: 410
+  };
+
+  try {
+    const { purpose, metadata } = req.body;
+    const result = await currencyService.executeFxQuote(req.params.id, req.identity, purpose, metadata);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error executing FX quote:', error);
+    res.status(quoteErrorStatus[error.code] || 500).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Release an executed FX quote whose conversion was not used
+app.post('/quotes/:id/release', async (req, res) => {
+  const quoteErrorStatus = {
+    FX_QUOTE_NOT_FOUND: 404,
+    FX_QUOTE_FORBIDDEN: 403
+  };
+
+  try {
+    const { reason, metadata } = req.body;
+    const result = await currencyService.releaseFxQuote(req.params.id, req.identity, reason, metadata);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error releasing FX quote:', error);
+    res.status(quoteErrorStatus[error.code] || 500).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get currency reports (reportType=fx-quotes lists the quote audit trail)
+app.get('/reports', async (req, res) => {
+  try {
+    const { reportType, generatedBy, startDate, endDate, status = 'all', page = 1, limit = 20 } = req.query;
+    const result = await currencyService.getCurrencyReports(
+      reportType,
+      generatedBy,
+      startDate,
+      endDate,
+      status,
+      parseInt(page),
+      parseInt(limit)
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting currency reports:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Get supported currencies
 app.get('/currencies', async (req, res) => {
   try {
@@ -495,24 +645,11 @@ app.get('/health', async (req, res) => {
 });
 
 // Metrics endpoint
-app.get('/metrics', async (req, res) => {
-  try {
-    const health = await currencyService.getServiceHealth();
+app.get('/metrics', metricsHandler(metrics));
 
-    res.json({
-      service: 'currency-service',
-      status: currencyService.getStatus(),
-      health,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    logger.error('Error getting metrics:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
+// API description generated from the route table
+app.get('/openapi.json', (req, res) => {
+  res.json(describeApi({ title: 'Currency Service', routes: currencyRoutes }));
 });
 
 // Error handling middleware
@@ -535,12 +672,16 @@ app.use((req, res) => {
 });
 
 // Initialize service and start server
+// Register with the gateway's service registry once the service is ready
+const registryClient = new RegistryClient({ serviceName: 'currency', port: PORT, logger });
+
 async function initializeService() {
   try {
     await currencyService.initialize();
     await currencyService.subscribeToEvents();
 
     logger.info(`Currency Service started on port ${PORT}`);
+    await registryClient.start();
   } catch (error) {
     logger.error('Failed to initialize Currency Service:', error);
     process.exit(1);
@@ -550,12 +691,14 @@ async function initializeService() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully...');
+  await registryClient.stop();
   await currencyService.shutdown();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully...');
+  await registryClient.stop();
   await currencyService.shutdown();
   process.exit(0);
 });
@@ -0,0 +1,46 @@
+-- Event Store Service Database Migration
+-- This script creates the tables used for projections and their catch-up subscriptions
+
+-- Create events table
+CREATE TABLE IF NOT EXISTS events (
+  id VARCHAR(36) PRIMARY KEY,
+  global_position BIGINT NOT NULL AUTO_INCREMENT UNIQUE, -- Store-wide ordering for subscriptions
+  aggregate_id VARCHAR(36) NOT NULL,
+  aggregate_type VARCHAR(255) NOT NULL,
+  event_type VARCHAR(255) NOT NULL,
+  version INT NOT NULL,
+  data JSON NOT NULL,
+  metadata JSON,
+  timestamp VARCHAR(32) NOT NULL,
+  correlation_id VARCHAR(36),
+  causation_id VARCHAR(36),
+  UNIQUE KEY unique_aggregate_version (aggregate_id, version),
+  INDEX idx_aggregate_type (aggregate_type),
+  INDEX idx_event_type (event_type),
+  INDEX idx_correlation_id (correlation_id)
+);
+
+-- Create projections table
+CREATE TABLE IF NOT EXISTS projections (
+  id VARCHAR(36) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL UNIQUE,
+  aggregate_type VARCHAR(255),
+  event_types JSON,
+  initial_state JSON,
+  state JSON,
+  last_event_id VARCHAR(36),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Create projection_checkpoints table (durable subscription positions)
+CREATE TABLE IF NOT EXISTS projection_checkpoints (
+  projection_name VARCHAR(255) PRIMARY KEY,
+  position BIGINT NOT NULL DEFAULT 0,
+  status ENUM('catching_up', 'live', 'rebuilding', 'failed') DEFAULT 'catching_up',
+  events_processed BIGINT DEFAULT 0,
+  last_error TEXT,
+  last_processed_at TIMESTAMP NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (projection_name) REFERENCES projections(name) ON DELETE CASCADE
+);
@@ -1,13 +1,14 @@
-import { CommandBus } from '../../../shared/cqrs/command-bus.js';
-import { QueryBus } from '../../../shared/cqrs/query-bus.js';
-import { EventStore } from '../../../shared/event-sourcing/event-store.js';
-import { DualWriter } from '../../../shared/database/dual-writer.js';
-import { KafkaService } from '../../../shared/messaging/kafka-service.js';
-import { ConnectionPool } from '../../../shared/database/connection-pool.js';
-import { Logger } from '../../../shared/logging/logger.js';
+import CommandBus from '../../shared/cqrs/command-bus.js';
+import QueryBus from '../../shared/cqrs/query-bus.js';
+import EventStore from '../../shared/event-sourcing/event-store.js';
+import DualDatabaseWriter from '../../shared/database/dual-writer.js';
+import { KafkaService } from '../../shared/messaging/kafka-service.js';
+import DatabaseConnectionPool from '../../shared/database/connection-pool.js';
+import OutboxRelay from '../../shared/event-sourcing/outbox-relay.js';
 
 import { EventStoreCommandHandler } from './handlers/event-store-command-handler.js';
 import { EventStoreQueryHandler } from './handlers/event-store-query-handler.js';
+import { ProjectionSubscriber } from './subscriptions/projection-subscriber.js';
 
 import {
   StoreEventCommand,
@@ -52,31 +53,51 @@ import {
 
 export class EventStoreService {
   constructor(dependencies = {}) {
-    this.connectionPool = dependencies.connectionPool || new ConnectionPool();
+    this.connectionPool = dependencies.connectionPool || new DatabaseConnectionPool();
     this.kafkaService = dependencies.kafkaService || new KafkaService();
-    this.logger = dependencies.logger || new Logger();
+    this.logger = dependencies.logger || console;
     this.eventStore = new Map(); // In-memory store for replay capabilities
 
     // Initialize CQRS components
     this.commandBus = new CommandBus();
     this.queryBus = new QueryBus();
 
+    // Catch-up subscriptions that keep projections current from a durable checkpoint
+    this.projectionSubscriber = new ProjectionSubscriber({
+      connectionPool: this.connectionPool,
+      logger: this.logger,
+      applyEvent: (state, eventData, eventType) => this.commandHandler.applyEventToProjection(state, eventData, eventType),
+      pollInterval: parseInt(process.env.PROJECTION_POLL_INTERVAL_MS) || 1000
+    });
+
     // Initialize handlers
     this.commandHandler = new EventStoreCommandHandler({
       connectionPool: this.connectionPool,
-      dualWriter: dependencies.dualWriter || new DualWriter(this.connectionPool),
+      dualWriter: dependencies.dualWriter || new DualDatabaseWriter(this.connectionPool),
       kafkaService: this.kafkaService,
       logger: this.logger,
+      projectionSubscriber: this.projectionSubscriber,
       eventStore: this.eventStore
     });
 
     this.queryHandler = new EventStoreQueryHandler({
       connectionPool: this.connectionPool,
-      dualWriter: dependencies.dualWriter || new DualWriter(this.connectionPool),
+      dualWriter: dependencies.dualWriter || new DualDatabaseWriter(this.connectionPool),
       logger: this.logger,
+      projectionSubscriber: this.projectionSubscriber,
       eventStore: this.eventStore
     });
 
+    // Shared EventStore used by the domain services
+    this.domainEventStore = dependencies.domainEventStore || new EventStore(this.connectionPool, this.kafkaService);
+
+    // Publishes shared EventStore outbox rows to Kafka
+    this.outboxRelay = dependencies.outboxRelay || new OutboxRelay(this.connectionPool, this.kafkaService, {
+      logger: this.logger,
+      pollInterval: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000,
+      batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE) || 100
+    });
+
     this.isInitialized = false;
   }
 
@@ -127,6 +148,9 @@ export class EventStoreService {
       this.queryBus.registerHandler('GetEventStorePerformanceMetricsQuery', this.queryHandler);
       this.queryBus.registerHandler('GetEventStoreStorageMetricsQuery', this.queryHandler);
 
+      this.outboxRelay.start();
+      await this.projectionSubscriber.start();
+
       this.isInitialized = true;
       this.logger.info('EventStoreService initialized successfully');
     } catch (error) {
@@ -322,6 +346,25 @@ export class EventStoreService {
     };
   }
 
+  async getSchemaVersionReport() {
+    const unregistered = await this.domainEventStore.findUnregisteredSchemaVersions();
+
+    return {
+      valid: unregistered.length === 0,
+      unregistered,
+      registered: this.domainEventStore.upcasterRegistry.getRegisteredTypes(),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async getOutboxLag() {
+    return await this.outboxRelay.getLag();
+  }
+
+  async retryOutboxMessage(messageId) {
+    return await this.outboxRelay.retryFailed(messageId);
+  }
+
   async healthCheck() {
     try {
       const health = await this.getEventStoreHealth();
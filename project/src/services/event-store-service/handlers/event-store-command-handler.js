@@ -1,4 +1,5 @@
 import { v4 as uuidv4 } from 'uuid';
+import { getTraceContext } from '../../../shared/tracing/trace-context.js';
 import {
   StoreEventCommand,
   StoreEventsBatchCommand,
@@ -47,6 +48,7 @@ export class EventStoreCommandHandler {
     this.dualWriter = dependencies.dualWriter;
     this.kafkaService = dependencies.kafkaService;
     this.logger = dependencies.logger;
+    this.projectionSubscriber = dependencies.projectionSubscriber;
     this.eventStore = new Map(); // In-memory store for replay capabilities
   }
 
@@ -662,7 +664,7 @@ export class EventStoreCommandHandler {
               JSON.stringify(event.data),
               JSON.stringify(event.metadata || {}),
               timestamp,
-              event.correlationId || null,
+              event.correlationId || event.metadata?.correlationId || getTraceContext()?.correlationId || null,
               event.causationId || null
             ]
           );
@@ -812,18 +814,22 @@ export class EventStoreCommandHandler {
 
     await this.connectionPool.executeWithMySQLConnection(async (connection) => {
       await connection.execute(
-        `INSERT INTO projections (id, name, aggregate_type, event_types, state, last_event_id, created_at, updated_at)
-         VALUES (?, ?, ?, ?, ?, NULL, NOW(), NOW())`,
+        `INSERT INTO projections (id, name, aggregate_type, event_types, initial_state, state, last_event_id, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, NULL, NOW(), NOW())`,
         [
           projectionId,
           name,
           aggregateType,
           JSON.stringify(eventTypes),
+          JSON.stringify(initialState),
           JSON.stringify(initialState)
         ]
       );
     });
 
+    // Start a catch-up subscription from the beginning of the store
+    await this.projectionSubscriber.subscribe(name);
+
     return {
       id: projectionId,
       name,
@@ -840,33 +846,11 @@ export class EventStoreCommandHandler {
     }
 
     if (options.rebuild) {
-      // Rebuild projection from scratch
-      const eventTypes = projection.eventTypes;
-      const events = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-        const [rows] = await connection.execute(
-          'SELECT * FROM events WHERE aggregate_type = ? AND event_type IN (?) ORDER BY timestamp ASC',
-          [projection.aggregate_type, eventTypes]
-        );
-        return rows;
-      });
-
-      let state = JSON.parse(projection.initial_state || '{}');
-
-      for (const event of events) {
-        state = this.applyEventToProjection(state, JSON.parse(event.data), event.event_type);
-      }
-
-      await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-        await connection.execute(
-          'UPDATE projections SET state = ?, updated_at = NOW() WHERE name = ?',
-          [JSON.stringify(state), name]
-        );
-      });
-
-      return { rebuilt: true, state };
+      return await this.projectionSubscriber.rebuild(name);
     }
 
-    return { updated: true };
+    const eventsProcessed = await this.projectionSubscriber.catchUp(name);
+    return { updated: true, eventsProcessed };
   }
 
   applyEventToProjection(state, eventData, eventType) {
@@ -25,6 +25,7 @@ export class EventStoreQueryHandler {
     this.dualWriter = dependencies.dualWriter;
     this.logger = dependencies.logger;
     this.eventStore = dependencies.eventStore;
+    this.projectionSubscriber = dependencies.projectionSubscriber;
   }
 
   async handle(query) {
@@ -184,7 +185,10 @@ export class EventStoreQueryHandler {
 
       return {
         success: true,
-        data: projection
+        data: {
+          ...projection,
+          subscription: await this.projectionSubscriber.getStatus(name)
+        }
       };
     } catch (error) {
       this.logger.error('Error getting projection:', error);
@@ -0,0 +1,33 @@
+export const eventStoreRoutes = {
+  appendEvents: { method: 'post', path: '/events', summary: 'Append events to an aggregate stream', status: 201 },
+  getAggregateEvents: { method: 'get', path: '/events/:aggregateId', summary: 'Events of an aggregate' },
+  listEvents: { method: 'get', path: '/events', summary: 'List events' },
+  replayAggregate: { method: 'post', path: '/replay/:aggregateId', summary: 'Replay an aggregate\'s events' },
+  getSnapshot: { method: 'get', path: '/snapshots/:aggregateId', summary: 'Latest snapshot of an aggregate' },
+  createSnapshot: { method: 'post', path: '/snapshots/:aggregateId', summary: 'Snapshot an aggregate', status: 201 },
+  getAggregateState: { method: 'get', path: '/aggregates/:aggregateId/state', summary: 'Current state of an aggregate' },
+  streamAggregateEvents: { method: 'get', path: '/events/stream/:aggregateId', summary: 'Stream an aggregate\'s events' },
+  appendEventBatch: { method: 'post', path: '/events/batch', summary: 'Append a batch of events', status: 201 },
+  searchEvents: { method: 'get', path: '/events/search', summary: 'Search events' },
+  createProjection: { method: 'post', path: '/projections/:name', summary: 'Create a projection', status: 201 },
+  getProjection: { method: 'get', path: '/projections/:name', summary: 'Get a projection' },
+  updateProjection: { method: 'put', path: '/projections/:name', summary: 'Update a projection' },
+  startSaga: { method: 'post', path: '/sagas', summary: 'Start a saga', status: 201 },
+  getSaga: { method: 'get', path: '/sagas/:sagaId', summary: 'Get a saga' },
+  appendSagaEvent: { method: 'post', path: '/sagas/:sagaId/events', summary: 'Record a saga event' },
+  archiveEvents: { method: 'post', path: '/events/archive', summary: 'Archive old events' },
+  getEventStatistics: { method: 'get', path: '/events/statistics', summary: 'Event store statistics' },
+  validateEvents: { method: 'post', path: '/events/validate', summary: 'Validate events against their schemas' },
+  getCorrelatedEvents: { method: 'get', path: '/events/correlation/:correlationId', summary: 'Events sharing a correlation ID' },
+  transformEvents: { method: 'post', path: '/events/transform', summary: 'Transform events to another schema version' },
+  listAlerts: { method: 'get', path: '/alerts', summary: 'Event store alerts' },
+  listBackups: { method: 'get', path: '/backups', summary: 'Event store backups' },
+  getReports: { method: 'get', path: '/reports', summary: 'Event store reports' },
+  getSettings: { method: 'get', path: '/settings', summary: 'Event store settings' },
+  getAuditLog: { method: 'get', path: '/audit-log', summary: 'Event store audit log' },
+  getPerformanceMetrics: { method: 'get', path: '/performance-metrics', summary: 'Read and write performance' },
+  getStorageMetrics: { method: 'get', path: '/storage-metrics', summary: 'Storage usage' },
+  listSchemaVersions: { method: 'get', path: '/admin/schema-versions', summary: 'Registered event schema versions' },
+  getOutboxStatus: { method: 'get', path: '/admin/outbox', summary: 'Outbox relay status' },
+  retryOutboxMessage: { method: 'post', path: '/admin/outbox/:id/retry', summary: 'Send a failed outbox message again' }
+};
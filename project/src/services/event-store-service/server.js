@@ -4,10 +4,18 @@ import helmet from 'helmet';
 import compression from 'compression';
 import { v4 as uuidv4 } from 'uuid';
 import DatabaseConnectionPool from '../../shared/database/connection-pool.js';
+import { idempotency } from '../../shared/middleware/idempotency.js';
+import { gatewayIdentity } from '../../shared/security/gateway-identity.js';
+import { tracing, traceFormat } from '../../shared/tracing/trace-context.js';
+import MetricsRegistry from '../../shared/metrics/metrics-registry.js';
+import { instrumentService, metricsHandler } from '../../shared/metrics/instrumentation.js';
+import { RegistryClient } from '../../shared/discovery/registry-client.js';
 import DualDatabaseWriter from '../../shared/database/dual-writer.js';
 import { KafkaService } from '../../shared/messaging/kafka-service.js';
 import winston from 'winston';
 import { EventStoreService } from './event-store-service.js';
+import { eventStoreRoutes } from './schemas/event-store-schemas.js';
+import { describeApi } from '../../shared/validation/schema-description.js';
 
 const app = express();
 const PORT = process.env.EVENT_STORE_SERVICE_PORT || 3012;
@@ -17,6 +25,7 @@ const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
+    traceFormat(),
     winston.format.json()
   ),
   transports: [
@@ -38,11 +47,18 @@ const eventStoreService = new EventStoreService({
   logger
 });
 
+// Metrics
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'event-store-service' } });
+
 // Middleware
+app.use(instrumentService(metrics, { connectionPool, commandBus: eventStoreService.commandBus, queryBus: eventStoreService.queryBus, kafkaService, dualWriter }));
 app.use(helmet());
 app.use(cors());
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
+app.use(tracing());
+app.use(gatewayIdentity());
+app.use(idempotency({ connectionPool, logger }));
 
 // Routes
 app.post('/events', async (req, res) => {
@@ -349,7 +365,7 @@ app.get('/projections/:name', async (req, res) => {
 
 app.put('/projections/:name', async (req, res) => {
   try {
-    const { rebuild = false } = req.query;
+    const rebuild = req.query.rebuild === 'true';
 
     const result = await eventStoreService.updateProjection(req.params.name, rebuild);
 
@@ -720,39 +736,103 @@ app.get('/storage-metrics', async (req, res) => {
   }
 });
 
-// Health check
-app.get('/health', async (req, res) => {
+// Admin endpoints
+app.get('/admin/schema-versions', async (req, res) => {
   try {
-    const health = await eventStoreService.healthCheck();
-    res.json(health);
+    const report = await eventStoreService.getSchemaVersionReport();
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
+    logger.error('Error validating event schema versions:', error);
     res.status(500).json({
-      status: 'unhealthy',
+      success: false,
       error: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Metrics endpoint
-app.get('/metrics', async (req, res) => {
+app.get('/admin/outbox', async (req, res) => {
+  try {
+    const lag = await eventStoreService.getOutboxLag();
+
+    res.json({
+      success: true,
+      data: lag,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting outbox lag:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Sends a failed outbox message again; until then it holds back its aggregate's later events
+app.post('/admin/outbox/:id/retry', async (req, res) => {
+  try {
+    if (!(await eventStoreService.retryOutboxMessage(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'No failed outbox message with this id',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { id: req.params.id, status: 'pending' },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error retrying outbox message:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Health check
+app.get('/health', async (req, res) => {
   try {
-    const result = await eventStoreService.getEventStoreMetrics();
-    res.json(result.data);
+    const health = await eventStoreService.healthCheck();
+    res.json(health);
   } catch (error) {
     res.status(500).json({
+      status: 'unhealthy',
       error: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
+// Metrics endpoint
+app.get('/metrics', metricsHandler(metrics));
+
+// API description generated from the route table
+app.get('/openapi.json', (req, res) => {
+  res.json(describeApi({ title: 'Event Store Service', routes: eventStoreRoutes }));
+});
+
+// Register with the gateway's service registry once the service is ready
+const registryClient = new RegistryClient({ serviceName: 'eventstore', port: PORT, logger });
+
 // Initialize service
 async function initializeService() {
   try {
     await eventStoreService.initialize();
 
     logger.info(`Event Store Service started on port ${PORT}`);
+    await registryClient.start();
   } catch (error) {
     logger.error('Failed to initialize Event Store Service:', error);
     process.exit(1);
@@ -0,0 +1,307 @@
+export class ProjectionSubscriber {
+  constructor(dependencies) {
+    this.connectionPool = dependencies.connectionPool;
+    this.logger = dependencies.logger;
+    this.applyEvent = dependencies.applyEvent;
+    this.pollInterval = dependencies.pollInterval || 1000;
+    this.batchSize = dependencies.batchSize || 500;
+    this.gapTimeout = dependencies.gapTimeout || 5000;
+
+    this.subscriptions = new Map(); // name -> { processing, gap, settledPosition }
+    this.openTransactionsUnreadable = false;
+    this.intervalId = null;
+  }
+
+  async start() {
+    const rows = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute('SELECT name FROM projections');
+      return rows;
+    });
+
+    // Resume every projection from its stored checkpoint
+    for (const row of rows) {
+      await this.subscribe(row.name);
+    }
+
+    if (!this.intervalId) {
+      this.intervalId = setInterval(() => this.pollAll(), this.pollInterval);
+    }
+
+    this.logger.info(`Projection subscriber started with ${rows.length} projections`);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  async subscribe(name) {
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute(
+        `INSERT INTO projection_checkpoints (projection_name, position, status, events_processed, updated_at)
+         VALUES (?, 0, 'catching_up', 0, NOW())
+         ON DUPLICATE KEY UPDATE projection_name = projection_name`,
+        [name]
+      );
+    });
+
+    if (!this.subscriptions.has(name)) {
+      this.subscriptions.set(name, { processing: false, gap: null, settledPosition: 0 });
+    }
+  }
+
+  async pollAll() {
+    for (const name of this.subscriptions.keys()) {
+      try {
+        await this.catchUp(name);
+      } catch (error) {
+        this.logger.error(`Projection ${name} failed to catch up:`, error);
+        await this.markFailed(name, error);
+      }
+    }
+  }
+
+  // Process batches in global order until the projection reaches the head of the store
+  async catchUp(name) {
+    const subscription = this.subscriptions.get(name);
+    if (!subscription) {
+      throw new Error('Projection not found');
+    }
+    if (subscription.processing) {
+      return 0;
+    }
+
+    subscription.processing = true;
+    let total = 0;
+
+    try {
+      let processed;
+      do {
+        processed = await this.processBatch(name, subscription);
+        total += processed;
+      } while (processed === this.batchSize);
+    } finally {
+      subscription.processing = false;
+    }
+
+    return total;
+  }
+
+  async processBatch(name, subscription) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.beginTransaction();
+
+      try {
+        const [projections] = await connection.execute(
+          `SELECT p.*, c.position, c.events_processed
+           FROM projections p JOIN projection_checkpoints c ON c.projection_name = p.name
+           WHERE p.name = ? FOR UPDATE`,
+          [name]
+        );
+
+        if (projections.length === 0) {
+          throw new Error('Projection not found');
+        }
+
+        const projection = projections[0];
+        const eventTypes = JSON.parse(projection.event_types || '[]');
+        let position = Number(projection.position);
+        let state = JSON.parse(projection.state || '{}');
+
+        // Read before the events so a transaction that ends in between has its event visible below
+        const openTransactions = subscription.gap ? await this.getOpenTransactions(connection) : null;
+
+        const [events] = await connection.execute(
+          `SELECT * FROM events WHERE global_position > ? ORDER BY global_position ASC LIMIT ${parseInt(this.batchSize)}`,
+          [position]
+        );
+
+        let processed = 0;
+
+        for (const event of events) {
+          const eventPosition = Number(event.global_position);
+
+          // A missing position may belong to a transaction that has not committed yet,
+          // so wait for it before moving past it
+          if (eventPosition !== position + 1 &&
+              !(await this.canSkipGap(connection, subscription, position, eventPosition, openTransactions))) {
+            break;
+          }
+          subscription.gap = null;
+
+          if (event.aggregate_type === projection.aggregate_type &&
+              (eventTypes.length === 0 || eventTypes.includes(event.event_type))) {
+            state = this.applyEvent(state, JSON.parse(event.data), event.event_type);
+          }
+
+          position = eventPosition;
+          processed++;
+        }
+
+        if (processed > 0) {
+          // State and checkpoint move together so a restart never re-applies or skips events
+          await connection.execute(
+            'UPDATE projections SET state = ?, last_event_id = ?, updated_at = NOW() WHERE name = ?',
+            [JSON.stringify(state), events[processed - 1].id, name]
+          );
+        }
+
+        const [head] = await connection.execute('SELECT MAX(global_position) AS head FROM events');
+        const status = position >= Number(head[0].head || 0) ? 'live' : 'catching_up';
+
+        await connection.execute(
+          `UPDATE projection_checkpoints
+           SET position = ?, status = ?, events_processed = events_processed + ?, last_error = NULL,
+               last_processed_at = IF(? > 0, NOW(), last_processed_at), updated_at = NOW()
+           WHERE projection_name = ?`,
+          [position, status, processed, processed, name]
+        );
+
+        await connection.commit();
+        return processed;
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  // Positions are taken when a transaction inserts, so a rolled-back insert leaves a hole that never
+  // fills. A hole is skipped without waiting when the projection already moved past it before (a
+  // rebuild replays old holes), or when every transaction open when it was first seen has ended:
+  // the one that took the position is among them, and its event would be visible now had it
+  // committed. gapTimeout bounds the wait when open transactions cannot be read.
+  async canSkipGap(connection, subscription, position, nextPosition, openTransactions) {
+    if (nextPosition <= subscription.settledPosition) {
+      return true;
+    }
+
+    const { gap } = subscription;
+    if (!gap || gap.after !== position) {
+      subscription.gap = { after: position, since: Date.now(), transactions: await this.getOpenTransactions(connection) };
+      return false;
+    }
+
+    if (gap.transactions && openTransactions) {
+      gap.transactions = gap.transactions.filter(id => openTransactions.includes(id));
+      if (gap.transactions.length === 0) {
+        return true;
+      }
+    }
+
+    return Date.now() - gap.since >= this.gapTimeout;
+  }
+
+  // Ids of the other transactions open right now, or null when they cannot be read
+  // (information_schema.innodb_trx needs the PROCESS privilege)
+  async getOpenTransactions(connection) {
+    try {
+      const [rows] = await connection.execute(
+        'SELECT trx_id FROM information_schema.innodb_trx WHERE trx_mysql_thread_id <> CONNECTION_ID()'
+      );
+      return rows.map(row => String(row.trx_id));
+    } catch (error) {
+      if (!this.openTransactionsUnreadable) {
+        this.openTransactionsUnreadable = true;
+        this.logger.warn(`Cannot read open transactions, position gaps wait out the gap timeout: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  // Reset state and checkpoint, then replay the whole store
+  async rebuild(name) {
+    const subscription = this.subscriptions.get(name);
+    if (!subscription) {
+      throw new Error('Projection not found');
+    }
+
+    while (subscription.processing) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    subscription.processing = true;
+
+    try {
+      await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+        await connection.beginTransaction();
+
+        try {
+          const [checkpoints] = await connection.execute(
+            'SELECT position FROM projection_checkpoints WHERE projection_name = ? FOR UPDATE',
+            [name]
+          );
+          // Holes below the old checkpoint were settled on the first pass
+          if (checkpoints.length > 0) {
+            subscription.settledPosition = Math.max(subscription.settledPosition, Number(checkpoints[0].position));
+          }
+
+          await connection.execute(
+            'UPDATE projections SET state = COALESCE(initial_state, JSON_OBJECT()), last_event_id = NULL, updated_at = NOW() WHERE name = ?',
+            [name]
+          );
+          await connection.execute(
+            `UPDATE projection_checkpoints
+             SET position = 0, status = 'rebuilding', events_processed = 0, last_error = NULL, updated_at = NOW()
+             WHERE projection_name = ?`,
+            [name]
+          );
+          await connection.commit();
+        } catch (error) {
+          await connection.rollback();
+          throw error;
+        }
+      });
+
+      subscription.gap = null;
+    } finally {
+      subscription.processing = false;
+    }
+
+    const processed = await this.catchUp(name);
+    this.logger.info(`Projection ${name} rebuilt from ${processed} events`);
+
+    return { rebuilt: true, eventsProcessed: processed };
+  }
+
+  async markFailed(name, error) {
+    try {
+      await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+        await connection.execute(
+          "UPDATE projection_checkpoints SET status = 'failed', last_error = ?, updated_at = NOW() WHERE projection_name = ?",
+          [error.message, name]
+        );
+      });
+    } catch (updateError) {
+      this.logger.error(`Failed to record failure for projection ${name}:`, updateError);
+    }
+  }
+
+  async getStatus(name) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        'SELECT * FROM projection_checkpoints WHERE projection_name = ?',
+        [name]
+      );
+
+      if (rows.length === 0) return null;
+
+      const [head] = await connection.execute('SELECT MAX(global_position) AS head FROM events');
+      const checkpoint = rows[0];
+      const headPosition = Number(head[0].head || 0);
+      const position = Number(checkpoint.position);
+
+      return {
+        status: checkpoint.status,
+        checkpoint: position,
+        headPosition,
+        lag: Math.max(0, headPosition - position),
+        eventsProcessed: Number(checkpoint.events_processed),
+        lastProcessedAt: checkpoint.last_processed_at,
+        lastError: checkpoint.last_error,
+        active: this.subscriptions.has(name)
+      };
+    });
+  }
+}
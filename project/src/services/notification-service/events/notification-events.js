@@ -6,6 +6,7 @@ export class NotificationCreatedEvent {
     this.userId = data.userId;
     this.type = data.type;
     this.channel = data.channel;
+    this.subject = data.subject;
     this.priority = data.priority;
     this.scheduledAt = data.scheduledAt;
     this.metadata = data.metadata || {};
@@ -94,6 +94,7 @@ export class NotificationCommandHandler {
         userId: command.userId,
         type: command.type,
         channel: command.channel,
+        subject: command.subject,
         priority: command.priority,
         scheduledAt: command.scheduledAt,
         timestamp: new Date().toISOString()
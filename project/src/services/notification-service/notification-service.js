@@ -223,6 +223,15 @@ export class NotificationService {
       case 'PasswordChanged':
         await this.createSecurityNotification(event);
         break;
+      case 'DisputeOpened':
+        await this.createDisputeOpenedNotification(event);
+        break;
+      case 'DisputeDeadlineApproaching':
+        await this.createDisputeDeadlineNotification(event);
+        break;
+      case 'SubscriptionPaymentFailed':
+        await this.createSubscriptionPaymentFailedNotification(event);
+        break;
       default:
         // Log unknown events for monitoring
         this.logger.debug('Received unknown event type:', event.eventType);
@@ -320,6 +329,90 @@ export class NotificationService {
     await this.createNotification(notificationData);
   }
 
+  async createDisputeOpenedNotification(event) {
+    if (!event.merchantId) return;
+
+    const notificationData = {
+      userId: event.merchantId,
+      type: 'email',
+      channel: 'email',
+      subject: 'Payment Disputed',
+      message: `A payment of ${event.amount} ${event.currency} was disputed (${event.reason || 'no reason given'}). Submit evidence by ${new Date(event.evidenceDueBy).toLocaleDateString()}.`,
+      templateId: 'dispute-opened',
+      templateData: {
+        amount: event.amount,
+        currency: event.currency,
+        reason: event.reason,
+        evidenceDueBy: event.evidenceDueBy,
+        paymentId: event.paymentId
+      },
+      priority: 'high',
+      metadata: {
+        disputeId: event.disputeId,
+        paymentId: event.paymentId
+      }
+    };
+
+    await this.createNotification(notificationData);
+  }
+
+  async createDisputeDeadlineNotification(event) {
+    if (!event.merchantId) return;
+
+    const notificationData = {
+      userId: event.merchantId,
+      type: 'email',
+      channel: 'email',
+      subject: 'Dispute Evidence Due Soon',
+      message: `Evidence for the disputed payment of ${event.amount} ${event.currency} is due by ${new Date(event.evidenceDueBy).toLocaleString()}.`,
+      templateId: 'dispute-deadline',
+      templateData: {
+        amount: event.amount,
+        currency: event.currency,
+        evidenceDueBy: event.evidenceDueBy,
+        paymentId: event.paymentId
+      },
+      priority: 'urgent',
+      metadata: {
+        disputeId: event.disputeId,
+        paymentId: event.paymentId
+      }
+    };
+
+    await this.createNotification(notificationData);
+  }
+
+  // Dunning notice; the last one, sent when no retry is left and the subscription is cancelled, is urgent
+  async createSubscriptionPaymentFailedNotification(event) {
+    const retrying = Boolean(event.nextAttemptAt);
+
+    const notificationData = {
+      userId: event.customerId,
+      type: 'email',
+      channel: 'email',
+      subject: retrying ? 'Subscription Payment Failed' : 'Subscription Payment Failed - Final Notice',
+      message: retrying
+        ? `We could not charge ${event.amount} ${event.currency} for your subscription (${event.failureReason}). We will try again on ${new Date(event.nextAttemptAt).toLocaleDateString()}; please update your payment method before then.`
+        : `We could not charge ${event.amount} ${event.currency} for your subscription after ${event.attempt} attempts (${event.failureReason}). Your subscription has been cancelled.`,
+      templateId: retrying ? 'subscription-payment-failed' : 'subscription-payment-final-notice',
+      templateData: {
+        amount: event.amount,
+        currency: event.currency,
+        attempt: event.attempt,
+        failureReason: event.failureReason,
+        nextAttemptAt: event.nextAttemptAt
+      },
+      priority: retrying ? 'high' : 'urgent',
+      metadata: {
+        subscriptionId: event.subscriptionId,
+        invoiceId: event.invoiceId,
+        paymentId: event.paymentId
+      }
+    };
+
+    await this.createNotification(notificationData);
+  }
+
   async createSecurityNotification(event) {
     const notificationData = {
       userId: event.aggregateId,
@@ -0,0 +1,14 @@
+export const notificationRoutes = {
+  sendNotification: { method: 'post', path: '/notifications', summary: 'Send a notification', status: 201 },
+  getNotification: { method: 'get', path: '/notifications/:id', summary: 'Get a notification' },
+  listUserNotifications: { method: 'get', path: '/notifications/user/:userId', summary: 'Notifications for a user' },
+  updateNotificationStatus: { method: 'put', path: '/notifications/:id/status', summary: 'Update a notification\'s status' },
+  sendBulkNotifications: { method: 'post', path: '/notifications/bulk', summary: 'Send several notifications', status: 201 },
+  getPreferences: { method: 'get', path: '/users/:userId/preferences', summary: 'A user\'s notification preferences' },
+  updatePreferences: { method: 'put', path: '/users/:userId/preferences', summary: 'Update a user\'s notification preferences' },
+  getStatistics: { method: 'get', path: '/notifications/statistics', summary: 'Delivery statistics' },
+  listTemplates: { method: 'get', path: '/templates', summary: 'List notification templates' },
+  listFailedNotifications: { method: 'get', path: '/notifications/failed', summary: 'List failed notifications' },
+  retryFailedNotifications: { method: 'post', path: '/notifications/retry', summary: 'Retry failed notifications' },
+  retryNotification: { method: 'post', path: '/notifications/:id/retry', summary: 'Retry one notification' }
+};
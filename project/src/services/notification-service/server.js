@@ -3,7 +3,16 @@ import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
 import { NotificationService } from './notification-service.js';
+import { notificationRoutes } from './schemas/notification-schemas.js';
+import { describeApi } from '../../shared/validation/schema-description.js';
 import DatabaseConnectionPool from '../../shared/database/connection-pool.js';
+import { idempotency } from '../../shared/middleware/idempotency.js';
+import { gatewayIdentity } from '../../shared/security/gateway-identity.js';
+import { actsFor, requireIdentity } from '../../shared/security/ownership.js';
+import { tracing, traceFormat } from '../../shared/tracing/trace-context.js';
+import MetricsRegistry from '../../shared/metrics/metrics-registry.js';
+import { instrumentService, metricsHandler } from '../../shared/metrics/instrumentation.js';
+import { RegistryClient } from '../../shared/discovery/registry-client.js';
 import DualDatabaseWriter from '../../shared/database/dual-writer.js';
 import { KafkaService } from '../../shared/messaging/kafka-service.js';
 import EventStore from '../../shared/event-sourcing/event-store.js';
@@ -22,6 +31,7 @@ const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
+    traceFormat(),
     winston.format.json()
   ),
   transports: [
@@ -39,7 +49,7 @@ const commandBus = new CommandBus();
 const queryBus = new QueryBus();
 
 // Initialize notification providers
-const emailTransporter = nodemailer.createTransporter({
+const emailTransporter = nodemailer.createTransport({
   host: process.env.SMTP_HOST || 'smtp.gmail.com',
   port: process.env.SMTP_PORT || 587,
   secure: false,
@@ -49,10 +59,10 @@ const emailTransporter = nodemailer.createTransporter({
   }
 });
 
-const twilioClient = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+// The Twilio client throws without credentials, so SMS is only set up when they are configured
+const twilioClient = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN
+  ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
+  : null;
 
 // Initialize Firebase Admin SDK for push notifications
 if (process.env.FIREBASE_SERVICE_ACCOUNT_KEY) {
@@ -74,13 +84,34 @@ const notificationService = new NotificationService({
   logger
 });
 
+// Metrics
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'notification-service' } });
+
 // Middleware
+app.use(instrumentService(metrics, { connectionPool, commandBus, queryBus, kafkaService, dualWriter }));
 app.use(helmet());
 app.use(cors());
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
+app.use(tracing());
+app.use(gatewayIdentity());
+app.use(idempotency({ connectionPool, logger }));
+
+// Users only reach their own notifications and preferences; admins and services reach everyone's
+const requireSameUser = (req, res, next) => {
+  if (actsFor(req.identity, req.params.userId)) {
+    return next();
+  }
+  res.status(403).json({
+    success: false,
+    error: 'Only available for yourself',
+    timestamp: new Date().toISOString()
+  });
+};
 
 // Routes
+app.use(['/notifications', '/users'], requireIdentity());
+
 app.post('/notifications', async (req, res) => {
   try {
     const result = await notificationService.createNotification(req.body);
@@ -102,7 +133,7 @@ app.post('/notifications', async (req, res) => {
 app.get('/notifications/:id', async (req, res) => {
   try {
     const notification = await notificationService.getNotification(req.params.id);
-    if (!notification) {
+    if (!notification || !actsFor(req.identity, notification.userId)) {
       return res.status(404).json({
         success: false,
         error: 'Notification not found',
@@ -125,7 +156,7 @@ app.get('/notifications/:id', async (req, res) => {
   }
 });
 
-app.get('/notifications/user/:userId', async (req, res) => {
+app.get('/notifications/user/:userId', requireSameUser, async (req, res) => {
   try {
     const { page = 1, limit = 20, type, channel, status } = req.query;
     const result = await notificationService.getNotifications({
@@ -197,7 +228,7 @@ app.post('/notifications/bulk', async (req, res) => {
 });
 
 // User preferences routes
-app.get('/users/:userId/preferences', async (req, res) => {
+app.get('/users/:userId/preferences', requireSameUser, async (req, res) => {
   try {
     const preferences = await notificationService.getUserPreferences(req.params.userId);
     res.json({
@@ -215,7 +246,7 @@ app.get('/users/:userId/preferences', async (req, res) => {
   }
 });
 
-app.put('/users/:userId/preferences', async (req, res) => {
+app.put('/users/:userId/preferences', requireSameUser, async (req, res) => {
   try {
     const result = await notificationService.updateUserPreferences(
       req.params.userId,
@@ -379,14 +410,11 @@ app.get('/health', (req, res) => {
 });
 
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
-  res.json({
-    service: 'notification-service',
-    timestamp: new Date().toISOString(),
-    database: connectionPool.getStats(),
-    dualWriter: dualWriter.getStats(),
-    kafka: kafkaService.getStats ? kafkaService.getStats() : 'unknown'
-  });
+app.get('/metrics', metricsHandler(metrics));
+
+// API description generated from the route table
+app.get('/openapi.json', (req, res) => {
+  res.json(describeApi({ title: 'Notification Service', routes: notificationRoutes }));
 });
 
 // Notification processing functions
@@ -452,6 +480,10 @@ async function sendSMS(notification) {
       throw new Error('User phone not found');
     }
 
+    if (!twilioClient) {
+      throw new Error('SMS is not configured');
+    }
+
     const message = await twilioClient.messages.create({
       body: notification.message,
       from: process.env.TWILIO_PHONE_NUMBER,
@@ -614,6 +646,9 @@ async function processScheduledNotifications() {
 // Start scheduled notification processor
 setInterval(processScheduledNotifications, 60000); // Check every minute
 
+// Register with the gateway's service registry once the service is ready
+const registryClient = new RegistryClient({ serviceName: 'notification', port: PORT, logger });
+
 // Initialize service
 async function initializeService() {
   try {
@@ -625,6 +660,7 @@ async function initializeService() {
     await createDefaultTemplates();
 
     logger.info(`Notification Service started on port ${PORT}`);
+    await registryClient.start();
   } catch (error) {
     logger.error('Failed to initialize Notification Service:', error);
     process.exit(1);
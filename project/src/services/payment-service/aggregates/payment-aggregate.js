@@ -0,0 +1,102 @@
+import AggregateRoot from '../../../shared/event-sourcing/aggregate-root.js';
+import { PaymentStatusChangedEvent } from '../events/payment-events.js';
+import { assertTransition } from '../state/payment-state-machine.js';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+export class PaymentAggregate extends AggregateRoot {
+  get status() {
+    return this.state.status;
+  }
+
+  // Authorized but not yet captured
+  get capturableAmount() {
+    return roundAmount((this.state.authorizedAmount || 0) - (this.state.capturedAmount || 0));
+  }
+
+  // Captured but not yet refunded
+  get refundableAmount() {
+    return roundAmount((this.state.capturedAmount || 0) - (this.state.refundedAmount || 0));
+  }
+
+  // Records the events that explain a status change followed by the change itself,
+  // or throws PaymentStateError without recording anything
+  transitionTo(toStatus, reason, events = []) {
+    const fromStatus = this.status;
+    assertTransition(this.id, fromStatus, toStatus);
+
+    events.forEach(event => this.apply(event));
+    return this.apply(new PaymentStatusChangedEvent({
+      paymentId: this.id,
+      fromStatus,
+      toStatus,
+      reason,
+      timestamp: new Date().toISOString()
+    }));
+  }
+
+  onPaymentInitiated(event) {
+    this.state = {
+      paymentId: event.paymentId,
+      customerId: event.customerId,
+      amount: event.amount,
+      currency: event.currency,
+      status: 'created',
+      authorizedAmount: 0,
+      capturedAmount: 0,
+      refundedAmount: 0,
+      authorizationExpiresAt: null,
+      createdAt: event.timestamp,
+      updatedAt: event.timestamp
+    };
+  }
+
+  onPaymentStatusChanged(event) {
+    this.state = { ...this.state, status: event.toStatus, updatedAt: event.timestamp };
+  }
+
+  onPaymentActionRequired(event) {
+    this.state = { ...this.state, authorizationExpiresAt: event.expiresAt || null };
+  }
+
+  onPaymentAuthorized(event) {
+    this.state = {
+      ...this.state,
+      authorizedAmount: event.amount,
+      authorizationExpiresAt: event.expiresAt || null
+    };
+  }
+
+  // Authorized and captured in one step
+  onPaymentCompleted(event) {
+    this.state = {
+      ...this.state,
+      authorizedAmount: event.amount,
+      capturedAmount: event.amount,
+      authorizationExpiresAt: null
+    };
+  }
+
+  onPaymentCaptured(event) {
+    const fullyCaptured = event.capturedAmount >= this.state.authorizedAmount;
+    this.state = {
+      ...this.state,
+      capturedAmount: event.capturedAmount,
+      authorizationExpiresAt: fullyCaptured ? null : this.state.authorizationExpiresAt
+    };
+  }
+
+  // Nothing beyond what was captured can be captured any more
+  onPaymentVoided(event) {
+    this.state = {
+      ...this.state,
+      authorizedAmount: this.state.capturedAmount || 0,
+      authorizationExpiresAt: null,
+      voidReason: event.reason
+    };
+  }
+
+  onPaymentRefunded(event) {
+    this.state = { ...this.state, refundedAmount: roundAmount(this.state.refundedAmount + event.refundAmount) };
+  }
+}
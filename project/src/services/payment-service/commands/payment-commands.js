@@ -1,3 +1,22 @@
+import { assertValid } from '../../../shared/validation/request-validation.js';
+import {
+  acceptDisputeCommand,
+  cancelSubscriptionCommand,
+  capturePaymentCommand,
+  changeSubscriptionPlanCommand,
+  createSubscriptionCommand,
+  openDisputeCommand,
+  pauseSubscriptionCommand,
+  processPaymentCommand,
+  refundPaymentCommand,
+  resolveDisputeCommand,
+  resumeSubscriptionCommand,
+  submitDisputeEvidenceCommand,
+  updatePaymentStatusCommand,
+  updateSubscriptionPaymentMethodCommand,
+  voidPaymentCommand
+} from '../schemas/payment-schemas.js';
+
 export class ProcessPaymentCommand {
   constructor(data) {
     this.id = data.id;
@@ -13,27 +32,7 @@ export class ProcessPaymentCommand {
   }
 
   validate() {
-    const errors = [];
-
-    if (!this.id) errors.push('Payment ID is required');
-    if (!this.amount || this.amount <= 0) errors.push('Valid amount is required');
-    if (!this.currency) errors.push('Currency is required');
-    if (!this.paymentMethod) errors.push('Payment method is required');
-    if (!this.customerId) errors.push('Customer ID is required');
-
-    const validCurrencies = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'];
-    const validPaymentMethods = ['credit_card', 'debit_card', 'bank_transfer', 'paypal', 'apple_pay', 'google_pay'];
-
-    if (!validCurrencies.includes(this.currency.toUpperCase())) {
-      errors.push('Invalid currency');
-    }
-    if (!validPaymentMethods.includes(this.paymentMethod)) {
-      errors.push('Invalid payment method');
-    }
-
-    if (errors.length > 0) {
-      throw new Error(`Validation errors: ${errors.join(', ')}`);
-    }
+    assertValid(processPaymentCommand, this);
   }
 }
 
@@ -45,14 +44,19 @@ export class CapturePaymentCommand {
   }
 
   validate() {
-    const errors = [];
+    assertValid(capturePaymentCommand, this);
+  }
+}
 
-    if (!this.paymentId) errors.push('Payment ID is required');
-    if (this.amount && this.amount <= 0) errors.push('Valid capture amount is required');
+export class VoidPaymentCommand {
+  constructor(data) {
+    this.paymentId = data.paymentId;
+    this.reason = data.reason;
+    this.updatedAt = data.updatedAt;
+  }
 
-    if (errors.length > 0) {
-      throw new Error(`Validation errors: ${errors.join(', ')}`);
-    }
+  validate() {
+    assertValid(voidPaymentCommand, this);
   }
 }
 
@@ -67,16 +71,7 @@ export class RefundPaymentCommand {
   }
 
   validate() {
-    const errors = [];
-
-    if (!this.paymentId) errors.push('Payment ID is required');
-    if (!this.refundId) errors.push('Refund ID is required');
-    if (!this.amount || this.amount <= 0) errors.push('Valid refund amount is required');
-    if (!this.reason) errors.push('Refund reason is required');
-
-    if (errors.length > 0) {
-      throw new Error(`Validation errors: ${errors.join(', ')}`);
-    }
+    assertValid(refundPaymentCommand, this);
   }
 }
 
@@ -90,20 +85,7 @@ export class UpdatePaymentStatusCommand {
   }
 
   validate() {
-    const errors = [];
-    const validStatuses = ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded', 'partially_refunded'];
-
-    if (!this.paymentId) errors.push('Payment ID is required');
-    if (!this.status) errors.push('Status is required');
-    if (!validStatuses.includes(this.status)) errors.push('Invalid status');
-
-    if (this.status === 'failed' && !this.failureReason) {
-      errors.push('Failure reason is required when status is failed');
-    }
-
-    if (errors.length > 0) {
-      throw new Error(`Validation errors: ${errors.join(', ')}`);
-    }
+    assertValid(updatePaymentStatusCommand, this);
   }
 }
 
@@ -141,6 +123,8 @@ export class CreateSubscriptionCommand {
   constructor(data) {
     this.id = data.id;
     this.customerId = data.customerId;
+    this.planId = data.planId;
+    this.paymentMethod = data.paymentMethod || 'credit_card';
     this.paymentMethodId = data.paymentMethodId;
     this.amount = data.amount;
     this.currency = data.currency || 'USD';
@@ -149,33 +133,133 @@ export class CreateSubscriptionCommand {
     this.description = data.description;
     this.metadata = data.metadata || {};
     this.startDate = data.startDate;
-    this.endDate = data.endDate;
     this.createdAt = data.createdAt;
   }
 
   validate() {
-    const errors = [];
-    const validIntervals = ['day', 'week', 'month', 'year'];
+    assertValid(createSubscriptionCommand, this);
+  }
+}
 
-    if (!this.id) errors.push('Subscription ID is required');
-    if (!this.customerId) errors.push('Customer ID is required');
-    if (!this.paymentMethodId) errors.push('Payment method ID is required');
-    if (!this.amount || this.amount <= 0) errors.push('Valid amount is required');
-    if (!this.interval) errors.push('Billing interval is required');
+export class OpenDisputeCommand {
+  constructor(data) {
+    this.id = data.id;
+    this.paymentId = data.paymentId;
+    this.gateway = data.gateway;
+    this.gatewayDisputeId = data.gatewayDisputeId;
+    this.amount = data.amount;
+    this.currency = data.currency;
+    this.reason = data.reason;
+    this.evidenceDueBy = data.evidenceDueBy; // Set by the gateway; the default response window otherwise
+    this.createdAt = data.createdAt;
+  }
 
-    if (!validIntervals.includes(this.interval)) {
-      errors.push('Invalid billing interval');
-    }
-    if (this.intervalCount < 1) {
-      errors.push('Interval count must be at least 1');
-    }
+  validate() {
+    assertValid(openDisputeCommand, this);
+  }
+}
 
-    if (this.startDate && new Date(this.startDate) <= new Date()) {
-      errors.push('Start date must be in the future');
-    }
+export class SubmitDisputeEvidenceCommand {
+  constructor(data) {
+    this.disputeId = data.disputeId;
+    this.evidenceId = data.evidenceId;
+    this.evidence = data.evidence || {};
+    this.documents = data.documents || []; // [{ filename, contentType, content (base64) }]
+    this.submit = data.submit === true; // Saved as a draft unless submitted
+    this.submittedBy = data.submittedBy;
+    this.createdAt = data.createdAt;
+  }
 
-    if (errors.length > 0) {
-      throw new Error(`Validation errors: ${errors.join(', ')}`);
-    }
+  validate() {
+    assertValid(submitDisputeEvidenceCommand, this);
   }
-}
\ No newline at end of file
+}
+
+export class AcceptDisputeCommand {
+  constructor(data) {
+    this.disputeId = data.disputeId;
+    this.acceptedBy = data.acceptedBy;
+    this.updatedAt = data.updatedAt;
+  }
+
+  validate() {
+    assertValid(acceptDisputeCommand, this);
+  }
+}
+
+export class ResolveDisputeCommand {
+  constructor(data) {
+    this.disputeId = data.disputeId;
+    this.outcome = data.outcome; // won, lost
+    this.updatedAt = data.updatedAt;
+  }
+
+  validate() {
+    assertValid(resolveDisputeCommand, this);
+  }
+}
+
+export class ChangeSubscriptionPlanCommand {
+  constructor(data) {
+    this.subscriptionId = data.subscriptionId;
+    this.planId = data.planId;
+    this.amount = data.amount;
+    this.interval = data.interval;
+    this.intervalCount = data.intervalCount || 1;
+    this.prorate = data.prorate !== false; // Prorated by default
+    this.updatedAt = data.updatedAt;
+  }
+
+  validate() {
+    assertValid(changeSubscriptionPlanCommand, this);
+  }
+}
+
+export class PauseSubscriptionCommand {
+  constructor(data) {
+    this.subscriptionId = data.subscriptionId;
+    this.resumeAt = data.resumeAt; // Paused until resumed by hand when omitted
+    this.updatedAt = data.updatedAt;
+  }
+
+  validate() {
+    assertValid(pauseSubscriptionCommand, this);
+  }
+}
+
+export class ResumeSubscriptionCommand {
+  constructor(data) {
+    this.subscriptionId = data.subscriptionId;
+    this.updatedAt = data.updatedAt;
+  }
+
+  validate() {
+    assertValid(resumeSubscriptionCommand, this);
+  }
+}
+
+export class CancelSubscriptionCommand {
+  constructor(data) {
+    this.subscriptionId = data.subscriptionId;
+    this.atPeriodEnd = data.atPeriodEnd !== false; // At the end of the paid period by default
+    this.reason = data.reason;
+    this.updatedAt = data.updatedAt;
+  }
+
+  validate() {
+    assertValid(cancelSubscriptionCommand, this);
+  }
+}
+
+export class UpdateSubscriptionPaymentMethodCommand {
+  constructor(data) {
+    this.subscriptionId = data.subscriptionId;
+    this.paymentMethod = data.paymentMethod;
+    this.paymentMethodId = data.paymentMethodId;
+    this.updatedAt = data.updatedAt;
+  }
+
+  validate() {
+    assertValid(updateSubscriptionPaymentMethodCommand, this);
+  }
+}
@@ -0,0 +1,289 @@
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const toDispute = (row) => ({
+  id: row.id,
+  paymentId: row.payment_id,
+  merchantId: row.merchant_id,
+  gateway: row.gateway,
+  gatewayDisputeId: row.gateway_dispute_id,
+  reason: row.reason,
+  amount: parseFloat(row.amount),
+  currency: row.currency,
+  status: row.status,
+  evidenceDueBy: row.evidence_due_by,
+  deadlineRemindedAt: row.deadline_reminded_at,
+  resolvedAt: row.resolved_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const toDocument = (row) => ({
+  id: row.id,
+  disputeId: row.dispute_id,
+  evidenceId: row.evidence_id,
+  filename: row.filename,
+  contentType: row.content_type,
+  size: row.size,
+  sha256: row.sha256,
+  createdAt: row.created_at
+});
+
+// Documents are listed without their content, which is only read when one is downloaded
+const withoutContent = ({ content, ...document }) => document;
+
+export class MySQLDisputeStore {
+  constructor(connectionPool) {
+    this.connectionPool = connectionPool;
+  }
+
+  async get(id) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute('SELECT * FROM disputes WHERE id = ?', [id]);
+      return rows.length > 0 ? toDispute(rows[0]) : null;
+    });
+  }
+
+  async getByGatewayId(gateway, gatewayDisputeId) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        'SELECT * FROM disputes WHERE gateway = ? AND gateway_dispute_id = ?',
+        [gateway, gatewayDisputeId]
+      );
+      return rows.length > 0 ? toDispute(rows[0]) : null;
+    });
+  }
+
+  // Returns false when the gateway's dispute was already recorded
+  async create(dispute) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      try {
+        await connection.execute(
+          `INSERT INTO disputes
+           (id, payment_id, merchant_id, gateway, gateway_dispute_id, reason, amount, currency, status, evidence_due_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            dispute.id,
+            dispute.paymentId,
+            dispute.merchantId || null,
+            dispute.gateway,
+            dispute.gatewayDisputeId,
+            dispute.reason || null,
+            dispute.amount,
+            dispute.currency || null,
+            dispute.status,
+            dispute.evidenceDueBy ? new Date(dispute.evidenceDueBy) : null
+          ]
+        );
+        return true;
+      } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return false;
+        throw error;
+      }
+    });
+  }
+
+  // Compare-and-set on the status so a webhook and a merchant acting at once cannot both win
+  async transition(id, fromStatus, changes) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [result] = await connection.execute(
+        'UPDATE disputes SET status = ?, resolved_at = ? WHERE id = ? AND status = ?',
+        [changes.status, changes.resolvedAt ? new Date(changes.resolvedAt) : null, id, fromStatus]
+      );
+      return result.affectedRows > 0;
+    });
+  }
+
+  async markReminded(id, remindedAt) {
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute(
+        'UPDATE disputes SET deadline_reminded_at = ? WHERE id = ?',
+        [new Date(remindedAt), id]
+      );
+    });
+  }
+
+  async addEvidence(submission, documents = []) {
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute(
+        `INSERT INTO dispute_evidence (id, dispute_id, evidence, document_ids, submitted, submitted_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          submission.id,
+          submission.disputeId,
+          JSON.stringify(submission.evidence || {}),
+          JSON.stringify(documents.map(document => document.id)),
+          submission.submitted,
+          submission.submittedBy || null
+        ]
+      );
+
+      for (const document of documents) {
+        await connection.execute(
+          `INSERT INTO dispute_documents (id, dispute_id, evidence_id, filename, content_type, size, sha256, content)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            document.id,
+            submission.disputeId,
+            submission.id,
+            document.filename,
+            document.contentType,
+            document.size,
+            document.sha256,
+            document.content
+          ]
+        );
+      }
+    });
+  }
+
+  async listEvidence(disputeId) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        'SELECT * FROM dispute_evidence WHERE dispute_id = ? ORDER BY created_at ASC',
+        [disputeId]
+      );
+      const [documentRows] = await connection.execute(
+        `SELECT id, dispute_id, evidence_id, filename, content_type, size, sha256, created_at
+         FROM dispute_documents WHERE dispute_id = ?`,
+        [disputeId]
+      );
+      const documents = documentRows.map(toDocument);
+
+      return rows.map(row => ({
+        id: row.id,
+        disputeId: row.dispute_id,
+        evidence: parseJson(row.evidence, {}),
+        documents: documents.filter(document => document.evidenceId === row.id),
+        submitted: Boolean(row.submitted),
+        submittedBy: row.submitted_by,
+        createdAt: row.created_at
+      }));
+    });
+  }
+
+  async getDocument(disputeId, documentId) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        'SELECT * FROM dispute_documents WHERE dispute_id = ? AND id = ?',
+        [disputeId, documentId]
+      );
+      return rows.length > 0 ? { ...toDocument(rows[0]), content: rows[0].content } : null;
+    });
+  }
+
+  // Disputes still waiting on evidence whose deadline falls in (now, until] and nobody was reminded of
+  async findApproachingDeadlines(now, until) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT * FROM disputes
+         WHERE status = 'needs_response' AND deadline_reminded_at IS NULL
+         AND evidence_due_by > ? AND evidence_due_by <= ?`,
+        [now, until]
+      );
+      return rows.map(toDispute);
+    });
+  }
+}
+
+export class InMemoryDisputeStore {
+  constructor() {
+    this.disputes = new Map();
+    this.evidence = [];
+    this.documents = new Map();
+  }
+
+  async get(id) {
+    const dispute = this.disputes.get(id);
+    return dispute ? { ...dispute } : null;
+  }
+
+  async getByGatewayId(gateway, gatewayDisputeId) {
+    const dispute = Array.from(this.disputes.values())
+      .find(candidate => candidate.gateway === gateway && candidate.gatewayDisputeId === gatewayDisputeId);
+    return dispute ? { ...dispute } : null;
+  }
+
+  async create(dispute) {
+    if (await this.getByGatewayId(dispute.gateway, dispute.gatewayDisputeId)) {
+      return false;
+    }
+
+    const now = new Date();
+    this.disputes.set(dispute.id, {
+      merchantId: null,
+      deadlineRemindedAt: null,
+      resolvedAt: null,
+      ...dispute,
+      evidenceDueBy: dispute.evidenceDueBy ? new Date(dispute.evidenceDueBy) : null,
+      createdAt: now,
+      updatedAt: now
+    });
+    return true;
+  }
+
+  async transition(id, fromStatus, changes) {
+    const dispute = this.disputes.get(id);
+    if (!dispute || dispute.status !== fromStatus) {
+      return false;
+    }
+
+    Object.assign(dispute, {
+      status: changes.status,
+      resolvedAt: changes.resolvedAt ? new Date(changes.resolvedAt) : null,
+      updatedAt: new Date()
+    });
+    return true;
+  }
+
+  async markReminded(id, remindedAt) {
+    const dispute = this.disputes.get(id);
+    if (dispute) {
+      dispute.deadlineRemindedAt = new Date(remindedAt);
+    }
+  }
+
+  async addEvidence(submission, documents = []) {
+    this.evidence.push({
+      ...submission,
+      documentIds: documents.map(document => document.id),
+      createdAt: new Date()
+    });
+    documents.forEach(document => this.documents.set(document.id, {
+      ...document,
+      disputeId: submission.disputeId,
+      evidenceId: submission.id,
+      createdAt: new Date()
+    }));
+  }
+
+  async listEvidence(disputeId) {
+    return this.evidence
+      .filter(submission => submission.disputeId === disputeId)
+      .map(({ documentIds, ...submission }) => ({
+        ...submission,
+        documents: documentIds.map(documentId => withoutContent(this.documents.get(documentId)))
+      }));
+  }
+
+  async getDocument(disputeId, documentId) {
+    const document = this.documents.get(documentId);
+    return document && document.disputeId === disputeId ? { ...document } : null;
+  }
+
+  async findApproachingDeadlines(now, until) {
+    return Array.from(this.disputes.values())
+      .filter(dispute => dispute.status === 'needs_response' && !dispute.deadlineRemindedAt)
+      .filter(dispute => dispute.evidenceDueBy > now && dispute.evidenceDueBy <= until)
+      .map(dispute => ({ ...dispute }));
+  }
+}
+
+// The in-memory connection pool has no real tables, so tests keep disputes in process memory
+export function createDisputeStore(connectionPool) {
+  return connectionPool && !connectionPool.isTest
+    ? new MySQLDisputeStore(connectionPool)
+    : new InMemoryDisputeStore();
+}
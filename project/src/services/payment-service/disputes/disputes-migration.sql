@@ -0,0 +1,55 @@
+-- Payment Disputes Database Migration
+-- This script creates the tables the payment-service uses to work chargebacks and disputes
+
+-- Create disputes table (one row per gateway dispute)
+CREATE TABLE IF NOT EXISTS disputes (
+  id VARCHAR(36) PRIMARY KEY,
+  payment_id VARCHAR(36) NOT NULL,
+  merchant_id VARCHAR(36) NULL,
+  gateway VARCHAR(50) NOT NULL,
+  gateway_dispute_id VARCHAR(255) NOT NULL,
+  reason VARCHAR(255),
+  amount DECIMAL(15,2) NOT NULL,
+  currency VARCHAR(3),
+  status ENUM('needs_response', 'under_review', 'won', 'lost', 'accepted') NOT NULL DEFAULT 'needs_response',
+  evidence_due_by TIMESTAMP NULL,
+  deadline_reminded_at TIMESTAMP NULL,
+  resolved_at TIMESTAMP NULL,
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+  UNIQUE KEY unique_gateway_dispute (gateway, gateway_dispute_id),
+  INDEX idx_payment_id (payment_id),
+  INDEX idx_merchant_id (merchant_id),
+  INDEX idx_status_due (status, evidence_due_by),
+  INDEX idx_created_at (created_at)
+);
+
+-- Create dispute_evidence table (one row per saved or submitted set of evidence)
+CREATE TABLE IF NOT EXISTS dispute_evidence (
+  id VARCHAR(36) PRIMARY KEY,
+  dispute_id VARCHAR(36) NOT NULL,
+  evidence JSON,
+  document_ids JSON,
+  submitted BOOLEAN NOT NULL DEFAULT FALSE,
+  submitted_by VARCHAR(255),
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  FOREIGN KEY (dispute_id) REFERENCES disputes(id) ON DELETE CASCADE,
+  INDEX idx_dispute_id (dispute_id)
+);
+
+-- Create dispute_documents table (files attached to evidence: receipts, shipping proof, correspondence)
+CREATE TABLE IF NOT EXISTS dispute_documents (
+  id VARCHAR(36) PRIMARY KEY,
+  dispute_id VARCHAR(36) NOT NULL,
+  evidence_id VARCHAR(36) NOT NULL,
+  filename VARCHAR(255) NOT NULL,
+  content_type VARCHAR(100) NOT NULL,
+  size INT NOT NULL,
+  sha256 CHAR(64) NOT NULL,
+  content MEDIUMBLOB NOT NULL,
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  FOREIGN KEY (dispute_id) REFERENCES disputes(id) ON DELETE CASCADE,
+  FOREIGN KEY (evidence_id) REFERENCES dispute_evidence(id) ON DELETE CASCADE,
+  INDEX idx_dispute_id (dispute_id),
+  INDEX idx_evidence_id (evidence_id)
+);
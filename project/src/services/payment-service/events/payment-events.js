@@ -26,6 +26,82 @@ export class PaymentProcessingEvent {
   }
 }
 
+export class PaymentActionRequiredEvent {
+  constructor(data) {
+    this.eventType = 'PaymentActionRequired';
+    this.aggregateId = data.paymentId;
+    this.paymentId = data.paymentId;
+    this.gateway = data.gateway;
+    this.gatewayTransactionId = data.gatewayTransactionId;
+    this.nextAction = data.nextAction; // e.g. { type: 'three_d_secure', url }
+    this.expiresAt = data.expiresAt; // The payment is voided if the action is not completed by then
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+export class PaymentAuthorizedEvent {
+  constructor(data) {
+    this.eventType = 'PaymentAuthorized';
+    this.aggregateId = data.paymentId;
+    this.paymentId = data.paymentId;
+    this.gateway = data.gateway;
+    this.gatewayTransactionId = data.gatewayTransactionId;
+    this.amount = data.amount;
+    this.currency = data.currency;
+    this.expiresAt = data.expiresAt; // The authorization is voided if not captured by then
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+// One per state machine transition; together they are the payment's status history
+export class PaymentStatusChangedEvent {
+  constructor(data) {
+    this.eventType = 'PaymentStatusChanged';
+    this.aggregateId = data.paymentId;
+    this.paymentId = data.paymentId;
+    this.fromStatus = data.fromStatus;
+    this.toStatus = data.toStatus;
+    this.reason = data.reason;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+export class PaymentCapturedEvent {
+  constructor(data) {
+    this.eventType = 'PaymentCaptured';
+    this.aggregateId = data.paymentId;
+    this.paymentId = data.paymentId;
+    this.gatewayTransactionId = data.gatewayTransactionId;
+    this.amount = data.amount; // Captured by this capture
+    this.capturedAmount = data.capturedAmount; // Captured in total
+    this.currency = data.currency;
+    this.fee = data.fee || 0;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+export class PaymentVoidedEvent {
+  constructor(data) {
+    this.eventType = 'PaymentVoided';
+    this.aggregateId = data.paymentId;
+    this.paymentId = data.paymentId;
+    this.gatewayTransactionId = data.gatewayTransactionId;
+    this.releasedAmount = data.releasedAmount; // Authorized but never captured
+    this.reason = data.reason; // requested, authorization_expired
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
 export class PaymentCompletedEvent {
   constructor(data) {
     this.eventType = 'PaymentCompleted';
@@ -98,11 +174,32 @@ export class SubscriptionCreatedEvent {
   }
 }
 
+export class SubscriptionInvoiceCreatedEvent {
+  constructor(data) {
+    this.eventType = 'SubscriptionInvoiceCreated';
+    this.aggregateId = data.subscriptionId;
+    this.subscriptionId = data.subscriptionId;
+    this.customerId = data.customerId;
+    this.invoiceId = data.invoiceId;
+    this.invoiceType = data.invoiceType; // renewal, proration
+    this.amount = data.amount;
+    this.creditApplied = data.creditApplied;
+    this.currency = data.currency;
+    this.periodStart = data.periodStart;
+    this.periodEnd = data.periodEnd;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
 export class SubscriptionPaymentEvent {
   constructor(data) {
     this.eventType = 'SubscriptionPayment';
     this.aggregateId = data.subscriptionId;
     this.subscriptionId = data.subscriptionId;
+    this.customerId = data.customerId;
+    this.invoiceId = data.invoiceId;
     this.paymentId = data.paymentId;
     this.amount = data.amount;
     this.currency = data.currency;
@@ -113,6 +210,93 @@ export class SubscriptionPaymentEvent {
   }
 }
 
+export class SubscriptionPaymentFailedEvent {
+  constructor(data) {
+    this.eventType = 'SubscriptionPaymentFailed';
+    this.aggregateId = data.subscriptionId;
+    this.subscriptionId = data.subscriptionId;
+    this.customerId = data.customerId;
+    this.invoiceId = data.invoiceId;
+    this.paymentId = data.paymentId;
+    this.amount = data.amount;
+    this.currency = data.currency;
+    this.attempt = data.attempt;
+    this.failureReason = data.failureReason;
+    this.nextAttemptAt = data.nextAttemptAt; // null once the retries have run out
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+export class SubscriptionPlanChangedEvent {
+  constructor(data) {
+    this.eventType = 'SubscriptionPlanChanged';
+    this.aggregateId = data.subscriptionId;
+    this.subscriptionId = data.subscriptionId;
+    this.customerId = data.customerId;
+    this.previousPlan = data.previousPlan; // { planId, amount, interval, intervalCount }
+    this.plan = data.plan;
+    this.prorationAmount = data.prorationAmount; // Charged when positive, credited when negative
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+export class SubscriptionPausedEvent {
+  constructor(data) {
+    this.eventType = 'SubscriptionPaused';
+    this.aggregateId = data.subscriptionId;
+    this.subscriptionId = data.subscriptionId;
+    this.customerId = data.customerId;
+    this.resumeAt = data.resumeAt;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+export class SubscriptionResumedEvent {
+  constructor(data) {
+    this.eventType = 'SubscriptionResumed';
+    this.aggregateId = data.subscriptionId;
+    this.subscriptionId = data.subscriptionId;
+    this.customerId = data.customerId;
+    this.currentPeriodEnd = data.currentPeriodEnd;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+export class SubscriptionCancellationScheduledEvent {
+  constructor(data) {
+    this.eventType = 'SubscriptionCancellationScheduled';
+    this.aggregateId = data.subscriptionId;
+    this.subscriptionId = data.subscriptionId;
+    this.customerId = data.customerId;
+    this.reason = data.reason;
+    this.effectiveAt = data.effectiveAt; // End of the current period
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+export class SubscriptionCancelledEvent {
+  constructor(data) {
+    this.eventType = 'SubscriptionCancelled';
+    this.aggregateId = data.subscriptionId;
+    this.subscriptionId = data.subscriptionId;
+    this.customerId = data.customerId;
+    this.reason = data.reason; // The reason given when cancelling, or payment_failed
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
 export class FraudAlertEvent {
   constructor(data) {
     this.eventType = 'FraudAlert';
@@ -135,7 +319,74 @@ export class PaymentDisputedEvent {
     this.disputeId = data.disputeId;
     this.reason = data.reason;
     this.amount = data.amount;
-    this.status = data.status; // opened, won, lost
+    this.status = data.status; // opened, won, lost, accepted
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+// Dispute events are keyed by the dispute; the settlement and notification services act on them
+export class DisputeOpenedEvent {
+  constructor(data) {
+    this.eventType = 'DisputeOpened';
+    this.aggregateId = data.disputeId;
+    this.disputeId = data.disputeId;
+    this.paymentId = data.paymentId;
+    this.merchantId = data.merchantId;
+    this.gateway = data.gateway;
+    this.gatewayDisputeId = data.gatewayDisputeId;
+    this.amount = data.amount;
+    this.currency = data.currency;
+    this.reason = data.reason;
+    this.evidenceDueBy = data.evidenceDueBy;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+export class DisputeEvidenceSubmittedEvent {
+  constructor(data) {
+    this.eventType = 'DisputeEvidenceSubmitted';
+    this.aggregateId = data.disputeId;
+    this.disputeId = data.disputeId;
+    this.paymentId = data.paymentId;
+    this.merchantId = data.merchantId;
+    this.evidenceId = data.evidenceId;
+    this.documentCount = data.documentCount;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+export class DisputeDeadlineApproachingEvent {
+  constructor(data) {
+    this.eventType = 'DisputeDeadlineApproaching';
+    this.aggregateId = data.disputeId;
+    this.disputeId = data.disputeId;
+    this.paymentId = data.paymentId;
+    this.merchantId = data.merchantId;
+    this.amount = data.amount;
+    this.currency = data.currency;
+    this.evidenceDueBy = data.evidenceDueBy;
+    this.metadata = data.metadata || {};
+    this.timestamp = data.timestamp;
+    this.version = 1;
+  }
+}
+
+export class DisputeClosedEvent {
+  constructor(data) {
+    this.eventType = 'DisputeClosed';
+    this.aggregateId = data.disputeId;
+    this.disputeId = data.disputeId;
+    this.paymentId = data.paymentId;
+    this.merchantId = data.merchantId;
+    this.amount = data.amount;
+    this.currency = data.currency;
+    this.outcome = data.outcome; // won, lost, accepted
     this.metadata = data.metadata || {};
     this.timestamp = data.timestamp;
     this.version = 1;
@@ -0,0 +1,46 @@
+// Failure reported by a payment gateway adapter. Declines carry the gateway's decline code;
+// timeouts and outages are retryable, everything else is final.
+export const GATEWAY_ERROR_CODES = {
+  DECLINED: 'PAYMENT_DECLINED',
+  INVALID_REQUEST: 'GATEWAY_INVALID_REQUEST',
+  NOT_FOUND: 'GATEWAY_TRANSACTION_NOT_FOUND',
+  NOT_SUPPORTED: 'GATEWAY_OPERATION_NOT_SUPPORTED',
+  TIMEOUT: 'GATEWAY_TIMEOUT',
+  UNAVAILABLE: 'GATEWAY_UNAVAILABLE',
+  INVALID_SIGNATURE: 'WEBHOOK_SIGNATURE_INVALID'
+};
+
+const RETRYABLE_CODES = [GATEWAY_ERROR_CODES.TIMEOUT, GATEWAY_ERROR_CODES.UNAVAILABLE];
+
+class GatewayError extends Error {
+  constructor(gateway, code, message, details = {}) {
+    super(message);
+    this.name = 'GatewayError';
+    this.gateway = gateway;
+    this.code = code;
+    this.declineCode = details.declineCode || null;
+    this.transactionId = details.transactionId || null;
+    this.retryable = RETRYABLE_CODES.includes(code);
+  }
+
+  static isGatewayError(error) {
+    return error instanceof GatewayError;
+  }
+
+  // Usable directly as a RetryWithBackoff retryCondition
+  static isRetryable(error) {
+    return error instanceof GatewayError && error.retryable;
+  }
+
+  toJSON() {
+    return {
+      gateway: this.gateway,
+      code: this.code,
+      declineCode: this.declineCode,
+      transactionId: this.transactionId,
+      message: this.message
+    };
+  }
+}
+
+export default GatewayError;
@@ -0,0 +1,110 @@
+import { PaymentGateway } from './payment-gateway.js';
+import { SimulatorGateway } from './simulator-gateway.js';
+import { StripeGateway } from './stripe-gateway.js';
+import { PayPalGateway } from './paypal-gateway.js';
+import GatewayError, { GATEWAY_ERROR_CODES } from './gateway-error.js';
+
+// Payment method -> gateway used when no route is configured for it
+const DEFAULT_ROUTES = {
+  credit_card: 'stripe',
+  debit_card: 'stripe',
+  paypal: 'paypal'
+};
+
+// "credit_card:stripe,paypal:paypal"
+export function parseGatewayRoutes(value) {
+  if (!value) return {};
+
+  return Object.fromEntries(value.split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([paymentMethod, gateway]) => paymentMethod && gateway)
+    .map(([paymentMethod, gateway]) => [paymentMethod.trim(), gateway.trim()]));
+}
+
+// Adapters by name, plus the routing of payment methods to them. A payment method whose
+// gateway is not registered goes to the default gateway, if there is one.
+export class GatewayRegistry {
+  constructor(options = {}) {
+    this.gateways = new Map();
+    this.routes = { ...DEFAULT_ROUTES, ...(options.routes || {}) };
+    this.defaultGateway = options.defaultGateway || null;
+  }
+
+  register(gateway) {
+    if (!(gateway instanceof PaymentGateway)) {
+      throw new Error('Payment gateways must extend PaymentGateway');
+    }
+    if (this.gateways.has(gateway.name)) {
+      throw new Error(`Payment gateway ${gateway.name} already registered`);
+    }
+
+    this.gateways.set(gateway.name, gateway);
+    return this;
+  }
+
+  has(name) {
+    return this.gateways.has(name);
+  }
+
+  get(name) {
+    const gateway = this.gateways.get(name);
+    if (!gateway) {
+      throw new GatewayError(name, GATEWAY_ERROR_CODES.NOT_SUPPORTED, `Payment gateway ${name} is not registered`);
+    }
+    return gateway;
+  }
+
+  resolve(paymentMethod) {
+    const routed = this.routes[paymentMethod];
+    if (routed && this.gateways.has(routed)) {
+      return this.gateways.get(routed);
+    }
+    if (this.defaultGateway && this.gateways.has(this.defaultGateway)) {
+      return this.gateways.get(this.defaultGateway);
+    }
+
+    throw new GatewayError(routed || null, GATEWAY_ERROR_CODES.NOT_SUPPORTED, `No payment gateway available for ${paymentMethod}`);
+  }
+
+  getRegisteredGateways() {
+    return Array.from(this.gateways.keys());
+  }
+}
+
+// Live adapters are registered when their credentials are configured. Anyone who knows the
+// simulator's secret can report payments as paid, so it is only registered when it is enabled
+// explicitly and has a secret of its own.
+export function createGatewayRegistry(options = {}) {
+  const env = options.env || process.env;
+  const simulatorEnabled = env.PAYMENT_SIMULATOR_ENABLED === 'true' && Boolean(env.SIMULATOR_WEBHOOK_SECRET);
+  const webhookTolerance = parseInt(env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS) || undefined;
+
+  const registry = new GatewayRegistry({
+    routes: parseGatewayRoutes(env.PAYMENT_GATEWAY_ROUTES),
+    defaultGateway: env.PAYMENT_DEFAULT_GATEWAY || (simulatorEnabled ? 'simulator' : null)
+  });
+
+  if (simulatorEnabled) {
+    registry.register(new SimulatorGateway({
+      webhookSecret: env.SIMULATOR_WEBHOOK_SECRET,
+      webhookTolerance
+    }));
+  }
+  if (env.STRIPE_SECRET_KEY) {
+    registry.register(new StripeGateway({
+      secretKey: env.STRIPE_SECRET_KEY,
+      webhookSecret: env.STRIPE_WEBHOOK_SECRET,
+      webhookTolerance
+    }));
+  }
+  if (env.PAYPAL_CLIENT_ID) {
+    registry.register(new PayPalGateway({
+      clientId: env.PAYPAL_CLIENT_ID,
+      clientSecret: env.PAYPAL_CLIENT_SECRET,
+      webhookId: env.PAYPAL_WEBHOOK_ID,
+      webhookTolerance
+    }));
+  }
+
+  return registry;
+}
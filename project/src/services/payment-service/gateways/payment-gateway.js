@@ -0,0 +1,86 @@
+import GatewayError, { GATEWAY_ERROR_CODES } from './gateway-error.js';
+
+// Contract every payment gateway adapter implements. Amounts are in major units (12.34) and
+// results are normalized so the command handler never sees a provider's own response format.
+//
+//   authorize({ paymentId, amount, currency, paymentMethod, paymentMethodId, customerId,
+//               capture, description, metadata, idempotencyKey })
+//     -> { status: 'authorized' | 'captured' | 'requires_action', transactionId, amount,
+//          capturedAmount, currency, fee, nextAction? }
+//   capture(transactionId, amount, { idempotencyKey })  -> { transactionId, amount, capturedAmount, fee, status }
+//   void(transactionId, { reason })                     -> { transactionId, status: 'voided', releasedAmount }
+//     (a partly captured transaction keeps what was captured; only the rest is released)
+//   refund(transactionId, amount, { reason, idempotencyKey })
+//     -> { refundId, transactionId, amount, status: 'succeeded' }
+//   tokenize({ type, token, customerId })               -> { token, gatewayId, last4, brand, expiryMonth, expiryYear }
+//   submitDisputeEvidence(disputeId, { evidence, documents })  -> { disputeId, status: 'under_review' }
+//   acceptDispute(disputeId)                            -> { disputeId, status: 'lost' }
+//   verifyWebhook(rawBody, headers)                     -> throws (or rejects) WEBHOOK_SIGNATURE_INVALID unless signed
+//   parseWebhook(body, headers)
+//     -> { id, type, transactionId, paymentId, amount, currency, reason, raw }
+//
+// Webhooks are only parsed after verifyWebhook accepted the raw body exactly as it was received.
+// Webhook types: payment.succeeded, payment.failed, payment.requires_action, refund.succeeded,
+// refund.failed, dispute.created, dispute.closed; anything else is returned with its provider type
+// unchanged. Dispute events also carry disputeId and evidenceDueBy, and dispute.closed an outcome
+// of won or lost.
+//
+// Failures are thrown as GatewayError: declines with PAYMENT_DECLINED and the decline code,
+// timeouts and outages as retryable errors.
+export class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  unsupported(operation) {
+    return new GatewayError(this.name, GATEWAY_ERROR_CODES.NOT_SUPPORTED, `${this.name} does not support ${operation}`);
+  }
+
+  async authorize(request) {
+    throw this.unsupported('authorize');
+  }
+
+  async capture(transactionId, amount, options = {}) {
+    throw this.unsupported('capture');
+  }
+
+  async void(transactionId, options = {}) {
+    throw this.unsupported('void');
+  }
+
+  async refund(transactionId, amount, options = {}) {
+    throw this.unsupported('refund');
+  }
+
+  async tokenize(paymentMethod) {
+    throw this.unsupported('tokenize');
+  }
+
+  async submitDisputeEvidence(disputeId, submission) {
+    throw this.unsupported('dispute evidence');
+  }
+
+  async acceptDispute(disputeId) {
+    throw this.unsupported('accepting disputes');
+  }
+
+  // Webhook payloads arrive as the raw bytes that were signed
+  decodeWebhook(body) {
+    if (!Buffer.isBuffer(body) && typeof body !== 'string') return body;
+
+    try {
+      return JSON.parse(body.toString('utf8'));
+    } catch {
+      throw new GatewayError(this.name, GATEWAY_ERROR_CODES.INVALID_REQUEST, 'Webhook body is not valid JSON');
+    }
+  }
+
+  // Unsigned deliveries are never trusted, so an adapter without verification rejects them all
+  verifyWebhook(rawBody, headers = {}) {
+    throw this.unsupported('webhooks');
+  }
+
+  parseWebhook(body, headers = {}) {
+    throw this.unsupported('webhooks');
+  }
+}
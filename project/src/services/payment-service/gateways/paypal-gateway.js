@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import { PaymentGateway } from './payment-gateway.js';
+import {
+  DEFAULT_WEBHOOK_TOLERANCE_SECONDS,
+  assertWithinTolerance,
+  crc32,
+  invalidSignature
+} from './webhook-signature.js';
+
+const WEBHOOK_TYPES = {
+  'PAYMENT.CAPTURE.COMPLETED': 'payment.succeeded',
+  'PAYMENT.CAPTURE.DENIED': 'payment.failed',
+  'PAYMENT.CAPTURE.REFUNDED': 'refund.succeeded',
+  'CUSTOMER.DISPUTE.CREATED': 'dispute.created',
+  'CUSTOMER.DISPUTE.RESOLVED': 'dispute.closed'
+};
+
+const SIGNATURE_ALGORITHM = 'SHA256withRSA';
+
+const downloadCertificate = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not download PayPal certificate ${url}: HTTP ${response.status}`);
+  }
+  return await response.text();
+};
+
+// Certificates are only trusted when PayPal itself serves them over HTTPS
+const isPayPalUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && (url.hostname === 'paypal.com' || url.hostname.endsWith('.paypal.com'));
+  } catch {
+    return false;
+  }
+};
+
+// Placeholder until the PayPal SDK is wired in: payments are acknowledged without calling PayPal
+export class PayPalGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super('paypal');
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.webhookId = options.webhookId;
+    this.webhookTolerance = options.webhookTolerance || DEFAULT_WEBHOOK_TOLERANCE_SECONDS;
+    this.fetchCertificate = options.fetchCertificate || downloadCertificate;
+    // Signing certificates by URL; PayPal rotates them rarely
+    this.certificates = new Map();
+  }
+
+  async authorize(request) {
+    const fee = request.capture !== false ? request.amount * 0.034 : 0;
+    return {
+      status: request.capture !== false ? 'captured' : 'authorized',
+      transactionId: `paypal_${Date.now()}`,
+      amount: request.amount,
+      capturedAmount: request.capture !== false ? request.amount : 0,
+      currency: request.currency,
+      fee
+    };
+  }
+
+  // PayPal-Transmission-Sig is the base64 SHA256withRSA signature of
+  // "<transmission id>|<transmission time>|<webhook id>|<CRC32 of body>", made with the key of the
+  // certificate at PayPal-Cert-Url
+  async verifyWebhook(rawBody, headers = {}) {
+    const transmissionId = headers['paypal-transmission-id'];
+    const transmissionTime = headers['paypal-transmission-time'];
+    const signature = headers['paypal-transmission-sig'];
+    const certUrl = headers['paypal-cert-url'];
+    const algorithm = headers['paypal-auth-algo'];
+
+    if (!this.webhookId) {
+      throw invalidSignature(this.name, 'No webhook id is configured');
+    }
+    if (!transmissionId || !transmissionTime || !signature || !certUrl) {
+      throw invalidSignature(this.name, 'Webhook signature is missing');
+    }
+    if (algorithm && algorithm !== SIGNATURE_ALGORITHM) {
+      throw invalidSignature(this.name, `Unsupported webhook signature algorithm ${algorithm}`);
+    }
+
+    // Checked first so replayed deliveries never make us download anything
+    assertWithinTolerance(this.name, Date.parse(transmissionTime) / 1000, this.webhookTolerance);
+
+    const certificate = await this.signingCertificate(certUrl);
+    const message = `${transmissionId}|${transmissionTime}|${this.webhookId}|${crc32(rawBody)}`;
+    const valid = crypto.verify('sha256', Buffer.from(message), certificate.publicKey, Buffer.from(signature, 'base64'));
+    if (!valid) {
+      throw invalidSignature(this.name, 'Webhook signature does not match');
+    }
+  }
+
+  async signingCertificate(certUrl) {
+    if (!isPayPalUrl(certUrl)) {
+      throw invalidSignature(this.name, 'Webhook certificate is not served by PayPal');
+    }
+
+    if (!this.certificates.has(certUrl)) {
+      const pem = await this.fetchCertificate(certUrl);
+      try {
+        this.certificates.set(certUrl, new crypto.X509Certificate(pem));
+      } catch {
+        throw invalidSignature(this.name, 'Webhook certificate could not be read');
+      }
+    }
+
+    const certificate = this.certificates.get(certUrl);
+    const now = Date.now();
+    if (now < Date.parse(certificate.validFrom) || now > Date.parse(certificate.validTo)) {
+      throw invalidSignature(this.name, 'Webhook certificate is not valid now');
+    }
+    return certificate;
+  }
+
+  parseWebhook(rawBody) {
+    const body = this.decodeWebhook(rawBody);
+    const resource = body.resource || {};
+    const disputed = (resource.disputed_transactions || [])[0] || {};
+    const amount = resource.amount || resource.dispute_amount || {};
+    const outcome = resource.dispute_outcome && resource.dispute_outcome.outcome_code;
+
+    return {
+      id: body.id,
+      type: WEBHOOK_TYPES[body.event_type] || body.event_type,
+      transactionId: disputed.seller_transaction_id || resource.id,
+      paymentId: resource.custom_id,
+      amount: amount.value !== undefined ? Number(amount.value) : undefined,
+      currency: amount.currency_code,
+      reason: resource.reason || (resource.status_details && resource.status_details.reason),
+      disputeId: resource.dispute_id,
+      evidenceDueBy: resource.seller_response_due_date,
+      outcome: outcome ? (outcome === 'RESOLVED_SELLER_FAVOUR' ? 'won' : 'lost') : undefined,
+      raw: body
+    };
+  }
+}
@@ -0,0 +1,383 @@
+import crypto from 'crypto';
+import { PaymentGateway } from './payment-gateway.js';
+import GatewayError, { GATEWAY_ERROR_CODES } from './gateway-error.js';
+import { DEFAULT_WEBHOOK_TOLERANCE_SECONDS, signPayload, verifyTimestampedSignature } from './webhook-signature.js';
+
+// Test card numbers and the behaviour they script. Any other Luhn-valid number succeeds.
+export const TEST_CARDS = {
+  '4242424242424242': { outcome: 'success' },
+  '5555555555554444': { outcome: 'success' },
+  '4000000000000002': { outcome: 'declined', declineCode: 'generic_decline' },
+  '4000000000009995': { outcome: 'declined', declineCode: 'insufficient_funds' },
+  '4000000000000069': { outcome: 'declined', declineCode: 'expired_card' },
+  '4000000000000127': { outcome: 'declined', declineCode: 'incorrect_cvc' },
+  '4000000000000119': { outcome: 'processing_error' },
+  '4000000000000408': { outcome: 'timeout' },
+  '4000000000000416': { outcome: 'timeout_once' }, // Times out after processing; a retry with the same idempotency key succeeds
+  '4000000000003220': { outcome: 'three_d_secure' },
+  '4000008400001629': { outcome: 'three_d_secure_declined' },
+  '4000000000005126': { outcome: 'refund_fails' }
+};
+
+const DEFAULT_CARD = '4242424242424242';
+const TOKEN_PREFIX = 'pm_sim_';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const brandOf = (number) => {
+  if (number.startsWith('4')) return 'visa';
+  if (/^5[1-5]/.test(number)) return 'mastercard';
+  if (/^3[47]/.test(number)) return 'amex';
+  return 'unknown';
+};
+
+const passesLuhn = (number) => {
+  let sum = 0;
+  let shouldDouble = false;
+  for (let i = number.length - 1; i >= 0; i--) {
+    let digit = Number(number[i]);
+    if (shouldDouble) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    shouldDouble = !shouldDouble;
+  }
+  return sum % 10 === 0;
+};
+
+// Offline gateway for development and tests. Nothing leaves the process: transactions are kept
+// in memory and the outcome of every call is decided by the card the payment was made with.
+// Tokens embed the test card number, so they stay valid across restarts.
+export class SimulatorGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super(options.name || 'simulator');
+    this.feeRate = options.feeRate ?? 0.029;
+    this.fixedFee = options.fixedFee ?? 0.30;
+    this.webhookSecret = options.webhookSecret;
+    this.webhookTolerance = options.webhookTolerance || DEFAULT_WEBHOOK_TOLERANCE_SECONDS;
+
+    this.transactions = new Map();
+    this.idempotentResults = new Map(); // idempotencyKey -> result
+    this.disputes = new Map();
+  }
+
+  error(code, message, details) {
+    return new GatewayError(this.name, code, message, details);
+  }
+
+  cardFor(paymentMethodId) {
+    if (!paymentMethodId) return DEFAULT_CARD;
+
+    const number = String(paymentMethodId).startsWith(TOKEN_PREFIX)
+      ? String(paymentMethodId).slice(TOKEN_PREFIX.length)
+      : String(paymentMethodId).replace(/[\s-]/g, '');
+
+    if (!/^\d{12,19}$/.test(number) || !passesLuhn(number)) {
+      throw this.error(GATEWAY_ERROR_CODES.INVALID_REQUEST, 'Unknown or invalid payment method', { declineCode: 'invalid_number' });
+    }
+    return number;
+  }
+
+  scenarioFor(card) {
+    return TEST_CARDS[card] || { outcome: 'success' };
+  }
+
+  fee(amount) {
+    return roundAmount(amount * this.feeRate + this.fixedFee);
+  }
+
+  getTransaction(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) {
+      throw this.error(GATEWAY_ERROR_CODES.NOT_FOUND, `Transaction ${transactionId} not found`, { transactionId });
+    }
+    return transaction;
+  }
+
+  // Replays the stored result for a repeated idempotency key
+  once(idempotencyKey, operation) {
+    if (idempotencyKey && this.idempotentResults.has(idempotencyKey)) {
+      return { ...this.idempotentResults.get(idempotencyKey) };
+    }
+
+    const result = operation();
+    if (idempotencyKey) this.idempotentResults.set(idempotencyKey, result);
+    return { ...result };
+  }
+
+  async authorize(request) {
+    if (request.idempotencyKey && this.idempotentResults.has(request.idempotencyKey)) {
+      return { ...this.idempotentResults.get(request.idempotencyKey) };
+    }
+
+    const card = this.cardFor(request.paymentMethodId);
+    const scenario = this.scenarioFor(card);
+
+    switch (scenario.outcome) {
+      case 'declined':
+        throw this.error(GATEWAY_ERROR_CODES.DECLINED, `Card declined: ${scenario.declineCode}`, { declineCode: scenario.declineCode });
+      case 'processing_error':
+        throw this.error(GATEWAY_ERROR_CODES.UNAVAILABLE, 'An error occurred while processing the card');
+      case 'timeout':
+        throw this.error(GATEWAY_ERROR_CODES.TIMEOUT, 'Gateway did not respond in time');
+      default:
+        break;
+    }
+
+    const transaction = {
+      transactionId: `sim_txn_${crypto.randomUUID()}`,
+      paymentId: request.paymentId,
+      amount: roundAmount(request.amount),
+      currency: request.currency,
+      card,
+      capture: request.capture !== false,
+      capturedAmount: 0,
+      refundedAmount: 0,
+      status: 'authorized',
+      createdAt: new Date().toISOString()
+    };
+    this.transactions.set(transaction.transactionId, transaction);
+
+    let result;
+    if (scenario.outcome === 'three_d_secure' || scenario.outcome === 'three_d_secure_declined') {
+      transaction.status = 'requires_action';
+      result = {
+        ...this.describe(transaction),
+        nextAction: { type: 'three_d_secure', url: `simulator://3ds/${transaction.transactionId}` }
+      };
+    } else {
+      if (transaction.capture) this.applyCapture(transaction, transaction.amount);
+      result = this.describe(transaction);
+    }
+
+    if (request.idempotencyKey) this.idempotentResults.set(request.idempotencyKey, result);
+
+    // The charge went through but the response was lost; the retry replays it
+    if (scenario.outcome === 'timeout_once' && !transaction.retried) {
+      transaction.retried = true;
+      throw this.error(GATEWAY_ERROR_CODES.TIMEOUT, 'Gateway did not respond in time');
+    }
+
+    return { ...result };
+  }
+
+  // Finishes a 3-D Secure challenge and returns the webhook event the gateway would send
+  completeAction(transactionId) {
+    const transaction = this.getTransaction(transactionId);
+    if (transaction.status !== 'requires_action') {
+      throw this.error(GATEWAY_ERROR_CODES.INVALID_REQUEST, 'Transaction has no pending action', { transactionId });
+    }
+
+    if (this.scenarioFor(transaction.card).outcome === 'three_d_secure_declined') {
+      transaction.status = 'failed';
+      return this.createWebhookEvent('payment.failed', transaction, { reason: 'authentication_failed' });
+    }
+
+    transaction.status = 'authorized';
+    if (transaction.capture) this.applyCapture(transaction, transaction.amount);
+    return this.createWebhookEvent('payment.succeeded', transaction);
+  }
+
+  applyCapture(transaction, amount) {
+    transaction.capturedAmount = roundAmount(transaction.capturedAmount + amount);
+    transaction.status = transaction.capturedAmount >= transaction.amount ? 'captured' : 'partially_captured';
+  }
+
+  async capture(transactionId, amount, options = {}) {
+    return this.once(options.idempotencyKey, () => {
+      const transaction = this.getTransaction(transactionId);
+      if (!['authorized', 'partially_captured'].includes(transaction.status)) {
+        throw this.error(GATEWAY_ERROR_CODES.INVALID_REQUEST, `Cannot capture a ${transaction.status} transaction`, { transactionId });
+      }
+
+      const remaining = roundAmount(transaction.amount - transaction.capturedAmount);
+      const captureAmount = roundAmount(amount ?? remaining);
+      if (captureAmount <= 0 || captureAmount > remaining) {
+        throw this.error(GATEWAY_ERROR_CODES.INVALID_REQUEST, `Capture amount must be between 0 and ${remaining}`, { transactionId });
+      }
+
+      this.applyCapture(transaction, captureAmount);
+      return { ...this.describe(transaction), amount: captureAmount, fee: this.fee(captureAmount) };
+    });
+  }
+
+  async void(transactionId, options = {}) {
+    const transaction = this.getTransaction(transactionId);
+    if (!['authorized', 'requires_action', 'partially_captured'].includes(transaction.status)) {
+      throw this.error(GATEWAY_ERROR_CODES.INVALID_REQUEST, `Cannot void a ${transaction.status} transaction`, { transactionId });
+    }
+
+    // Voiding a partly captured transaction releases the rest and keeps what was captured
+    const releasedAmount = roundAmount(transaction.amount - transaction.capturedAmount);
+    transaction.status = transaction.status === 'partially_captured' ? 'captured' : 'voided';
+    transaction.voidReason = options.reason || null;
+    return { transactionId, status: 'voided', releasedAmount };
+  }
+
+  async refund(transactionId, amount, options = {}) {
+    return this.once(options.idempotencyKey, () => {
+      const transaction = this.getTransaction(transactionId);
+      const refundable = roundAmount(transaction.capturedAmount - transaction.refundedAmount);
+
+      if (amount <= 0 || amount > refundable) {
+        throw this.error(GATEWAY_ERROR_CODES.INVALID_REQUEST, `Refund amount must be between 0 and ${refundable}`, { transactionId });
+      }
+      if (this.scenarioFor(transaction.card).outcome === 'refund_fails') {
+        throw this.error(GATEWAY_ERROR_CODES.DECLINED, 'Refund declined by the issuer', { transactionId, declineCode: 'refund_failed' });
+      }
+
+      transaction.refundedAmount = roundAmount(transaction.refundedAmount + amount);
+      return {
+        refundId: `sim_ref_${crypto.randomUUID()}`,
+        transactionId,
+        amount: roundAmount(amount),
+        status: 'succeeded'
+      };
+    });
+  }
+
+  async tokenize(paymentMethod) {
+    const card = this.cardFor(paymentMethod.token);
+    const expiry = new Date();
+
+    return {
+      token: `${TOKEN_PREFIX}${card}`,
+      gatewayId: `${TOKEN_PREFIX}${card}`,
+      last4: card.slice(-4),
+      brand: brandOf(card),
+      expiryMonth: 12,
+      expiryYear: expiry.getFullYear() + 3
+    };
+  }
+
+  // Opens a chargeback on a captured transaction and returns the webhook event the gateway would send
+  openDispute(transactionId, options = {}) {
+    const transaction = this.getTransaction(transactionId);
+    const disputable = roundAmount(transaction.capturedAmount - transaction.refundedAmount);
+    if (disputable <= 0) {
+      throw this.error(GATEWAY_ERROR_CODES.INVALID_REQUEST, 'Only captured transactions can be disputed', { transactionId });
+    }
+
+    const dispute = {
+      disputeId: `sim_dp_${crypto.randomUUID()}`,
+      transactionId,
+      amount: roundAmount(options.amount ?? disputable),
+      reason: options.reason || 'fraudulent',
+      evidenceDueBy: options.evidenceDueBy || new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+      status: 'needs_response',
+      evidence: null
+    };
+    this.disputes.set(dispute.disputeId, dispute);
+
+    return this.createWebhookEvent('dispute.created', transaction, {
+      disputeId: dispute.disputeId,
+      amount: dispute.amount,
+      reason: dispute.reason,
+      evidenceDueBy: dispute.evidenceDueBy
+    });
+  }
+
+  getDispute(disputeId) {
+    const dispute = this.disputes.get(disputeId);
+    if (!dispute) {
+      throw this.error(GATEWAY_ERROR_CODES.NOT_FOUND, `Dispute ${disputeId} not found`, { disputeId });
+    }
+    return dispute;
+  }
+
+  async submitDisputeEvidence(disputeId, submission) {
+    const dispute = this.getDispute(disputeId);
+    if (dispute.status !== 'needs_response') {
+      throw this.error(GATEWAY_ERROR_CODES.INVALID_REQUEST, `Cannot submit evidence for a ${dispute.status} dispute`, { disputeId });
+    }
+
+    dispute.evidence = submission;
+    dispute.status = 'under_review';
+    return { disputeId, status: dispute.status };
+  }
+
+  async acceptDispute(disputeId) {
+    const dispute = this.getDispute(disputeId);
+    if (dispute.status !== 'needs_response') {
+      throw this.error(GATEWAY_ERROR_CODES.INVALID_REQUEST, `Cannot accept a ${dispute.status} dispute`, { disputeId });
+    }
+
+    dispute.status = 'lost';
+    return { disputeId, status: dispute.status };
+  }
+
+  // Decides a dispute (won or lost) and returns the webhook event the gateway would send
+  closeDispute(disputeId, outcome) {
+    const dispute = this.getDispute(disputeId);
+    dispute.status = outcome;
+
+    return this.createWebhookEvent('dispute.closed', this.getTransaction(dispute.transactionId), {
+      disputeId,
+      amount: dispute.amount,
+      reason: dispute.reason,
+      outcome
+    });
+  }
+
+  describe(transaction) {
+    return {
+      status: transaction.status,
+      transactionId: transaction.transactionId,
+      amount: transaction.amount,
+      capturedAmount: transaction.capturedAmount,
+      currency: transaction.currency,
+      fee: transaction.capturedAmount > 0 ? this.fee(transaction.capturedAmount) : 0
+    };
+  }
+
+  createWebhookEvent(type, transaction, data = {}) {
+    return {
+      id: `evt_sim_${crypto.randomUUID()}`,
+      type,
+      created: new Date().toISOString(),
+      data: {
+        transactionId: transaction.transactionId,
+        paymentId: transaction.paymentId,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        status: transaction.status,
+        ...data
+      }
+    };
+  }
+
+  // Signs an event the way it is delivered: the JSON body and its X-Simulator-Signature header
+  signWebhook(event, timestamp) {
+    const body = JSON.stringify(event);
+    return { body, headers: { 'x-simulator-signature': signPayload(this.webhookSecret, body, timestamp) } };
+  }
+
+  verifyWebhook(rawBody, headers = {}) {
+    verifyTimestampedSignature(this.name, {
+      payload: rawBody.toString('utf8'),
+      header: headers['x-simulator-signature'],
+      secret: this.webhookSecret,
+      toleranceSeconds: this.webhookTolerance
+    });
+  }
+
+  parseWebhook(body) {
+    const event = this.decodeWebhook(body);
+    const data = event.data || {};
+
+    return {
+      id: event.id,
+      type: event.type,
+      transactionId: data.transactionId,
+      paymentId: data.paymentId,
+      amount: data.amount,
+      currency: data.currency,
+      reason: data.reason,
+      disputeId: data.disputeId,
+      evidenceDueBy: data.evidenceDueBy,
+      outcome: data.outcome,
+      raw: event
+    };
+  }
+}
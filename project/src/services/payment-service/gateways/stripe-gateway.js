@@ -0,0 +1,70 @@
+import { PaymentGateway } from './payment-gateway.js';
+import { DEFAULT_WEBHOOK_TOLERANCE_SECONDS, verifyTimestampedSignature } from './webhook-signature.js';
+
+const WEBHOOK_TYPES = {
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.payment_failed': 'payment.failed',
+  'payment_intent.requires_action': 'payment.requires_action',
+  'charge.refunded': 'refund.succeeded',
+  'charge.dispute.created': 'dispute.created',
+  'charge.dispute.closed': 'dispute.closed',
+  'invoice.payment_succeeded': 'subscription.payment_succeeded'
+};
+
+// Stripe amounts are in minor units
+const fromMinorUnits = (amount) => (amount === undefined ? undefined : amount / 100);
+
+// Placeholder until the Stripe SDK is wired in: charges are acknowledged without calling Stripe
+export class StripeGateway extends PaymentGateway {
+  constructor(options = {}) {
+    super('stripe');
+    this.secretKey = options.secretKey;
+    this.webhookSecret = options.webhookSecret;
+    this.webhookTolerance = options.webhookTolerance || DEFAULT_WEBHOOK_TOLERANCE_SECONDS;
+  }
+
+  async authorize(request) {
+    const fee = request.capture !== false ? request.amount * 0.029 : 0;
+    return {
+      status: request.capture !== false ? 'captured' : 'authorized',
+      transactionId: `stripe_${Date.now()}`,
+      amount: request.amount,
+      capturedAmount: request.capture !== false ? request.amount : 0,
+      currency: request.currency,
+      fee
+    };
+  }
+
+  // Stripe-Signature: t=<unix seconds>,v1=<HMAC-SHA256 of "<t>.<body>" with the endpoint secret>
+  verifyWebhook(rawBody, headers = {}) {
+    verifyTimestampedSignature(this.name, {
+      payload: rawBody.toString('utf8'),
+      header: headers['stripe-signature'],
+      secret: this.webhookSecret,
+      toleranceSeconds: this.webhookTolerance
+    });
+  }
+
+  parseWebhook(rawBody) {
+    const body = this.decodeWebhook(rawBody);
+    const object = (body.data && body.data.object) || {};
+    const dispute = object.object === 'dispute' ? object : null;
+
+    return {
+      id: body.id,
+      type: WEBHOOK_TYPES[body.type] || body.type,
+      transactionId: object.payment_intent || object.id,
+      paymentId: object.metadata && object.metadata.paymentId,
+      subscriptionId: object.subscription,
+      amount: fromMinorUnits(object.amount),
+      currency: object.currency && object.currency.toUpperCase(),
+      reason: object.reason || object.failure_message || (object.last_payment_error && object.last_payment_error.message),
+      disputeId: dispute ? dispute.id : undefined,
+      evidenceDueBy: dispute && dispute.evidence_details && dispute.evidence_details.due_by
+        ? new Date(dispute.evidence_details.due_by * 1000).toISOString()
+        : undefined,
+      outcome: dispute && ['won', 'lost'].includes(dispute.status) ? dispute.status : undefined,
+      raw: body
+    };
+  }
+}
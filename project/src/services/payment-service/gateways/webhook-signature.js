@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import GatewayError, { GATEWAY_ERROR_CODES } from './gateway-error.js';
+
+// Deliveries signed longer ago than this are rejected as replays
+export const DEFAULT_WEBHOOK_TOLERANCE_SECONDS = 300;
+
+export function hmacSha256(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let bit = 0; bit < 8; bit++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// CRC-32 (IEEE) of the bytes as an unsigned integer, as PayPal puts it in its signed message
+export function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of Buffer.from(data)) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export function signaturesMatch(expected, candidates) {
+  const expectedBuffer = Buffer.from(expected, 'hex');
+
+  return candidates.some((candidate) => {
+    const candidateBuffer = Buffer.from(String(candidate), 'hex');
+    return candidateBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(candidateBuffer, expectedBuffer);
+  });
+}
+
+// "t=1700000000,v1=5257a8...,v1=..." - several v1 entries are sent while a secret is being rotated
+export function parseSignatureHeader(header) {
+  const parsed = { timestamp: null, signatures: [] };
+
+  String(header || '').split(',').forEach((part) => {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') parsed.timestamp = Number(value);
+    if (key === 'v1' && value) parsed.signatures.push(value);
+  });
+
+  return parsed;
+}
+
+export function signPayload(secret, payload, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmacSha256(secret, `${timestamp}.${payload}`)}`;
+}
+
+export function invalidSignature(gateway, message) {
+  return new GatewayError(gateway, GATEWAY_ERROR_CODES.INVALID_SIGNATURE, message);
+}
+
+export function assertWithinTolerance(gateway, timestampSeconds, toleranceSeconds, now = Date.now()) {
+  if (!Number.isFinite(timestampSeconds)) {
+    throw invalidSignature(gateway, 'Webhook signature has no timestamp');
+  }
+  if (Math.abs(now / 1000 - timestampSeconds) > toleranceSeconds) {
+    throw invalidSignature(gateway, 'Webhook timestamp is outside the tolerance window');
+  }
+}
+
+// Verifies a "t=...,v1=..." header: HMAC-SHA256 of "<timestamp>.<raw body>" with the endpoint secret
+export function verifyTimestampedSignature(gateway, { payload, header, secret, toleranceSeconds, now }) {
+  if (!secret) {
+    throw invalidSignature(gateway, 'No webhook secret is configured');
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (signatures.length === 0) {
+    throw invalidSignature(gateway, 'Webhook signature is missing');
+  }
+
+  const expected = hmacSha256(secret, `${timestamp}.${payload}`);
+  if (!signaturesMatch(expected, signatures)) {
+    throw invalidSignature(gateway, 'Webhook signature does not match');
+  }
+
+  assertWithinTolerance(gateway, timestamp, toleranceSeconds, now);
+}
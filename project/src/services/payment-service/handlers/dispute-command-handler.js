@@ -0,0 +1,383 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  OpenDisputeCommand,
+  SubmitDisputeEvidenceCommand,
+  AcceptDisputeCommand,
+  ResolveDisputeCommand
+} from '../commands/payment-commands.js';
+import {
+  PaymentDisputedEvent,
+  PaymentRefundedEvent,
+  DisputeOpenedEvent,
+  DisputeEvidenceSubmittedEvent,
+  DisputeDeadlineApproachingEvent,
+  DisputeClosedEvent
+} from '../events/payment-events.js';
+import ValidationError from '../../../shared/validation/validation-error.js';
+import PaymentStateError from '../state/payment-state-error.js';
+import DisputeStateError from '../state/dispute-state-error.js';
+import { assertDisputeTransition } from '../state/dispute-state-machine.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const merchantOf = (payment) => (payment.metadata && payment.metadata.merchantId) || null;
+
+const withoutContent = ({ content, ...document }) => document;
+
+// Works disputes through their lifecycle and keeps the disputed payment in step: opening a
+// dispute freezes the payment, winning returns it to captured and losing charges it back.
+export class DisputeCommandHandler {
+  constructor(dependencies) {
+    this.disputes = dependencies.disputes;
+    this.paymentHandler = dependencies.paymentHandler;
+    this.gateways = dependencies.gateways;
+    this.logger = dependencies.logger;
+
+    this.responseWindow = dependencies.responseWindow ||
+      (parseInt(process.env.DISPUTE_RESPONSE_DAYS) || 7) * 24 * HOUR;
+    this.deadlineWarning = dependencies.deadlineWarning ||
+      (parseInt(process.env.DISPUTE_DEADLINE_WARNING_HOURS) || 72) * HOUR;
+    this.maxDocumentBytes = dependencies.maxDocumentBytes ||
+      parseInt(process.env.DISPUTE_DOCUMENT_MAX_BYTES) || 5 * 1024 * 1024;
+  }
+
+  async handle(command) {
+    if (command instanceof OpenDisputeCommand) {
+      return await this.handleOpenDispute(command);
+    } else if (command instanceof SubmitDisputeEvidenceCommand) {
+      return await this.handleSubmitDisputeEvidence(command);
+    } else if (command instanceof AcceptDisputeCommand) {
+      return await this.handleAcceptDispute(command);
+    } else if (command instanceof ResolveDisputeCommand) {
+      return await this.handleResolveDispute(command);
+    } else {
+      throw new Error(`Unknown command type: ${command.constructor.name}`);
+    }
+  }
+
+  async handleOpenDispute(command) {
+    try {
+      command.validate();
+
+      // Gateways send several events for one dispute
+      const existing = await this.disputes.getByGatewayId(command.gateway, command.gatewayDisputeId);
+      if (existing) {
+        return { success: true, disputeId: existing.id, data: existing };
+      }
+
+      const payment = await this.paymentHandler.getPaymentById(command.paymentId);
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      const dispute = {
+        id: command.id,
+        paymentId: command.paymentId,
+        merchantId: merchantOf(payment),
+        gateway: command.gateway,
+        gatewayDisputeId: command.gatewayDisputeId,
+        reason: command.reason,
+        amount: command.amount,
+        currency: command.currency || payment.currency,
+        status: 'needs_response',
+        evidenceDueBy: new Date(command.evidenceDueBy || Date.now() + this.responseWindow).toISOString()
+      };
+
+      // Moving the payment first lets a redelivery finish an open that failed half way
+      await this.transitionPayment(dispute, () => ({
+        status: 'disputed',
+        reason: 'dispute_opened',
+        events: [this.paymentDisputedEvent(dispute, 'opened')]
+      }));
+
+      if (!(await this.disputes.create(dispute))) {
+        const recorded = await this.disputes.getByGatewayId(command.gateway, command.gatewayDisputeId);
+        return { success: true, disputeId: recorded.id, data: recorded };
+      }
+
+      await this.paymentHandler.publishEvents([new DisputeOpenedEvent({
+        disputeId: dispute.id,
+        paymentId: dispute.paymentId,
+        merchantId: dispute.merchantId,
+        gateway: dispute.gateway,
+        gatewayDisputeId: dispute.gatewayDisputeId,
+        amount: dispute.amount,
+        currency: dispute.currency,
+        reason: dispute.reason,
+        evidenceDueBy: dispute.evidenceDueBy,
+        timestamp: new Date().toISOString()
+      })]);
+
+      this.logger.info('Dispute opened', {
+        disputeId: dispute.id,
+        paymentId: dispute.paymentId,
+        amount: dispute.amount,
+        evidenceDueBy: dispute.evidenceDueBy
+      });
+
+      return { success: true, disputeId: dispute.id, data: await this.disputes.get(dispute.id) };
+
+    } catch (error) {
+      this.logger.error('Failed to open dispute', {
+        paymentId: command.paymentId,
+        gatewayDisputeId: command.gatewayDisputeId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Evidence is saved as a draft until a submission sets `submit`; everything saved so far is
+  // then sent to the gateway together and the dispute waits for the gateway's decision
+  async handleSubmitDisputeEvidence(command) {
+    try {
+      command.validate();
+
+      const dispute = await this.getDispute(command.disputeId);
+      if (dispute.status !== 'needs_response') {
+        throw new DisputeStateError(dispute.id, dispute.status, 'under_review',
+          `Evidence can only be added while a dispute needs a response; it is ${dispute.status}`);
+      }
+      if (dispute.evidenceDueBy && new Date(dispute.evidenceDueBy) <= new Date()) {
+        throw new DisputeStateError(dispute.id, dispute.status, 'under_review',
+          `The evidence deadline passed at ${new Date(dispute.evidenceDueBy).toISOString()}`);
+      }
+
+      const documents = this.decodeDocuments(command.documents);
+      const submission = {
+        id: command.evidenceId,
+        disputeId: dispute.id,
+        evidence: command.evidence,
+        submitted: command.submit,
+        submittedBy: command.submittedBy
+      };
+
+      if (command.submit) {
+        await this.submitToGateway(dispute, submission, documents);
+      }
+      await this.disputes.addEvidence(submission, documents);
+
+      if (command.submit) {
+        await this.moveDispute(dispute, 'under_review');
+        await this.paymentHandler.publishEvents([new DisputeEvidenceSubmittedEvent({
+          disputeId: dispute.id,
+          paymentId: dispute.paymentId,
+          merchantId: dispute.merchantId,
+          evidenceId: submission.id,
+          documentCount: documents.length,
+          timestamp: new Date().toISOString()
+        })]);
+      }
+
+      this.logger.info(command.submit ? 'Dispute evidence submitted' : 'Dispute evidence saved', {
+        disputeId: dispute.id,
+        evidenceId: submission.id,
+        documents: documents.length
+      });
+
+      return {
+        success: true,
+        disputeId: dispute.id,
+        data: { ...submission, documents: documents.map(withoutContent) }
+      };
+
+    } catch (error) {
+      this.logger.error('Failed to add dispute evidence', {
+        disputeId: command.disputeId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async handleAcceptDispute(command) {
+    try {
+      command.validate();
+
+      const dispute = await this.getDispute(command.disputeId);
+      assertDisputeTransition(dispute.id, dispute.status, 'accepted');
+
+      await this.gateways.get(dispute.gateway).acceptDispute(dispute.gatewayDisputeId);
+      return await this.closeDispute(dispute, 'accepted');
+
+    } catch (error) {
+      this.logger.error('Failed to accept dispute', {
+        disputeId: command.disputeId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async handleResolveDispute(command) {
+    try {
+      command.validate();
+
+      const dispute = await this.getDispute(command.disputeId);
+
+      // Gateways repeat outcomes, and report a dispute the merchant accepted as lost
+      const known = dispute.status === command.outcome ||
+        (dispute.status === 'accepted' && command.outcome === 'lost');
+      if (known) {
+        return { success: true, disputeId: dispute.id, data: dispute };
+      }
+
+      return await this.closeDispute(dispute, command.outcome);
+
+    } catch (error) {
+      this.logger.error('Failed to resolve dispute', {
+        disputeId: command.disputeId,
+        outcome: command.outcome,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async closeDispute(dispute, outcome) {
+    await this.moveDispute(dispute, outcome, { resolvedAt: new Date().toISOString() });
+
+    if (outcome === 'won') {
+      await this.transitionPayment(dispute, (payment) => ({
+        status: payment.state.refundedAmount > 0 ? 'partially_refunded' : 'captured',
+        reason: 'dispute_won',
+        events: [this.paymentDisputedEvent(dispute, outcome)]
+      }));
+    } else {
+      // The disputed amount went back to the customer through the card network
+      await this.transitionPayment(dispute, (payment) => {
+        const refundAmount = Math.min(dispute.amount, payment.refundableAmount);
+        return {
+          status: refundAmount >= payment.refundableAmount ? 'refunded' : 'partially_refunded',
+          reason: `dispute_${outcome}`,
+          events: [
+            this.paymentDisputedEvent(dispute, outcome),
+            new PaymentRefundedEvent({
+              paymentId: dispute.paymentId,
+              refundId: dispute.id,
+              refundAmount,
+              reason: 'chargeback',
+              timestamp: new Date().toISOString()
+            })
+          ]
+        };
+      });
+    }
+
+    await this.paymentHandler.publishEvents([new DisputeClosedEvent({
+      disputeId: dispute.id,
+      paymentId: dispute.paymentId,
+      merchantId: dispute.merchantId,
+      amount: dispute.amount,
+      currency: dispute.currency,
+      outcome,
+      timestamp: new Date().toISOString()
+    })]);
+
+    this.logger.info('Dispute closed', { disputeId: dispute.id, paymentId: dispute.paymentId, outcome });
+
+    return { success: true, disputeId: dispute.id, data: await this.disputes.get(dispute.id) };
+  }
+
+  // Publishes one reminder per dispute whose evidence deadline falls within the warning window
+  async remindApproachingDeadlines(now = new Date()) {
+    const approaching = await this.disputes.findApproachingDeadlines(now, new Date(now.getTime() + this.deadlineWarning));
+
+    for (const dispute of approaching) {
+      await this.paymentHandler.publishEvents([new DisputeDeadlineApproachingEvent({
+        disputeId: dispute.id,
+        paymentId: dispute.paymentId,
+        merchantId: dispute.merchantId,
+        amount: dispute.amount,
+        currency: dispute.currency,
+        evidenceDueBy: new Date(dispute.evidenceDueBy).toISOString(),
+        timestamp: now.toISOString()
+      })]);
+      await this.disputes.markReminded(dispute.id, now);
+    }
+
+    return approaching.length;
+  }
+
+  async getDispute(disputeId) {
+    const dispute = await this.disputes.get(disputeId);
+    if (!dispute) {
+      throw new Error('Dispute not found');
+    }
+    return dispute;
+  }
+
+  // Compare-and-set so that only one of a webhook and a merchant acting at once gets through
+  async moveDispute(dispute, toStatus, changes = {}) {
+    assertDisputeTransition(dispute.id, dispute.status, toStatus);
+
+    if (!(await this.disputes.transition(dispute.id, dispute.status, { status: toStatus, ...changes }))) {
+      const current = await this.getDispute(dispute.id);
+      throw new DisputeStateError(dispute.id, current.status, toStatus);
+    }
+  }
+
+  // The dispute is recorded even when the payment cannot follow, e.g. a second dispute on a
+  // payment that is already disputed
+  async transitionPayment(dispute, decide) {
+    try {
+      return await this.paymentHandler.transitionPayment(dispute.paymentId, decide);
+    } catch (error) {
+      if (!PaymentStateError.isPaymentStateError(error)) throw error;
+      this.logger.warn(`Payment ${dispute.paymentId} not moved for dispute ${dispute.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  paymentDisputedEvent(dispute, status) {
+    return new PaymentDisputedEvent({
+      paymentId: dispute.paymentId,
+      disputeId: dispute.id,
+      reason: dispute.reason,
+      amount: dispute.amount,
+      status,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  decodeDocuments(documents) {
+    return documents.map((document, index) => {
+      const content = Buffer.from(document.content, 'base64');
+      if (content.length > this.maxDocumentBytes) {
+        throw new ValidationError([{
+          field: `documents.${index}.content`,
+          message: `${document.filename} is larger than ${this.maxDocumentBytes} bytes`,
+          type: 'binary.max'
+        }]);
+      }
+
+      return {
+        id: uuidv4(),
+        filename: document.filename,
+        contentType: document.contentType,
+        size: content.length,
+        sha256: crypto.createHash('sha256').update(content).digest('hex'),
+        content
+      };
+    });
+  }
+
+  // Gateways take the complete evidence at once: drafts saved earlier are merged, later fields winning
+  async submitToGateway(dispute, submission, documents) {
+    const drafts = await this.disputes.listEvidence(dispute.id);
+    const evidence = Object.assign({}, ...drafts.map(draft => draft.evidence), submission.evidence);
+    const earlierDocuments = await Promise.all(drafts
+      .flatMap(draft => draft.documents)
+      .map(document => this.disputes.getDocument(dispute.id, document.id)));
+
+    return await this.gateways.get(dispute.gateway).submitDisputeEvidence(dispute.gatewayDisputeId, {
+      evidence,
+      documents: [...earlierDocuments, ...documents].map(({ filename, contentType, content }) => ({
+        filename,
+        contentType,
+        content
+      }))
+    });
+  }
+}
@@ -2,27 +2,47 @@ import { v4 as uuidv4 } from 'uuid';
 import {
   ProcessPaymentCommand,
   CapturePaymentCommand,
+  VoidPaymentCommand,
   RefundPaymentCommand,
   UpdatePaymentStatusCommand,
-  AddPaymentMethodCommand,
-  CreateSubscriptionCommand
+  AddPaymentMethodCommand
 } from '../commands/payment-commands.js';
 import {
   PaymentInitiatedEvent,
-  PaymentProcessingEvent,
+  PaymentAuthorizedEvent,
+  PaymentActionRequiredEvent,
+  PaymentCapturedEvent,
+  PaymentVoidedEvent,
   PaymentCompletedEvent,
   PaymentFailedEvent,
   PaymentRefundedEvent,
   PaymentMethodAddedEvent,
-  SubscriptionCreatedEvent,
   FraudAlertEvent
 } from '../events/payment-events.js';
 import RetryWithBackoff from '../../../shared/patterns/retry-with-backoff.js';
+import GatewayError, { GATEWAY_ERROR_CODES } from '../gateways/gateway-error.js';
+import { createGatewayRegistry } from '../gateways/gateway-registry.js';
+import { PaymentAggregate } from '../aggregates/payment-aggregate.js';
+import PaymentStateError from '../state/payment-state-error.js';
+import { canTransition, releaseTransition } from '../state/payment-state-machine.js';
+import { createPaymentStore } from '../payments/payment-store.js';
+
+// Statuses that can hold an authorization that is released once it expires
+const EXPIRING_STATUSES = ['requires_action', 'authorized', 'partially_captured', 'partially_refunded'];
+
+// Statuses with part of an authorization that can still be captured
+const CAPTURABLE_STATUSES = ['authorized', 'partially_captured', 'partially_refunded'];
+
+const gatewayReferenceOf = (payment) => ({
+  gateway: payment.gateway,
+  transactionId: payment.gatewayTransactionId
+});
 
 export class PaymentCommandHandler {
   constructor(dependencies) {
     this.connectionPool = dependencies.connectionPool;
     this.dualWriter = dependencies.dualWriter;
+    this.payments = dependencies.payments || createPaymentStore(this.connectionPool);
     this.eventStore = dependencies.eventStore;
     this.kafkaService = dependencies.kafkaService;
     this.logger = dependencies.logger;
@@ -33,12 +53,10 @@ export class PaymentCommandHandler {
       maxDelay: 10000
     });
 
-    // Initialize payment gateways
-    this.stripeGateway = new StripeGateway(process.env.STRIPE_SECRET_KEY);
-    this.paypalGateway = new PayPalGateway({
-      clientId: process.env.PAYPAL_CLIENT_ID,
-      clientSecret: process.env.PAYPAL_CLIENT_SECRET
-    });
+    this.gateways = dependencies.gateways || createGatewayRegistry();
+    this.paymentRepository = dependencies.paymentRepository;
+    this.authorizationTtl = dependencies.authorizationTtl ||
+      (parseInt(process.env.PAYMENT_AUTHORIZATION_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000;
   }
 
   async handle(command) {
@@ -46,14 +64,14 @@ export class PaymentCommandHandler {
       return await this.handleProcessPayment(command);
     } else if (command instanceof CapturePaymentCommand) {
       return await this.handleCapturePayment(command);
+    } else if (command instanceof VoidPaymentCommand) {
+      return await this.handleVoidPayment(command);
     } else if (command instanceof RefundPaymentCommand) {
       return await this.handleRefundPayment(command);
     } else if (command instanceof UpdatePaymentStatusCommand) {
       return await this.handleUpdatePaymentStatus(command);
     } else if (command instanceof AddPaymentMethodCommand) {
       return await this.handleAddPaymentMethod(command);
-    } else if (command instanceof CreateSubscriptionCommand) {
-      return await this.handleCreateSubscription(command);
     } else {
       throw new Error(`Unknown command type: ${command.constructor.name}`);
     }
@@ -61,52 +79,7 @@ export class PaymentCommandHandler {
 
   async handleProcessPayment(command) {
     try {
-      command.validate();
-
-      // Fraud detection check
-      const fraudCheck = await this.performFraudCheck(command);
-      if (fraudCheck.riskScore > 80) {
-        await this.publishFraudAlert(command.id, fraudCheck);
-        throw new Error('Payment blocked due to fraud risk');
-      }
-
-      // Create payment record
-      const paymentData = {
-        id: command.id,
-        customerId: command.customerId,
-        amount: command.amount,
-        currency: command.currency,
-        paymentMethod: command.paymentMethod,
-        paymentMethodId: command.paymentMethodId,
-        description: command.description,
-        status: 'pending',
-        capture: command.capture,
-        metadata: command.metadata,
-        createdAt: command.createdAt || new Date().toISOString(),
-        updatedAt: command.createdAt || new Date().toISOString()
-      };
-
-      // Write to databases
-      await this.dualWriter.writeToAllDatabases(paymentData);
-
-      // Store event
-      const event = new PaymentInitiatedEvent({
-        paymentId: command.id,
-        customerId: command.customerId,
-        amount: command.amount,
-        currency: command.currency,
-        paymentMethod: command.paymentMethod,
-        description: command.description,
-        timestamp: new Date().toISOString()
-      });
-
-      await this.eventStore.append(event);
-
-      // Publish event
-      await this.kafkaService.produce('payment-events', {
-        key: command.id,
-        value: JSON.stringify(event)
-      });
+      const paymentData = await this.initiatePayment(command);
 
       // Process payment asynchronously
       setImmediate(() => this.processPaymentAsync(paymentData));
@@ -132,36 +105,128 @@ export class PaymentCommandHandler {
     }
   }
 
+  // Records the payment without contacting the gateway; callers that need the outcome, such as
+  // subscription billing, follow up with processPaymentWithGateway themselves
+  async initiatePayment(command) {
+    command.validate();
+
+    // Fraud detection check
+    const fraudCheck = await this.performFraudCheck(command);
+    if (fraudCheck.riskScore > 80) {
+      await this.publishFraudAlert(command.id, fraudCheck);
+      throw new Error('Payment blocked due to fraud risk');
+    }
+
+    // Create payment record
+    const paymentData = {
+      id: command.id,
+      customerId: command.customerId,
+      amount: command.amount,
+      currency: command.currency,
+      paymentMethod: command.paymentMethod,
+      paymentMethodId: command.paymentMethodId,
+      description: command.description,
+      status: 'created',
+      capture: command.capture,
+      metadata: command.metadata,
+      createdAt: command.createdAt || new Date().toISOString(),
+      updatedAt: command.createdAt || new Date().toISOString()
+    };
+
+    // Start the payment's event stream, then write the read model
+    const payment = new PaymentAggregate(command.id);
+    payment.apply(new PaymentInitiatedEvent({
+      paymentId: command.id,
+      customerId: command.customerId,
+      amount: command.amount,
+      currency: command.currency,
+      paymentMethod: command.paymentMethod,
+      description: command.description,
+      timestamp: new Date().toISOString()
+    }));
+    const events = payment.getUncommittedEvents();
+    await this.paymentRepository.save(payment);
+
+    await this.payments.save(paymentData);
+    await this.dualWriter.writeToAllDatabases(paymentData);
+    await this.publishEvents(events);
+
+    return paymentData;
+  }
+
   async handleCapturePayment(command) {
     try {
       command.validate();
 
       const payment = await this.getPaymentById(command.paymentId);
-      if (!payment) {
+      const current = await this.paymentRepository.getById(command.paymentId);
+      if (!payment || !current) {
         throw new Error('Payment not found');
       }
 
-      if (payment.status !== 'authorized') {
-        throw new Error('Payment must be authorized to capture');
+      if (!CAPTURABLE_STATUSES.includes(current.status) || current.capturableAmount <= 0) {
+        throw new PaymentStateError(command.paymentId, current.status, 'captured',
+          `Payment must be authorized to capture; it is ${current.status}`);
       }
 
-      const captureAmount = command.amount || payment.amount;
+      // Each partial capture takes part of what is left of the authorization
+      const captureAmount = command.amount || current.capturableAmount;
+      if (captureAmount > current.capturableAmount) {
+        throw new Error(`Capture amount cannot exceed the uncaptured ${current.capturableAmount}`);
+      }
 
-      // Process capture with gateway
       const gatewayResponse = await this.captureWithGateway(payment, captureAmount);
 
-      // Update payment status
-      const updateCommand = new UpdatePaymentStatusCommand({
+      return await this.transitionPayment(command.paymentId, (aggregate) => {
+        const capturedAmount = Math.round((aggregate.state.capturedAmount + captureAmount) * 100) / 100;
+        const fullyCaptured = capturedAmount >= aggregate.state.authorizedAmount;
+        // Once part of it has been refunded a payment stays partially refunded
+        const status = aggregate.state.refundedAmount > 0 ? 'partially_refunded'
+          : (fullyCaptured ? 'captured' : 'partially_captured');
+        return {
+          status,
+          reason: 'capture',
+          events: [new PaymentCapturedEvent({
+            paymentId: command.paymentId,
+            gatewayTransactionId: gatewayResponse.transactionId,
+            amount: captureAmount,
+            capturedAmount,
+            currency: aggregate.state.currency,
+            fee: gatewayResponse.fee,
+            timestamp: new Date().toISOString()
+          })]
+        };
+      }, { gatewayResponse });
+
+    } catch (error) {
+      this.logger.error('Failed to capture payment', {
         paymentId: command.paymentId,
-        status: 'completed',
-        gatewayResponse,
-        updatedAt: new Date().toISOString()
+        error: error.message
       });
+      throw error;
+    }
+  }
 
-      return await this.handleUpdatePaymentStatus(updateCommand);
+  async handleVoidPayment(command) {
+    try {
+      command.validate();
+
+      const payment = await this.getPaymentById(command.paymentId);
+      const current = await this.paymentRepository.getById(command.paymentId);
+      if (!payment || !current) {
+        throw new Error('Payment not found');
+      }
+
+      // A partly captured payment keeps what was captured; only the rest is released
+      if (!releaseTransition(current.status) || (current.status !== 'requires_action' && current.capturableAmount <= 0)) {
+        throw new PaymentStateError(command.paymentId, current.status, 'voided');
+      }
+
+      const gatewayResponse = await this.voidWithGateway(payment, command.reason);
+      return await this.releaseAuthorization(command.paymentId, command.reason || 'requested', { gatewayResponse });
 
     } catch (error) {
-      this.logger.error('Failed to capture payment', {
+      this.logger.error('Failed to void payment', {
         paymentId: command.paymentId,
         error: error.message
       });
@@ -174,21 +239,19 @@ export class PaymentCommandHandler {
       command.validate();
 
       const payment = await this.getPaymentById(command.paymentId);
-      if (!payment) {
+      const current = await this.paymentRepository.getById(command.paymentId);
+      if (!payment || !current) {
         throw new Error('Payment not found');
       }
 
-      if (!['completed', 'partially_refunded'].includes(payment.status)) {
-        throw new Error('Payment must be completed to refund');
+      if (!canTransition(current.status, 'refunded')) {
+        throw new PaymentStateError(command.paymentId, current.status, 'refunded',
+          `Payment must be captured to refund; it is ${current.status}`);
       }
 
-      // Check refund amount
-      const existingRefunds = await this.getPaymentRefunds(command.paymentId);
-      const totalRefunded = existingRefunds.reduce((sum, refund) =>
-        refund.status === 'completed' ? sum + refund.amount : sum, 0);
-
-      if (totalRefunded + command.amount > payment.amount) {
-        throw new Error('Total refund amount cannot exceed payment amount');
+      // Refunds are bounded by what was captured, not by the authorized amount
+      if (command.amount > current.refundableAmount) {
+        throw new Error(`Total refund amount cannot exceed the captured amount; ${current.refundableAmount} is refundable`);
       }
 
       // Create refund record
@@ -234,70 +297,38 @@ export class PaymentCommandHandler {
       command.validate();
 
       const payment = await this.getPaymentById(command.paymentId);
-      if (!payment) {
+      const current = await this.paymentRepository.getById(command.paymentId);
+      if (!payment || !current) {
         throw new Error('Payment not found');
       }
 
-      const updatedData = {
-        ...payment,
+      // Gateways confirm outcomes more than once (a synchronous response and a webhook)
+      if (current.status === command.status && !canTransition(current.status, command.status)) {
+        return { success: true, paymentId: command.paymentId, data: payment };
+      }
+
+      const reference = gatewayReferenceOf(payment);
+      const gateway = command.gatewayResponse?.gateway || reference.gateway;
+      const gatewayTransactionId = command.gatewayResponse?.transactionId || reference.transactionId;
+
+      const result = await this.transitionPayment(command.paymentId, (aggregate) => ({
         status: command.status,
+        reason: command.failureReason,
+        events: this.statusEvents(aggregate, command, { gateway, gatewayTransactionId })
+      }), {
         failureReason: command.failureReason,
         gatewayResponse: command.gatewayResponse,
-        updatedAt: command.updatedAt || new Date().toISOString()
-      };
-
-      // Update databases
-      await this.dualWriter.writeToAllDatabases(updatedData);
-
-      // Store appropriate event
-      let event;
-      switch (command.status) {
-        case 'processing':
-          event = new PaymentProcessingEvent({
-            paymentId: command.paymentId,
-            gatewayTransactionId: command.gatewayResponse?.transactionId,
-            timestamp: new Date().toISOString()
-          });
-          break;
-        case 'completed':
-          event = new PaymentCompletedEvent({
-            paymentId: command.paymentId,
-            gatewayTransactionId: command.gatewayResponse?.transactionId,
-            amount: payment.amount,
-            currency: payment.currency,
-            fee: command.gatewayResponse?.fee || 0,
-            timestamp: new Date().toISOString()
-          });
-          break;
-        case 'failed':
-          event = new PaymentFailedEvent({
-            paymentId: command.paymentId,
-            failureReason: command.failureReason,
-            gatewayResponse: command.gatewayResponse,
-            timestamp: new Date().toISOString()
-          });
-          break;
-      }
-
-      if (event) {
-        await this.eventStore.append(event);
-        await this.kafkaService.produce('payment-events', {
-          key: command.paymentId,
-          value: JSON.stringify(event)
-        });
-      }
+        gateway,
+        gatewayTransactionId
+      });
 
       this.logger.info('Payment status updated', {
         paymentId: command.paymentId,
-        oldStatus: payment.status,
+        oldStatus: current.status,
         newStatus: command.status
       });
 
-      return {
-        success: true,
-        paymentId: command.paymentId,
-        data: updatedData
-      };
+      return result;
 
     } catch (error) {
       this.logger.error('Failed to update payment status', {
@@ -308,6 +339,176 @@ export class PaymentCommandHandler {
     }
   }
 
+  // Events recorded alongside a status change made through UpdatePaymentStatusCommand
+  statusEvents(aggregate, command, reference) {
+    const timestamp = new Date().toISOString();
+    const { paymentId, gatewayResponse } = command;
+
+    switch (command.status) {
+      case 'requires_action':
+        return [new PaymentActionRequiredEvent({
+          paymentId,
+          ...reference,
+          nextAction: gatewayResponse?.nextAction,
+          expiresAt: this.authorizationExpiry(gatewayResponse),
+          timestamp
+        })];
+      case 'authorized':
+        return [new PaymentAuthorizedEvent({
+          paymentId,
+          ...reference,
+          amount: aggregate.state.amount,
+          currency: aggregate.state.currency,
+          expiresAt: this.authorizationExpiry(gatewayResponse),
+          timestamp
+        })];
+      case 'captured':
+        // Capturing what is left of an earlier authorization, or authorizing and capturing at once
+        if (['authorized', 'partially_captured'].includes(aggregate.status)) {
+          return [new PaymentCapturedEvent({
+            paymentId,
+            gatewayTransactionId: reference.gatewayTransactionId,
+            amount: aggregate.capturableAmount,
+            capturedAmount: aggregate.state.authorizedAmount,
+            currency: aggregate.state.currency,
+            fee: gatewayResponse?.fee,
+            timestamp
+          })];
+        }
+        return [new PaymentCompletedEvent({
+          paymentId,
+          gatewayTransactionId: reference.gatewayTransactionId,
+          amount: aggregate.state.amount,
+          currency: aggregate.state.currency,
+          fee: gatewayResponse?.fee || 0,
+          timestamp
+        })];
+      case 'voided':
+        return [new PaymentVoidedEvent({
+          paymentId,
+          gatewayTransactionId: reference.gatewayTransactionId,
+          releasedAmount: aggregate.capturableAmount,
+          reason: 'requested',
+          timestamp
+        })];
+      case 'failed':
+        return [new PaymentFailedEvent({
+          paymentId,
+          failureReason: command.failureReason,
+          gatewayResponse,
+          timestamp
+        })];
+      default:
+        return [];
+    }
+  }
+
+  authorizationExpiry(gatewayResponse) {
+    return gatewayResponse?.expiresAt || new Date(Date.now() + this.authorizationTtl).toISOString();
+  }
+
+  // Applies a state machine transition to the payment's event stream and then updates the
+  // read model. `decide` receives the current aggregate (reloaded on concurrent writes) and
+  // returns { status, reason, events }; illegal transitions throw PaymentStateError.
+  async transitionPayment(paymentId, decide, changes = {}) {
+    let events = [];
+
+    const aggregate = await this.paymentRepository.update(paymentId, (payment) => {
+      if (!payment.status) {
+        throw new Error('Payment not found');
+      }
+
+      const { status, reason, events: explaining = [] } = decide(payment);
+      payment.transitionTo(status, reason, explaining);
+      events = payment.getUncommittedEvents();
+    });
+
+    const payment = await this.getPaymentById(paymentId);
+    const updatedData = {
+      ...payment,
+      ...changes,
+      status: aggregate.status,
+      capturedAmount: aggregate.state.capturedAmount,
+      refundedAmount: aggregate.state.refundedAmount,
+      authorizationExpiresAt: aggregate.state.authorizationExpiresAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this.payments.save(updatedData);
+    await this.dualWriter.writeToAllDatabases(updatedData);
+    await this.publishEvents(events);
+
+    return {
+      success: true,
+      paymentId,
+      data: updatedData
+    };
+  }
+
+  // Voids an untouched authorization, or releases the uncaptured rest of a partly captured one.
+  // A payment whose captured part was already refunded in full ends up refunded.
+  async releaseAuthorization(paymentId, reason, changes = {}) {
+    return await this.transitionPayment(paymentId, (aggregate) => ({
+      status: aggregate.status === 'partially_refunded' && aggregate.refundableAmount <= 0
+        ? 'refunded'
+        : releaseTransition(aggregate.status) || 'voided',
+      reason,
+      events: [new PaymentVoidedEvent({
+        paymentId,
+        gatewayTransactionId: changes.gatewayResponse?.transactionId,
+        releasedAmount: aggregate.capturableAmount,
+        reason,
+        timestamp: new Date().toISOString()
+      })]
+    }), changes);
+  }
+
+  // Releases authorizations nobody captured in time: untouched ones are voided, partly captured
+  // ones keep the amount captured so far
+  async expireAuthorizations(now = new Date()) {
+    const expired = await this.getExpiredAuthorizations(now);
+    let count = 0;
+
+    for (const payment of expired) {
+      try {
+        await this.expireAuthorization(payment);
+        count++;
+      } catch (error) {
+        this.logger.error('Failed to expire payment authorization', {
+          paymentId: payment.id,
+          error: error.message
+        });
+      }
+    }
+
+    return count;
+  }
+
+  async expireAuthorization(payment) {
+    // The gateway lets the authorization lapse on its own if the void does not reach it
+    let gatewayResponse;
+    try {
+      gatewayResponse = await this.voidWithGateway(payment, 'authorization_expired');
+    } catch (error) {
+      this.logger.warn('Gateway void of expired authorization failed', {
+        paymentId: payment.id,
+        error: error.message
+      });
+    }
+
+    return await this.releaseAuthorization(payment.id, 'authorization_expired', { gatewayResponse });
+  }
+
+  // Keyed by aggregate so each payment's events stay ordered within a partition
+  async publishEvents(events) {
+    for (const event of events) {
+      await this.kafkaService.produce('payment-events', {
+        key: event.aggregateId,
+        value: JSON.stringify(event)
+      });
+    }
+  }
+
   async handleAddPaymentMethod(command) {
     try {
       command.validate();
@@ -320,6 +521,7 @@ export class PaymentCommandHandler {
         customerId: command.customerId,
         type: command.type,
         token: tokenizedMethod.token,
+        gateway: tokenizedMethod.gateway,
         gatewayId: tokenizedMethod.gatewayId,
         last4: tokenizedMethod.last4,
         brand: tokenizedMethod.brand,
@@ -371,82 +573,13 @@ export class PaymentCommandHandler {
     }
   }
 
-  async handleCreateSubscription(command) {
-    try {
-      command.validate();
-
-      const subscriptionData = {
-        id: command.id,
-        customerId: command.customerId,
-        paymentMethodId: command.paymentMethodId,
-        amount: command.amount,
-        currency: command.currency,
-        interval: command.interval,
-        intervalCount: command.intervalCount,
-        description: command.description,
-        status: 'active',
-        currentPeriodStart: command.startDate || new Date().toISOString(),
-        currentPeriodEnd: this.calculateNextBillingDate(command.startDate || new Date(), command.interval, command.intervalCount),
-        metadata: command.metadata,
-        createdAt: command.createdAt || new Date().toISOString(),
-        updatedAt: command.createdAt || new Date().toISOString()
-      };
-
-      await this.dualWriter.writeToAllDatabases(subscriptionData, { tableName: 'subscriptions' });
-
-      // Store event
-      const event = new SubscriptionCreatedEvent({
-        subscriptionId: command.id,
-        customerId: command.customerId,
-        amount: command.amount,
-        currency: command.currency,
-        interval: command.interval,
-        intervalCount: command.intervalCount,
-        timestamp: new Date().toISOString()
-      });
-
-      await this.eventStore.append(event);
-
-      await this.kafkaService.produce('payment-events', {
-        key: command.id,
-        value: JSON.stringify(event)
-      });
-
-      this.logger.info('Subscription created successfully', {
-        subscriptionId: command.id,
-        customerId: command.customerId,
-        amount: command.amount
-      });
-
-      return {
-        success: true,
-        subscriptionId: command.id,
-        data: subscriptionData
-      };
-
-    } catch (error) {
-      this.logger.error('Failed to create subscription', {
-        subscriptionId: command.id,
-        error: error.message
-      });
-      throw error;
-    }
-  }
-
   // Helper methods
   async getPaymentById(paymentId) {
-    const mysqlResult = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-      const [rows] = await connection.execute(
-        'SELECT * FROM payments WHERE id = ?',
-        [paymentId]
-      );
-      return rows[0];
-    });
-
-    if (mysqlResult) return mysqlResult;
+    return await this.payments.get(paymentId);
+  }
 
-    const mongoDB = this.connectionPool.getMongoDatabase();
-    return await mongoDB.collection('payments').findOne({ id: paymentId });
+  async getExpiredAuthorizations(now) {
+    return await this.payments.findExpiredAuthorizations(now, EXPIRING_STATUSES);
   }
 
   async getPaymentRefunds(paymentId) {
@@ -504,42 +637,44 @@ export class PaymentCommandHandler {
   }
 
   async processPaymentWithGateway(payment) {
-    // Update status to processing
-    await this.handleUpdatePaymentStatus(new UpdatePaymentStatusCommand({
-      paymentId: payment.id,
-      status: 'processing',
-      updatedAt: new Date().toISOString()
-    }));
-
+    let gateway;
     try {
-      // Route to appropriate gateway
-      let gatewayResponse;
-      switch (payment.paymentMethod) {
-        case 'credit_card':
-        case 'debit_card':
-          gatewayResponse = await this.stripeGateway.processPayment(payment);
-          break;
-        case 'paypal':
-          gatewayResponse = await this.paypalGateway.processPayment(payment);
-          break;
-        default:
-          throw new Error(`Unsupported payment method: ${payment.paymentMethod}`);
-      }
+      gateway = this.gateways.resolve(payment.paymentMethod);
+
+      // The payment id is the idempotency key, so retrying after a timeout cannot charge twice
+      const result = await this.retryLogic.execute(() => gateway.authorize({
+        paymentId: payment.id,
+        amount: payment.amount,
+        currency: payment.currency,
+        paymentMethod: payment.paymentMethod,
+        paymentMethodId: payment.paymentMethodId,
+        customerId: payment.customerId,
+        capture: payment.capture,
+        description: payment.description,
+        metadata: payment.metadata,
+        idempotencyKey: payment.id
+      }), GatewayError.isRetryable);
 
-      // Update to completed
       await this.handleUpdatePaymentStatus(new UpdatePaymentStatusCommand({
         paymentId: payment.id,
-        status: 'completed',
-        gatewayResponse,
+        status: result.status,
+        gatewayResponse: { gateway: gateway.name, ...result },
         updatedAt: new Date().toISOString()
       }));
 
     } catch (error) {
-      // Update to failed
+      // After a timeout the charge may or may not have gone through, so the payment is left as it
+      // is until the gateway's webhook, or a retry under the same idempotency key, settles it
+      if (GatewayError.isGatewayError(error) && error.code === GATEWAY_ERROR_CODES.TIMEOUT) {
+        this.logger.warn('Gateway outcome unknown after timeout', { paymentId: payment.id, error: error.message });
+        return;
+      }
+
       await this.handleUpdatePaymentStatus(new UpdatePaymentStatusCommand({
         paymentId: payment.id,
         status: 'failed',
         failureReason: error.message,
+        gatewayResponse: GatewayError.isGatewayError(error) ? error.toJSON() : undefined,
         updatedAt: new Date().toISOString()
       }));
     }
@@ -553,38 +688,21 @@ export class PaymentCommandHandler {
       // Update refund status
       await this.updateRefundStatus(refund.id, 'completed');
 
-      // Update payment status if fully refunded
-      const allRefunds = await this.getPaymentRefunds(payment.id);
-      const totalRefunded = allRefunds
-        .filter(r => r.status === 'completed')
-        .reduce((sum, r) => sum + r.amount, 0);
-
-      let newPaymentStatus = 'partially_refunded';
-      if (totalRefunded >= payment.amount) {
-        newPaymentStatus = 'refunded';
-      }
-
-      await this.handleUpdatePaymentStatus(new UpdatePaymentStatusCommand({
-        paymentId: payment.id,
-        status: newPaymentStatus,
-        updatedAt: new Date().toISOString()
+      // Fully refunded once everything captured has been returned and nothing is left to capture
+      await this.transitionPayment(payment.id, (aggregate) => ({
+        status: refund.amount >= aggregate.refundableAmount && aggregate.capturableAmount <= 0
+          ? 'refunded'
+          : 'partially_refunded',
+        reason: 'refund',
+        events: [new PaymentRefundedEvent({
+          paymentId: payment.id,
+          refundId: refund.id,
+          refundAmount: refund.amount,
+          reason: refund.reason,
+          timestamp: new Date().toISOString()
+        })]
       }));
 
-      // Publish refund event
-      const event = new PaymentRefundedEvent({
-        paymentId: payment.id,
-        refundId: refund.id,
-        refundAmount: refund.amount,
-        reason: refund.reason,
-        timestamp: new Date().toISOString()
-      });
-
-      await this.eventStore.append(event);
-      await this.kafkaService.produce('payment-events', {
-        key: payment.id,
-        value: JSON.stringify(event)
-      });
-
     } catch (error) {
       await this.updateRefundStatus(refund.id, 'failed');
       this.logger.error('Refund processing failed', {
@@ -614,68 +732,43 @@ export class PaymentCommandHandler {
     );
   }
 
-  calculateNextBillingDate(startDate, interval, count) {
-    const date = new Date(startDate);
-    switch (interval) {
-      case 'day':
-        date.setDate(date.getDate() + count);
-        break;
-      case 'week':
-        date.setDate(date.getDate() + (count * 7));
-        break;
-      case 'month':
-        date.setMonth(date.getMonth() + count);
-        break;
-      case 'year':
-        date.setFullYear(date.getFullYear() + count);
-        break;
+  // Gateway operations on an existing payment go to the gateway that authorized it
+  gatewayFor(payment) {
+    const reference = gatewayReferenceOf(payment);
+    if (!reference.gateway || !reference.transactionId) {
+      throw new Error('Payment has no gateway transaction');
     }
-    return date.toISOString();
+    return { gateway: this.gateways.get(reference.gateway), transactionId: reference.transactionId };
   }
 
-  // Placeholder methods for gateway integrations
   async captureWithGateway(payment, amount) {
-    // Implement actual gateway capture logic
-    return { transactionId: `cap_${Date.now()}`, fee: 0 };
+    const { gateway, transactionId } = this.gatewayFor(payment);
+    const result = await gateway.capture(transactionId, amount);
+    return { gateway: gateway.name, ...result };
   }
 
-  async processRefundWithGateway(refund, payment) {
-    // Implement actual gateway refund logic
-    return { transactionId: `ref_${Date.now()}` };
+  async voidWithGateway(payment, reason) {
+    const { gateway, transactionId } = this.gatewayFor(payment);
+    const result = await gateway.void(transactionId, { reason });
+    return { gateway: gateway.name, ...result };
   }
 
-  async tokenizePaymentMethod(command) {
-    // Implement actual tokenization logic
-    return {
-      token: `tok_${Date.now()}`,
-      gatewayId: `pm_${Date.now()}`,
-      last4: '4242',
-      brand: 'visa',
-      expiryMonth: 12,
-      expiryYear: 2025
-    };
-  }
-}
-
-// Placeholder gateway classes
-class StripeGateway {
-  constructor(secretKey) {
-    this.secretKey = secretKey;
+  async processRefundWithGateway(refund, payment) {
+    const { gateway, transactionId } = this.gatewayFor(payment);
+    const result = await this.retryLogic.execute(() => gateway.refund(transactionId, refund.amount, {
+      reason: refund.reason,
+      idempotencyKey: refund.id
+    }), GatewayError.isRetryable);
+    return { gateway: gateway.name, ...result };
   }
 
-  async processPayment(payment) {
-    // Implement Stripe payment processing
-    return { transactionId: `stripe_${Date.now()}`, fee: payment.amount * 0.029 };
+  async tokenizePaymentMethod(command) {
+    const gateway = this.gateways.resolve(command.type);
+    const tokenized = await gateway.tokenize({
+      type: command.type,
+      token: command.token,
+      customerId: command.customerId
+    });
+    return { gateway: gateway.name, ...tokenized };
   }
 }
-
-class PayPalGateway {
-  constructor(config) {
-    this.config = config;
-  }
-
-  async processPayment(payment) {
-    // Implement PayPal payment processing
-    return { transactionId: `paypal_${Date.now()}`, fee: payment.amount * 0.034 };
-  }
-}
\ No newline at end of file
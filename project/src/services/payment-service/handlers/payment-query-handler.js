@@ -412,7 +412,7 @@ export class PaymentQueryHandler {
     try {
       query.validate();
 
-      const { paymentId, status, startDate, endDate, page, limit } = query;
+      const { paymentId, merchantId, status, startDate, endDate, page, limit } = query;
       const offset = (page - 1) * limit;
 
       let whereConditions = [];
@@ -422,6 +422,10 @@ export class PaymentQueryHandler {
         whereConditions.push('payment_id = ?');
         params.push(paymentId);
       }
+      if (merchantId) {
+        whereConditions.push('merchant_id = ?');
+        params.push(merchantId);
+      }
       if (status) {
         whereConditions.push('status = ?');
         params.push(status);
@@ -477,7 +481,7 @@ export class PaymentQueryHandler {
     try {
       query.validate();
 
-      const { paymentId, status, startDate, endDate, page, limit } = query;
+      const { paymentId, merchantId, status, startDate, endDate, page, limit } = query;
       const offset = (page - 1) * limit;
 
       let whereConditions = [];
@@ -487,6 +491,10 @@ export class PaymentQueryHandler {
         whereConditions.push('payment_id = ?');
         params.push(paymentId);
       }
+      if (merchantId) {
+        whereConditions.push('merchant_id = ?');
+        params.push(merchantId);
+      }
       if (status) {
         whereConditions.push('status = ?');
         params.push(status);
@@ -640,6 +648,8 @@ export class PaymentQueryHandler {
     return {
       id: subscription.id,
       customerId: subscription.customer_id || subscription.customerId,
+      planId: subscription.plan_id || subscription.planId,
+      paymentMethod: subscription.payment_method || subscription.paymentMethod,
       paymentMethodId: subscription.payment_method_id || subscription.paymentMethodId,
       amount: parseFloat(subscription.amount),
       currency: subscription.currency,
@@ -649,6 +659,11 @@ export class PaymentQueryHandler {
       status: subscription.status,
       currentPeriodStart: subscription.current_period_start || subscription.currentPeriodStart,
       currentPeriodEnd: subscription.current_period_end || subscription.currentPeriodEnd,
+      cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end || subscription.cancelAtPeriodEnd),
+      creditBalance: parseFloat(subscription.credit_balance || subscription.creditBalance || 0),
+      pausedAt: subscription.paused_at || subscription.pausedAt || null,
+      resumeAt: subscription.resume_at || subscription.resumeAt || null,
+      cancelledAt: subscription.cancelled_at || subscription.cancelledAt || null,
       createdAt: subscription.created_at || subscription.createdAt,
       updatedAt: subscription.updated_at || subscription.updatedAt
     };
@@ -671,10 +686,15 @@ export class PaymentQueryHandler {
     return {
       id: dispute.id,
       paymentId: dispute.payment_id || dispute.paymentId,
-      disputeId: dispute.dispute_id || dispute.disputeId,
+      merchantId: dispute.merchant_id || dispute.merchantId,
+      gateway: dispute.gateway,
+      gatewayDisputeId: dispute.gateway_dispute_id || dispute.gatewayDisputeId,
       reason: dispute.reason,
       amount: parseFloat(dispute.amount),
+      currency: dispute.currency,
       status: dispute.status,
+      evidenceDueBy: dispute.evidence_due_by || dispute.evidenceDueBy,
+      resolvedAt: dispute.resolved_at || dispute.resolvedAt,
       createdAt: dispute.created_at || dispute.createdAt,
       updatedAt: dispute.updated_at || dispute.updatedAt
     };
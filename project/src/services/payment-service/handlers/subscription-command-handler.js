@@ -0,0 +1,708 @@
+import { v4 as uuidv4, v5 as uuidv5 } from 'uuid';
+import {
+  ProcessPaymentCommand,
+  CreateSubscriptionCommand,
+  ChangeSubscriptionPlanCommand,
+  PauseSubscriptionCommand,
+  ResumeSubscriptionCommand,
+  CancelSubscriptionCommand,
+  UpdateSubscriptionPaymentMethodCommand
+} from '../commands/payment-commands.js';
+import {
+  SubscriptionCreatedEvent,
+  SubscriptionInvoiceCreatedEvent,
+  SubscriptionPaymentEvent,
+  SubscriptionPaymentFailedEvent,
+  SubscriptionPlanChangedEvent,
+  SubscriptionPausedEvent,
+  SubscriptionResumedEvent,
+  SubscriptionCancellationScheduledEvent,
+  SubscriptionCancelledEvent
+} from '../events/payment-events.js';
+import SubscriptionStateError from '../state/subscription-state-error.js';
+import { assertSubscriptionTransition } from '../state/subscription-state-machine.js';
+import {
+  addInterval,
+  parseDunningSchedule,
+  periodEndAfter,
+  roundAmount,
+  unusedShare
+} from '../subscriptions/billing-periods.js';
+
+const INVOICE_PAYMENT_NAMESPACE = '5f0c7a8e-3b1d-4c52-9a6e-2d8f41b7c9e3';
+
+// Each attempt at an invoice charges under a payment id derived from the invoice and the attempt
+// number. The payment id is also the gateway's idempotency key, so asking again about an attempt
+// whose outcome was lost can never charge the customer twice.
+export const invoicePaymentId = (invoiceId, attempt) => uuidv5(`${invoiceId}:${attempt}`, INVOICE_PAYMENT_NAMESPACE);
+
+const planOf = (subscription) => ({
+  planId: subscription.planId || null,
+  amount: subscription.amount,
+  interval: subscription.interval,
+  intervalCount: subscription.intervalCount
+});
+
+// Bills subscriptions in advance: each period is invoiced and charged when it starts, which is
+// when the previous one ends. Failed charges are retried on the dunning schedule while the
+// subscription is past due, and the subscription is cancelled once the retries run out.
+export class SubscriptionCommandHandler {
+  constructor(dependencies) {
+    this.subscriptions = dependencies.subscriptions;
+    this.paymentHandler = dependencies.paymentHandler;
+    this.logger = dependencies.logger;
+
+    this.dunningSchedule = dependencies.dunningSchedule ||
+      parseDunningSchedule(process.env.SUBSCRIPTION_DUNNING_SCHEDULE_HOURS);
+    // How soon an attempt the gateway did not answer is asked about again
+    this.unsettledRecheckDelay = dependencies.unsettledRecheckDelay ||
+      (parseInt(process.env.SUBSCRIPTION_UNSETTLED_RECHECK_MINUTES) || 15) * 60 * 1000;
+  }
+
+  async handle(command) {
+    if (command instanceof CreateSubscriptionCommand) {
+      return await this.handleCreateSubscription(command);
+    } else if (command instanceof ChangeSubscriptionPlanCommand) {
+      return await this.handleChangeSubscriptionPlan(command);
+    } else if (command instanceof PauseSubscriptionCommand) {
+      return await this.handlePauseSubscription(command);
+    } else if (command instanceof ResumeSubscriptionCommand) {
+      return await this.handleResumeSubscription(command);
+    } else if (command instanceof CancelSubscriptionCommand) {
+      return await this.handleCancelSubscription(command);
+    } else if (command instanceof UpdateSubscriptionPaymentMethodCommand) {
+      return await this.handleUpdateSubscriptionPaymentMethod(command);
+    } else {
+      throw new Error(`Unknown command type: ${command.constructor.name}`);
+    }
+  }
+
+  async handleCreateSubscription(command) {
+    try {
+      command.validate();
+
+      // A future start date leaves an unbilled lead-in period that ends when billing starts
+      const now = new Date();
+      const startsLater = Boolean(command.startDate);
+      const subscription = {
+        id: command.id,
+        customerId: command.customerId,
+        planId: command.planId,
+        paymentMethod: command.paymentMethod,
+        paymentMethodId: command.paymentMethodId,
+        amount: command.amount,
+        currency: command.currency,
+        interval: command.interval,
+        intervalCount: command.intervalCount,
+        description: command.description,
+        status: 'active',
+        currentPeriodStart: now,
+        currentPeriodEnd: startsLater ? new Date(command.startDate) : addInterval(now, command.interval, command.intervalCount),
+        billingAnchor: startsLater ? new Date(command.startDate) : now,
+        metadata: command.metadata
+      };
+
+      await this.subscriptions.create(subscription);
+      await this.paymentHandler.publishEvents([new SubscriptionCreatedEvent({
+        subscriptionId: subscription.id,
+        customerId: subscription.customerId,
+        amount: subscription.amount,
+        currency: subscription.currency,
+        interval: subscription.interval,
+        intervalCount: subscription.intervalCount,
+        timestamp: now.toISOString()
+      })]);
+
+      if (!startsLater) {
+        await this.invoice(subscription, {
+          type: 'renewal',
+          amount: subscription.amount,
+          periodStart: subscription.currentPeriodStart,
+          periodEnd: subscription.currentPeriodEnd
+        });
+      }
+
+      this.logger.info('Subscription created successfully', {
+        subscriptionId: subscription.id,
+        customerId: subscription.customerId,
+        amount: subscription.amount
+      });
+
+      return { success: true, subscriptionId: subscription.id, data: await this.subscriptions.get(subscription.id) };
+
+    } catch (error) {
+      this.logger.error('Failed to create subscription', {
+        subscriptionId: command.id,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // With proration the customer pays the difference for the rest of the current period, or
+  // keeps it as credit for later invoices. A new billing interval starts a new period right away,
+  // charged at the new price less what was unused of the old one.
+  async handleChangeSubscriptionPlan(command) {
+    try {
+      command.validate();
+
+      const subscription = await this.getSubscription(command.subscriptionId);
+      if (!['active', 'paused'].includes(subscription.status)) {
+        throw new SubscriptionStateError(subscription.id, subscription.status, subscription.status,
+          `The plan of a ${subscription.status} subscription cannot be changed`);
+      }
+
+      const now = new Date();
+      const plan = {
+        planId: command.planId || null,
+        amount: command.amount,
+        interval: command.interval,
+        intervalCount: command.intervalCount
+      };
+      const sameInterval = plan.interval === subscription.interval && plan.intervalCount === subscription.intervalCount;
+      const share = unusedShare(subscription.currentPeriodStart, subscription.currentPeriodEnd, now);
+
+      // Paused subscriptions start a new period when they resume, so there is nothing to prorate
+      const changes = { ...plan };
+      let charge = 0;
+      let periodStart = now;
+      let periodEnd = subscription.currentPeriodEnd;
+      if (command.prorate && subscription.status === 'active') {
+        if (sameInterval) {
+          charge = roundAmount((plan.amount - subscription.amount) * share);
+        } else {
+          periodEnd = addInterval(now, plan.interval, plan.intervalCount);
+          charge = roundAmount(plan.amount - subscription.amount * share);
+          Object.assign(changes, { currentPeriodStart: now, currentPeriodEnd: periodEnd, billingAnchor: now });
+        }
+      }
+      // Without a new period now, the new interval counts from the start of the next one
+      if (!sameInterval && !changes.billingAnchor) {
+        changes.billingAnchor = subscription.currentPeriodEnd;
+      }
+      if (charge < 0) {
+        changes.creditBalance = roundAmount(subscription.creditBalance - charge);
+      }
+
+      if (!(await this.subscriptions.update(subscription.id, changes, { status: subscription.status }))) {
+        const current = await this.getSubscription(subscription.id);
+        throw new SubscriptionStateError(subscription.id, current.status, subscription.status,
+          `Subscription ${subscription.id} changed while its plan was being updated`);
+      }
+
+      const updated = { ...subscription, ...changes };
+      const invoice = charge > 0
+        ? await this.invoice(updated, { type: 'proration', amount: charge, periodStart, periodEnd })
+        : null;
+
+      await this.paymentHandler.publishEvents([new SubscriptionPlanChangedEvent({
+        subscriptionId: subscription.id,
+        customerId: subscription.customerId,
+        previousPlan: planOf(subscription),
+        plan,
+        prorationAmount: charge,
+        timestamp: now.toISOString()
+      })]);
+
+      this.logger.info('Subscription plan changed', {
+        subscriptionId: subscription.id,
+        amount: plan.amount,
+        interval: plan.interval,
+        prorationAmount: charge
+      });
+
+      return {
+        success: true,
+        subscriptionId: subscription.id,
+        data: { ...(await this.subscriptions.get(subscription.id)), prorationInvoice: invoice }
+      };
+
+    } catch (error) {
+      this.logger.error('Failed to change subscription plan', {
+        subscriptionId: command.subscriptionId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async handlePauseSubscription(command) {
+    try {
+      command.validate();
+
+      const subscription = await this.getSubscription(command.subscriptionId);
+      const resumeAt = command.resumeAt ? new Date(command.resumeAt) : null;
+      await this.moveSubscription(subscription, 'paused', { pausedAt: new Date(), resumeAt });
+
+      await this.paymentHandler.publishEvents([new SubscriptionPausedEvent({
+        subscriptionId: subscription.id,
+        customerId: subscription.customerId,
+        resumeAt: resumeAt && resumeAt.toISOString(),
+        timestamp: new Date().toISOString()
+      })]);
+
+      this.logger.info('Subscription paused', { subscriptionId: subscription.id, resumeAt });
+
+      return { success: true, subscriptionId: subscription.id, data: await this.subscriptions.get(subscription.id) };
+
+    } catch (error) {
+      this.logger.error('Failed to pause subscription', {
+        subscriptionId: command.subscriptionId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async handleResumeSubscription(command) {
+    try {
+      command.validate();
+
+      const subscription = await this.getSubscription(command.subscriptionId);
+      if (subscription.status === 'paused') {
+        await this.resume(subscription, new Date());
+      } else if (subscription.status === 'active' && subscription.cancelAtPeriodEnd) {
+        await this.subscriptions.update(subscription.id, { cancelAtPeriodEnd: false, cancellationReason: null }, { status: 'active' });
+        await this.publishResumed(subscription, subscription.currentPeriodEnd);
+      } else {
+        throw new SubscriptionStateError(subscription.id, subscription.status, 'active',
+          `Only paused subscriptions or ones scheduled to cancel can be resumed; it is ${subscription.status}`);
+      }
+
+      this.logger.info('Subscription resumed', { subscriptionId: subscription.id });
+
+      return { success: true, subscriptionId: subscription.id, data: await this.subscriptions.get(subscription.id) };
+
+    } catch (error) {
+      this.logger.error('Failed to resume subscription', {
+        subscriptionId: command.subscriptionId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Active subscriptions cancelled at period end keep running until the period they paid for
+  // ends; anything else is cancelled straight away
+  async handleCancelSubscription(command) {
+    try {
+      command.validate();
+
+      const subscription = await this.getSubscription(command.subscriptionId);
+      const reason = command.reason || 'requested';
+
+      if (command.atPeriodEnd && subscription.status === 'active') {
+        await this.subscriptions.update(subscription.id, { cancelAtPeriodEnd: true, cancellationReason: reason }, { status: 'active' });
+        await this.paymentHandler.publishEvents([new SubscriptionCancellationScheduledEvent({
+          subscriptionId: subscription.id,
+          customerId: subscription.customerId,
+          reason,
+          effectiveAt: new Date(subscription.currentPeriodEnd).toISOString(),
+          timestamp: new Date().toISOString()
+        })]);
+        this.logger.info('Subscription cancellation scheduled', {
+          subscriptionId: subscription.id,
+          effectiveAt: subscription.currentPeriodEnd
+        });
+      } else {
+        await this.cancel(subscription, reason, new Date());
+      }
+
+      return { success: true, subscriptionId: subscription.id, data: await this.subscriptions.get(subscription.id) };
+
+    } catch (error) {
+      this.logger.error('Failed to cancel subscription', {
+        subscriptionId: command.subscriptionId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // Past due invoices are charged to the new payment method right away instead of waiting for
+  // their next dunning attempt
+  async handleUpdateSubscriptionPaymentMethod(command) {
+    try {
+      command.validate();
+
+      const subscription = await this.getSubscription(command.subscriptionId);
+      if (subscription.status === 'cancelled') {
+        throw new SubscriptionStateError(subscription.id, subscription.status, subscription.status,
+          'The payment method of a cancelled subscription cannot be changed');
+      }
+
+      await this.subscriptions.update(subscription.id, {
+        paymentMethod: command.paymentMethod || subscription.paymentMethod,
+        paymentMethodId: command.paymentMethodId
+      });
+
+      if (subscription.status === 'past_due') {
+        for (const invoice of await this.subscriptions.listInvoices(subscription.id, 'open')) {
+          await this.chargeInvoice(invoice);
+        }
+      }
+
+      this.logger.info('Subscription payment method updated', { subscriptionId: subscription.id });
+
+      return {
+        success: true,
+        subscriptionId: subscription.id,
+        data: {
+          ...(await this.subscriptions.get(subscription.id)),
+          invoices: await this.subscriptions.listInvoices(subscription.id)
+        }
+      };
+
+    } catch (error) {
+      this.logger.error('Failed to update subscription payment method', {
+        subscriptionId: command.subscriptionId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  // One pass of the billing scheduler: resumes paused subscriptions that are due, renews every
+  // subscription whose period ended and retries invoices whose dunning attempt is due
+  async runBilling(now = new Date()) {
+    const counts = { resumed: 0, renewed: 0, retried: 0 };
+
+    for (const subscription of await this.subscriptions.findResumable(now)) {
+      await this.safely('resume', subscription.id, async () => {
+        await this.resume(subscription, now);
+        counts.resumed++;
+      });
+    }
+
+    for (const subscription of await this.subscriptions.findDue(now)) {
+      await this.safely('renew', subscription.id, async () => {
+        if (await this.renew(subscription, now)) counts.renewed++;
+      });
+    }
+
+    for (const invoice of await this.subscriptions.findRetryable(now)) {
+      await this.safely('retry invoice of', invoice.subscriptionId, async () => {
+        if (await this.chargeInvoice(invoice, now)) counts.retried++;
+      });
+    }
+
+    return counts;
+  }
+
+  async safely(action, subscriptionId, operation) {
+    try {
+      await operation();
+    } catch (error) {
+      this.logger.error(`Failed to ${action} subscription`, { subscriptionId, error: error.message });
+    }
+  }
+
+  // Advances the period and bills it. The period only advances if it still ends where this
+  // sweep found it, so two sweeps racing each other cannot bill the same period twice.
+  async renew(subscription, now) {
+    if (subscription.cancelAtPeriodEnd) {
+      await this.cancel(subscription, subscription.cancellationReason || 'requested', now);
+      return false;
+    }
+
+    const periodStart = new Date(subscription.currentPeriodEnd);
+    const periodEnd = periodEndAfter(subscription.billingAnchor || periodStart, subscription.interval,
+      subscription.intervalCount, periodStart);
+    const advanced = await this.subscriptions.update(
+      subscription.id,
+      { currentPeriodStart: periodStart, currentPeriodEnd: periodEnd },
+      { status: 'active', currentPeriodEnd: periodStart }
+    );
+    if (!advanced) {
+      return false;
+    }
+
+    await this.invoice({ ...subscription, currentPeriodStart: periodStart, currentPeriodEnd: periodEnd }, {
+      type: 'renewal',
+      amount: subscription.amount,
+      periodStart,
+      periodEnd
+    }, now);
+    return true;
+  }
+
+  // Creates an invoice, takes any proration credit off it and charges what is left
+  async invoice(subscription, { type, amount, periodStart, periodEnd }, now = new Date()) {
+    const creditApplied = roundAmount(Math.min(subscription.creditBalance || 0, amount));
+    const invoice = {
+      id: uuidv4(),
+      subscriptionId: subscription.id,
+      customerId: subscription.customerId,
+      type,
+      amount: roundAmount(amount - creditApplied),
+      creditApplied,
+      currency: subscription.currency,
+      description: `${type === 'renewal' ? 'Subscription' : 'Plan change'} ${subscription.id}: ` +
+        `${new Date(periodStart).toISOString().slice(0, 10)} to ${new Date(periodEnd).toISOString().slice(0, 10)}`,
+      periodStart,
+      periodEnd,
+      status: 'open',
+      attemptCount: 0
+    };
+
+    if (!(await this.subscriptions.createInvoice(invoice))) {
+      return null;
+    }
+    if (creditApplied > 0) {
+      await this.subscriptions.update(subscription.id, {
+        creditBalance: roundAmount(subscription.creditBalance - creditApplied)
+      });
+    }
+
+    await this.paymentHandler.publishEvents([new SubscriptionInvoiceCreatedEvent({
+      subscriptionId: subscription.id,
+      customerId: subscription.customerId,
+      invoiceId: invoice.id,
+      invoiceType: type,
+      amount: invoice.amount,
+      creditApplied,
+      currency: invoice.currency,
+      periodStart: new Date(periodStart).toISOString(),
+      periodEnd: new Date(periodEnd).toISOString(),
+      timestamp: now.toISOString()
+    })]);
+
+    if (invoice.amount === 0) {
+      await this.invoicePaid({ ...subscription }, invoice, null, now);
+    } else {
+      await this.chargeInvoice(invoice, now);
+    }
+
+    return await this.subscriptions.getInvoice(invoice.id);
+  }
+
+  // Each attempt is claimed by bumping the attempt count, so one sweep charges it at a time
+  async chargeInvoice(invoice, now = new Date()) {
+    const attempt = invoice.attemptCount + 1;
+    const claimed = await this.subscriptions.updateInvoice(
+      invoice.id,
+      { attemptCount: attempt },
+      { status: 'open', attemptCount: invoice.attemptCount }
+    );
+    if (!claimed) {
+      return false;
+    }
+
+    const subscription = await this.getSubscription(invoice.subscriptionId);
+    const { paymentId, paid, unsettled, failureReason } = await this.collect(subscription, invoice, attempt, now);
+
+    if (paid) {
+      await this.invoicePaid(subscription, invoice, paymentId, now);
+    } else if (unsettled) {
+      await this.invoiceUnsettled(invoice, { attempt, paymentId }, now);
+    } else {
+      await this.invoiceFailed(subscription, invoice, { attempt, paymentId, failureReason }, now);
+    }
+    return true;
+  }
+
+  // Charges the invoice off-session, waiting for the gateway's answer rather than leaving it
+  // to run in the background as customer-initiated payments do. An attempt whose payment already
+  // exists is one whose outcome was unknown; it carries on with that payment.
+  async collect(subscription, invoice, attempt, now) {
+    const paymentId = invoicePaymentId(invoice.id, attempt);
+    const payments = this.paymentHandler.paymentRepository;
+
+    try {
+      const existing = await payments.getById(paymentId);
+      const payment = existing
+        ? await this.paymentHandler.getPaymentById(paymentId)
+        : await this.paymentHandler.initiatePayment(new ProcessPaymentCommand({
+          id: paymentId,
+          customerId: subscription.customerId,
+          amount: invoice.amount,
+          currency: invoice.currency,
+          paymentMethod: subscription.paymentMethod,
+          paymentMethodId: subscription.paymentMethodId,
+          description: invoice.description,
+          metadata: { subscriptionId: subscription.id, invoiceId: invoice.id },
+          createdAt: now.toISOString()
+        }));
+      if (!existing || existing.status === 'created') {
+        await this.paymentHandler.processPaymentWithGateway(payment);
+      }
+
+      return await this.outcomeOf(paymentId);
+
+    } catch (error) {
+      // Once the payment exists the gateway may have been reached, so its outcome is not known
+      const recorded = await payments.getById(paymentId).catch(() => null);
+      return recorded && recorded.status === 'created'
+        ? { paymentId, paid: false, unsettled: true, failureReason: error.message }
+        : { paymentId, paid: false, failureReason: error.message };
+    }
+  }
+
+  async outcomeOf(paymentId) {
+    const charged = await this.paymentHandler.paymentRepository.getById(paymentId);
+    if (charged.status === 'captured') {
+      return { paymentId, paid: true };
+    }
+    // The gateway timed out; only its webhook or asking again will tell
+    if (charged.status === 'created') {
+      return { paymentId, paid: false, unsettled: true, failureReason: 'Gateway outcome unknown' };
+    }
+
+    // Nobody is there to complete 3-D Secure; the authorization lapses on its own
+    const row = await this.paymentHandler.getPaymentById(paymentId);
+    const failureReason = charged.status === 'requires_action'
+      ? 'authentication_required'
+      : (row && row.failureReason) || `Payment ${charged.status}`;
+    return { paymentId, paid: false, failureReason };
+  }
+
+  // The attempt is handed back rather than counted as a failure, so the next sweep asks about
+  // the same payment again instead of charging anew
+  async invoiceUnsettled(invoice, { attempt, paymentId }, now) {
+    await this.subscriptions.updateInvoice(invoice.id, {
+      attemptCount: attempt - 1,
+      paymentId,
+      nextAttemptAt: new Date(now.getTime() + this.unsettledRecheckDelay)
+    }, { attemptCount: attempt });
+
+    this.logger.warn('Subscription invoice payment outcome unknown', {
+      subscriptionId: invoice.subscriptionId,
+      invoiceId: invoice.id,
+      paymentId,
+      attempt
+    });
+  }
+
+  async invoicePaid(subscription, invoice, paymentId, now) {
+    await this.subscriptions.updateInvoice(invoice.id, {
+      status: 'paid',
+      paymentId,
+      paidAt: now,
+      nextAttemptAt: null,
+      failureReason: null
+    });
+
+    const stillOpen = await this.subscriptions.listInvoices(subscription.id, 'open');
+    if (subscription.status === 'past_due' && stillOpen.length === 0) {
+      await this.moveSubscription(subscription, 'active');
+    }
+
+    await this.paymentHandler.publishEvents([new SubscriptionPaymentEvent({
+      subscriptionId: subscription.id,
+      customerId: subscription.customerId,
+      invoiceId: invoice.id,
+      paymentId,
+      amount: invoice.amount,
+      currency: invoice.currency,
+      status: 'success',
+      timestamp: now.toISOString()
+    })]);
+
+    this.logger.info('Subscription invoice paid', { subscriptionId: subscription.id, invoiceId: invoice.id, paymentId });
+  }
+
+  async invoiceFailed(subscription, invoice, { attempt, paymentId, failureReason }, now) {
+    const delay = this.dunningSchedule[attempt - 1];
+    const nextAttemptAt = delay === undefined ? null : new Date(now.getTime() + delay);
+
+    await this.subscriptions.updateInvoice(invoice.id, {
+      status: nextAttemptAt ? 'open' : 'uncollectible',
+      paymentId,
+      failureReason,
+      nextAttemptAt
+    });
+
+    await this.paymentHandler.publishEvents([new SubscriptionPaymentFailedEvent({
+      subscriptionId: subscription.id,
+      customerId: subscription.customerId,
+      invoiceId: invoice.id,
+      paymentId,
+      amount: invoice.amount,
+      currency: invoice.currency,
+      attempt,
+      failureReason,
+      nextAttemptAt: nextAttemptAt && nextAttemptAt.toISOString(),
+      timestamp: now.toISOString()
+    })]);
+
+    this.logger.warn('Subscription invoice payment failed', {
+      subscriptionId: subscription.id,
+      invoiceId: invoice.id,
+      attempt,
+      failureReason,
+      nextAttemptAt
+    });
+
+    if (!nextAttemptAt) {
+      await this.cancel(subscription, 'payment_failed', now);
+    } else if (subscription.status === 'active') {
+      await this.moveSubscription(subscription, 'past_due');
+    }
+  }
+
+  async resume(subscription, now) {
+    // A period that ended while paused is not billed; a new one starts now
+    const periodEnded = new Date(subscription.currentPeriodEnd) <= now;
+    const changes = { pausedAt: null, resumeAt: null };
+    if (periodEnded) {
+      Object.assign(changes, { currentPeriodEnd: now, billingAnchor: now });
+    }
+
+    await this.moveSubscription(subscription, 'active', changes);
+    await this.publishResumed(subscription, periodEnded ? now : subscription.currentPeriodEnd);
+
+    if (periodEnded) {
+      await this.renew({ ...subscription, ...changes, status: 'active' }, now);
+    }
+  }
+
+  async publishResumed(subscription, currentPeriodEnd) {
+    await this.paymentHandler.publishEvents([new SubscriptionResumedEvent({
+      subscriptionId: subscription.id,
+      customerId: subscription.customerId,
+      currentPeriodEnd: new Date(currentPeriodEnd).toISOString(),
+      timestamp: new Date().toISOString()
+    })]);
+  }
+
+  // Open invoices are voided; nothing more is collected for a cancelled subscription
+  async cancel(subscription, reason, now) {
+    await this.moveSubscription(subscription, 'cancelled', {
+      cancelledAt: now,
+      cancellationReason: reason,
+      cancelAtPeriodEnd: false
+    });
+
+    for (const invoice of await this.subscriptions.listInvoices(subscription.id, 'open')) {
+      await this.subscriptions.updateInvoice(invoice.id, { status: 'void', nextAttemptAt: null }, { status: 'open' });
+    }
+
+    await this.paymentHandler.publishEvents([new SubscriptionCancelledEvent({
+      subscriptionId: subscription.id,
+      customerId: subscription.customerId,
+      reason,
+      timestamp: now.toISOString()
+    })]);
+
+    this.logger.info('Subscription cancelled', { subscriptionId: subscription.id, reason });
+  }
+
+  async getSubscription(subscriptionId) {
+    const subscription = await this.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw new Error('Subscription not found');
+    }
+    return subscription;
+  }
+
+  // Compare-and-set on the status, like disputes, so concurrent commands cannot both apply
+  async moveSubscription(subscription, toStatus, changes = {}) {
+    assertSubscriptionTransition(subscription.id, subscription.status, toStatus);
+
+    if (!(await this.subscriptions.update(subscription.id, { status: toStatus, ...changes }, { status: subscription.status }))) {
+      const current = await this.getSubscription(subscription.id);
+      throw new SubscriptionStateError(subscription.id, current.status, toStatus);
+    }
+    subscription.status = toStatus;
+  }
+}
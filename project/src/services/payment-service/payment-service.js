@@ -1,13 +1,25 @@
 import { v4 as uuidv4 } from 'uuid';
 import { PaymentCommandHandler } from './handlers/payment-command-handler.js';
 import { PaymentQueryHandler } from './handlers/payment-query-handler.js';
+import { DisputeCommandHandler } from './handlers/dispute-command-handler.js';
+import { SubscriptionCommandHandler } from './handlers/subscription-command-handler.js';
 import {
   ProcessPaymentCommand,
   CapturePaymentCommand,
+  VoidPaymentCommand,
   RefundPaymentCommand,
   UpdatePaymentStatusCommand,
   AddPaymentMethodCommand,
-  CreateSubscriptionCommand
+  CreateSubscriptionCommand,
+  ChangeSubscriptionPlanCommand,
+  PauseSubscriptionCommand,
+  ResumeSubscriptionCommand,
+  CancelSubscriptionCommand,
+  UpdateSubscriptionPaymentMethodCommand,
+  OpenDisputeCommand,
+  SubmitDisputeEvidenceCommand,
+  AcceptDisputeCommand,
+  ResolveDisputeCommand
 } from './commands/payment-commands.js';
 import {
   GetPaymentQuery,
@@ -23,6 +35,14 @@ import { KafkaService } from '../../shared/messaging/kafka-service.js';
 import EventStore from '../../shared/event-sourcing/event-store.js';
 import CommandBus from '../../shared/cqrs/command-bus.js';
 import QueryBus from '../../shared/cqrs/query-bus.js';
+import AggregateRepository from '../../shared/event-sourcing/aggregate-repository.js';
+import { PaymentAggregate } from './aggregates/payment-aggregate.js';
+import PaymentStateError from './state/payment-state-error.js';
+import { createGatewayRegistry } from './gateways/gateway-registry.js';
+import GatewayError, { GATEWAY_ERROR_CODES } from './gateways/gateway-error.js';
+import { createWebhookEventStore } from './webhooks/webhook-event-store.js';
+import { createDisputeStore } from './disputes/dispute-store.js';
+import { createSubscriptionStore } from './subscriptions/subscription-store.js';
 
 export class PaymentService {
   constructor(dependencies) {
@@ -33,12 +53,37 @@ export class PaymentService {
     this.queryBus = dependencies.queryBus || new QueryBus();
     this.kafkaService = dependencies.kafkaService || new KafkaService();
     this.logger = dependencies.logger;
+    this.gateways = dependencies.gateways || createGatewayRegistry();
+    this.webhookEvents = dependencies.webhookEvents || createWebhookEventStore(this.connectionPool);
+    this.disputes = dependencies.disputes || createDisputeStore(this.connectionPool);
+    this.subscriptions = dependencies.subscriptions || createSubscriptionStore(this.connectionPool);
+
+    this.paymentRepository = new AggregateRepository(
+      this.eventStore,
+      (id) => new PaymentAggregate(id),
+      { snapshotFrequency: 20, logger: this.logger }
+    );
 
     this.commandHandler = new PaymentCommandHandler({
       connectionPool: this.connectionPool,
       dualWriter: this.dualWriter,
       eventStore: this.eventStore,
       kafkaService: this.kafkaService,
+      gateways: this.gateways,
+      paymentRepository: this.paymentRepository,
+      logger: this.logger
+    });
+
+    this.disputeHandler = new DisputeCommandHandler({
+      disputes: this.disputes,
+      paymentHandler: this.commandHandler,
+      gateways: this.gateways,
+      logger: this.logger
+    });
+
+    this.subscriptionHandler = new SubscriptionCommandHandler({
+      subscriptions: this.subscriptions,
+      paymentHandler: this.commandHandler,
       logger: this.logger
     });
 
@@ -52,10 +97,20 @@ export class PaymentService {
     // Register command handlers
     this.commandBus.registerHandler('ProcessPaymentCommand', this.commandHandler);
     this.commandBus.registerHandler('CapturePaymentCommand', this.commandHandler);
+    this.commandBus.registerHandler('VoidPaymentCommand', this.commandHandler);
     this.commandBus.registerHandler('RefundPaymentCommand', this.commandHandler);
     this.commandBus.registerHandler('UpdatePaymentStatusCommand', this.commandHandler);
     this.commandBus.registerHandler('AddPaymentMethodCommand', this.commandHandler);
-    this.commandBus.registerHandler('CreateSubscriptionCommand', this.commandHandler);
+    this.commandBus.registerHandler('CreateSubscriptionCommand', this.subscriptionHandler);
+    this.commandBus.registerHandler('ChangeSubscriptionPlanCommand', this.subscriptionHandler);
+    this.commandBus.registerHandler('PauseSubscriptionCommand', this.subscriptionHandler);
+    this.commandBus.registerHandler('ResumeSubscriptionCommand', this.subscriptionHandler);
+    this.commandBus.registerHandler('CancelSubscriptionCommand', this.subscriptionHandler);
+    this.commandBus.registerHandler('UpdateSubscriptionPaymentMethodCommand', this.subscriptionHandler);
+    this.commandBus.registerHandler('OpenDisputeCommand', this.disputeHandler);
+    this.commandBus.registerHandler('SubmitDisputeEvidenceCommand', this.disputeHandler);
+    this.commandBus.registerHandler('AcceptDisputeCommand', this.disputeHandler);
+    this.commandBus.registerHandler('ResolveDisputeCommand', this.disputeHandler);
 
     // Register query handlers
     this.queryBus.registerHandler('GetPaymentQuery', this.queryHandler);
@@ -73,8 +128,14 @@ export class PaymentService {
     // Setup webhook handlers
     await this.setupWebhookHandlers();
 
-    // Start subscription billing processor
-    this.startSubscriptionProcessor();
+    // Renew subscriptions and retry failed subscription charges
+    this.startSubscriptionBilling();
+
+    // Void authorizations that were not captured in time
+    this.startAuthorizationExpiry();
+
+    // Remind merchants of dispute evidence deadlines
+    this.startDisputeDeadlineReminders();
 
     this.logger.info('Payment Service initialized');
   }
@@ -99,6 +160,16 @@ export class PaymentService {
     return await this.commandBus.execute(command);
   }
 
+  async voidPayment(paymentId, reason) {
+    const command = new VoidPaymentCommand({
+      paymentId,
+      reason,
+      updatedAt: new Date().toISOString()
+    });
+
+    return await this.commandBus.execute(command);
+  }
+
   async refundPayment(paymentId, amount, reason) {
     const command = new RefundPaymentCommand({
       paymentId,
@@ -143,11 +214,107 @@ export class PaymentService {
     return await this.commandBus.execute(command);
   }
 
+  async changeSubscriptionPlan(subscriptionId, planData) {
+    const command = new ChangeSubscriptionPlanCommand({
+      subscriptionId,
+      ...planData,
+      updatedAt: new Date().toISOString()
+    });
+
+    return await this.commandBus.execute(command);
+  }
+
+  async pauseSubscription(subscriptionId, pauseData = {}) {
+    const command = new PauseSubscriptionCommand({
+      subscriptionId,
+      ...pauseData,
+      updatedAt: new Date().toISOString()
+    });
+
+    return await this.commandBus.execute(command);
+  }
+
+  async resumeSubscription(subscriptionId) {
+    const command = new ResumeSubscriptionCommand({
+      subscriptionId,
+      updatedAt: new Date().toISOString()
+    });
+
+    return await this.commandBus.execute(command);
+  }
+
+  async cancelSubscription(subscriptionId, cancelData = {}) {
+    const command = new CancelSubscriptionCommand({
+      subscriptionId,
+      ...cancelData,
+      updatedAt: new Date().toISOString()
+    });
+
+    return await this.commandBus.execute(command);
+  }
+
+  async updateSubscriptionPaymentMethod(subscriptionId, paymentMethodData) {
+    const command = new UpdateSubscriptionPaymentMethodCommand({
+      subscriptionId,
+      ...paymentMethodData,
+      updatedAt: new Date().toISOString()
+    });
+
+    return await this.commandBus.execute(command);
+  }
+
+  async submitDisputeEvidence(disputeId, evidenceData, submittedBy) {
+    const command = new SubmitDisputeEvidenceCommand({
+      disputeId,
+      evidenceId: uuidv4(),
+      ...evidenceData,
+      submittedBy,
+      createdAt: new Date().toISOString()
+    });
+
+    return await this.commandBus.execute(command);
+  }
+
+  async acceptDispute(disputeId, acceptedBy) {
+    const command = new AcceptDisputeCommand({
+      disputeId,
+      acceptedBy,
+      updatedAt: new Date().toISOString()
+    });
+
+    return await this.commandBus.execute(command);
+  }
+
+  async resolveDispute(disputeId, outcome) {
+    const command = new ResolveDisputeCommand({
+      disputeId,
+      outcome,
+      updatedAt: new Date().toISOString()
+    });
+
+    return await this.commandBus.execute(command);
+  }
+
   async getPayment(paymentId) {
     const query = new GetPaymentQuery({ paymentId });
     return await this.queryBus.execute(query);
   }
 
+  // The payment's status transitions, read from its event stream
+  async getPaymentHistory(paymentId) {
+    const events = await this.eventStore.getEvents(paymentId);
+
+    return events
+      .filter(event => ['PaymentInitiated', 'PaymentStatusChanged'].includes(event.eventData.eventType))
+      .map(event => ({
+        version: event.eventVersion,
+        fromStatus: event.eventData.fromStatus || null,
+        toStatus: event.eventData.toStatus || 'created',
+        reason: event.eventData.reason || null,
+        timestamp: event.eventData.timestamp
+      }));
+  }
+
   async getPayments(criteria = {}) {
     const query = new GetPaymentsQuery(criteria);
     return await this.queryBus.execute(query);
@@ -173,11 +340,31 @@ export class PaymentService {
     return await this.queryBus.execute(query);
   }
 
+  // The subscription with its invoices, oldest first
+  async getSubscription(subscriptionId) {
+    const subscription = await this.subscriptions.get(subscriptionId);
+    if (!subscription) return null;
+
+    return { ...subscription, invoices: await this.subscriptions.listInvoices(subscriptionId) };
+  }
+
   async getDisputes(criteria = {}) {
     const query = new GetDisputesQuery(criteria);
     return await this.queryBus.execute(query);
   }
 
+  // The dispute with its evidence submissions; document contents are downloaded separately
+  async getDispute(disputeId) {
+    const dispute = await this.disputes.get(disputeId);
+    if (!dispute) return null;
+
+    return { ...dispute, evidence: await this.disputes.listEvidence(disputeId) };
+  }
+
+  async getDisputeDocument(disputeId, documentId) {
+    return await this.disputes.getDocument(disputeId, documentId);
+  }
+
   async getFraudAlerts(criteria = {}) {
     const query = new GetFraudAlertsQuery(criteria);
     return await this.queryBus.execute(query);
@@ -216,9 +403,6 @@ export class PaymentService {
       case 'OrderPlaced':
         await this.handleOrderPlaced(event);
         break;
-      case 'SubscriptionRenewalDue':
-        await this.handleSubscriptionRenewal(event);
-        break;
       default:
         this.logger.debug('Received unknown event type:', event.eventType);
     }
@@ -258,119 +442,58 @@ export class PaymentService {
     await this.processPayment(paymentData);
   }
 
-  async handleSubscriptionRenewal(event) {
-    // Process subscription renewal payment
-    const subscription = await this.getSubscriptionById(event.aggregateId);
-    if (!subscription || subscription.status !== 'active') {
-      return;
-    }
-
-    const paymentData = {
-      customerId: subscription.customerId,
-      amount: subscription.amount,
-      currency: subscription.currency,
-      paymentMethodId: subscription.paymentMethodId,
-      description: `Subscription renewal for ${subscription.id}`,
-      metadata: {
-        subscriptionId: subscription.id,
-        eventId: event.id
-      }
-    };
-
-    const result = await this.processPayment(paymentData);
-
-    if (result.success) {
-      // Update subscription period
-      await this.updateSubscriptionPeriod(subscription.id);
-    }
-  }
-
   async setupWebhookHandlers() {
     // Setup webhook endpoints for payment gateways
     // This would typically be handled by a separate webhook service
     // but for simplicity, we'll set up basic handlers
   }
 
-  startSubscriptionProcessor() {
-    // Process subscription renewals every hour
-    setInterval(async () => {
+  startSubscriptionBilling() {
+    const interval = parseInt(process.env.SUBSCRIPTION_BILLING_SWEEP_MS) || 60 * 60 * 1000;
+
+    this.subscriptionBillingTimer = setInterval(async () => {
       try {
-        await this.processDueSubscriptions();
+        const { resumed, renewed, retried } = await this.subscriptionHandler.runBilling();
+        if (resumed + renewed + retried > 0) {
+          this.logger.info(`Subscription billing: ${renewed} renewed, ${retried} retried, ${resumed} resumed`);
+        }
       } catch (error) {
-        this.logger.error('Error processing subscription renewals:', error);
+        this.logger.error('Error billing subscriptions:', error);
       }
-    }, 60 * 60 * 1000); // 1 hour
+    }, interval);
+    this.subscriptionBillingTimer.unref();
   }
 
-  async processDueSubscriptions() {
-    const dueDate = new Date().toISOString();
+  startAuthorizationExpiry() {
+    const interval = parseInt(process.env.PAYMENT_AUTHORIZATION_SWEEP_MS) || 60 * 1000;
 
-    // Find subscriptions due for renewal
-    const dueSubscriptions = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-      const [rows] = await connection.execute(
-        'SELECT * FROM subscriptions WHERE status = ? AND current_period_end <= ?',
-        ['active', dueDate]
-      );
-      return rows;
-    });
-
-    for (const subscription of dueSubscriptions) {
-      // Trigger renewal event
-      await this.kafkaService.produce('payment-events', {
-        eventType: 'SubscriptionRenewalDue',
-        aggregateId: subscription.id,
-        timestamp: new Date().toISOString()
-      });
-    }
-  }
-
-  async getSubscriptionById(subscriptionId) {
-    const mysqlResult = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-      const [rows] = await connection.execute(
-        'SELECT * FROM subscriptions WHERE id = ?',
-        [subscriptionId]
-      );
-      return rows[0];
-    });
-
-    return mysqlResult;
+    this.authorizationExpiryTimer = setInterval(async () => {
+      try {
+        const expired = await this.commandHandler.expireAuthorizations();
+        if (expired > 0) {
+          this.logger.info(`Expired ${expired} payment authorizations`);
+        }
+      } catch (error) {
+        this.logger.error('Error expiring payment authorizations:', error);
+      }
+    }, interval);
+    this.authorizationExpiryTimer.unref();
   }
 
-  async updateSubscriptionPeriod(subscriptionId) {
-    const subscription = await this.getSubscriptionById(subscriptionId);
-    if (!subscription) return;
-
-    const nextEnd = this.calculateNextBillingDate(
-      subscription.current_period_end,
-      subscription.interval,
-      subscription.interval_count
-    );
-
-    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-      await connection.execute(
-        'UPDATE subscriptions SET current_period_start = ?, current_period_end = ?, updated_at = NOW() WHERE id = ?',
-        [subscription.current_period_end, nextEnd, subscriptionId]
-      );
-    });
-  }
+  startDisputeDeadlineReminders() {
+    const interval = parseInt(process.env.DISPUTE_DEADLINE_SWEEP_MS) || 60 * 60 * 1000;
 
-  calculateNextBillingDate(currentEnd, interval, count) {
-    const date = new Date(currentEnd);
-    switch (interval) {
-      case 'day':
-        date.setDate(date.getDate() + count);
-        break;
-      case 'week':
-        date.setDate(date.getDate() + (count * 7));
-        break;
-      case 'month':
-        date.setMonth(date.getMonth() + count);
-        break;
-      case 'year':
-        date.setFullYear(date.getFullYear() + count);
-        break;
-    }
-    return date.toISOString();
+    this.disputeReminderTimer = setInterval(async () => {
+      try {
+        const reminded = await this.disputeHandler.remindApproachingDeadlines();
+        if (reminded > 0) {
+          this.logger.info(`Sent ${reminded} dispute deadline reminders`);
+        }
+      } catch (error) {
+        this.logger.error('Error sending dispute deadline reminders:', error);
+      }
+    }, interval);
+    this.disputeReminderTimer.unref();
   }
 
   // Currency conversion utility
@@ -422,140 +545,149 @@ export class PaymentService {
     return sum % 10 === 0;
   }
 
-  // Webhook handling for payment gateways
-  async handleWebhookEvent(gateway, event) {
+  // Webhook handling for payment gateways. The raw body is verified against the gateway's
+  // signature before anything is parsed, and each event id is processed at most once.
+  // Returns { event, duplicate, status } where status is processing, processed or unhandled.
+  async handleWebhookEvent(gatewayName, rawBody, headers = {}) {
+    const gateway = this.gateways.get(gatewayName);
+
+    await gateway.verifyWebhook(rawBody, headers);
+    const event = gateway.parseWebhook(rawBody, headers);
+    if (!event.id || !event.type) {
+      throw new GatewayError(gateway.name, GATEWAY_ERROR_CODES.INVALID_REQUEST, 'Webhook event has no id or type');
+    }
+
+    if (!(await this.webhookEvents.reserve(gateway.name, event))) {
+      const existing = await this.webhookEvents.get(gateway.name, event.id);
+      this.logger.info(`Ignoring duplicate ${gateway.name} webhook ${event.id}`);
+      return { event, duplicate: true, status: existing ? existing.status : 'processing' };
+    }
+
     try {
-      switch (gateway) {
-        case 'stripe':
-          await this.handleStripeWebhook(event);
-          break;
-        case 'paypal':
-          await this.handlePayPalWebhook(event);
-          break;
-        default:
-          this.logger.warn(`Unknown gateway webhook: ${gateway}`);
+      const handled = await this.dispatchWebhookEvent(gateway.name, event);
+      const status = handled ? 'processed' : 'unhandled';
+
+      if (!handled) {
+        this.logger.warn(`Stored unhandled ${gateway.name} webhook ${event.id} of type ${event.type}`);
       }
+      await this.webhookEvents.complete(gateway.name, event.id, status);
+      return { event, duplicate: false, status };
     } catch (error) {
-      this.logger.error(`Error handling ${gateway} webhook:`, error);
+      // Free the event id so the gateway's redelivery is processed again
+      await this.webhookEvents.release(gateway.name, event.id);
+      this.logger.error(`Error handling ${gateway.name} webhook:`, error);
       throw error;
     }
   }
 
-  async handleStripeWebhook(event) {
-    // Handle Stripe webhook events
+  // Returns false for event types this service does not act on
+  async dispatchWebhookEvent(gatewayName, event) {
     switch (event.type) {
-      case 'payment_intent.succeeded':
-        await this.handlePaymentSuccess(event.data.object);
-        break;
-      case 'payment_intent.payment_failed':
-        await this.handlePaymentFailure(event.data.object);
-        break;
-      case 'charge.dispute.created':
-        await this.handleDisputeCreated(event.data.object);
-        break;
-      case 'invoice.payment_succeeded':
-        await this.handleSubscriptionPayment(event.data.object);
-        break;
+      case 'payment.succeeded':
+        await this.handlePaymentSuccess(gatewayName, event);
+        return true;
+      case 'payment.failed':
+        await this.handlePaymentFailure(gatewayName, event);
+        return true;
+      case 'dispute.created':
+        await this.handleDisputeCreated(gatewayName, event);
+        return true;
+      case 'dispute.closed':
+        await this.handleDisputeClosed(gatewayName, event);
+        return true;
       default:
-        this.logger.debug('Unhandled Stripe event type:', event.type);
+        return false;
     }
   }
 
-  async handlePayPalWebhook(event) {
-    // Handle PayPal webhook events
-    switch (event.event_type) {
-      case 'PAYMENT.CAPTURE.COMPLETED':
-        await this.handlePaymentSuccess(event.resource);
-        break;
-      case 'PAYMENT.CAPTURE.DENIED':
-        await this.handlePaymentFailure(event.resource);
-        break;
-      case 'CUSTOMER.DISPUTE.CREATED':
-        await this.handleDisputeCreated(event.resource);
-        break;
-      default:
-        this.logger.debug('Unhandled PayPal event type:', event.event_type);
-    }
+  async getWebhookEvents(criteria = {}) {
+    return await this.webhookEvents.list(criteria);
   }
 
-  async handlePaymentSuccess(gatewayPayment) {
-    // Update payment status based on gateway response
-    const paymentId = this.extractPaymentIdFromGatewayResponse(gatewayPayment);
-    if (paymentId) {
-      await this.updatePaymentStatus(paymentId, 'completed', {
-        gatewayResponse: gatewayPayment
-      });
-    }
+  async handlePaymentSuccess(gatewayName, event) {
+    const payment = await this.paymentChargedThrough(gatewayName, event);
+    if (!payment) return;
+
+    // A completed 3-D Secure challenge only authorizes payments that capture later
+    const status = payment.capture === false ? 'authorized' : 'captured';
+
+    await this.applyGatewayOutcome(payment.id, status, {
+      gatewayResponse: { gateway: gatewayName, transactionId: event.transactionId, amount: event.amount }
+    });
   }
 
-  async handlePaymentFailure(gatewayPayment) {
-    // Update payment status and log failure
-    const paymentId = this.extractPaymentIdFromGatewayResponse(gatewayPayment);
-    if (paymentId) {
-      await this.updatePaymentStatus(paymentId, 'failed', {
-        failureReason: gatewayPayment.failure_message || 'Gateway payment failed',
-        gatewayResponse: gatewayPayment
-      });
-    }
+  async handlePaymentFailure(gatewayName, event) {
+    const payment = await this.paymentChargedThrough(gatewayName, event);
+    if (!payment) return;
+
+    await this.applyGatewayOutcome(payment.id, 'failed', {
+      failureReason: event.reason || 'Gateway payment failed',
+      gatewayResponse: { gateway: gatewayName, transactionId: event.transactionId }
+    });
   }
 
-  async handleDisputeCreated(dispute) {
-    // Create dispute record
-    const disputeData = {
-      id: uuidv4(),
-      paymentId: dispute.payment_intent || dispute.payment_id,
-      amount: dispute.amount / 100, // Convert from cents
-      currency: dispute.currency,
-      reason: dispute.reason,
-      status: 'open',
-      evidence: {},
-      createdAt: new Date().toISOString()
-    };
+  // The payment a gateway event is about, or null when that gateway did not charge it. Without
+  // this check a webhook signed for one gateway could settle payments made through another.
+  async paymentChargedThrough(gatewayName, event) {
+    const paymentId = this.extractPaymentIdFromGatewayEvent(event);
+    const payment = paymentId && await this.commandHandler.getPaymentById(paymentId);
+    if (!payment) return null;
 
-    await this.dualWriter.writeToAllDatabases(disputeData, 'disputes');
+    const sameTransaction = !payment.gatewayTransactionId || !event.transactionId ||
+      payment.gatewayTransactionId === event.transactionId;
+    if (payment.gateway !== gatewayName || !sameTransaction) {
+      this.logger.warn(`Ignoring ${gatewayName} webhook ${event.id} for payment ${paymentId} charged through ${payment.gateway || 'no gateway'}`);
+      return null;
+    }
 
-    // Publish dispute event
-    await this.kafkaService.produce('payment-events', {
-      eventType: 'DisputeCreated',
-      aggregateId: disputeData.id,
-      eventData: disputeData,
-      timestamp: new Date().toISOString()
-    });
+    return payment;
   }
 
-  async handleSubscriptionPayment(invoice) {
-    // Handle subscription payment success
-    const subscriptionId = invoice.subscription;
-    if (subscriptionId) {
-      // Update subscription billing cycle
-      await this.updateSubscriptionBillingCycle(subscriptionId);
+  // Gateways deliver events late and out of order; one the payment has moved past is ignored
+  async applyGatewayOutcome(paymentId, status, options) {
+    try {
+      await this.updatePaymentStatus(paymentId, status, options);
+    } catch (error) {
+      if (!PaymentStateError.isPaymentStateError(error)) throw error;
+      this.logger.warn(`Ignoring stale gateway outcome for payment ${paymentId}: ${error.message}`);
     }
   }
 
-  extractPaymentIdFromGatewayResponse(gatewayPayment) {
-    // Extract payment ID from gateway response
-    // This would depend on how you store the mapping
-    return gatewayPayment.metadata?.paymentId || gatewayPayment.id;
+  async handleDisputeCreated(gatewayName, event) {
+    const payment = event.disputeId && await this.paymentChargedThrough(gatewayName, event);
+    if (!payment) {
+      this.logger.warn(`Ignoring ${gatewayName} dispute ${event.id} without a dispute id or a payment charged through ${gatewayName}`);
+      return;
+    }
+    const paymentId = payment.id;
+
+    const command = new OpenDisputeCommand({
+      id: uuidv4(),
+      paymentId,
+      gateway: gatewayName,
+      gatewayDisputeId: event.disputeId,
+      amount: event.amount,
+      currency: event.currency,
+      reason: event.reason,
+      evidenceDueBy: event.evidenceDueBy,
+      createdAt: new Date().toISOString()
+    });
+
+    await this.commandBus.execute(command);
   }
 
-  async updateSubscriptionBillingCycle(subscriptionId) {
-    // Update subscription's current period
-    const subscription = await this.getSubscriptionById(subscriptionId);
-    if (!subscription) return;
+  async handleDisputeClosed(gatewayName, event) {
+    const dispute = event.disputeId && await this.disputes.getByGatewayId(gatewayName, event.disputeId);
+    if (!dispute || !['won', 'lost'].includes(event.outcome)) {
+      this.logger.warn(`Ignoring ${gatewayName} dispute outcome ${event.id} for an unknown dispute or outcome`);
+      return;
+    }
 
-    const nextPeriodEnd = this.calculateNextBillingDate(
-      subscription.current_period_end,
-      subscription.interval,
-      subscription.interval_count
-    );
+    await this.resolveDispute(dispute.id, event.outcome);
+  }
 
-    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-      await connection.execute(
-        `UPDATE subscriptions
-         SET current_period_start = ?, current_period_end = ?, updated_at = NOW()
-         WHERE id = ?`,
-        [subscription.current_period_end, nextPeriodEnd, subscriptionId]
-      );
-    });
+  extractPaymentIdFromGatewayEvent(event) {
+    // Gateways echo our payment id when it was sent with the charge
+    return event.paymentId || event.transactionId;
   }
 }
\ No newline at end of file
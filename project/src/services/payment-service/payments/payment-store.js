@@ -0,0 +1,131 @@
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+const toPayment = (row) => ({
+  id: row.id,
+  customerId: row.customer_id,
+  amount: parseFloat(row.amount),
+  currency: row.currency,
+  paymentMethod: row.payment_method,
+  paymentMethodId: row.payment_method_id,
+  description: row.description,
+  status: row.status,
+  capture: Boolean(row.capture),
+  gateway: row.gateway,
+  gatewayTransactionId: row.gateway_transaction_id,
+  capturedAmount: parseFloat(row.captured_amount),
+  refundedAmount: parseFloat(row.refunded_amount),
+  authorizationExpiresAt: row.authorization_expires_at,
+  failureReason: row.failure_reason,
+  gatewayResponse: parseJson(row.gateway_response, null),
+  metadata: parseJson(row.metadata, {}),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const toRow = (payment) => [
+  payment.id,
+  payment.customerId,
+  payment.amount,
+  payment.currency,
+  payment.paymentMethod || null,
+  payment.paymentMethodId || null,
+  payment.description || null,
+  payment.status,
+  payment.capture !== false,
+  payment.gateway || null,
+  payment.gatewayTransactionId || null,
+  payment.capturedAmount || 0,
+  payment.refundedAmount || 0,
+  toDate(payment.authorizationExpiresAt),
+  payment.failureReason || null,
+  payment.gatewayResponse ? JSON.stringify(payment.gatewayResponse) : null,
+  JSON.stringify(payment.metadata || {}),
+  toDate(payment.createdAt) || new Date(),
+  toDate(payment.updatedAt) || new Date()
+];
+
+// The payments read model, rewritten from the aggregate after every transition
+export class MySQLPaymentStore {
+  constructor(connectionPool) {
+    this.connectionPool = connectionPool;
+  }
+
+  async get(id) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute('SELECT * FROM payments WHERE id = ?', [id]);
+      return rows.length > 0 ? toPayment(rows[0]) : null;
+    });
+  }
+
+  async save(payment) {
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute(
+        `INSERT INTO payments
+         (id, customer_id, amount, currency, payment_method, payment_method_id, description, status, capture,
+          gateway, gateway_transaction_id, captured_amount, refunded_amount, authorization_expires_at,
+          failure_reason, gateway_response, metadata, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           status = VALUES(status),
+           gateway = VALUES(gateway),
+           gateway_transaction_id = VALUES(gateway_transaction_id),
+           captured_amount = VALUES(captured_amount),
+           refunded_amount = VALUES(refunded_amount),
+           authorization_expires_at = VALUES(authorization_expires_at),
+           failure_reason = VALUES(failure_reason),
+           gateway_response = VALUES(gateway_response),
+           metadata = VALUES(metadata),
+           updated_at = VALUES(updated_at)`,
+        toRow(payment)
+      );
+    });
+  }
+
+  // Payments in one of `statuses` whose authorization expired at or before `now`
+  async findExpiredAuthorizations(now, statuses) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT * FROM payments WHERE status IN (${statuses.map(() => '?').join(', ')})
+         AND authorization_expires_at <= ?
+         ORDER BY authorization_expires_at ASC`,
+        [...statuses, now]
+      );
+      return rows.map(toPayment);
+    });
+  }
+}
+
+export class InMemoryPaymentStore {
+  constructor() {
+    this.payments = new Map();
+  }
+
+  async get(id) {
+    const payment = this.payments.get(id);
+    return payment ? { ...payment } : null;
+  }
+
+  async save(payment) {
+    this.payments.set(payment.id, { ...this.payments.get(payment.id), ...payment });
+  }
+
+  async findExpiredAuthorizations(now, statuses) {
+    return Array.from(this.payments.values())
+      .filter(payment => statuses.includes(payment.status) &&
+        payment.authorizationExpiresAt && toDate(payment.authorizationExpiresAt) <= now)
+      .sort((a, b) => toDate(a.authorizationExpiresAt) - toDate(b.authorizationExpiresAt))
+      .map(payment => ({ ...payment }));
+  }
+}
+
+// The in-memory connection pool has no real tables, so tests keep payments in process memory
+export function createPaymentStore(connectionPool) {
+  return connectionPool && !connectionPool.isTest
+    ? new MySQLPaymentStore(connectionPool)
+    : new InMemoryPaymentStore();
+}
@@ -0,0 +1,31 @@
+-- Payments Read Model Migration
+-- This script creates the payments table the payment-service keeps in step with each payment's
+-- event stream; the event stream stays the source of truth
+
+-- Create payments table
+CREATE TABLE IF NOT EXISTS payments (
+  id VARCHAR(36) PRIMARY KEY,
+  customer_id VARCHAR(36) NOT NULL,
+  amount DECIMAL(15,2) NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  payment_method VARCHAR(50),
+  payment_method_id VARCHAR(128),
+  description VARCHAR(500),
+  status ENUM('created', 'requires_action', 'authorized', 'partially_captured', 'captured',
+              'partially_refunded', 'refunded', 'voided', 'failed', 'disputed') NOT NULL,
+  capture BOOLEAN NOT NULL DEFAULT TRUE,
+  gateway VARCHAR(50),
+  gateway_transaction_id VARCHAR(128),
+  captured_amount DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+  refunded_amount DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+  authorization_expires_at TIMESTAMP(3) NULL, -- Set while an authorization is open; the expiry sweep voids it after this
+  failure_reason VARCHAR(500),
+  gateway_response JSON,
+  metadata JSON,
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+  INDEX idx_customer_id (customer_id),
+  INDEX idx_status_authorization_expires_at (status, authorization_expires_at),
+  INDEX idx_gateway_transaction (gateway, gateway_transaction_id),
+  INDEX idx_created_at (created_at)
+);
@@ -1,3 +1,6 @@
+import { DISPUTE_STATES } from '../state/dispute-state-machine.js';
+import { SUBSCRIPTION_STATES } from '../state/subscription-state-machine.js';
+
 export class GetPaymentQuery {
   constructor(data) {
     this.paymentId = data.paymentId;
@@ -85,7 +88,7 @@ export class GetPaymentMethodsQuery {
 export class GetSubscriptionsQuery {
   constructor(data) {
     this.customerId = data.customerId;
-    this.status = data.status; // active, cancelled, past_due
+    this.status = data.status; // active, past_due, paused, cancelled
     this.paymentMethodId = data.paymentMethodId;
     this.page = data.page || 1;
     this.limit = data.limit || 20;
@@ -94,11 +97,10 @@ export class GetSubscriptionsQuery {
   }
 
   validate() {
-    const validStatuses = ['active', 'cancelled', 'past_due', 'incomplete'];
     const validSortFields = ['createdAt', 'nextBillingDate', 'amount'];
     const validSortOrders = ['asc', 'desc'];
 
-    if (this.status && !validStatuses.includes(this.status)) {
+    if (this.status && !SUBSCRIPTION_STATES.includes(this.status)) {
       throw new Error(`Invalid status: ${this.status}`);
     }
     if (this.page < 1) {
@@ -144,7 +146,8 @@ export class GetRefundsQuery {
 export class GetDisputesQuery {
   constructor(data) {
     this.paymentId = data.paymentId;
-    this.status = data.status; // opened, won, lost
+    this.merchantId = data.merchantId;
+    this.status = data.status; // needs_response, under_review, won, lost, accepted
     this.startDate = data.startDate;
     this.endDate = data.endDate;
     this.page = data.page || 1;
@@ -152,9 +155,7 @@ export class GetDisputesQuery {
   }
 
   validate() {
-    const validStatuses = ['opened', 'won', 'lost', 'under_review'];
-
-    if (this.status && !validStatuses.includes(this.status)) {
+    if (this.status && !DISPUTE_STATES.includes(this.status)) {
       throw new Error(`Invalid status: ${this.status}`);
     }
     if (this.page < 1) {
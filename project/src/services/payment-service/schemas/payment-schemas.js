@@ -0,0 +1,349 @@
+import Joi from 'joi';
+import { id, idParams, metadata, money, timestamp } from '../../../shared/validation/common-schemas.js';
+import { PAYMENT_STATES } from '../state/payment-state-machine.js';
+import { DISPUTE_STATES } from '../state/dispute-state-machine.js';
+import { SUBSCRIPTION_STATES } from '../state/subscription-state-machine.js';
+
+export const PAYMENT_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'];
+export const PAYMENT_METHODS = ['credit_card', 'debit_card', 'bank_transfer', 'paypal', 'apple_pay', 'google_pay'];
+export const PAYMENT_STATUSES = PAYMENT_STATES;
+export const DISPUTE_STATUSES = DISPUTE_STATES;
+export const DISPUTE_DOCUMENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'text/plain'];
+export const SUBSCRIPTION_STATUSES = SUBSCRIPTION_STATES;
+export const BILLING_INTERVALS = ['day', 'week', 'month', 'year'];
+
+// Request bodies; the command schemas below extend them with the fields the service fills in
+
+export const processPaymentRequest = Joi.object({
+  customerId: id.required(),
+  amount: money.required(),
+  currency: Joi.string().uppercase().valid(...PAYMENT_CURRENCIES).default('USD'),
+  paymentMethod: Joi.string().valid(...PAYMENT_METHODS).required(),
+  paymentMethodId: id.description('Tokenized payment method'),
+  description: Joi.string().max(500),
+  metadata,
+  capture: Joi.boolean().default(true).description('Capture immediately instead of only authorizing')
+});
+
+export const capturePaymentRequest = Joi.object({
+  amount: money.description('Partial capture amount; the full amount when omitted')
+});
+
+export const voidPaymentRequest = Joi.object({
+  reason: Joi.string().max(500)
+});
+
+export const refundPaymentRequest = Joi.object({
+  amount: money.required(),
+  reason: Joi.string().max(500).required()
+});
+
+export const updatePaymentStatusRequest = Joi.object({
+  status: Joi.string().valid(...PAYMENT_STATUSES).required(),
+  failureReason: Joi.string().max(500).when('status', { is: 'failed', then: Joi.required() }),
+  gatewayResponse: Joi.object().unknown(true)
+});
+
+export const WEBHOOK_EVENT_STATUSES = ['processing', 'processed', 'unhandled'];
+
+export const listWebhookEventsQuery = Joi.object({
+  gateway: Joi.string().max(50),
+  status: Joi.string().valid(...WEBHOOK_EVENT_STATUSES),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+const disputeDocument = Joi.object({
+  filename: Joi.string().max(255).required(),
+  contentType: Joi.string().valid(...DISPUTE_DOCUMENT_TYPES).required(),
+  content: Joi.string().base64().required().description('Base64-encoded file content')
+});
+
+export const submitDisputeEvidenceRequest = Joi.object({
+  evidence: Joi.object().pattern(Joi.string().max(100), Joi.string().max(20000)).default({})
+    .description('Free-text evidence, e.g. productDescription, customerCommunication, shippingTrackingNumber'),
+  documents: Joi.array().items(disputeDocument).max(10).default([]),
+  submit: Joi.boolean().default(false)
+    .description('Send the evidence saved so far to the gateway; it cannot be changed afterwards')
+});
+
+export const resolveDisputeRequest = Joi.object({
+  outcome: Joi.string().valid('won', 'lost').required()
+});
+
+export const listDisputesQuery = Joi.object({
+  paymentId: id,
+  merchantId: id,
+  status: Joi.string().valid(...DISPUTE_STATUSES),
+  startDate: timestamp,
+  endDate: timestamp,
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const plan = {
+  planId: id.description('Caller-defined plan identifier, stored for reference'),
+  amount: money.required().description('Price per billing period'),
+  interval: Joi.string().valid(...BILLING_INTERVALS).required(),
+  intervalCount: Joi.number().integer().min(1).max(365).default(1)
+};
+
+export const createSubscriptionRequest = Joi.object({
+  customerId: id.required(),
+  ...plan,
+  currency: Joi.string().uppercase().valid(...PAYMENT_CURRENCIES).default('USD'),
+  paymentMethod: Joi.string().valid(...PAYMENT_METHODS).default('credit_card'),
+  paymentMethodId: id.required().description('Tokenized payment method charged every period'),
+  description: Joi.string().max(500),
+  startDate: Joi.date().iso().greater('now').description('The first period is billed straight away when omitted'),
+  metadata
+});
+
+export const changeSubscriptionPlanRequest = Joi.object({
+  ...plan,
+  prorate: Joi.boolean().default(true)
+    .description('Charge or credit the difference for the rest of the period; otherwise the new price starts next period')
+});
+
+export const pauseSubscriptionRequest = Joi.object({
+  resumeAt: Joi.date().iso().greater('now').description('Resumed automatically at this time; stays paused when omitted')
+});
+
+export const cancelSubscriptionRequest = Joi.object({
+  atPeriodEnd: Joi.boolean().default(true).description('Keep the subscription until the paid period ends'),
+  reason: Joi.string().max(255)
+});
+
+export const updateSubscriptionPaymentMethodRequest = Joi.object({
+  paymentMethod: Joi.string().valid(...PAYMENT_METHODS),
+  paymentMethodId: id.required()
+});
+
+export const processPaymentCommand = processPaymentRequest.keys({
+  id: id.required(),
+  createdAt: timestamp
+});
+
+export const capturePaymentCommand = capturePaymentRequest.keys({
+  amount: money.allow(null),
+  paymentId: id.required(),
+  updatedAt: timestamp
+});
+
+export const voidPaymentCommand = voidPaymentRequest.keys({
+  paymentId: id.required(),
+  updatedAt: timestamp
+});
+
+export const refundPaymentCommand = refundPaymentRequest.keys({
+  paymentId: id.required(),
+  refundId: id.required(),
+  createdAt: timestamp
+});
+
+export const updatePaymentStatusCommand = updatePaymentStatusRequest.keys({
+  paymentId: id.required(),
+  updatedAt: timestamp
+});
+
+export const openDisputeCommand = Joi.object({
+  id: id.required(),
+  paymentId: id.required(),
+  gateway: Joi.string().max(50).required(),
+  gatewayDisputeId: Joi.string().max(255).required(),
+  amount: money.required(),
+  currency: Joi.string().uppercase().valid(...PAYMENT_CURRENCIES),
+  reason: Joi.string().max(255).allow(null, ''),
+  evidenceDueBy: timestamp.allow(null),
+  createdAt: timestamp
+});
+
+export const submitDisputeEvidenceCommand = submitDisputeEvidenceRequest.keys({
+  disputeId: id.required(),
+  evidenceId: id.required(),
+  submittedBy: id,
+  createdAt: timestamp
+});
+
+export const acceptDisputeCommand = Joi.object({
+  disputeId: id.required(),
+  acceptedBy: id,
+  updatedAt: timestamp
+});
+
+export const resolveDisputeCommand = resolveDisputeRequest.keys({
+  disputeId: id.required(),
+  updatedAt: timestamp
+});
+
+export const createSubscriptionCommand = createSubscriptionRequest.keys({
+  id: id.required(),
+  createdAt: timestamp
+});
+
+export const changeSubscriptionPlanCommand = changeSubscriptionPlanRequest.keys({
+  subscriptionId: id.required(),
+  updatedAt: timestamp
+});
+
+export const pauseSubscriptionCommand = pauseSubscriptionRequest.keys({
+  subscriptionId: id.required(),
+  updatedAt: timestamp
+});
+
+export const resumeSubscriptionCommand = Joi.object({
+  subscriptionId: id.required(),
+  updatedAt: timestamp
+});
+
+export const cancelSubscriptionCommand = cancelSubscriptionRequest.keys({
+  subscriptionId: id.required(),
+  updatedAt: timestamp
+});
+
+export const updateSubscriptionPaymentMethodCommand = updateSubscriptionPaymentMethodRequest.keys({
+  subscriptionId: id.required(),
+  updatedAt: timestamp
+});
+
+export const paymentRoutes = {
+  processPayment: {
+    method: 'post',
+    path: '/payments',
+    summary: 'Process a payment',
+    status: 201,
+    body: processPaymentRequest
+  },
+  capturePayment: {
+    method: 'post',
+    path: '/payments/:id/capture',
+    summary: 'Capture an authorized payment',
+    params: idParams,
+    body: capturePaymentRequest
+  },
+  voidPayment: {
+    method: 'post',
+    path: '/payments/:id/void',
+    summary: 'Void an authorization that has not been captured',
+    params: idParams,
+    body: voidPaymentRequest
+  },
+  refundPayment: {
+    method: 'post',
+    path: '/payments/:id/refund',
+    summary: 'Refund a payment',
+    params: idParams,
+    body: refundPaymentRequest
+  },
+  updatePaymentStatus: {
+    method: 'put',
+    path: '/payments/:id/status',
+    summary: 'Move a payment to a status the state machine allows from its current one',
+    params: idParams,
+    body: updatePaymentStatusRequest
+  },
+  getPayment: { method: 'get', path: '/payments/:id', summary: 'Get a payment' },
+  getPaymentHistory: { method: 'get', path: '/payments/:id/history', summary: 'Status transitions of a payment, oldest first' },
+  listPayments: { method: 'get', path: '/payments', summary: 'List payments' },
+  addPaymentMethod: { method: 'post', path: '/payment-methods', summary: 'Add a tokenized payment method', status: 201 },
+  listPaymentMethods: { method: 'get', path: '/payment-methods', summary: 'List a customer\'s payment methods' },
+  createSubscription: {
+    method: 'post',
+    path: '/subscriptions',
+    summary: 'Create a subscription billed at the start of every period',
+    status: 201,
+    body: createSubscriptionRequest
+  },
+  listSubscriptions: { method: 'get', path: '/subscriptions', summary: 'List subscriptions' },
+  getSubscription: {
+    method: 'get',
+    path: '/subscriptions/:id',
+    summary: 'Get a subscription with its invoices',
+    params: idParams
+  },
+  changeSubscriptionPlan: {
+    method: 'post',
+    path: '/subscriptions/:id/plan',
+    summary: 'Change the price or billing interval, prorating the current period',
+    params: idParams,
+    body: changeSubscriptionPlanRequest
+  },
+  pauseSubscription: {
+    method: 'post',
+    path: '/subscriptions/:id/pause',
+    summary: 'Stop billing a subscription until it is resumed',
+    params: idParams,
+    body: pauseSubscriptionRequest
+  },
+  resumeSubscription: {
+    method: 'post',
+    path: '/subscriptions/:id/resume',
+    summary: 'Resume a paused subscription or withdraw a scheduled cancellation',
+    params: idParams
+  },
+  cancelSubscription: {
+    method: 'post',
+    path: '/subscriptions/:id/cancel',
+    summary: 'Cancel a subscription now or at the end of the current period',
+    params: idParams,
+    body: cancelSubscriptionRequest
+  },
+  updateSubscriptionPaymentMethod: {
+    method: 'post',
+    path: '/subscriptions/:id/payment-method',
+    summary: 'Replace the charged payment method, retrying a past due invoice straight away',
+    params: idParams,
+    body: updateSubscriptionPaymentMethodRequest
+  },
+  getPaymentAnalytics: { method: 'get', path: '/analytics/payments', summary: 'Payment volume analytics' },
+  getRefundAnalytics: { method: 'get', path: '/analytics/refunds', summary: 'Refund analytics' },
+  getDisputeAnalytics: { method: 'get', path: '/analytics/disputes', summary: 'Dispute analytics' },
+  getFraudAlerts: { method: 'get', path: '/analytics/fraud-alerts', summary: 'Recent fraud alerts' },
+  listDisputes: {
+    method: 'get',
+    path: '/disputes',
+    summary: 'List disputes, newest first',
+    query: listDisputesQuery
+  },
+  getDispute: {
+    method: 'get',
+    path: '/disputes/:id',
+    summary: 'Get a dispute with its evidence submissions',
+    params: idParams
+  },
+  submitDisputeEvidence: {
+    method: 'post',
+    path: '/disputes/:id/evidence',
+    summary: 'Save evidence and documents for a dispute, optionally submitting it to the gateway',
+    status: 201,
+    params: idParams,
+    body: submitDisputeEvidenceRequest
+  },
+  getDisputeDocument: {
+    method: 'get',
+    path: '/disputes/:id/documents/:documentId',
+    summary: 'Download a document attached to dispute evidence'
+  },
+  acceptDispute: {
+    method: 'post',
+    path: '/disputes/:id/accept',
+    summary: 'Concede a dispute instead of contesting it',
+    params: idParams
+  },
+  resolveDispute: {
+    method: 'post',
+    path: '/disputes/:id/outcome',
+    summary: 'Record the outcome of a dispute the gateway does not report by webhook',
+    params: idParams,
+    body: resolveDisputeRequest
+  },
+  handleGatewayWebhook: { method: 'post', path: '/webhooks/:gateway', summary: 'Receive signed webhook events from a payment gateway' },
+  listWebhookEvents: {
+    method: 'get',
+    path: '/webhook-events',
+    summary: 'Received gateway webhook events, including unhandled types',
+    query: listWebhookEventsQuery
+  },
+  convertCurrency: { method: 'post', path: '/convert-currency', summary: 'Convert a payment amount between currencies' },
+  validateCard: { method: 'post', path: '/validate-card', summary: 'Validate card details' },
+  getPaymentReport: { method: 'get', path: '/reports/payments', summary: 'Payment report for a period' }
+};
@@ -3,12 +3,27 @@ import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
 import DatabaseConnectionPool from '../../shared/database/connection-pool.js';
+import { idempotency } from '../../shared/middleware/idempotency.js';
+import { gatewayIdentity } from '../../shared/security/gateway-identity.js';
+import { actsFor, actsForAnyone, actsForMerchant, requireIdentity } from '../../shared/security/ownership.js';
+import { tracing, traceFormat } from '../../shared/tracing/trace-context.js';
+import MetricsRegistry from '../../shared/metrics/metrics-registry.js';
+import { instrumentService, metricsHandler } from '../../shared/metrics/instrumentation.js';
+import { RegistryClient } from '../../shared/discovery/registry-client.js';
 import DualDatabaseWriter from '../../shared/database/dual-writer.js';
 import { KafkaService } from '../../shared/messaging/kafka-service.js';
 import EventStore from '../../shared/event-sourcing/event-store.js';
 import CommandBus from '../../shared/cqrs/command-bus.js';
 import QueryBus from '../../shared/cqrs/query-bus.js';
 import { PaymentService } from './payment-service.js';
+import GatewayError, { GATEWAY_ERROR_CODES } from './gateways/gateway-error.js';
+import PaymentStateError from './state/payment-state-error.js';
+import DisputeStateError from './state/dispute-state-error.js';
+import SubscriptionStateError from './state/subscription-state-error.js';
+import { paymentRoutes } from './schemas/payment-schemas.js';
+import { validateRequest, validationErrorBody } from '../../shared/validation/request-validation.js';
+import ValidationError from '../../shared/validation/validation-error.js';
+import { describeApi } from '../../shared/validation/schema-description.js';
 import winston from 'winston';
 
 const app = express();
@@ -19,6 +34,7 @@ const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
+    traceFormat(),
     winston.format.json()
   ),
   transports: [
@@ -46,52 +62,102 @@ const paymentService = new PaymentService({
   logger
 });
 
+// Metrics
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'payment-service' } });
+
 // Middleware
+app.use(instrumentService(metrics, { connectionPool, commandBus, queryBus, kafkaService, dualWriter }));
 app.use(helmet());
 app.use(cors());
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+// Webhook bodies stay raw: their signatures cover the exact bytes the gateway sent
+const jsonBody = express.json({ limit: '10mb' });
+app.use((req, res, next) => (req.path.startsWith('/webhooks/') ? next() : jsonBody(req, res, next)));
+app.use(tracing());
+app.use(gatewayIdentity());
+app.use(idempotency({ connectionPool, logger }));
+
+const paymentStateErrorBody = (error) => ({
+  success: false,
+  error: error.message,
+  code: error.code,
+  status: error.fromStatus,
+  timestamp: new Date().toISOString()
+});
+
+// Commands on a dispute or subscription fail with 400 for bad input, 409 once it (or its payment)
+// has moved on and 422 when the gateway does not offer the action
+const sendCommandError = (res, error, message) => {
+  if (ValidationError.isValidationError(error)) {
+    return res.status(400).json(validationErrorBody(error));
+  }
+  if (DisputeStateError.isDisputeStateError(error) ||
+      SubscriptionStateError.isSubscriptionStateError(error) ||
+      PaymentStateError.isPaymentStateError(error)) {
+    return res.status(409).json(paymentStateErrorBody(error));
+  }
+  if (GatewayError.isGatewayError(error) && error.code === GATEWAY_ERROR_CODES.NOT_SUPPORTED) {
+    return res.status(422).json({ success: false, error: error.message, code: error.code, timestamp: new Date().toISOString() });
+  }
+  logger.error(message, error);
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Answers 404 before a route reads or changes a dispute that does not exist, or that belongs to
+// another merchant (so its existence is not revealed either)
+const requireDispute = async (req, res, next) => {
+  try {
+    const dispute = await paymentService.disputes.get(req.params.id);
+    if (dispute && actsForMerchant(req.identity, dispute.merchantId)) {
+      return next();
+    }
+    res.status(404).json({
+      success: false,
+      error: 'Dispute not found',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Answers 404 before a command runs against a subscription that does not exist, or that belongs
+// to another customer (so its existence is not revealed either)
+const requireSubscription = async (req, res, next) => {
+  try {
+    const subscription = await paymentService.subscriptions.get(req.params.id);
+    if (subscription && actsFor(req.identity, subscription.customerId)) {
+      return next();
+    }
+    res.status(404).json({
+      success: false,
+      error: 'Subscription not found',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
 // Request logging middleware
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
     ip: req.ip,
     userAgent: req.get('User-Agent'),
-    body: req.method !== 'GET' ? req.body : undefined
+    // Raw webhook bodies and dispute evidence (base64 documents) are left out
+    body: req.method !== 'GET' && !Buffer.isBuffer(req.body) && !req.path.startsWith('/disputes/') ? req.body : undefined
   });
   next();
 });
 
 // Payment Routes
-app.post('/payments', async (req, res) => {
+app.post('/payments', validateRequest(paymentRoutes.processPayment), async (req, res) => {
   try {
-    const {
-      customerId,
-      amount,
-      currency,
-      paymentMethod,
-      paymentMethodId,
-      description,
-      metadata
-    } = req.body;
-
-    if (!customerId || !amount || !currency) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: customerId, amount, currency',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    const result = await paymentService.processPayment({
-      customerId,
-      amount: parseFloat(amount),
-      currency,
-      paymentMethod,
-      paymentMethodId,
-      description,
-      metadata
-    });
+    const result = await paymentService.processPayment(req.body);
 
     res.status(201).json({
       success: true,
@@ -99,6 +165,9 @@ app.post('/payments', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (ValidationError.isValidationError(error)) {
+      return res.status(400).json(validationErrorBody(error));
+    }
     logger.error('Error processing payment:', error);
     res.status(500).json({
       success: false,
@@ -108,14 +177,9 @@ app.post('/payments', async (req, res) => {
   }
 });
 
-app.post('/payments/:id/capture', async (req, res) => {
+app.post('/payments/:id/capture', validateRequest(paymentRoutes.capturePayment), async (req, res) => {
   try {
-    const { amount } = req.body;
-
-    const result = await paymentService.capturePayment(
-      req.params.id,
-      amount ? parseFloat(amount) : null
-    );
+    const result = await paymentService.capturePayment(req.params.id, req.body.amount || null);
 
     res.json({
       success: true,
@@ -123,6 +187,12 @@ app.post('/payments/:id/capture', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (ValidationError.isValidationError(error)) {
+      return res.status(400).json(validationErrorBody(error));
+    }
+    if (PaymentStateError.isPaymentStateError(error)) {
+      return res.status(409).json(paymentStateErrorBody(error));
+    }
     logger.error('Error capturing payment:', error);
     res.status(500).json({
       success: false,
@@ -132,23 +202,36 @@ app.post('/payments/:id/capture', async (req, res) => {
   }
 });
 
-app.post('/payments/:id/refund', async (req, res) => {
+app.post('/payments/:id/void', validateRequest(paymentRoutes.voidPayment), async (req, res) => {
   try {
-    const { amount, reason } = req.body;
+    const result = await paymentService.voidPayment(req.params.id, req.body.reason);
 
-    if (!amount) {
-      return res.status(400).json({
-        success: false,
-        error: 'Refund amount is required',
-        timestamp: new Date().toISOString()
-      });
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (ValidationError.isValidationError(error)) {
+      return res.status(400).json(validationErrorBody(error));
     }
+    if (PaymentStateError.isPaymentStateError(error)) {
+      return res.status(409).json(paymentStateErrorBody(error));
+    }
+    logger.error('Error voiding payment:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-    const result = await paymentService.refundPayment(
-      req.params.id,
-      parseFloat(amount),
-      reason
-    );
+app.post('/payments/:id/refund', validateRequest(paymentRoutes.refundPayment), async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const result = await paymentService.refundPayment(req.params.id, amount, reason);
 
     res.json({
       success: true,
@@ -156,6 +239,12 @@ app.post('/payments/:id/refund', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (ValidationError.isValidationError(error)) {
+      return res.status(400).json(validationErrorBody(error));
+    }
+    if (PaymentStateError.isPaymentStateError(error)) {
+      return res.status(409).json(paymentStateErrorBody(error));
+    }
     logger.error('Error processing refund:', error);
     res.status(500).json({
       success: false,
@@ -165,18 +254,10 @@ app.post('/payments/:id/refund', async (req, res) => {
   }
 });
 
-app.put('/payments/:id/status', async (req, res) => {
+app.put('/payments/:id/status', validateRequest(paymentRoutes.updatePaymentStatus), async (req, res) => {
   try {
     const { status, failureReason, gatewayResponse } = req.body;
 
-    if (!status) {
-      return res.status(400).json({
-        success: false,
-        error: 'Status is required',
-        timestamp: new Date().toISOString()
-      });
-    }
-
     const result = await paymentService.updatePaymentStatus(
       req.params.id,
       status,
@@ -189,6 +270,12 @@ app.put('/payments/:id/status', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (ValidationError.isValidationError(error)) {
+      return res.status(400).json(validationErrorBody(error));
+    }
+    if (PaymentStateError.isPaymentStateError(error)) {
+      return res.status(409).json(paymentStateErrorBody(error));
+    }
     logger.error('Error updating payment status:', error);
     res.status(500).json({
       success: false,
@@ -198,6 +285,25 @@ app.put('/payments/:id/status', async (req, res) => {
   }
 });
 
+app.get('/payments/:id/history', async (req, res) => {
+  try {
+    const result = await paymentService.getPaymentHistory(req.params.id);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting payment history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 app.get('/payments/:id', async (req, res) => {
   try {
     const result = await paymentService.getPayment(req.params.id);
@@ -340,37 +446,19 @@ app.get('/payment-methods', async (req, res) => {
 });
 
 // Subscription Routes
-app.post('/subscriptions', async (req, res) => {
-  try {
-    const {
-      customerId,
-      paymentMethodId,
-      amount,
-      currency,
-      interval,
-      intervalCount,
-      description,
-      metadata
-    } = req.body;
+app.use('/subscriptions', requireIdentity());
 
-    if (!customerId || !paymentMethodId || !amount || !currency || !interval) {
-      return res.status(400).json({
+app.post('/subscriptions', validateRequest(paymentRoutes.createSubscription), async (req, res) => {
+  try {
+    if (!actsFor(req.identity, req.body.customerId)) {
+      return res.status(403).json({
         success: false,
-        error: 'Missing required fields: customerId, paymentMethodId, amount, currency, interval',
+        error: 'Subscriptions can only be created for your own customer id',
         timestamp: new Date().toISOString()
       });
     }
 
-    const result = await paymentService.createSubscription({
-      customerId,
-      paymentMethodId,
-      amount: parseFloat(amount),
-      currency,
-      interval,
-      intervalCount: intervalCount || 1,
-      description,
-      metadata
-    });
+    const result = await paymentService.createSubscription(req.body);
 
     res.status(201).json({
       success: true,
@@ -378,12 +466,7 @@ app.post('/subscriptions', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Error creating subscription:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+    sendCommandError(res, error, 'Error creating subscription:');
   }
 });
 
@@ -399,7 +482,8 @@ app.get('/subscriptions', async (req, res) => {
     } = req.query;
 
     const criteria = {
-      customerId,
+      // Customers only ever see their own subscriptions
+      customerId: actsForAnyone(req.identity) ? customerId : req.identity.userId,
       status,
       startDate,
       endDate,
@@ -424,6 +508,95 @@ app.get('/subscriptions', async (req, res) => {
   }
 });
 
+app.get('/subscriptions/:id', validateRequest(paymentRoutes.getSubscription), requireSubscription, async (req, res) => {
+  try {
+    const result = await paymentService.getSubscription(req.params.id);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.post('/subscriptions/:id/plan', validateRequest(paymentRoutes.changeSubscriptionPlan), requireSubscription, async (req, res) => {
+  try {
+    const result = await paymentService.changeSubscriptionPlan(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendCommandError(res, error, 'Error changing subscription plan:');
+  }
+});
+
+app.post('/subscriptions/:id/pause', validateRequest(paymentRoutes.pauseSubscription), requireSubscription, async (req, res) => {
+  try {
+    const result = await paymentService.pauseSubscription(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendCommandError(res, error, 'Error pausing subscription:');
+  }
+});
+
+app.post('/subscriptions/:id/resume', validateRequest(paymentRoutes.resumeSubscription), requireSubscription, async (req, res) => {
+  try {
+    const result = await paymentService.resumeSubscription(req.params.id);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendCommandError(res, error, 'Error resuming subscription:');
+  }
+});
+
+app.post('/subscriptions/:id/cancel', validateRequest(paymentRoutes.cancelSubscription), requireSubscription, async (req, res) => {
+  try {
+    const result = await paymentService.cancelSubscription(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendCommandError(res, error, 'Error cancelling subscription:');
+  }
+});
+
+app.post('/subscriptions/:id/payment-method', validateRequest(paymentRoutes.updateSubscriptionPaymentMethod), requireSubscription, async (req, res) => {
+  try {
+    const result = await paymentService.updateSubscriptionPaymentMethod(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendCommandError(res, error, 'Error updating subscription payment method:');
+  }
+});
+
 // Analytics and Reporting Routes
 app.get('/analytics/payments', async (req, res) => {
   try {
@@ -575,37 +748,181 @@ app.get('/analytics/fraud-alerts', async (req, res) => {
   }
 });
 
-// Webhook endpoints for payment gateways
-app.post('/webhooks/stripe', async (req, res) => {
+// Dispute Routes
+app.use('/disputes', requireIdentity());
+
+app.get('/disputes', validateRequest(paymentRoutes.listDisputes), async (req, res) => {
   try {
-    // Handle Stripe webhook
-    const event = req.body;
+    // Merchants only list their own disputes; admins and services may filter by any merchant
+    const criteria = actsForAnyone(req.identity) ? req.query : { ...req.query, merchantId: req.identity.merchantId };
+    if (!criteria.merchantId && !actsForAnyone(req.identity)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Disputes can only be listed for a merchant',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    // Process webhook event
-    await paymentService.handleWebhookEvent('stripe', event);
+    const result = await paymentService.getDisputes(criteria);
 
-    res.json({ received: true });
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    logger.error('Error handling Stripe webhook:', error);
-    res.status(500).json({ error: 'Webhook processing failed' });
+    logger.error('Error listing disputes:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/disputes/:id', validateRequest(paymentRoutes.getDispute), requireDispute, async (req, res) => {
+  try {
+    const result = await paymentService.getDispute(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dispute not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting dispute:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.post('/disputes/:id/evidence', validateRequest(paymentRoutes.submitDisputeEvidence), requireDispute, async (req, res) => {
+  try {
+    const result = await paymentService.submitDisputeEvidence(req.params.id, req.body, req.identity?.userId);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendCommandError(res, error, 'Error adding dispute evidence:');
   }
 });
 
-app.post('/webhooks/paypal', async (req, res) => {
+app.get('/disputes/:id/documents/:documentId', requireDispute, async (req, res) => {
   try {
-    // Handle PayPal webhook
-    const event = req.body;
+    const document = await paymentService.getDisputeDocument(req.params.id, req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.set('Content-Type', document.contentType);
+    res.set('Content-Disposition', `attachment; filename="${encodeURIComponent(document.filename)}"`);
+    res.send(document.content);
+  } catch (error) {
+    logger.error('Error getting dispute document:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-    // Process webhook event
-    await paymentService.handleWebhookEvent('paypal', event);
+app.post('/disputes/:id/accept', validateRequest(paymentRoutes.acceptDispute), requireDispute, async (req, res) => {
+  try {
+    const result = await paymentService.acceptDispute(req.params.id, req.identity?.userId);
 
-    res.json({ received: true });
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    logger.error('Error handling PayPal webhook:', error);
+    sendCommandError(res, error, 'Error accepting dispute:');
+  }
+});
+
+app.post('/disputes/:id/outcome', validateRequest(paymentRoutes.resolveDispute), requireDispute, async (req, res) => {
+  try {
+    const result = await paymentService.resolveDispute(req.params.id, req.body.outcome);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendCommandError(res, error, 'Error recording dispute outcome:');
+  }
+});
+
+// Webhook endpoints for payment gateways, verified and parsed by the gateway's adapter.
+// Duplicate deliveries are acknowledged without being processed again.
+app.post('/webhooks/:gateway', express.raw({ type: () => true, limit: '1mb' }), async (req, res) => {
+  if (!paymentService.gateways.has(req.params.gateway)) {
+    return res.status(404).json({ error: 'Unknown payment gateway' });
+  }
+
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const result = await paymentService.handleWebhookEvent(req.params.gateway, rawBody, req.headers);
+
+    if (result.duplicate && result.status === 'processing') {
+      // The first delivery is still being handled; the gateway redelivers later
+      return res.status(409).json({ error: 'Webhook event is still being processed' });
+    }
+
+    res.json({ received: true, duplicate: result.duplicate });
+  } catch (error) {
+    if (GatewayError.isGatewayError(error) && error.code === GATEWAY_ERROR_CODES.INVALID_SIGNATURE) {
+      logger.warn(`Rejected ${req.params.gateway} webhook: ${error.message}`, { ip: req.ip });
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+    if (GatewayError.isGatewayError(error) && error.code === GATEWAY_ERROR_CODES.INVALID_REQUEST) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error(`Error handling ${req.params.gateway} webhook:`, error);
     res.status(500).json({ error: 'Webhook processing failed' });
   }
 });
 
+app.get('/webhook-events', validateRequest(paymentRoutes.listWebhookEvents), async (req, res) => {
+  try {
+    const result = await paymentService.getWebhookEvents(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting webhook events:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Utility Routes
 app.post('/convert-currency', async (req, res) => {
   try {
@@ -728,19 +1045,11 @@ app.get('/health', (req, res) => {
 });
 
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
-  res.json({
-    service: 'payment-service',
-    timestamp: new Date().toISOString(),
-    database: connectionPool.getStats(),
-    dualWriter: dualWriter.getStats(),
-    kafka: kafkaService.getStats(),
-    eventStore: eventStore.getStats(),
-    cqrs: {
-      commandsProcessed: commandBus.getProcessedCount(),
-      queriesProcessed: queryBus.getProcessedCount()
-    }
-  });
+app.get('/metrics', metricsHandler(metrics));
+
+// API description generated from the route table
+app.get('/openapi.json', (req, res) => {
+  res.json(describeApi({ title: 'Payment Service', routes: paymentRoutes }));
 });
 
 // Error handling middleware
@@ -762,6 +1071,9 @@ app.use((req, res) => {
   });
 });
 
+// Register with the gateway's service registry once the service is ready
+const registryClient = new RegistryClient({ serviceName: 'payment', port: PORT, logger });
+
 // Initialize service
 async function initializeService() {
   try {
@@ -770,6 +1082,7 @@ async function initializeService() {
     await paymentService.initialize();
 
     logger.info(`Payment Service started on port ${PORT}`);
+    await registryClient.start();
   } catch (error) {
     logger.error('Failed to initialize Payment Service:', error);
     process.exit(1);
@@ -779,6 +1092,7 @@ async function initializeService() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  await registryClient.stop();
   await connectionPool.close();
   await kafkaService.close();
   process.exit(0);
@@ -786,6 +1100,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  await registryClient.stop();
   await connectionPool.close();
   await kafkaService.close();
   process.exit(0);
@@ -0,0 +1,16 @@
+class DisputeStateError extends Error {
+  constructor(disputeId, fromStatus, toStatus, message) {
+    super(message || `Dispute ${disputeId} cannot move from ${fromStatus} to ${toStatus}`);
+    this.name = 'DisputeStateError';
+    this.code = 'ILLEGAL_DISPUTE_TRANSITION';
+    this.disputeId = disputeId;
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+
+  static isDisputeStateError(error) {
+    return error instanceof DisputeStateError;
+  }
+}
+
+export default DisputeStateError;
@@ -0,0 +1,29 @@
+import DisputeStateError from './dispute-state-error.js';
+
+export const DISPUTE_STATES = ['needs_response', 'under_review', 'won', 'lost', 'accepted'];
+
+// Final states; accepted means the merchant conceded instead of submitting evidence
+export const DISPUTE_OUTCOMES = ['won', 'lost', 'accepted'];
+
+// Evidence can be drafted while a dispute needs a response; submitting it puts the dispute
+// under review, after which only the gateway decides the outcome
+export const DISPUTE_TRANSITIONS = {
+  needs_response: ['under_review', 'won', 'lost', 'accepted'],
+  under_review: ['won', 'lost'],
+  won: [],
+  lost: [],
+  accepted: []
+};
+
+export function canTransitionDispute(fromStatus, toStatus) {
+  return (DISPUTE_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+export function assertDisputeTransition(disputeId, fromStatus, toStatus) {
+  if (!DISPUTE_STATES.includes(toStatus)) {
+    throw new DisputeStateError(disputeId, fromStatus, toStatus, `Unknown dispute status: ${toStatus}`);
+  }
+  if (!canTransitionDispute(fromStatus, toStatus)) {
+    throw new DisputeStateError(disputeId, fromStatus, toStatus);
+  }
+}
@@ -0,0 +1,16 @@
+class PaymentStateError extends Error {
+  constructor(paymentId, fromStatus, toStatus, message) {
+    super(message || `Payment ${paymentId} cannot move from ${fromStatus} to ${toStatus}`);
+    this.name = 'PaymentStateError';
+    this.code = 'ILLEGAL_PAYMENT_TRANSITION';
+    this.paymentId = paymentId;
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+
+  static isPaymentStateError(error) {
+    return error instanceof PaymentStateError;
+  }
+}
+
+export default PaymentStateError;
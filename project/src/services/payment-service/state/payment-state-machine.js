@@ -0,0 +1,56 @@
+import PaymentStateError from './payment-state-error.js';
+
+export const PAYMENT_STATES = [
+  'created',
+  'requires_action',
+  'authorized',
+  'partially_captured',
+  'captured',
+  'partially_refunded',
+  'refunded',
+  'voided',
+  'failed',
+  'disputed'
+];
+
+// Allowed next states for each state. Partial captures and partial refunds may repeat;
+// voided, failed and refunded payments are final.
+export const PAYMENT_TRANSITIONS = {
+  created: ['requires_action', 'authorized', 'captured', 'failed'],
+  requires_action: ['authorized', 'captured', 'failed', 'voided'],
+  authorized: ['partially_captured', 'captured', 'voided'],
+  partially_captured: ['partially_captured', 'captured', 'partially_refunded', 'refunded', 'disputed'],
+  captured: ['partially_refunded', 'refunded', 'disputed'],
+  partially_refunded: ['partially_refunded', 'refunded', 'disputed'],
+  disputed: ['captured', 'partially_refunded', 'refunded'],
+  refunded: [],
+  voided: [],
+  failed: []
+};
+
+// Status a payment moves to when the uncaptured rest of its authorization is released. Whatever
+// was captured stays captured (and refundable), so only a payment with nothing captured is voided.
+export const RELEASE_TRANSITIONS = {
+  requires_action: 'voided',
+  authorized: 'voided',
+  partially_captured: 'captured',
+  partially_refunded: 'partially_refunded'
+};
+
+export function canTransition(fromStatus, toStatus) {
+  return (PAYMENT_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+export function releaseTransition(fromStatus) {
+  return RELEASE_TRANSITIONS[fromStatus] || null;
+}
+
+export function assertTransition(paymentId, fromStatus, toStatus) {
+  if (!PAYMENT_STATES.includes(toStatus)) {
+    throw new PaymentStateError(paymentId, fromStatus, toStatus, `Unknown payment status: ${toStatus}`);
+  }
+  if (!canTransition(fromStatus, toStatus)) {
+    throw new PaymentStateError(paymentId, fromStatus, toStatus);
+  }
+}
+
@@ -0,0 +1,16 @@
+class SubscriptionStateError extends Error {
+  constructor(subscriptionId, fromStatus, toStatus, message) {
+    super(message || `Subscription ${subscriptionId} cannot move from ${fromStatus} to ${toStatus}`);
+    this.name = 'SubscriptionStateError';
+    this.code = 'ILLEGAL_SUBSCRIPTION_TRANSITION';
+    this.subscriptionId = subscriptionId;
+    this.fromStatus = fromStatus;
+    this.toStatus = toStatus;
+  }
+
+  static isSubscriptionStateError(error) {
+    return error instanceof SubscriptionStateError;
+  }
+}
+
+export default SubscriptionStateError;
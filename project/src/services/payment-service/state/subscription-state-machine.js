@@ -0,0 +1,25 @@
+import SubscriptionStateError from './subscription-state-error.js';
+
+export const SUBSCRIPTION_STATES = ['active', 'past_due', 'paused', 'cancelled'];
+
+// A subscription is past due while an invoice is being retried; it returns to active once the
+// invoice is paid and is cancelled when the retries run out. Paused subscriptions are not billed.
+export const SUBSCRIPTION_TRANSITIONS = {
+  active: ['past_due', 'paused', 'cancelled'],
+  past_due: ['active', 'cancelled'],
+  paused: ['active', 'cancelled'],
+  cancelled: []
+};
+
+export function canTransitionSubscription(fromStatus, toStatus) {
+  return (SUBSCRIPTION_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+export function assertSubscriptionTransition(subscriptionId, fromStatus, toStatus) {
+  if (!SUBSCRIPTION_STATES.includes(toStatus)) {
+    throw new SubscriptionStateError(subscriptionId, fromStatus, toStatus, `Unknown subscription status: ${toStatus}`);
+  }
+  if (!canTransitionSubscription(fromStatus, toStatus)) {
+    throw new SubscriptionStateError(subscriptionId, fromStatus, toStatus);
+  }
+}
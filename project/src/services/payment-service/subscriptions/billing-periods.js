@@ -0,0 +1,73 @@
+const HOUR = 60 * 60 * 1000;
+
+export const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// End of the billing period that starts at `start`. Months are calendar months, so a period
+// starting on the 31st ends on the last day of a shorter month instead of rolling over.
+export function addInterval(start, interval, count = 1) {
+  const date = new Date(start);
+  switch (interval) {
+    case 'day':
+      date.setUTCDate(date.getUTCDate() + count);
+      break;
+    case 'week':
+      date.setUTCDate(date.getUTCDate() + (count * 7));
+      break;
+    case 'month':
+    case 'year': {
+      const months = interval === 'year' ? count * 12 : count;
+      const day = date.getUTCDate();
+      date.setUTCDate(1);
+      date.setUTCMonth(date.getUTCMonth() + months);
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      date.setUTCDate(Math.min(day, lastDay));
+      break;
+    }
+    default:
+      throw new Error(`Unknown billing interval: ${interval}`);
+  }
+  return date;
+}
+
+const monthsPer = { month: 1, year: 12 };
+const msPer = { day: 24 * HOUR, week: 7 * 24 * HOUR };
+
+// End of the period that contains `after` on the schedule anchor, anchor + one interval, anchor +
+// two intervals, ... Counting every boundary from the anchor keeps the billing day: a subscription
+// anchored on January 31 renews on February 28 and then on March 31, not March 28.
+export function periodEndAfter(anchor, interval, count, after) {
+  const start = new Date(anchor);
+  const target = new Date(after);
+  let periods;
+  if (monthsPer[interval]) {
+    const months = (target.getUTCFullYear() - start.getUTCFullYear()) * 12 + target.getUTCMonth() - start.getUTCMonth();
+    periods = Math.floor(months / (monthsPer[interval] * count));
+  } else if (msPer[interval]) {
+    periods = Math.floor((target - start) / (msPer[interval] * count));
+  } else {
+    throw new Error(`Unknown billing interval: ${interval}`);
+  }
+
+  // The estimate is at most one period off either way
+  periods = Math.max(1, periods);
+  while (periods > 1 && addInterval(start, interval, count * (periods - 1)) > target) periods--;
+  while (addInterval(start, interval, count * periods) <= target) periods++;
+  return addInterval(start, interval, count * periods);
+}
+
+// Share of the period [start, end) that is still to come at `now`, between 0 and 1
+export function unusedShare(start, end, now) {
+  const length = new Date(end) - new Date(start);
+  if (length <= 0) return 0;
+  return Math.min(1, Math.max(0, (new Date(end) - new Date(now)) / length));
+}
+
+// Retry delays after each failed charge, e.g. "24,72,168" hours; the subscription is cancelled
+// when the charge after the last delay fails as well
+export function parseDunningSchedule(value) {
+  const delays = String(value || '24,72,168')
+    .split(',')
+    .map(hours => parseFloat(hours))
+    .filter(hours => hours > 0);
+  return delays.map(hours => hours * HOUR);
+}
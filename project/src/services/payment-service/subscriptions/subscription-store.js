@@ -0,0 +1,348 @@
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+const SUBSCRIPTION_COLUMNS = {
+  customerId: 'customer_id',
+  planId: 'plan_id',
+  paymentMethod: 'payment_method',
+  paymentMethodId: 'payment_method_id',
+  amount: 'amount',
+  currency: 'currency',
+  interval: '`interval`',
+  intervalCount: 'interval_count',
+  description: 'description',
+  status: 'status',
+  cancelAtPeriodEnd: 'cancel_at_period_end',
+  creditBalance: 'credit_balance',
+  currentPeriodStart: 'current_period_start',
+  currentPeriodEnd: 'current_period_end',
+  billingAnchor: 'billing_anchor',
+  pausedAt: 'paused_at',
+  resumeAt: 'resume_at',
+  cancelledAt: 'cancelled_at',
+  cancellationReason: 'cancellation_reason',
+  metadata: 'metadata'
+};
+
+const INVOICE_COLUMNS = {
+  subscriptionId: 'subscription_id',
+  customerId: 'customer_id',
+  type: 'type',
+  amount: 'amount',
+  creditApplied: 'credit_applied',
+  currency: 'currency',
+  description: 'description',
+  periodStart: 'period_start',
+  periodEnd: 'period_end',
+  status: 'status',
+  attemptCount: 'attempt_count',
+  nextAttemptAt: 'next_attempt_at',
+  paymentId: 'payment_id',
+  failureReason: 'failure_reason',
+  paidAt: 'paid_at'
+};
+
+const DATE_FIELDS = [
+  'currentPeriodStart', 'currentPeriodEnd', 'billingAnchor', 'pausedAt', 'resumeAt', 'cancelledAt',
+  'periodStart', 'periodEnd', 'nextAttemptAt', 'paidAt'
+];
+
+const toColumnValue = (field, value) => {
+  if (field === 'metadata') return JSON.stringify(value || {});
+  if (DATE_FIELDS.includes(field)) return toDate(value);
+  return value === undefined ? null : value;
+};
+
+const toSubscription = (row) => ({
+  id: row.id,
+  customerId: row.customer_id,
+  planId: row.plan_id,
+  paymentMethod: row.payment_method,
+  paymentMethodId: row.payment_method_id,
+  amount: parseFloat(row.amount),
+  currency: row.currency,
+  interval: row.interval,
+  intervalCount: row.interval_count,
+  description: row.description,
+  status: row.status,
+  cancelAtPeriodEnd: Boolean(row.cancel_at_period_end),
+  creditBalance: parseFloat(row.credit_balance),
+  currentPeriodStart: row.current_period_start,
+  currentPeriodEnd: row.current_period_end,
+  billingAnchor: row.billing_anchor,
+  pausedAt: row.paused_at,
+  resumeAt: row.resume_at,
+  cancelledAt: row.cancelled_at,
+  cancellationReason: row.cancellation_reason,
+  metadata: parseJson(row.metadata, {}),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const toInvoice = (row) => ({
+  id: row.id,
+  subscriptionId: row.subscription_id,
+  customerId: row.customer_id,
+  type: row.type,
+  amount: parseFloat(row.amount),
+  creditApplied: parseFloat(row.credit_applied),
+  currency: row.currency,
+  description: row.description,
+  periodStart: row.period_start,
+  periodEnd: row.period_end,
+  status: row.status,
+  attemptCount: row.attempt_count,
+  nextAttemptAt: row.next_attempt_at,
+  paymentId: row.payment_id,
+  failureReason: row.failure_reason,
+  paidAt: row.paid_at,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+// `SET a = ?, b = ? WHERE id = ? AND c = ?` for the given changes and expected current values,
+// so that updates racing with another instance of the billing sweep only apply once
+const conditionalUpdate = (table, columns, id, changes, expected) => {
+  const set = Object.keys(changes).map(field => `${columns[field]} = ?`);
+  const where = Object.keys(expected).map(field => `${columns[field]} = ?`);
+
+  return {
+    sql: `UPDATE ${table} SET ${set.join(', ')} WHERE ${['id = ?', ...where].join(' AND ')}`,
+    params: [
+      ...Object.entries(changes).map(([field, value]) => toColumnValue(field, value)),
+      id,
+      ...Object.entries(expected).map(([field, value]) => toColumnValue(field, value))
+    ]
+  };
+};
+
+const insert = (table, columns, record) => {
+  const fields = Object.keys(columns).filter(field => record[field] !== undefined);
+  return {
+    sql: `INSERT INTO ${table} (id, ${fields.map(field => columns[field]).join(', ')})
+          VALUES (?, ${fields.map(() => '?').join(', ')})`,
+    params: [record.id, ...fields.map(field => toColumnValue(field, record[field]))]
+  };
+};
+
+export class MySQLSubscriptionStore {
+  constructor(connectionPool) {
+    this.connectionPool = connectionPool;
+  }
+
+  async get(id) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute('SELECT * FROM subscriptions WHERE id = ?', [id]);
+      return rows.length > 0 ? toSubscription(rows[0]) : null;
+    });
+  }
+
+  async create(subscription) {
+    const { sql, params } = insert('subscriptions', SUBSCRIPTION_COLUMNS, subscription);
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute(sql, params);
+    });
+  }
+
+  // Returns false when the subscription no longer matches `expected`
+  async update(id, changes, expected = {}) {
+    const { sql, params } = conditionalUpdate('subscriptions', SUBSCRIPTION_COLUMNS, id, changes, expected);
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [result] = await connection.execute(sql, params);
+      return result.affectedRows > 0;
+    });
+  }
+
+  // Active subscriptions whose current period has ended
+  async findDue(now) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT * FROM subscriptions WHERE status = 'active' AND current_period_end <= ?
+         ORDER BY current_period_end ASC`,
+        [now]
+      );
+      return rows.map(toSubscription);
+    });
+  }
+
+  async findResumable(now) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT * FROM subscriptions WHERE status = 'paused' AND resume_at <= ?`,
+        [now]
+      );
+      return rows.map(toSubscription);
+    });
+  }
+
+  // Returns false when the period was already invoiced
+  async createInvoice(invoice) {
+    const { sql, params } = insert('subscription_invoices', INVOICE_COLUMNS, invoice);
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      try {
+        await connection.execute(sql, params);
+        return true;
+      } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return false;
+        throw error;
+      }
+    });
+  }
+
+  async getInvoice(id) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute('SELECT * FROM subscription_invoices WHERE id = ?', [id]);
+      return rows.length > 0 ? toInvoice(rows[0]) : null;
+    });
+  }
+
+  async updateInvoice(id, changes, expected = {}) {
+    const { sql, params } = conditionalUpdate('subscription_invoices', INVOICE_COLUMNS, id, changes, expected);
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [result] = await connection.execute(sql, params);
+      return result.affectedRows > 0;
+    });
+  }
+
+  async listInvoices(subscriptionId, status) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT * FROM subscription_invoices WHERE subscription_id = ?${status ? ' AND status = ?' : ''}
+         ORDER BY created_at ASC`,
+        status ? [subscriptionId, status] : [subscriptionId]
+      );
+      return rows.map(toInvoice);
+    });
+  }
+
+  // Open invoices whose next dunning attempt is due
+  async findRetryable(now) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT * FROM subscription_invoices WHERE status = 'open' AND next_attempt_at <= ?
+         ORDER BY next_attempt_at ASC`,
+        [now]
+      );
+      return rows.map(toInvoice);
+    });
+  }
+}
+
+const matches = (record, expected) => Object.entries(expected).every(([field, value]) =>
+  (DATE_FIELDS.includes(field) ? toDate(record[field])?.getTime() === toDate(value)?.getTime() : record[field] === value));
+
+const withDates = (record) => Object.fromEntries(Object.entries(record)
+  .map(([field, value]) => [field, DATE_FIELDS.includes(field) ? toDate(value) : value]));
+
+export class InMemorySubscriptionStore {
+  constructor() {
+    this.subscriptions = new Map();
+    this.invoices = new Map();
+  }
+
+  async get(id) {
+    const subscription = this.subscriptions.get(id);
+    return subscription ? { ...subscription } : null;
+  }
+
+  async create(subscription) {
+    const now = new Date();
+    this.subscriptions.set(subscription.id, {
+      planId: null,
+      cancelAtPeriodEnd: false,
+      creditBalance: 0,
+      pausedAt: null,
+      resumeAt: null,
+      cancelledAt: null,
+      cancellationReason: null,
+      ...withDates(subscription),
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  async update(id, changes, expected = {}) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription || !matches(subscription, expected)) {
+      return false;
+    }
+    Object.assign(subscription, withDates(changes), { updatedAt: new Date() });
+    return true;
+  }
+
+  async findDue(now) {
+    return Array.from(this.subscriptions.values())
+      .filter(subscription => subscription.status === 'active' && subscription.currentPeriodEnd <= now)
+      .sort((a, b) => a.currentPeriodEnd - b.currentPeriodEnd)
+      .map(subscription => ({ ...subscription }));
+  }
+
+  async findResumable(now) {
+    return Array.from(this.subscriptions.values())
+      .filter(subscription => subscription.status === 'paused' && subscription.resumeAt && subscription.resumeAt <= now)
+      .map(subscription => ({ ...subscription }));
+  }
+
+  async createInvoice(invoice) {
+    const periodStart = toDate(invoice.periodStart).getTime();
+    const duplicate = Array.from(this.invoices.values()).some(existing =>
+      existing.subscriptionId === invoice.subscriptionId &&
+      existing.type === invoice.type &&
+      existing.periodStart.getTime() === periodStart);
+    if (duplicate) {
+      return false;
+    }
+
+    const now = new Date();
+    this.invoices.set(invoice.id, {
+      creditApplied: 0,
+      attemptCount: 0,
+      nextAttemptAt: null,
+      paymentId: null,
+      failureReason: null,
+      paidAt: null,
+      ...withDates(invoice),
+      createdAt: now,
+      updatedAt: now
+    });
+    return true;
+  }
+
+  async getInvoice(id) {
+    const invoice = this.invoices.get(id);
+    return invoice ? { ...invoice } : null;
+  }
+
+  async updateInvoice(id, changes, expected = {}) {
+    const invoice = this.invoices.get(id);
+    if (!invoice || !matches(invoice, expected)) {
+      return false;
+    }
+    Object.assign(invoice, withDates(changes), { updatedAt: new Date() });
+    return true;
+  }
+
+  async listInvoices(subscriptionId, status) {
+    return Array.from(this.invoices.values())
+      .filter(invoice => invoice.subscriptionId === subscriptionId && (!status || invoice.status === status))
+      .map(invoice => ({ ...invoice }));
+  }
+
+  async findRetryable(now) {
+    return Array.from(this.invoices.values())
+      .filter(invoice => invoice.status === 'open' && invoice.nextAttemptAt && invoice.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+      .map(invoice => ({ ...invoice }));
+  }
+}
+
+// The in-memory connection pool has no real tables, so tests keep subscriptions in process memory
+export function createSubscriptionStore(connectionPool) {
+  return connectionPool && !connectionPool.isTest
+    ? new MySQLSubscriptionStore(connectionPool)
+    : new InMemorySubscriptionStore();
+}
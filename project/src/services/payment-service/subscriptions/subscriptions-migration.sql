@@ -0,0 +1,59 @@
+-- Subscription Billing Database Migration
+-- This script creates the tables the payment-service bills recurring subscriptions from
+
+-- Create subscriptions table
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id VARCHAR(36) PRIMARY KEY,
+  customer_id VARCHAR(36) NOT NULL,
+  plan_id VARCHAR(128),
+  payment_method VARCHAR(50) NOT NULL DEFAULT 'credit_card',
+  payment_method_id VARCHAR(128) NOT NULL,
+  amount DECIMAL(15,2) NOT NULL,
+  currency VARCHAR(3) NOT NULL,
+  `interval` ENUM('day', 'week', 'month', 'year') NOT NULL,
+  interval_count INT NOT NULL DEFAULT 1,
+  description VARCHAR(500),
+  status ENUM('active', 'past_due', 'paused', 'cancelled') NOT NULL DEFAULT 'active',
+  cancel_at_period_end BOOLEAN NOT NULL DEFAULT FALSE,
+  credit_balance DECIMAL(15,2) NOT NULL DEFAULT 0.00, -- Proration credit taken off the next invoices
+  current_period_start TIMESTAMP(3) NOT NULL,
+  current_period_end TIMESTAMP(3) NOT NULL,
+  billing_anchor TIMESTAMP(3) NULL, -- Periods end this plus a whole number of intervals
+  paused_at TIMESTAMP NULL,
+  resume_at TIMESTAMP NULL,
+  cancelled_at TIMESTAMP NULL,
+  cancellation_reason VARCHAR(255),
+  metadata JSON,
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+  INDEX idx_customer_id (customer_id),
+  INDEX idx_status_period_end (status, current_period_end),
+  INDEX idx_status_resume_at (status, resume_at),
+  INDEX idx_created_at (created_at)
+);
+
+-- Create subscription_invoices table (one row per billed period or proration charge)
+CREATE TABLE IF NOT EXISTS subscription_invoices (
+  id VARCHAR(36) PRIMARY KEY,
+  subscription_id VARCHAR(36) NOT NULL,
+  customer_id VARCHAR(36) NOT NULL,
+  type ENUM('renewal', 'proration') NOT NULL,
+  amount DECIMAL(15,2) NOT NULL,
+  credit_applied DECIMAL(15,2) NOT NULL DEFAULT 0.00,
+  currency VARCHAR(3) NOT NULL,
+  description VARCHAR(500),
+  period_start TIMESTAMP(3) NOT NULL,
+  period_end TIMESTAMP(3) NOT NULL,
+  status ENUM('open', 'paid', 'void', 'uncollectible') NOT NULL DEFAULT 'open',
+  attempt_count INT NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NULL,
+  payment_id VARCHAR(36), -- The latest charge attempt
+  failure_reason VARCHAR(500),
+  paid_at TIMESTAMP NULL,
+  created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  updated_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3),
+  FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_subscription_period (subscription_id, type, period_start),
+  INDEX idx_status_next_attempt (status, next_attempt_at),
+  INDEX idx_payment_id (payment_id)
+);
@@ -0,0 +1,151 @@
+// A delivery that is still "processing" after this long is assumed to have crashed and may be retried
+const DEFAULT_PROCESSING_TIMEOUT = 5 * 60 * 1000;
+
+const toRecord = (row) => ({
+  gateway: row.gateway,
+  eventId: row.event_id,
+  eventType: row.event_type,
+  status: row.status,
+  payload: typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload,
+  receivedAt: row.received_at,
+  processedAt: row.processed_at
+});
+
+export class MySQLWebhookEventStore {
+  constructor(connectionPool, options = {}) {
+    this.connectionPool = connectionPool;
+    this.processingTimeout = options.processingTimeout || DEFAULT_PROCESSING_TIMEOUT;
+  }
+
+  async get(gateway, eventId) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        'SELECT * FROM webhook_events WHERE gateway = ? AND event_id = ?',
+        [gateway, eventId]
+      );
+      return rows.length > 0 ? toRecord(rows[0]) : null;
+    });
+  }
+
+  // Returns false when the event was already received
+  async reserve(gateway, event) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute(
+        `DELETE FROM webhook_events
+         WHERE gateway = ? AND event_id = ? AND status = 'processing' AND received_at <= ?`,
+        [gateway, event.id, new Date(Date.now() - this.processingTimeout)]
+      );
+
+      try {
+        await connection.execute(
+          `INSERT INTO webhook_events (gateway, event_id, event_type, status, payload, received_at)
+           VALUES (?, ?, ?, 'processing', ?, NOW(3))`,
+          [gateway, event.id, event.type, JSON.stringify(event.raw === undefined ? null : event.raw)]
+        );
+        return true;
+      } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return false;
+        throw error;
+      }
+    });
+  }
+
+  async complete(gateway, eventId, status) {
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute(
+        'UPDATE webhook_events SET status = ?, processed_at = NOW(3) WHERE gateway = ? AND event_id = ?',
+        [status, gateway, eventId]
+      );
+    });
+  }
+
+  async release(gateway, eventId) {
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute('DELETE FROM webhook_events WHERE gateway = ? AND event_id = ?', [gateway, eventId]);
+    });
+  }
+
+  async list(criteria = {}) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const conditions = [];
+      const params = [];
+
+      if (criteria.gateway) {
+        conditions.push('gateway = ?');
+        params.push(criteria.gateway);
+      }
+      if (criteria.status) {
+        conditions.push('status = ?');
+        params.push(criteria.status);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const limit = parseInt(criteria.limit) || 50;
+      const [rows] = await connection.execute(
+        `SELECT * FROM webhook_events ${where} ORDER BY received_at DESC LIMIT ${limit}`,
+        params
+      );
+      return rows.map(toRecord);
+    });
+  }
+}
+
+export class InMemoryWebhookEventStore {
+  constructor(options = {}) {
+    this.processingTimeout = options.processingTimeout || DEFAULT_PROCESSING_TIMEOUT;
+    this.records = new Map();
+  }
+
+  async get(gateway, eventId) {
+    const record = this.records.get(`${gateway}:${eventId}`);
+    return record ? { ...record } : null;
+  }
+
+  async reserve(gateway, event) {
+    const existing = this.records.get(`${gateway}:${event.id}`);
+    const stale = existing && existing.status === 'processing' &&
+      Date.now() - existing.receivedAt.getTime() >= this.processingTimeout;
+
+    if (existing && !stale) {
+      return false;
+    }
+
+    this.records.set(`${gateway}:${event.id}`, {
+      gateway,
+      eventId: event.id,
+      eventType: event.type,
+      status: 'processing',
+      payload: event.raw === undefined ? null : event.raw,
+      receivedAt: new Date(),
+      processedAt: null
+    });
+    return true;
+  }
+
+  async complete(gateway, eventId, status) {
+    const record = this.records.get(`${gateway}:${eventId}`);
+    if (record) {
+      Object.assign(record, { status, processedAt: new Date() });
+    }
+  }
+
+  async release(gateway, eventId) {
+    this.records.delete(`${gateway}:${eventId}`);
+  }
+
+  async list(criteria = {}) {
+    return Array.from(this.records.values())
+      .filter(record => !criteria.gateway || record.gateway === criteria.gateway)
+      .filter(record => !criteria.status || record.status === criteria.status)
+      .sort((a, b) => b.receivedAt - a.receivedAt)
+      .slice(0, parseInt(criteria.limit) || 50)
+      .map(record => ({ ...record }));
+  }
+}
+
+// The in-memory connection pool has no real tables, so tests keep events in process memory
+export function createWebhookEventStore(connectionPool) {
+  return connectionPool && !connectionPool.isTest
+    ? new MySQLWebhookEventStore(connectionPool)
+    : new InMemoryWebhookEventStore();
+}
@@ -0,0 +1,16 @@
+-- Payment Webhook Events Database Migration
+-- This script creates the table the payment-service uses to deduplicate gateway webhooks
+
+-- Create webhook_events table (one row per delivered gateway event; unhandled types are kept for inspection)
+CREATE TABLE IF NOT EXISTS webhook_events (
+  gateway VARCHAR(50) NOT NULL,
+  event_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(100) NOT NULL,
+  status ENUM('processing', 'processed', 'unhandled') NOT NULL DEFAULT 'processing',
+  payload JSON,
+  received_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+  processed_at TIMESTAMP(3) NULL,
+  PRIMARY KEY (gateway, event_id),
+  INDEX idx_status (status),
+  INDEX idx_received_at (received_at)
+);
@@ -0,0 +1,28 @@
+export const reportingRoutes = {
+  generateReport: { method: 'post', path: '/reports/generate', summary: 'Generate a report', status: 201 },
+  getReport: { method: 'get', path: '/reports/:id', summary: 'Get a report' },
+  listReports: { method: 'get', path: '/reports', summary: 'List reports' },
+  getTransactionReport: { method: 'get', path: '/reports/transactions', summary: 'Transaction report' },
+  getFinancialReport: { method: 'get', path: '/reports/financial', summary: 'Financial report' },
+  getComplianceReport: { method: 'get', path: '/reports/compliance', summary: 'Compliance report' },
+  getUserActivityReport: { method: 'get', path: '/reports/user-activity', summary: 'User activity report' },
+  scheduleReport: { method: 'post', path: '/reports/scheduled', summary: 'Schedule a recurring report', status: 201 },
+  listScheduledReports: { method: 'get', path: '/reports/scheduled', summary: 'List scheduled reports' },
+  updateScheduledReport: { method: 'put', path: '/reports/scheduled/:id', summary: 'Update a scheduled report' },
+  deleteScheduledReport: { method: 'delete', path: '/reports/scheduled/:id', summary: 'Delete a scheduled report' },
+  createTemplate: { method: 'post', path: '/report-templates', summary: 'Create a report template', status: 201 },
+  listTemplates: { method: 'get', path: '/report-templates', summary: 'List report templates' },
+  updateTemplate: { method: 'put', path: '/report-templates/:id', summary: 'Update a report template' },
+  createDashboard: { method: 'post', path: '/dashboards', summary: 'Create a dashboard', status: 201 },
+  getDashboard: { method: 'get', path: '/dashboards/:id', summary: 'Get a dashboard' },
+  listDashboards: { method: 'get', path: '/dashboards', summary: 'List dashboards' },
+  updateDashboard: { method: 'put', path: '/dashboards/:id', summary: 'Update a dashboard' },
+  getReportAnalytics: { method: 'get', path: '/analytics/reports', summary: 'Report usage analytics' },
+  getReportMetrics: { method: 'get', path: '/analytics/metrics', summary: 'Reporting metrics' },
+  exportReport: { method: 'post', path: '/reports/:id/export', summary: 'Export a report' },
+  queryData: { method: 'post', path: '/data/query', summary: 'Run an ad-hoc data query' },
+  listDataSources: { method: 'get', path: '/data-sources', summary: 'List reporting data sources' },
+  listReportExecutions: { method: 'get', path: '/reports/executions', summary: 'List report executions' },
+  getTemplateUsage: { method: 'get', path: '/report-templates/:id/usage', summary: 'Usage of a report template' },
+  getCacheEntry: { method: 'get', path: '/cache/:key', summary: 'Read a cached report result' }
+};
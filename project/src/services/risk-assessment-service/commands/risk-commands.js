@@ -1,4 +1,6 @@
 import { v4 as uuidv4 } from 'uuid';
+import { assertValid } from '../../../shared/validation/request-validation.js';
+import { assessTransactionRiskCommand } from '../schemas/risk-schemas.js';
 
 export class AssessTransactionRiskCommand {
   constructor(data) {
@@ -15,9 +17,7 @@ export class AssessTransactionRiskCommand {
   }
 
   validate() {
-    if (!this.transactionId) throw new Error('Transaction ID is required');
-    if (!this.amount || this.amount <= 0) throw new Error('Valid amount is required');
-    if (!this.userId) throw new Error('User ID is required');
+    assertValid(assessTransactionRiskCommand, this);
   }
 }
 
@@ -26,7 +26,7 @@ export class RiskAssessmentService {
     this.alertSystem = new RiskAlertSystem();
 
     // Metrics collector
-    this.metricsCollector = new RiskMetricsCollector();
+    this.metricsCollector = new RiskMetricsCollector(this.commandBus);
 
     // Fraud detection
     this.fraudDetector = new FraudDetectionEngine();
@@ -78,7 +78,7 @@ export class RiskAssessmentService {
     try {
       const command = new (await import('./commands/risk-commands.js')).AssessTransactionRiskCommand({
         ...transactionData,
-        userId
+        userId: userId || transactionData.userId
       });
 
       const result = await this.commandBus.execute(command);
@@ -526,17 +526,40 @@ class RiskAlertSystem {
 }
 
 // Risk Metrics Collector
+// Derives per-minute figures from the transaction assessments that pass through the command bus
+const METRICS_WINDOW_MS = 60000;
+
 class RiskMetricsCollector {
-  constructor() {
+  constructor(commandBus) {
     this.metrics = new Map();
     this.interval = null;
+    this.assessments = [];
+
+    if (commandBus) {
+      commandBus.on('commandExecuted', ({ command, result, timestamp }) => {
+        if (command.constructor.name === 'AssessTransactionRiskCommand') {
+          this.recordAssessment(result, timestamp);
+        }
+      });
+    }
+  }
+
+  recordAssessment(assessment, timestamp = new Date()) {
+    this.assessments.push({
+      at: timestamp.getTime(),
+      riskLevel: assessment?.riskLevel,
+      // The command handler raises an alert for every high-risk transaction
+      alerted: assessment?.riskLevel === 'high'
+    });
   }
 
   start() {
+    this.collectMetrics();
+
     // Collect metrics every minute
     this.interval = setInterval(() => {
       this.collectMetrics();
-    }, 60000);
+    }, METRICS_WINDOW_MS);
   }
 
   stop() {
@@ -547,25 +570,44 @@ class RiskMetricsCollector {
   }
 
   collectMetrics() {
-    // Collect various risk metrics
     const timestamp = new Date();
+    const windowStart = timestamp.getTime() - METRICS_WINDOW_MS;
+
+    this.assessments = this.assessments.filter(entry => entry.at >= windowStart);
 
     this.metrics.set('assessments_per_minute', {
-      value: Math.floor(Math.random() * 10) + 1,
+      value: this.assessments.length,
       timestamp
     });
 
     this.metrics.set('high_risk_transactions', {
-      value: Math.floor(Math.random() * 5),
+      value: this.assessments.filter(entry => entry.riskLevel === 'high').length,
       timestamp
     });
 
     this.metrics.set('alerts_triggered', {
-      value: Math.floor(Math.random() * 3),
+      value: this.assessments.filter(entry => entry.alerted).length,
       timestamp
     });
   }
 
+  // Expose the collected figures on the service's Prometheus registry
+  registerMetrics(registry) {
+    const collector = this;
+    const riskGauge = (name, help, metricType) => registry.gauge({
+      name,
+      help,
+      collect() {
+        collector.collectMetrics();
+        this.set(collector.getMetrics(metricType).value);
+      }
+    });
+
+    riskGauge('risk_assessments_per_minute', 'Transaction risk assessments in the last minute', 'assessments_per_minute');
+    riskGauge('risk_high_risk_transactions', 'High-risk transactions in the last minute', 'high_risk_transactions');
+    riskGauge('risk_alerts_triggered', 'Risk alerts triggered in the last minute', 'alerts_triggered');
+  }
+
   getMetrics(metricType, timeRange = '1h') {
     return this.metrics.get(metricType) || { value: 0, timestamp: new Date() };
   }
@@ -0,0 +1,53 @@
+import Joi from 'joi';
+import { id, money, timestamp } from '../../../shared/validation/common-schemas.js';
+
+// Request bodies; the command schemas below extend them with the fields the service fills in
+
+export const assessTransactionRiskRequest = Joi.object({
+  transactionId: id.required(),
+  amount: money.required(),
+  userId: id.required(),
+  merchantId: id,
+  location: Joi.alternatives().try(Joi.string().max(128), Joi.object().unknown(true)),
+  deviceInfo: Joi.object({
+    id: Joi.string().max(256)
+  }).unknown(true),
+  paymentMethod: Joi.string().max(64),
+  transactionType: Joi.string().max(64)
+});
+
+export const assessTransactionRiskCommand = assessTransactionRiskRequest.keys({
+  id: id.required(),
+  timestamp
+});
+
+export const riskRoutes = {
+  assessTransactionRisk: {
+    method: 'post',
+    path: '/risk-assessment/transactions',
+    summary: 'Score a transaction for fraud risk',
+    status: 201,
+    body: assessTransactionRiskRequest
+  },
+  assessUserRisk: { method: 'post', path: '/risk-assessment/users', summary: 'Score a user for risk', status: 201 },
+  assessMerchantRisk: { method: 'post', path: '/risk-assessment/merchants', summary: 'Score a merchant for risk', status: 201 },
+  getRiskAssessment: { method: 'get', path: '/risk-assessments/:id', summary: 'Get a risk assessment' },
+  listRiskAssessments: { method: 'get', path: '/risk-assessments', summary: 'List risk assessments' },
+  getUserRiskProfile: { method: 'get', path: '/risk-profiles/users/:userId', summary: 'Get a user\'s risk profile' },
+  getMerchantRiskProfile: { method: 'get', path: '/risk-profiles/merchants/:merchantId', summary: 'Get a merchant\'s risk profile' },
+  createRiskRule: { method: 'post', path: '/risk-rules', summary: 'Create a risk rule', status: 201 },
+  listRiskRules: { method: 'get', path: '/risk-rules', summary: 'List risk rules' },
+  getRiskRule: { method: 'get', path: '/risk-rules/:id', summary: 'Get a risk rule' },
+  getRiskMetrics: { method: 'get', path: '/risk-metrics/:metricType', summary: 'Risk metrics of one type' },
+  listRiskAlerts: { method: 'get', path: '/risk-alerts', summary: 'List risk alerts' },
+  listFraudPatterns: { method: 'get', path: '/fraud-patterns', summary: 'List detected fraud patterns' },
+  getRiskThresholds: { method: 'get', path: '/risk-thresholds', summary: 'Get the risk score thresholds' },
+  updateRiskThresholds: { method: 'put', path: '/risk-thresholds', summary: 'Update the risk score thresholds' },
+  getRiskDashboard: { method: 'get', path: '/risk-dashboard', summary: 'Risk dashboard data' },
+  generateRiskReport: { method: 'post', path: '/risk-reports', summary: 'Generate a risk report', status: 201 },
+  listRiskReports: { method: 'get', path: '/risk-reports', summary: 'List risk reports' },
+  getRiskReport: { method: 'get', path: '/risk-reports/:id', summary: 'Get a risk report' },
+  getRiskAnalytics: { method: 'get', path: '/risk-analytics/:analyticsType', summary: 'Risk analytics of one type' },
+  reviewRiskAssessment: { method: 'post', path: '/risk-assessments/:id/review', summary: 'Record a manual review decision' },
+  executeRiskAction: { method: 'post', path: '/risk-assessments/:id/actions', summary: 'Execute an action on a risk assessment', status: 201 }
+};
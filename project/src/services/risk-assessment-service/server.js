@@ -3,12 +3,22 @@ import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
 import DatabaseConnectionPool from '../../shared/database/connection-pool.js';
+import { idempotency } from '../../shared/middleware/idempotency.js';
+import { gatewayIdentity } from '../../shared/security/gateway-identity.js';
+import { tracing, traceFormat } from '../../shared/tracing/trace-context.js';
+import MetricsRegistry from '../../shared/metrics/metrics-registry.js';
+import { instrumentService, metricsHandler } from '../../shared/metrics/instrumentation.js';
+import { RegistryClient } from '../../shared/discovery/registry-client.js';
 import DualDatabaseWriter from '../../shared/database/dual-writer.js';
 import { KafkaService } from '../../shared/messaging/kafka-service.js';
 import EventStore from '../../shared/event-sourcing/event-store.js';
 import CommandBus from '../../shared/cqrs/command-bus.js';
 import QueryBus from '../../shared/cqrs/query-bus.js';
 import { RiskAssessmentService } from './risk-assessment-service.js';
+import { riskRoutes } from './schemas/risk-schemas.js';
+import { validateRequest, validationErrorBody } from '../../shared/validation/request-validation.js';
+import ValidationError from '../../shared/validation/validation-error.js';
+import { describeApi } from '../../shared/validation/schema-description.js';
 import winston from 'winston';
 
 const app = express();
@@ -19,6 +29,7 @@ const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
+    traceFormat(),
     winston.format.json()
   ),
   transports: [
@@ -46,11 +57,19 @@ const riskService = new RiskAssessmentService({
   logger
 });
 
+// Metrics
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'risk-assessment-service' } });
+riskService.metricsCollector.registerMetrics(metrics);
+
 // Middleware
+app.use(instrumentService(metrics, { connectionPool, commandBus, queryBus, kafkaService, dualWriter }));
 app.use(helmet());
 app.use(cors());
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
+app.use(tracing());
+app.use(gatewayIdentity());
+app.use(idempotency({ connectionPool, logger }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -63,37 +82,9 @@ app.use((req, res, next) => {
 });
 
 // Risk Assessment Routes
-app.post('/risk-assessment/transactions', async (req, res) => {
+app.post('/risk-assessment/transactions', validateRequest(riskRoutes.assessTransactionRisk), async (req, res) => {
   try {
-    const {
-      transactionId,
-      amount,
-      userId,
-      merchantId,
-      location,
-      deviceInfo,
-      paymentMethod,
-      transactionType
-    } = req.body;
-
-    if (!transactionId || !amount || !userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Transaction ID, amount, and user ID are required',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    const result = await riskService.assessTransactionRisk({
-      transactionId,
-      amount,
-      userId,
-      merchantId,
-      location,
-      deviceInfo,
-      paymentMethod,
-      transactionType
-    });
+    const result = await riskService.assessTransactionRisk(req.body);
 
     res.status(201).json({
       success: true,
@@ -101,6 +92,9 @@ app.post('/risk-assessment/transactions', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   } catch (error) {
+    if (ValidationError.isValidationError(error)) {
+      return res.status(400).json(validationErrorBody(error));
+    }
     logger.error('Error assessing transaction risk:', error);
     res.status(500).json({
       success: false,
@@ -791,20 +785,11 @@ app.get('/health', (req, res) => {
 });
 
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
-  res.json({
-    service: 'risk-assessment-service',
-    timestamp: new Date().toISOString(),
-    database: connectionPool.getStats(),
-    dualWriter: dualWriter.getStats(),
-    kafka: kafkaService.getStats(),
-    eventStore: eventStore.getStats(),
-    cqrs: {
-      commandsProcessed: commandBus.getProcessedCount(),
-      queriesProcessed: queryBus.getProcessedCount()
-    },
-    riskService: riskService.getHealthStatus()
-  });
+app.get('/metrics', metricsHandler(metrics));
+
+// API description generated from the route table
+app.get('/openapi.json', (req, res) => {
+  res.json(describeApi({ title: 'Risk Assessment Service', routes: riskRoutes }));
 });
 
 // Error handling middleware
@@ -826,6 +811,9 @@ app.use((req, res) => {
   });
 });
 
+// Register with the gateway's service registry once the service is ready
+const registryClient = new RegistryClient({ serviceName: 'risk', port: PORT, logger });
+
 // Initialize service
 async function initializeService() {
   try {
@@ -834,6 +822,7 @@ async function initializeService() {
     await riskService.initialize();
 
     logger.info(`Risk Assessment Service started on port ${PORT}`);
+    await registryClient.start();
   } catch (error) {
     logger.error('Failed to initialize Risk Assessment Service:', error);
     process.exit(1);
@@ -843,6 +832,7 @@ async function initializeService() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  await registryClient.stop();
   await connectionPool.close();
   await kafkaService.close();
   process.exit(0);
@@ -850,6 +840,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
+  await registryClient.stop();
   await connectionPool.close();
   await kafkaService.close();
   process.exit(0);
@@ -124,7 +124,8 @@ export class ProcessBulkSettlementCommand {
 
 export class AdjustSettlementCommand {
   constructor(data) {
-    this.settlementId = data.settlementId;
+    this.settlementId = data.settlementId; // Omitted to apply to the merchant's next settlement
+    this.merchantId = data.merchantId;
     this.adjustmentType = data.adjustmentType; // 'fee_adjustment', 'chargeback', 'refund'
     this.adjustmentAmount = data.adjustmentAmount;
     this.reason = data.reason;
@@ -135,7 +136,7 @@ export class AdjustSettlementCommand {
   }
 
   validate() {
-    if (!this.settlementId) throw new Error('Settlement ID is required');
+    if (!this.settlementId && !this.merchantId) throw new Error('Settlement ID or merchant ID is required');
     if (!['fee_adjustment', 'chargeback', 'refund'].includes(this.adjustmentType)) {
       throw new Error('Invalid adjustment type');
     }
@@ -150,19 +151,21 @@ export class AdjustSettlementCommand {
 
 export class CreateSettlementHoldCommand {
   constructor(data) {
-    this.settlementId = data.settlementId;
-    this.holdType = data.holdType; // 'risk_hold', 'compliance_hold', 'manual_hold'
+    this.settlementId = data.settlementId; // Omitted to hold all of the merchant's settlements
+    this.merchantId = data.merchantId;
+    this.holdType = data.holdType; // 'risk_hold', 'compliance_hold', 'manual_hold', 'dispute'
     this.holdReason = data.holdReason;
     this.holdAmount = data.holdAmount;
     this.releaseDate = data.releaseDate;
+    this.referenceId = data.referenceId; // e.g. the payment dispute
     this.placedBy = data.placedBy;
     this.metadata = data.metadata || {};
     this.placedAt = new Date();
   }
 
   validate() {
-    if (!this.settlementId) throw new Error('Settlement ID is required');
-    if (!['risk_hold', 'compliance_hold', 'manual_hold'].includes(this.holdType)) {
+    if (!this.settlementId && !this.merchantId) throw new Error('Settlement ID or merchant ID is required');
+    if (!['risk_hold', 'compliance_hold', 'manual_hold', 'dispute'].includes(this.holdType)) {
       throw new Error('Invalid hold type');
     }
     if (!this.holdReason) throw new Error('Hold reason is required');
@@ -173,7 +176,7 @@ export class CreateSettlementHoldCommand {
 
 export class ReleaseSettlementHoldCommand {
   constructor(data) {
-    this.settlementId = data.settlementId;
+    this.settlementId = data.settlementId; // Omitted for merchant holds
     this.holdId = data.holdId;
     this.releaseReason = data.releaseReason;
     this.releasedBy = data.releasedBy;
@@ -182,7 +185,6 @@ export class ReleaseSettlementHoldCommand {
   }
 
   validate() {
-    if (!this.settlementId) throw new Error('Settlement ID is required');
     if (!this.holdId) throw new Error('Hold ID is required');
     if (!this.releaseReason) throw new Error('Release reason is required');
     if (!this.releasedBy) throw new Error('Releaser ID is required');
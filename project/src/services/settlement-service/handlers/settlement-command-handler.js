@@ -63,6 +63,10 @@ export class SettlementCommandHandler {
         command.transactionIds
       );
 
+      // Chargebacks recorded while the merchant had no pending settlement come off this one
+      const pendingAdjustments = await this.getPendingMerchantAdjustments(command.merchantId);
+      const adjustmentTotal = pendingAdjustments.reduce((sum, adjustment) => sum + parseFloat(adjustment.adjustment_amount), 0);
+
       const settlement = {
         id: command.id,
         merchantId: command.merchantId,
@@ -72,7 +76,7 @@ export class SettlementCommandHandler {
         transactionIds: settlementData.transactionIds,
         transactionCount: settlementData.transactionCount,
         feeAmount: settlementData.feeAmount,
-        netAmount: settlementData.netAmount,
+        netAmount: parseFloat((settlementData.netAmount + adjustmentTotal).toFixed(2)),
         settlementMethod: command.settlementMethod,
         status: 'pending',
         metadata: command.metadata,
@@ -107,6 +111,7 @@ export class SettlementCommandHandler {
 
       // Mark transactions as settled
       await this.markTransactionsAsSettled(settlement.transactionIds, settlement.id);
+      await this.applyMerchantAdjustments(pendingAdjustments.map(adjustment => adjustment.id), settlement.id);
 
       this.logger.info(`Settlement created: ${settlement.id}`);
       return settlement;
@@ -359,6 +364,10 @@ export class SettlementCommandHandler {
 
   async handleAdjustSettlement(command) {
     try {
+      if (!command.settlementId) {
+        return await this.handleAdjustMerchant(command);
+      }
+
       const settlement = await this.getSettlementById(command.settlementId);
       if (!settlement) {
         throw new Error('Settlement not found');
@@ -368,6 +377,7 @@ export class SettlementCommandHandler {
       const adjustment = {
         id: uuidv4(),
         settlementId: command.settlementId,
+        merchantId: command.merchantId || settlement.merchant_id || settlement.merchantId,
         adjustmentType: command.adjustmentType,
         adjustmentAmount: command.adjustmentAmount,
         reason: command.reason,
@@ -413,11 +423,49 @@ export class SettlementCommandHandler {
     }
   }
 
+  // Recorded as pending and taken off the merchant's next settlement when it is created
+  async handleAdjustMerchant(command) {
+    const adjustment = {
+      id: uuidv4(),
+      settlementId: null,
+      merchantId: command.merchantId,
+      adjustmentType: command.adjustmentType,
+      adjustmentAmount: command.adjustmentAmount,
+      reason: command.reason,
+      referenceId: command.referenceId,
+      adjustedBy: command.adjustedBy,
+      adjustedAt: command.adjustedAt,
+      status: 'pending',
+      metadata: command.metadata
+    };
+
+    await this.saveSettlementAdjustment(adjustment);
+
+    const event = new SettlementAdjustedEvent({
+      eventId: uuidv4(),
+      settlementId: null,
+      adjustmentType: command.adjustmentType,
+      adjustmentAmount: command.adjustmentAmount,
+      reason: command.reason,
+      referenceId: command.referenceId,
+      adjustedBy: command.adjustedBy,
+      metadata: { ...command.metadata, merchantId: command.merchantId }
+    });
+
+    await this.eventStore.saveEvent(event);
+    await this.kafkaService.produce('settlement-events', event);
+
+    this.logger.info(`Pending adjustment recorded for merchant ${command.merchantId}, amount: ${command.adjustmentAmount}`);
+    return { settlement: null, adjustment };
+  }
+
   async handleCreateSettlementHold(command) {
     try {
       const hold = {
         id: uuidv4(),
-        settlementId: command.settlementId,
+        settlementId: command.settlementId || null,
+        merchantId: command.merchantId,
+        referenceId: command.referenceId,
         holdType: command.holdType,
         holdReason: command.holdReason,
         holdAmount: command.holdAmount,
@@ -432,7 +480,7 @@ export class SettlementCommandHandler {
       await this.saveSettlementHold(hold);
 
       // Update settlement status if needed
-      const settlement = await this.getSettlementById(command.settlementId);
+      const settlement = command.settlementId && await this.getSettlementById(command.settlementId);
       if (settlement && settlement.status === 'pending') {
         await this.updateSettlement({
           ...settlement,
@@ -457,7 +505,7 @@ export class SettlementCommandHandler {
       await this.eventStore.saveEvent(event);
       await this.kafkaService.produce('settlement-events', event);
 
-      this.logger.info(`Settlement hold placed: ${command.settlementId}, hold: ${hold.id}`);
+      this.logger.info(`Settlement hold placed: ${command.settlementId || `merchant ${command.merchantId}`}, hold: ${hold.id}`);
       return hold;
     } catch (error) {
       this.logger.error('Error creating settlement hold:', error);
@@ -471,8 +519,8 @@ export class SettlementCommandHandler {
       await this.releaseSettlementHold(command.holdId, command);
 
       // Check if settlement can be released from hold
-      const activeHolds = await this.getActiveSettlementHolds(command.settlementId);
-      if (activeHolds.length === 0) {
+      const activeHolds = command.settlementId ? await this.getActiveSettlementHolds(command.settlementId) : [];
+      if (command.settlementId && activeHolds.length === 0) {
         const settlement = await this.getSettlementById(command.settlementId);
         if (settlement && settlement.status === 'on_hold') {
           await this.updateSettlement({
@@ -682,6 +730,30 @@ export class SettlementCommandHandler {
     }
   }
 
+  async getPendingMerchantAdjustments(merchantId) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT * FROM settlement_adjustments
+         WHERE merchant_id = ? AND settlement_id IS NULL AND status = 'pending'`,
+        [merchantId]
+      );
+      return rows || [];
+    });
+  }
+
+  async applyMerchantAdjustments(adjustmentIds, settlementId) {
+    if (adjustmentIds.length === 0) return;
+
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const placeholders = adjustmentIds.map(() => '?').join(',');
+      await connection.execute(
+        `UPDATE settlement_adjustments SET settlement_id = ?, status = 'applied', applied_at = NOW()
+         WHERE id IN (${placeholders})`,
+        [settlementId, ...adjustmentIds]
+      );
+    });
+  }
+
   async saveSettlementSchedule(schedule) {
     try {
       await this.connectionPool.executeWithMySQLConnection(async (connection) => {
@@ -763,15 +835,17 @@ export class SettlementCommandHandler {
       await this.connectionPool.executeWithMySQLConnection(async (connection) => {
         await connection.execute(
           `INSERT INTO settlement_adjustments
-           (id, settlement_id, adjustment_type, adjustment_amount, reason, reference_id, adjusted_by, metadata, adjusted_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+           (id, settlement_id, merchant_id, adjustment_type, adjustment_amount, reason, reference_id, status, adjusted_by, metadata, adjusted_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             adjustment.id,
             adjustment.settlementId,
+            adjustment.merchantId || null,
             adjustment.adjustmentType,
             adjustment.adjustmentAmount,
             adjustment.reason,
             adjustment.referenceId,
+            adjustment.status || 'applied',
             adjustment.adjustedBy,
             JSON.stringify(adjustment.metadata || {}),
             adjustment.adjustedAt
@@ -789,11 +863,13 @@ export class SettlementCommandHandler {
       await this.connectionPool.executeWithMySQLConnection(async (connection) => {
         await connection.execute(
           `INSERT INTO settlement_holds
-           (id, settlement_id, hold_type, hold_reason, hold_amount, release_date, placed_by, status, metadata, placed_at)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+           (id, settlement_id, merchant_id, reference_id, hold_type, hold_reason, hold_amount, release_date, placed_by, status, metadata, placed_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
           [
             hold.id,
             hold.settlementId,
+            hold.merchantId || null,
+            hold.referenceId || null,
             hold.holdType,
             hold.holdReason,
             hold.holdAmount,
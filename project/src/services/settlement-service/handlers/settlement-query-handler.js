@@ -401,8 +401,9 @@ export class SettlementQueryHandler {
       }
 
       if (filters.merchantId) {
-        whereConditions.push('settlement_id IN (SELECT id FROM settlements WHERE merchant_id = ?)');
-        params.push(filters.merchantId);
+        // Dispute holds are placed on the merchant before any settlement exists
+        whereConditions.push('(merchant_id = ? OR settlement_id IN (SELECT id FROM settlements WHERE merchant_id = ?))');
+        params.push(filters.merchantId, filters.merchantId);
       }
 
       if (filters.holdType) {
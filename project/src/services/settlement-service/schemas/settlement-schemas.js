@@ -0,0 +1,26 @@
+export const settlementRoutes = {
+  createSettlement: { method: 'post', path: '/settlements', summary: 'Create a settlement', status: 201 },
+  getSettlement: { method: 'get', path: '/settlements/:id', summary: 'Get a settlement' },
+  listSettlements: { method: 'get', path: '/settlements', summary: 'List settlements' },
+  listMerchantSettlements: { method: 'get', path: '/settlements/merchant/:merchantId', summary: 'Settlements for a merchant' },
+  processSettlement: { method: 'put', path: '/settlements/:id/process', summary: 'Start processing a settlement' },
+  completeSettlement: { method: 'put', path: '/settlements/:id/complete', summary: 'Mark a settlement as paid out' },
+  cancelSettlement: { method: 'put', path: '/settlements/:id/cancel', summary: 'Cancel a settlement' },
+  getSchedule: { method: 'get', path: '/settlements/schedule/:merchantId', summary: 'A merchant\'s settlement schedule' },
+  updateSchedule: { method: 'put', path: '/settlements/schedule/:merchantId', summary: 'Update a merchant\'s settlement schedule' },
+  createSettlements: { method: 'post', path: '/settlements/bulk', summary: 'Create several settlements', status: 201 },
+  processScheduledSettlements: { method: 'post', path: '/settlements/scheduled/process', summary: 'Process settlements that are due' },
+  addAdjustment: { method: 'post', path: '/settlements/:id/adjustments', summary: 'Add an adjustment to a settlement', status: 201 },
+  listAdjustments: { method: 'get', path: '/settlements/:id/adjustments', summary: 'List a settlement\'s adjustments' },
+  placeHold: { method: 'post', path: '/settlements/:id/holds', summary: 'Place a hold on a settlement', status: 201 },
+  releaseHold: { method: 'put', path: '/settlements/:settlementId/holds/:holdId/release', summary: 'Release a settlement hold' },
+  listHolds: { method: 'get', path: '/settlements/holds', summary: 'List settlement holds' },
+  getSettlementAnalytics: { method: 'get', path: '/settlements/analytics/:analyticsType', summary: 'Settlement analytics of one type' },
+  getSettlementMetrics: { method: 'get', path: '/settlements/metrics/:metricType', summary: 'Settlement metrics of one type' },
+  getDashboard: { method: 'get', path: '/settlements/dashboard', summary: 'Settlement dashboard data' },
+  generateReport: { method: 'post', path: '/settlements/reports', summary: 'Generate a settlement report' },
+  getReconciliation: { method: 'get', path: '/settlements/reconciliation', summary: 'Reconciliation status' },
+  reconcile: { method: 'post', path: '/settlements/reconcile', summary: 'Reconcile settlements against payouts' },
+  checkEligibility: { method: 'post', path: '/settlements/eligibility/check', summary: 'Check whether transactions can be settled' },
+  calculateAmounts: { method: 'post', path: '/settlements/amounts/calculate', summary: 'Calculate settlement amounts and fees' }
+};
@@ -75,7 +75,9 @@ CREATE TABLE IF NOT EXISTS settlement_schedules (
 -- Create settlement_holds table
 CREATE TABLE IF NOT EXISTS settlement_holds (
   id VARCHAR(36) PRIMARY KEY,
-  settlement_id VARCHAR(36) NOT NULL,
+  settlement_id VARCHAR(36) NULL, -- NULL for holds on a merchant with no pending settlement
+  merchant_id VARCHAR(36) NULL,
+  reference_id VARCHAR(255), -- e.g. the payment dispute that placed the hold
   hold_type ENUM('fraud', 'compliance', 'dispute', 'manual', 'system') DEFAULT 'manual',
   hold_reason TEXT NOT NULL,
   hold_amount DECIMAL(15,2) DEFAULT 0.00,
@@ -93,13 +95,16 @@ CREATE TABLE IF NOT EXISTS settlement_holds (
   INDEX idx_settlement_id (settlement_id),
   INDEX idx_status (status),
   INDEX idx_release_date (release_date),
-  INDEX idx_hold_type (hold_type)
+  INDEX idx_hold_type (hold_type),
+  INDEX idx_merchant_id (merchant_id),
+  INDEX idx_reference_id (reference_id)
 );
 
 -- Create settlement_adjustments table
 CREATE TABLE IF NOT EXISTS settlement_adjustments (
   id VARCHAR(36) PRIMARY KEY,
-  settlement_id VARCHAR(36) NOT NULL,
+  settlement_id VARCHAR(36) NULL, -- NULL while pending for the merchant's next settlement
+  merchant_id VARCHAR(36) NULL,
   adjustment_type ENUM('fee_adjustment', 'chargeback', 'refund', 'correction', 'bonus', 'penalty') DEFAULT 'correction',
   adjustment_amount DECIMAL(15,2) NOT NULL,
   reason TEXT NOT NULL,
@@ -113,8 +118,10 @@ CREATE TABLE IF NOT EXISTS settlement_adjustments (
   metadata JSON,
   FOREIGN KEY (settlement_id) REFERENCES settlements(id) ON DELETE CASCADE,
   INDEX idx_settlement_id (settlement_id),
+  INDEX idx_merchant_status (merchant_id, status),
   INDEX idx_adjustment_type (adjustment_type),
   INDEX idx_status (status),
+  INDEX idx_reference_id (reference_id),
   INDEX idx_created_at (created_at)
 );
 
@@ -74,6 +74,8 @@ export class SettlementService {
       this.queryBus.registerHandler('GetSettlementReportQuery', this.queryHandler);
       this.queryBus.registerHandler('GetSettlementMetricsQuery', this.queryHandler);
 
+      await this.setupEventHandlers();
+
       this.logger.info('Settlement Service initialized successfully');
     } catch (error) {
       this.logger.error('Error initializing Settlement Service:', error);
@@ -81,6 +83,126 @@ export class SettlementService {
     }
   }
 
+  // A failed hold or adjustment is retried by redelivering the event rather than lost; the
+  // dispute handlers already recognise work an earlier delivery finished
+  async setupEventHandlers() {
+    await this.kafkaService.consumeMessages(
+      ['payment-events'],
+      'settlement-service-payment',
+      async (message) => {
+        let event;
+        try {
+          event = JSON.parse(message.value);
+        } catch (error) {
+          // Redelivering a message that is not JSON would never succeed
+          this.logger.error('Skipping unreadable payment event:', error);
+          return;
+        }
+        await this.handleExternalEvent(event);
+      },
+      { redeliverOnError: true }
+    );
+  }
+
+  async handleExternalEvent(event) {
+    switch (event.eventType) {
+      case 'DisputeOpened':
+        await this.placeDisputeHold(event);
+        break;
+      case 'DisputeClosed':
+        await this.settleDispute(event);
+        break;
+      default:
+        this.logger.debug('Ignoring payment event:', event.eventType);
+    }
+  }
+
+  // Payment events are delivered at least once, so both dispute handlers look for the
+  // hold or adjustment the dispute already produced before creating another
+  async placeDisputeHold(event) {
+    if (!event.merchantId) {
+      this.logger.warn(`Dispute ${event.disputeId} has no merchant, no settlement hold placed`);
+      return;
+    }
+    if (await this.findDisputeHold(event.disputeId)) {
+      return;
+    }
+
+    const settlement = await this.findOpenSettlement(event.merchantId);
+    await this.commandBus.execute(new CreateSettlementHoldCommand({
+      settlementId: settlement?.id,
+      merchantId: event.merchantId,
+      holdType: 'dispute',
+      holdReason: `Payment ${event.paymentId} disputed: ${event.reason || 'no reason given'}`,
+      holdAmount: event.amount,
+      referenceId: event.disputeId,
+      placedBy: 'system',
+      metadata: { paymentId: event.paymentId, gateway: event.gateway }
+    }));
+  }
+
+  async settleDispute(event) {
+    const hold = await this.findDisputeHold(event.disputeId);
+    if (hold) {
+      await this.commandBus.execute(new ReleaseSettlementHoldCommand({
+        settlementId: hold.settlement_id,
+        holdId: hold.id,
+        releaseReason: `Dispute ${event.outcome}`,
+        releasedBy: 'system'
+      }));
+    }
+
+    if (!['lost', 'accepted'].includes(event.outcome) || !event.merchantId) {
+      return;
+    }
+    if (await this.findChargebackAdjustment(event.disputeId)) {
+      return;
+    }
+
+    const settlement = await this.findOpenSettlement(event.merchantId);
+    await this.commandBus.execute(new AdjustSettlementCommand({
+      settlementId: settlement?.id,
+      merchantId: event.merchantId,
+      adjustmentType: 'chargeback',
+      adjustmentAmount: -event.amount,
+      reason: `Chargeback for payment ${event.paymentId}`,
+      referenceId: event.disputeId,
+      adjustedBy: 'system',
+      metadata: { paymentId: event.paymentId, outcome: event.outcome }
+    }));
+  }
+
+  async findOpenSettlement(merchantId) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT * FROM settlements WHERE merchant_id = ? AND status IN ('pending', 'on_hold')
+         ORDER BY created_at DESC LIMIT 1`,
+        [merchantId]
+      );
+      return rows?.[0] || null;
+    });
+  }
+
+  async findDisputeHold(disputeId) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT * FROM settlement_holds WHERE hold_type = 'dispute' AND reference_id = ? AND status = 'active'`,
+        [disputeId]
+      );
+      return rows?.[0] || null;
+    });
+  }
+
+  async findChargebackAdjustment(disputeId) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT * FROM settlement_adjustments WHERE adjustment_type = 'chargeback' AND reference_id = ?`,
+        [disputeId]
+      );
+      return rows?.[0] || null;
+    });
+  }
+
   registerHandlers() {
     // Command handlers are registered in initialize()
     // This method can be used for additional setup if needed
@@ -107,7 +229,7 @@ export class SettlementService {
 
   async createSettlement(data) {
     const command = new CreateSettlementCommand(data);
-    return await this.commandBus.send(command);
+    return await this.commandBus.execute(command);
   }
 
   async processSettlement(settlementId, data) {
@@ -115,7 +237,7 @@ export class SettlementService {
       settlementId,
       ...data
     });
-    return await this.commandBus.send(command);
+    return await this.commandBus.execute(command);
   }
 
   async completeSettlement(settlementId, data) {
@@ -123,7 +245,7 @@ export class SettlementService {
       settlementId,
       ...data
     });
-    return await this.commandBus.send(command);
+    return await this.commandBus.execute(command);
   }
 
   async cancelSettlement(settlementId, data) {
@@ -131,17 +253,17 @@ export class SettlementService {
       settlementId,
       ...data
     });
-    return await this.commandBus.send(command);
+    return await this.commandBus.execute(command);
   }
 
   async updateSettlementSchedule(data) {
     const command = new UpdateSettlementScheduleCommand(data);
-    return await this.commandBus.send(command);
+    return await this.commandBus.execute(command);
   }
 
   async processBulkSettlement(data) {
     const command = new ProcessBulkSettlementCommand(data);
-    return await this.commandBus.send(command);
+    return await this.commandBus.execute(command);
   }
 
   async adjustSettlement(settlementId, data) {
@@ -149,7 +271,7 @@ export class SettlementService {
       settlementId,
       ...data
     });
-    return await this.commandBus.send(command);
+    return await this.commandBus.execute(command);
   }
 
   async createSettlementHold(settlementId, data) {
@@ -157,7 +279,7 @@ export class SettlementService {
       settlementId,
       ...data
     });
-    return await this.commandBus.send(command);
+    return await this.commandBus.execute(command);
   }
 
   async releaseSettlementHold(settlementId, holdId, data) {
@@ -166,69 +288,69 @@ export class SettlementService {
       holdId,
       ...data
     });
-    return await this.commandBus.send(command);
+    return await this.commandBus.execute(command);
   }
 
   // Query methods
 
   async getSettlement(settlementId, includeDetails = true) {
     const query = new GetSettlementQuery(settlementId, includeDetails);
-    return await this.queryBus.query(query);
+    return await this.queryBus.execute(query);
   }
 
   async getSettlements(filters = {}, pagination = {}) {
     const query = new GetSettlementsQuery(filters, pagination);
-    return await this.queryBus.query(query);
+    return await this.queryBus.execute(query);
   }
 
   async getMerchantSettlements(merchantId, filters = {}, pagination = {}) {
     const query = new GetMerchantSettlementsQuery(merchantId, filters, pagination);
-    return await this.queryBus.query(query);
+    return await this.queryBus.execute(query);
   }
 
   async getSettlementSchedule(merchantId) {
     const query = new GetSettlementScheduleQuery(merchantId);
-    return await this.queryBus.query(query);
+    return await this.queryBus.execute(query);
   }
 
   async getSettlementAnalytics(analyticsType, filters = {}) {
     const query = new GetSettlementAnalyticsQuery(analyticsType, filters);
-    return await this.queryBus.query(query);
+    return await this.queryBus.execute(query);
   }
 
   async getSettlementReconciliation(filters = {}) {
     const query = new GetSettlementReconciliationQuery(filters);
-    return await this.queryBus.query(query);
+    return await this.queryBus.execute(query);
   }
 
   async getSettlementHolds(filters = {}, pagination = {}) {
     const query = new GetSettlementHoldsQuery(filters, pagination);
-    return await this.queryBus.query(query);
+    return await this.queryBus.execute(query);
   }
 
   async getSettlementAdjustments(settlementId, pagination = {}) {
     const query = new GetSettlementAdjustmentsQuery(settlementId, pagination);
-    return await this.queryBus.query(query);
+    return await this.queryBus.execute(query);
   }
 
   async getSettlementDisputes(filters = {}, pagination = {}) {
     const query = new GetSettlementDisputesQuery(filters, pagination);
-    return await this.queryBus.query(query);
+    return await this.queryBus.execute(query);
   }
 
   async getSettlementDashboard(filters = {}) {
     const query = new GetSettlementDashboardQuery(filters);
-    return await this.queryBus.query(query);
+    return await this.queryBus.execute(query);
   }
 
   async getSettlementReport(reportType, filters = {}) {
     const query = new GetSettlementReportQuery(reportType, filters);
-    return await this.queryBus.query(query);
+    return await this.queryBus.execute(query);
   }
 
   async getSettlementMetrics(metricType, filters = {}) {
     const query = new GetSettlementMetricsQuery(metricType, filters);
-    return await this.queryBus.query(query);
+    return await this.queryBus.execute(query);
   }
 
   // Business logic methods
@@ -0,0 +1,32 @@
+import AggregateRoot from '../../../shared/event-sourcing/aggregate-root.js';
+
+export class TransactionAggregate extends AggregateRoot {
+  get status() {
+    return this.state.status;
+  }
+
+  onTransactionCreated(event) {
+    this.state = {
+      transactionId: event.transactionId,
+      userId: event.userId,
+      amount: event.amount,
+      currency: event.currency,
+      type: event.type,
+      status: 'pending',
+      createdAt: event.timestamp,
+      updatedAt: event.timestamp
+    };
+  }
+
+  onTransactionStatusUpdated(event) {
+    this.state = { ...this.state, status: event.newStatus, updatedAt: event.timestamp };
+  }
+
+  onTransactionAmountUpdated(event) {
+    this.state = { ...this.state, amount: event.newAmount, updatedAt: event.timestamp };
+  }
+
+  onTransactionCancelled(event) {
+    this.state = { ...this.state, status: 'cancelled', cancelledAt: event.timestamp, updatedAt: event.timestamp };
+  }
+}
@@ -17,6 +17,7 @@ export class TransactionStatusUpdatedEvent {
     this.eventType = 'TransactionStatusUpdated';
     this.aggregateId = data.transactionId;
     this.transactionId = data.transactionId;
+    this.userId = data.userId;
     this.oldStatus = data.oldStatus;
     this.newStatus = data.newStatus;
     this.reason = data.reason;
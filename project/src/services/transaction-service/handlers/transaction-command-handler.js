@@ -1,11 +1,13 @@
 import { CreateTransactionCommand, UpdateTransactionStatusCommand } from '../commands/transaction-commands.js';
 import { TransactionCreatedEvent, TransactionStatusUpdatedEvent } from '../events/transaction-events.js';
+import { TransactionAggregate } from '../aggregates/transaction-aggregate.js';
 
 export class TransactionCommandHandler {
   constructor(dependencies) {
     this.connectionPool = dependencies.connectionPool;
     this.dualWriter = dependencies.dualWriter;
     this.eventStore = dependencies.eventStore;
+    this.transactionRepository = dependencies.transactionRepository;
     this.kafkaService = dependencies.kafkaService;
     this.logger = dependencies.logger;
   }
@@ -56,7 +58,9 @@ export class TransactionCommandHandler {
         timestamp: new Date().toISOString()
       });
 
-      await this.eventStore.append(event);
+      const transaction = new TransactionAggregate(command.id);
+      transaction.apply(event);
+      await this.transactionRepository.save(transaction);
 
       // Publish event to Kafka
       await this.kafkaService.produce('transaction-events', {
@@ -106,17 +110,20 @@ export class TransactionCommandHandler {
         requireAllDatabases: false
       });
 
-      // Store event in event store
-      const event = new TransactionStatusUpdatedEvent({
-        transactionId: command.transactionId,
-        oldStatus: 'unknown', // Would need to fetch from DB in real implementation
-        newStatus: command.status,
-        reason: command.reason,
-        timestamp: new Date().toISOString()
+      // Store event in event store, taking the old status from the aggregate
+      let event;
+      await this.transactionRepository.update(command.transactionId, (transaction) => {
+        event = new TransactionStatusUpdatedEvent({
+          transactionId: command.transactionId,
+          userId: transaction.userId,
+          oldStatus: transaction.status || 'unknown',
+          newStatus: command.status,
+          reason: command.reason,
+          timestamp: new Date().toISOString()
+        });
+        transaction.apply(event);
       });
 
-      await this.eventStore.append(event);
-
       // Publish event to Kafka
       await this.kafkaService.produce('transaction-events', {
         key: command.transactionId,
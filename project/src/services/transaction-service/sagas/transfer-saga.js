@@ -0,0 +1,154 @@
+import { createServiceToken } from '../../../shared/security/service-token.js';
+import { injectTraceHeaders } from '../../../shared/tracing/trace-context.js';
+
+export const TRANSFER_SAGA = 'TransferSaga';
+const SERVICE_SCOPES = ['risk:assess', 'accounts:write', 'payments:write', 'notifications:send'];
+
+// Calls another service through the API gateway. 4xx responses are business
+// rejections and are not retried; network errors, 5xx responses and 409 (the same
+// Idempotency-Key is still being processed by an earlier attempt) are.
+async function callService(gatewayUrl, path, body, idempotencyKey) {
+  const response = await fetch(`${gatewayUrl}${path}`, {
+    method: 'POST',
+    headers: injectTraceHeaders({
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${createServiceToken('transaction-service', SERVICE_SCOPES)}`,
+      'Idempotency-Key': idempotencyKey
+    }),
+    body: JSON.stringify(body)
+  });
+
+  const payload = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(`${path} failed with ${response.status}: ${payload.error || response.statusText}`);
+    error.status = response.status;
+    error.retryable = response.status >= 500 || response.status === 409;
+    throw error;
+  }
+
+  return payload.data;
+}
+
+const serviceCaller = (options) => {
+  const gatewayUrl = options.gatewayUrl || process.env.API_GATEWAY_URL || 'http://localhost:3000';
+  return (path, body, saga, suffix) => callService(gatewayUrl, path, body, `${saga.id}:${suffix}`);
+};
+
+export function createTransferSagaSteps(options = {}) {
+  const call = serviceCaller(options);
+
+  return [
+    {
+      name: 'risk-check',
+      timeout: 10000,
+      retry: { maxRetries: 2 },
+      execute: async (context, saga) => {
+        const assessment = await call('/api/risk/risk-assessment/transactions', {
+          transactionId: saga.data.transactionId,
+          amount: saga.data.amount,
+          userId: saga.data.userId,
+          transactionType: 'transfer'
+        }, saga, 'risk-check');
+
+        if (assessment.riskLevel === 'high' || (assessment.recommendations || []).includes('Block transaction')) {
+          const error = new Error(`Transfer rejected by risk assessment (${assessment.riskLevel})`);
+          error.retryable = false;
+          throw error;
+        }
+
+        return { assessmentId: assessment.id, riskLevel: assessment.riskLevel };
+      }
+    },
+    {
+      name: 'debit',
+      timeout: 15000,
+      execute: async (context, saga) => {
+        const result = await call(`/api/account/accounts/${saga.data.fromAccount}/withdraw`, {
+          amount: saga.data.amount,
+          currency: saga.data.currency,
+          description: `Transfer ${saga.data.transactionId}`,
+          reference: saga.data.transactionId,
+          withdrawnBy: 'transaction-service',
+          ownerId: saga.data.userId
+        }, saga, 'debit');
+
+        return { accountTransactionId: result.transactionId };
+      },
+      compensate: async (context, saga) => {
+        await call(`/api/account/accounts/${saga.data.fromAccount}/deposit`, {
+          amount: saga.data.amount,
+          currency: saga.data.currency,
+          description: `Reversal of transfer ${saga.data.transactionId}`,
+          reference: saga.data.transactionId,
+          depositedBy: 'transaction-service'
+        }, saga, 'debit-compensation');
+      }
+    },
+    {
+      name: 'credit',
+      timeout: 15000,
+      execute: async (context, saga) => {
+        const result = await call(`/api/account/accounts/${saga.data.toAccount}/deposit`, {
+          amount: saga.data.amount,
+          currency: saga.data.currency,
+          description: `Transfer ${saga.data.transactionId}`,
+          reference: saga.data.transactionId,
+          depositedBy: 'transaction-service'
+        }, saga, 'credit');
+
+        return { accountTransactionId: result.transactionId };
+      },
+      compensate: async (context, saga) => {
+        await call(`/api/account/accounts/${saga.data.toAccount}/withdraw`, {
+          amount: saga.data.amount,
+          currency: saga.data.currency,
+          description: `Reversal of transfer ${saga.data.transactionId}`,
+          reference: saga.data.transactionId,
+          withdrawnBy: 'transaction-service'
+        }, saga, 'credit-compensation');
+      }
+    },
+    {
+      name: 'payment',
+      timeout: 30000,
+      execute: async (context, saga) => {
+        const result = await call('/api/payment/payments', {
+          customerId: saga.data.userId,
+          amount: saga.data.amount,
+          currency: saga.data.currency,
+          // Sagas stored before the payment method was recorded pay by bank transfer
+          paymentMethod: saga.data.paymentMethod || 'bank_transfer',
+          paymentMethodId: saga.data.paymentMethodId,
+          description: `Transfer ${saga.data.transactionId}`,
+          metadata: { transactionId: saga.data.transactionId, sagaId: saga.id }
+        }, saga, 'payment');
+
+        return { paymentId: result.paymentId };
+      },
+      compensate: async (context, saga) => {
+        await call(`/api/payment/payments/${context.payment.paymentId}/refund`, {
+          amount: saga.data.amount,
+          reason: `Transfer ${saga.data.transactionId} rolled back`
+        }, saga, 'payment-compensation');
+      }
+    }
+  ];
+}
+
+// Tells the customer a transfer completed. Not a saga step: the money has moved by then, so a
+// notification that cannot be sent must not roll the transfer back.
+export function createTransferNotifier(options = {}) {
+  const call = serviceCaller(options);
+
+  return async (saga) => {
+    await call('/api/notification/notifications', {
+      userId: saga.data.userId,
+      type: 'in_app',
+      channel: 'push',
+      subject: 'Transfer completed',
+      message: `Your transfer of ${saga.data.amount} ${saga.data.currency} has completed.`,
+      metadata: { transactionId: saga.data.transactionId }
+    }, saga, 'notify');
+  };
+}
@@ -0,0 +1,8 @@
+export const transactionRoutes = {
+  createTransaction: { method: 'post', path: '/transactions', summary: 'Create a transaction', status: 201 },
+  getTransaction: { method: 'get', path: '/transactions/:id', summary: 'Get a transaction' },
+  updateTransactionStatus: { method: 'put', path: '/transactions/:id/status', summary: 'Update a transaction\'s status' },
+  processTransaction: { method: 'post', path: '/transactions/:id/process', summary: 'Start the transfer saga for a pending transaction', status: 202 },
+  getSaga: { method: 'get', path: '/sagas/:id', summary: 'Get the saga driving a transaction' },
+  listTransactions: { method: 'get', path: '/transactions', summary: 'List transactions' }
+};
@@ -3,7 +3,17 @@ import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
 import { TransactionService } from './transaction-service.js';
+import TransactionStateError from './state/transaction-state-error.js';
+import { transactionRoutes } from './schemas/transaction-schemas.js';
+import { describeApi } from '../../shared/validation/schema-description.js';
 import DatabaseConnectionPool from '../../shared/database/connection-pool.js';
+import { idempotency } from '../../shared/middleware/idempotency.js';
+import { gatewayIdentity } from '../../shared/security/gateway-identity.js';
+import { actsFor, actsForAnyone, requireIdentity } from '../../shared/security/ownership.js';
+import { tracing, traceFormat } from '../../shared/tracing/trace-context.js';
+import MetricsRegistry from '../../shared/metrics/metrics-registry.js';
+import { instrumentService, metricsHandler } from '../../shared/metrics/instrumentation.js';
+import { RegistryClient } from '../../shared/discovery/registry-client.js';
 import DualDatabaseWriter from '../../shared/database/dual-writer.js';
 import { KafkaService } from '../../shared/messaging/kafka-service.js';
 import EventStore from '../../shared/event-sourcing/event-store.js';
@@ -19,6 +29,7 @@ const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
+    traceFormat(),
     winston.format.json()
   ),
   transports: [
@@ -46,16 +57,58 @@ const transactionService = new TransactionService({
   logger
 });
 
+// Metrics
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'transaction-service' } });
+
 // Middleware
+app.use(instrumentService(metrics, { connectionPool, commandBus, queryBus, kafkaService, dualWriter }));
 app.use(helmet());
 app.use(cors());
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
+app.use(tracing());
+app.use(gatewayIdentity());
+app.use(idempotency({ connectionPool, logger }));
+
+// Answers 404 unless the transaction exists and belongs to the caller (so another customer's
+// transaction is not revealed either). Admins and services reach every transaction.
+const requireOwnedTransaction = async (req, res, next) => {
+  try {
+    const result = await transactionService.getTransaction(req.params.id);
+    if (result.success && actsFor(req.identity, result.transaction.userId)) {
+      return next();
+    }
+    res.status(404).json({
+      success: false,
+      error: 'Transaction not found',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error checking transaction ownership:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
 
 // Routes
+app.use('/transactions', requireIdentity());
+
 app.post('/transactions', async (req, res) => {
   try {
-    const transaction = await transactionService.createTransaction(req.body);
+    const userId = req.body.userId || req.identity.userId;
+    if (!actsFor(req.identity, userId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Transactions can only be created for yourself',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // The transfer saga only debits fromAccount when it belongs to userId
+    const transaction = await transactionService.createTransaction({ ...req.body, userId });
     res.status(201).json({
       success: true,
       data: transaction,
@@ -71,7 +124,7 @@ app.post('/transactions', async (req, res) => {
   }
 });
 
-app.get('/transactions/:id', async (req, res) => {
+app.get('/transactions/:id', requireOwnedTransaction, async (req, res) => {
   try {
     const transaction = await transactionService.getTransaction(req.params.id);
     res.json({
@@ -110,6 +163,57 @@ app.put('/transactions/:id/status', async (req, res) => {
   }
 });
 
+app.post('/transactions/:id/process', requireOwnedTransaction, async (req, res) => {
+  try {
+    const saga = await transactionService.processTransaction(req.params.id);
+    res.status(202).json({
+      success: true,
+      data: saga,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (TransactionStateError.isTransactionStateError(error)) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+    logger.error('Error processing transaction:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/sagas/:id', async (req, res) => {
+  try {
+    const saga = await transactionService.getSaga(req.params.id);
+    if (!saga) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saga not found',
+        timestamp: new Date().toISOString()
+      });
+    }
+    res.json({
+      success: true,
+      data: saga,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting saga:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 app.get('/transactions', async (req, res) => {
   try {
     const { page = 1, limit = 20, status, userId } = req.query;
@@ -117,7 +221,8 @@ app.get('/transactions', async (req, res) => {
       page: parseInt(page),
       limit: parseInt(limit),
       status,
-      userId
+      // Customers only list their own transactions
+      userId: actsForAnyone(req.identity) ? userId : req.identity.userId
     });
     res.json({
       success: true,
@@ -148,15 +253,16 @@ app.get('/health', (req, res) => {
 });
 
 // Metrics endpoint
-app.get('/metrics', (req, res) => {
-  res.json({
-    service: 'transaction-service',
-    timestamp: new Date().toISOString(),
-    database: connectionPool.getStats(),
-    dualWriter: dualWriter.getStats()
-  });
+app.get('/metrics', metricsHandler(metrics));
+
+// API description generated from the route table
+app.get('/openapi.json', (req, res) => {
+  res.json(describeApi({ title: 'Transaction Service', routes: transactionRoutes }));
 });
 
+// Register with the gateway's service registry once the service is ready
+const registryClient = new RegistryClient({ serviceName: 'transaction', port: PORT, logger });
+
 // Initialize service
 async function initializeService() {
   try {
@@ -165,6 +271,8 @@ async function initializeService() {
     await transactionService.initialize();
     
     logger.info(`Transaction Service started on port ${PORT}`);
+    
+    await registryClient.start();
   } catch (error) {
     logger.error('Failed to initialize Transaction Service:', error);
     process.exit(1);
@@ -0,0 +1,15 @@
+class TransactionStateError extends Error {
+  constructor(transactionId, status, message) {
+    super(message || `Transaction ${transactionId} is ${status} and cannot be processed`);
+    this.name = 'TransactionStateError';
+    this.code = 'TRANSACTION_NOT_PENDING';
+    this.transactionId = transactionId;
+    this.status = status;
+  }
+
+  static isTransactionStateError(error) {
+    return error instanceof TransactionStateError;
+  }
+}
+
+export default TransactionStateError;
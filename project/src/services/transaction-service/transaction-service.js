@@ -1,5 +1,10 @@
 import { v4 as uuidv4 } from 'uuid';
 import RetryWithBackoff from '../../shared/patterns/retry-with-backoff.js';
+import AggregateRepository from '../../shared/event-sourcing/aggregate-repository.js';
+import { TransactionAggregate } from './aggregates/transaction-aggregate.js';
+import SagaOrchestrator from '../../shared/saga/saga-orchestrator.js';
+import { TRANSFER_SAGA, createTransferNotifier, createTransferSagaSteps } from './sagas/transfer-saga.js';
+import TransactionStateError from './state/transaction-state-error.js';
 import { CreateTransactionCommand, UpdateTransactionStatusCommand } from './commands/transaction-commands.js';
 import { GetTransactionQuery, GetTransactionsQuery } from './queries/transaction-queries.js';
 import { TransactionCommandHandler } from './handlers/transaction-command-handler.js';
@@ -21,6 +26,22 @@ export class TransactionService {
       baseDelay: 1000,
       maxDelay: 10000
     });
+
+    this.transactionRepository = new AggregateRepository(
+      this.eventStore,
+      (id) => new TransactionAggregate(id),
+      { snapshotFrequency: 20, logger: this.logger }
+    );
+
+    this.sagaOrchestrator = dependencies.sagaOrchestrator || new SagaOrchestrator(this.connectionPool, {
+      logger: this.logger
+    });
+    this.notifyTransfer = dependencies.notifyTransfer || createTransferNotifier();
+    this.notificationRetry = dependencies.notificationRetry || new RetryWithBackoff({
+      maxRetries: 5,
+      baseDelay: 500,
+      maxDelay: 5000
+    });
   }
 
   async initialize() {
@@ -29,7 +50,9 @@ export class TransactionService {
       connectionPool: this.connectionPool,
       dualWriter: this.dualWriter,
       eventStore: this.eventStore,
-      kafkaService: this.kafkaService
+      transactionRepository: this.transactionRepository,
+      kafkaService: this.kafkaService,
+      logger: this.logger
     });
 
     this.commandBus.registerHandler('CreateTransactionCommand', commandHandler);
@@ -46,6 +69,11 @@ export class TransactionService {
     // Setup event handlers
     await this.setupEventHandlers();
 
+    // Define sagas and resume any that were interrupted
+    this.sagaOrchestrator.define(TRANSFER_SAGA, createTransferSagaSteps());
+    this.setupSagaHandlers();
+    await this.sagaOrchestrator.resumeUnfinished();
+
     this.logger.info('Transaction Service initialized');
   }
 
@@ -130,115 +158,90 @@ export class TransactionService {
   }
 
   async processTransaction(transactionId) {
-    // Complex transaction processing logic with saga pattern
-    const transaction = await this.getTransaction(transactionId);
-    
-    if (!transaction) {
+    const result = await this.getTransaction(transactionId);
+
+    if (!result.success) {
       throw new Error(`Transaction ${transactionId} not found`);
     }
 
-    // Start saga
-    const sagaId = uuidv4();
-    const sagaSteps = [
-      { service: 'risk', action: 'assess', data: transaction },
-      { service: 'account', action: 'debit', data: { accountId: transaction.fromAccount, amount: transaction.amount } },
-      { service: 'account', action: 'credit', data: { accountId: transaction.toAccount, amount: transaction.amount } },
-      { service: 'payment', action: 'process', data: transaction },
-      { service: 'notification', action: 'send', data: { userId: transaction.userId, type: 'transaction_completed' } }
-    ];
-
-    // Execute saga steps
-    return await this.executeSaga(sagaId, sagaSteps);
-  }
+    const { transaction } = result;
+    const metadata = transaction.metadata || {};
+    if (transaction.status !== 'pending') {
+      throw new TransactionStateError(transactionId, transaction.status);
+    }
 
-  async executeSaga(sagaId, steps) {
-    const completedSteps = [];
-    
+    // The saga takes the transaction's id, so a second request for the same transaction (even one
+    // that read it as pending at the same time) fails on the sagas primary key
+    let saga;
     try {
-      for (const step of steps) {
-        const result = await this.executeSagaStep(step);
-        completedSteps.push({ step, result });
-      }
-      
-      return { success: true, sagaId, completedSteps };
+      saga = await this.sagaOrchestrator.create(TRANSFER_SAGA, {
+        transactionId,
+        userId: transaction.userId,
+        fromAccount: transaction.fromAccount,
+        toAccount: transaction.toAccount,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        // The payment step charges with the method the transaction was created with
+        paymentMethod: metadata.paymentMethod || 'bank_transfer',
+        paymentMethodId: metadata.paymentMethodId
+      }, { sagaId: transactionId });
     } catch (error) {
-      // Compensate completed steps in reverse order
-      await this.compensateSaga(sagaId, completedSteps.reverse());
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new TransactionStateError(transactionId, transaction.status, `Transaction ${transactionId} is already being processed`);
+      }
       throw error;
     }
-  }
 
-  async executeSagaStep(step) {
-    // This would make HTTP calls to other services through the API gateway
-    const response = await fetch(`http://localhost:3000/api/${step.service}/${step.action}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(step.data)
-    });
+    await this.updateTransactionStatus(transactionId, 'processing');
 
-    if (!response.ok) {
-      throw new Error(`Saga step failed: ${step.service}/${step.action}`);
-    }
+    // The transfer calls several services, so it runs after the request returns and the saga
+    // handlers settle the transaction's status. The orchestrator persists every step, so an
+    // interrupted transfer resumes on restart.
+    this.sagaOrchestrator.run(saga).catch(error => {
+      this.logger.error(`Transfer saga ${saga.id} stopped:`, error);
+    });
 
-    return await response.json();
+    return saga;
   }
 
-  async compensateSaga(sagaId, completedSteps) {
-    this.logger.info(`Compensating saga ${sagaId}`);
-    
-    for (const { step, result } of completedSteps) {
-      try {
-        await this.compensateStep(step, result);
-      } catch (error) {
-        this.logger.error(`Failed to compensate step ${step.service}/${step.action}:`, error);
-      }
-    }
+  async getSaga(sagaId) {
+    return await this.sagaOrchestrator.getSaga(sagaId);
   }
 
-  async compensateStep(step, result) {
-    // Define compensation actions for each step
-    const compensationMap = {
-      'risk-assess': () => Promise.resolve(), // No compensation needed
-      'account-debit': (result) => this.creditAccount(result.accountId, result.amount),
-      'account-credit': (result) => this.debitAccount(result.accountId, result.amount),
-      'payment-process': (result) => this.refundPayment(result.paymentId),
-      'notification-send': () => Promise.resolve() // No compensation needed
-    };
-
-    const compensationKey = `${step.service}-${step.action}`;
-    const compensationFn = compensationMap[compensationKey];
-    
-    if (compensationFn) {
-      await compensationFn(result);
-    }
-  }
+  setupSagaHandlers() {
+    this.sagaOrchestrator.on('sagaCompleted', async ({ saga }) => {
+      await this.finishTransaction(saga.data.transactionId, 'completed');
+      await this.sendTransferNotification(saga);
+    });
 
-  async creditAccount(accountId, amount) {
-    // Compensation: credit back the debited amount
-    await fetch(`http://localhost:3000/api/account/credit`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ accountId, amount })
+    this.sagaOrchestrator.on('sagaCompensated', async ({ saga }) => {
+      await this.finishTransaction(saga.data.transactionId, 'failed');
     });
-  }
 
-  async debitAccount(accountId, amount) {
-    // Compensation: debit back the credited amount
-    await fetch(`http://localhost:3000/api/account/debit`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ accountId, amount })
+    this.sagaOrchestrator.on('sagaFailed', async ({ saga }) => {
+      // Compensation could not finish; the saga row keeps the details for manual recovery
+      this.logger.error(`Transfer saga ${saga.id} needs manual intervention`, {
+        transactionId: saga.data.transactionId,
+        failedSteps: saga.failedSteps
+      });
+      await this.finishTransaction(saga.data.transactionId, 'failed');
     });
   }
 
-  async refundPayment(paymentId) {
-    // Compensation: refund the payment
-    await fetch(`http://localhost:3000/api/payment/refund`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ paymentId })
-    });
+  // Best effort: the transfer stands whether or not the customer could be told about it
+  async sendTransferNotification(saga) {
+    try {
+      await this.notificationRetry.execute(() => this.notifyTransfer(saga), (error) => error.retryable !== false);
+    } catch (error) {
+      this.logger.warn(`Could not notify ${saga.data.userId} about transfer ${saga.data.transactionId}:`, error);
+    }
+  }
+
+  async finishTransaction(transactionId, status) {
+    try {
+      await this.updateTransactionStatus(transactionId, status);
+    } catch (error) {
+      this.logger.error(`Failed to mark transaction ${transactionId} as ${status}:`, error);
+    }
   }
-}
\ No newline at end of file
+}
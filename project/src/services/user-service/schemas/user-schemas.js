@@ -0,0 +1,6 @@
+export const userRoutes = {
+  register: { method: 'post', path: '/register', summary: 'Register a user', status: 201 },
+  login: { method: 'post', path: '/login', summary: 'Exchange credentials for an access token' },
+  getProfile: { method: 'get', path: '/profile', summary: 'The caller\'s profile' },
+  updateProfile: { method: 'put', path: '/profile', summary: 'Update the caller\'s profile' }
+};
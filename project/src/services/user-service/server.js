@@ -5,10 +5,18 @@ import compression from 'compression';
 import jwt from 'jsonwebtoken';
 import winston from 'winston';
 import DatabaseConnectionPool from '../../shared/database/connection-pool.js';
+import { idempotency } from '../../shared/middleware/idempotency.js';
+import { gatewayIdentity } from '../../shared/security/gateway-identity.js';
+import { tracing, traceFormat } from '../../shared/tracing/trace-context.js';
+import MetricsRegistry from '../../shared/metrics/metrics-registry.js';
+import { instrumentService, metricsHandler } from '../../shared/metrics/instrumentation.js';
+import { RegistryClient } from '../../shared/discovery/registry-client.js';
 import DualDatabaseWriter from '../../shared/database/dual-writer.js';
 import EventStore from '../../shared/event-sourcing/event-store.js';
 import { KafkaService } from '../../shared/messaging/kafka-service.js';
 import { UserService } from './user-service.js';
+import { userRoutes } from './schemas/user-schemas.js';
+import { describeApi } from '../../shared/validation/schema-description.js';
 
 const app = express();
 const PORT = process.env.USER_SERVICE_PORT || 3001;
@@ -18,6 +26,7 @@ const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
+    traceFormat(),
     winston.format.json()
   ),
   transports: [
@@ -43,11 +52,18 @@ const dependencies = {
 // Initialize UserService
 const userService = new UserService(dependencies);
 
+// Metrics
+const metrics = new MetricsRegistry({ defaultLabels: { service: 'user-service' } });
+
 // Middleware
+app.use(instrumentService(metrics, { connectionPool, commandBus: userService.commandBus, queryBus: userService.queryBus, kafkaService, dualWriter }));
 app.use(helmet());
 app.use(cors());
 app.use(compression());
 app.use(express.json({ limit: '10mb' }));
+app.use(tracing());
+app.use(gatewayIdentity());
+app.use(idempotency({ connectionPool, logger }));
 
 // JWT middleware
 const authenticateToken = (req, res, next) => {
@@ -200,6 +216,17 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Metrics endpoint
+app.get('/metrics', metricsHandler(metrics));
+
+// API description generated from the route table
+app.get('/openapi.json', (req, res) => {
+  res.json(describeApi({ title: 'User Service', routes: userRoutes }));
+});
+
+// Register with the gateway's service registry once the service is ready
+const registryClient = new RegistryClient({ serviceName: 'user', port: PORT, logger });
+
 // Initialize service
 async function initializeService() {
   try {
@@ -208,6 +235,7 @@ async function initializeService() {
     await eventStore.initialize();
 
     logger.info(`User Service started on port ${PORT}`);
+    await registryClient.start();
   } catch (error) {
     logger.error('Failed to initialize User Service:', error);
     process.exit(1);
@@ -217,12 +245,14 @@ async function initializeService() {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully...');
+  await registryClient.stop();
   await userService.cleanup();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully...');
+  await registryClient.stop();
   await userService.cleanup();
   process.exit(0);
 });
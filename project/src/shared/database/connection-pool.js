@@ -24,6 +24,19 @@ class InMemoryMySQLConnection {
     return [];
   }
 
+  // mysql2's execute() resolves to [rows, fields] for reads and [result, fields] for writes;
+  // the services all use it, so test mode answers in the same shape
+  async execute(sql, params = []) {
+    const result = await this.query(sql, params);
+    return Array.isArray(result) && Array.isArray(result[0]) ? [result[0], []] : [result, []];
+  }
+
+  async beginTransaction() {}
+
+  async commit() {}
+
+  async rollback() {}
+
   async ping() {
     return true;
   }
@@ -33,26 +46,70 @@ class InMemoryMySQLConnection {
   }
 }
 
+// Equality and $in filters, one level deep; enough for the event store's queries
+const matchesFilter = (doc, filter = {}) => Object.entries(filter).every(([field, condition]) => (
+  condition !== null && typeof condition === 'object' && Array.isArray(condition.$in)
+    ? condition.$in.includes(doc[field])
+    : doc[field] === condition
+));
+
 class InMemoryMongoDB {
   constructor() {
     this.collections = new Map();
+    this.uniqueIndexes = new Map();
   }
 
   collection(name) {
     if (!this.collections.has(name)) {
       this.collections.set(name, []);
+      this.uniqueIndexes.set(name, []);
     }
+    const docs = () => this.collections.get(name);
+    const indexes = this.uniqueIndexes.get(name);
+
+    // Refuse a document whose unique key is taken, with the error code the driver reports
+    const insert = (doc) => {
+      for (const fields of indexes) {
+        if (docs().some(existing => fields.every(field => existing[field] === doc[field]))) {
+          const error = new Error(`E11000 duplicate key error collection: ${name} index: ${fields.join('_')}`);
+          error.code = 11000;
+          throw error;
+        }
+      }
+      docs().push(doc);
+    };
+
     return {
+      createIndex: async (keys, options = {}) => {
+        const fields = Object.keys(keys);
+        if (options.unique && !indexes.some(existing => existing.join() === fields.join())) {
+          indexes.push(fields);
+        }
+        return fields.map(field => `${field}_${keys[field]}`).join('_');
+      },
       find: (query) => ({
-        toArray: async () => this.collections.get(name).filter(doc => {
+        toArray: async () => docs().filter(doc => {
           // Simple filter simulation
           return true;
         })
       }),
+      findOne: async (query, options = {}) => {
+        const found = docs().filter(doc => matchesFilter(doc, query));
+        const [field, direction] = Object.entries(options.sort || {})[0] || [];
+        if (field) {
+          found.sort((a, b) => (a[field] < b[field] ? -direction : a[field] > b[field] ? direction : 0));
+        }
+        return found[0] || null;
+      },
       insertOne: async (doc) => {
-        this.collections.get(name).push(doc);
+        insert(doc);
         return { insertedId: Date.now().toString() };
       },
+      // Ordered, like the driver's default: documents before a duplicate stay inserted
+      insertMany: async (batch) => {
+        batch.forEach(insert);
+        return { insertedCount: batch.length };
+      },
       updateOne: async (filter, update) => {
         // Simple update
         return { modifiedCount: 1 };
@@ -60,6 +117,12 @@ class InMemoryMongoDB {
       deleteOne: async (filter) => {
         // Simple delete
         return { deletedCount: 1 };
+      },
+      deleteMany: async (filter) => {
+        const kept = docs().filter(doc => !matchesFilter(doc, filter));
+        const deletedCount = docs().length - kept.length;
+        this.collections.set(name, kept);
+        return { deletedCount };
       }
     };
   }
@@ -0,0 +1,92 @@
+import os from 'os';
+import { createServiceToken } from '../security/service-token.js';
+
+// Registers a service instance with the API gateway's registry and keeps it alive with heartbeats.
+// The gateway probes the instance's own /health route, so the URL must be reachable from the gateway.
+export class RegistryClient {
+  constructor(options) {
+    this.serviceName = options.serviceName;
+    this.gatewayUrl = options.gatewayUrl || process.env.API_GATEWAY_URL || 'http://localhost:3000';
+    this.url = options.url || process.env.SERVICE_URL ||
+      `http://${process.env.SERVICE_HOST || os.hostname()}:${options.port}`;
+    this.heartbeatInterval = options.heartbeatInterval || parseInt(process.env.REGISTRY_HEARTBEAT_INTERVAL_MS) || 10000;
+    this.logger = options.logger || console;
+    this.instanceId = null;
+    this.timer = null;
+  }
+
+  async request(method, path, body) {
+    const response = await fetch(`${this.gatewayUrl}/api/discovery${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${createServiceToken(this.serviceName, ['registry:write'])}`
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Registry ${method} ${path} failed with status ${response.status}`);
+    }
+    return response;
+  }
+
+  async register() {
+    const response = await this.request('POST', '/register', {
+      service: this.serviceName,
+      url: this.url,
+      metadata: { pid: process.pid, hostname: os.hostname() }
+    });
+    const result = await response.json();
+
+    this.instanceId = result.instance.id;
+    this.logger.info(`Registered with service registry as ${this.instanceId}`);
+  }
+
+  async heartbeat() {
+    if (!this.instanceId) {
+      return await this.register();
+    }
+
+    const path = `/services/${this.serviceName}/instances/${encodeURIComponent(this.instanceId)}/heartbeat`;
+    const response = await this.request('PUT', path);
+
+    // The gateway forgets instances when it restarts or after missed heartbeats
+    if (response.status === 404) {
+      await this.register();
+    }
+  }
+
+  async start() {
+    if (process.env.NODE_ENV === 'test' || this.timer) {
+      return;
+    }
+
+    try {
+      await this.register();
+    } catch (error) {
+      this.logger.warn(`Service registration failed, retrying with heartbeats: ${error.message}`);
+    }
+
+    this.timer = setInterval(() => {
+      this.heartbeat().catch(error => this.logger.warn(`Registry heartbeat failed: ${error.message}`));
+    }, this.heartbeatInterval);
+    this.timer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (!this.instanceId) {
+      return;
+    }
+
+    try {
+      await this.request('DELETE', `/services/${this.serviceName}/instances/${encodeURIComponent(this.instanceId)}`);
+    } catch (error) {
+      this.logger.warn(`Service deregistration failed: ${error.message}`);
+    }
+    this.instanceId = null;
+  }
+}
@@ -0,0 +1,76 @@
+import ConcurrencyError from './concurrency-error.js';
+import RetryWithBackoff from '../patterns/retry-with-backoff.js';
+
+class AggregateRepository {
+  constructor(eventStore, aggregateFactory, options = {}) {
+    this.eventStore = eventStore;
+    this.aggregateFactory = aggregateFactory;
+    this.snapshotFrequency = options.snapshotFrequency || 100;
+    this.logger = options.logger || console;
+
+    this.retryLogic = new RetryWithBackoff({
+      maxRetries: options.maxRetries || 3,
+      baseDelay: options.baseDelay || 50,
+      maxDelay: options.maxDelay || 1000
+    });
+  }
+
+  async getById(id) {
+    const aggregate = this.aggregateFactory(id);
+    const snapshot = await this.eventStore.getLatestSnapshot(id);
+
+    if (snapshot) {
+      aggregate.restoreFromSnapshot(snapshot.data, snapshot.version);
+    }
+
+    // Replay only the events recorded after the snapshot
+    const events = await this.eventStore.getEvents(id, aggregate.version);
+
+    if (!snapshot && events.length === 0) {
+      return null;
+    }
+
+    aggregate.loadFromHistory(events);
+    return aggregate;
+  }
+
+  async save(aggregate) {
+    const events = aggregate.getUncommittedEvents();
+    if (events.length === 0) {
+      return [];
+    }
+
+    const previousVersion = aggregate.version;
+    const saved = await this.eventStore.saveEvents(aggregate.id, events, previousVersion);
+    aggregate.markEventsAsCommitted();
+
+    if (this.crossedSnapshotBoundary(previousVersion, aggregate.version)) {
+      try {
+        await this.eventStore.createSnapshot(aggregate.id, aggregate.version, aggregate.toSnapshot());
+      } catch (error) {
+        // Snapshots are an optimisation; the events are already committed
+        this.logger.error(`Failed to snapshot aggregate ${aggregate.id}:`, error);
+      }
+    }
+
+    return saved;
+  }
+
+  // Load, mutate and save, reloading and retrying when another writer got there first
+  async update(id, mutate) {
+    return await this.retryLogic.execute(async () => {
+      const aggregate = await this.getById(id) || this.aggregateFactory(id);
+      await mutate(aggregate);
+      await this.save(aggregate);
+      return aggregate;
+    }, ConcurrencyError.isConcurrencyError);
+  }
+
+  crossedSnapshotBoundary(previousVersion, currentVersion) {
+    // Versions are zero-based, so version v means v + 1 events in the stream
+    return Math.floor((currentVersion + 1) / this.snapshotFrequency) >
+      Math.floor((previousVersion + 1) / this.snapshotFrequency);
+  }
+}
+
+export default AggregateRepository;
@@ -0,0 +1,52 @@
+class AggregateRoot {
+  constructor(id) {
+    this.id = id;
+    this.version = -1; // Version of the last persisted event, -1 for a new stream
+    this.state = {};
+    this.uncommittedEvents = [];
+  }
+
+  // Record a new event and mutate state through its when-handler
+  apply(event) {
+    this.when(event);
+    this.uncommittedEvents.push(event);
+    return this;
+  }
+
+  // Dispatch an event to its on<EventType> handler, e.g. onAccountCreated
+  when(event) {
+    const eventType = event.eventType || event.constructor.name;
+    const handler = this[`on${eventType}`];
+
+    if (typeof handler === 'function') {
+      handler.call(this, event);
+    }
+  }
+
+  loadFromHistory(events) {
+    for (const event of events) {
+      this.when(event.eventData);
+      this.version = event.eventVersion;
+    }
+  }
+
+  getUncommittedEvents() {
+    return [...this.uncommittedEvents];
+  }
+
+  markEventsAsCommitted() {
+    this.version += this.uncommittedEvents.length;
+    this.uncommittedEvents = [];
+  }
+
+  toSnapshot() {
+    return { ...this.state };
+  }
+
+  restoreFromSnapshot(data, version) {
+    this.state = { ...data };
+    this.version = version;
+  }
+}
+
+export default AggregateRoot;
@@ -0,0 +1,17 @@
+class ConcurrencyError extends Error {
+  constructor(aggregateId, expectedVersion, actualVersion) {
+    super(`Concurrency conflict on aggregate ${aggregateId}: expected version ${expectedVersion}, actual version ${actualVersion}`);
+    this.name = 'ConcurrencyError';
+    this.code = 'CONCURRENCY_CONFLICT';
+    this.aggregateId = aggregateId;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+
+  // Usable directly as a RetryWithBackoff retryCondition
+  static isConcurrencyError(error) {
+    return error instanceof ConcurrencyError;
+  }
+}
+
+export default ConcurrencyError;
@@ -0,0 +1,60 @@
+-- Shared Event Store Database Migration
+-- This script creates the tables used by the shared EventStore
+
+-- Create event_store table
+CREATE TABLE IF NOT EXISTS event_store (
+  id VARCHAR(36) PRIMARY KEY,
+  aggregate_id VARCHAR(36) NOT NULL,
+  event_type VARCHAR(255) NOT NULL,
+  event_data JSON NOT NULL,
+  event_version INT NOT NULL,
+  schema_version INT NOT NULL DEFAULT 1, -- Payload schema version, see UpcasterRegistry
+  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  metadata JSON,
+  UNIQUE KEY unique_aggregate_version (aggregate_id, event_version), -- Optimistic concurrency guard
+  INDEX idx_event_type (event_type),
+  INDEX idx_timestamp (timestamp)
+);
+
+-- Add schema_version to event_store tables created before it existed; their events were all
+-- written at version 1. MySQL has no ADD COLUMN IF NOT EXISTS, so the check keeps this re-runnable.
+SET @add_schema_version = (
+  SELECT IF(
+    COUNT(*) = 0,
+    'ALTER TABLE event_store ADD COLUMN schema_version INT NOT NULL DEFAULT 1 AFTER event_version',
+    'DO 0'
+  )
+  FROM information_schema.columns
+  WHERE table_schema = DATABASE() AND table_name = 'event_store' AND column_name = 'schema_version'
+);
+PREPARE add_schema_version FROM @add_schema_version;
+EXECUTE add_schema_version;
+DEALLOCATE PREPARE add_schema_version;
+
+-- Create snapshots table
+CREATE TABLE IF NOT EXISTS snapshots (
+  id VARCHAR(36) PRIMARY KEY,
+  aggregate_id VARCHAR(36) NOT NULL,
+  version INT NOT NULL,
+  data JSON NOT NULL,
+  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_aggregate_version (aggregate_id, version)
+);
+
+-- Create event_outbox table (written in the same transaction as event_store, drained by OutboxRelay)
+CREATE TABLE IF NOT EXISTS event_outbox (
+  id VARCHAR(36) PRIMARY KEY,
+  sequence BIGINT NOT NULL AUTO_INCREMENT UNIQUE,
+  aggregate_id VARCHAR(36) NOT NULL,
+  topic VARCHAR(255) NOT NULL,
+  message_key VARCHAR(255),
+  payload JSON NOT NULL,
+  headers JSON,
+  status ENUM('pending', 'sent', 'failed') DEFAULT 'pending',
+  attempts INT DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  sent_at TIMESTAMP NULL,
+  INDEX idx_status_sequence (status, sequence),
+  INDEX idx_aggregate_id (aggregate_id)
+);
@@ -1,10 +1,16 @@
 import { v4 as uuidv4 } from 'uuid';
+import ConcurrencyError from './concurrency-error.js';
+import UpcasterRegistry from './upcaster-registry.js';
+import eventUpcasters from './event-upcasters.js';
+import { CORRELATION_HEADER, TRACEPARENT_HEADER, formatTraceparent, traceMetadata } from '../tracing/trace-context.js';
 
 class EventStore {
-  constructor(connectionPool, kafkaService) {
+  constructor(connectionPool, kafkaService, options = {}) {
     this.connectionPool = connectionPool;
     this.kafkaService = kafkaService;
     this.eventHandlers = new Map();
+    this.upcasterRegistry = options.upcasterRegistry || new UpcasterRegistry(eventUpcasters);
+    this.mongoIndexesCreated = false;
   }
 
   async saveEvents(aggregateId, events, expectedVersion = -1) {
@@ -14,58 +20,156 @@ class EventStore {
       eventType: event.constructor.name,
       eventData: JSON.stringify(event),
       eventVersion: expectedVersion + index + 1,
+      schemaVersion: this.upcasterRegistry.getCurrentVersion(event.constructor.name),
       timestamp: new Date(),
-      metadata: event.metadata || {}
+      // Record the request's trace so the stream can be followed back to what caused it
+      metadata: { ...traceMetadata(), ...(event.metadata || {}) }
     }));
 
-    // Save to both MySQL and MongoDB
-    await Promise.all([
-      this.saveToMySQL(eventData),
-      this.saveToMongoDB(eventData)
-    ]);
+    // Save to MySQL and MongoDB while holding the stream lock. Kafka publishing
+    // happens later via OutboxRelay, from outbox rows committed with the events.
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      let mongoWritten = false;
+      await connection.beginTransaction();
 
-    // Publish events to Kafka
-    for (const event of eventData) {
-      await this.kafkaService.produce('domain-events', {
-        key: event.aggregateId,
-        value: JSON.stringify(event),
-        headers: {
-          eventType: event.eventType,
-          aggregateId: event.aggregateId,
-          eventVersion: event.eventVersion.toString()
+      try {
+        await this.assertExpectedVersion(connection, aggregateId, expectedVersion);
+        await this.saveToMySQL(connection, eventData);
+        await this.saveToOutbox(connection, eventData);
+        await this.saveToMongoDB(aggregateId, eventData, expectedVersion);
+        mongoWritten = true;
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+
+        if (mongoWritten) {
+          await this.removeFromMongoDB(eventData);
         }
-      });
-    }
+
+        if (this.isVersionConflictError(error)) {
+          const actualVersion = await this.getCurrentVersion(connection, aggregateId);
+          throw new ConcurrencyError(aggregateId, expectedVersion, actualVersion);
+        }
+        throw error;
+      }
+    });
 
     return eventData;
   }
 
-  async saveToMySQL(events) {
-    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
-      const values = events.map(event => [
-        event.id,
-        event.aggregateId,
-        event.eventType,
-        event.eventData,
-        event.eventVersion,
-        event.timestamp,
-        JSON.stringify(event.metadata)
-      ]);
-
-      const placeholders = events.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ');
-      const flatValues = values.flat();
-
-      await connection.execute(`
-        INSERT INTO event_store 
-        (id, aggregate_id, event_type, event_data, event_version, timestamp, metadata) 
-        VALUES ${placeholders}
-      `, flatValues);
-    });
+  async assertExpectedVersion(connection, aggregateId, expectedVersion) {
+    // FOR UPDATE locks the stream head so concurrent appends to this aggregate serialize
+    const actualVersion = await this.getCurrentVersion(connection, aggregateId, true);
+
+    if (actualVersion !== expectedVersion) {
+      throw new ConcurrencyError(aggregateId, expectedVersion, actualVersion);
+    }
+  }
+
+  async getCurrentVersion(connection, aggregateId, forUpdate = false) {
+    const [rows] = await connection.execute(
+      `SELECT MAX(event_version) AS version FROM event_store WHERE aggregate_id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [aggregateId]
+    );
+
+    const version = rows[0]?.version;
+    return version === null || version === undefined ? -1 : Number(version);
+  }
+
+  isVersionConflictError(error) {
+    // MySQL ER_DUP_ENTRY / MongoDB E11000 on the (aggregate, version) unique index. Two first
+    // appends to a new aggregate both hold the gap lock taken by FOR UPDATE, so one of them is
+    // chosen as the ER_LOCK_DEADLOCK victim instead; that is the same conflict.
+    return error.code === 'ER_DUP_ENTRY' || error.code === 'ER_LOCK_DEADLOCK' || error.code === 11000;
+  }
+
+  async saveToMySQL(connection, events) {
+    const values = events.map(event => [
+      event.id,
+      event.aggregateId,
+      event.eventType,
+      event.eventData,
+      event.eventVersion,
+      event.schemaVersion,
+      event.timestamp,
+      JSON.stringify(event.metadata)
+    ]);
+
+    const placeholders = events.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+    const flatValues = values.flat();
+
+    await connection.execute(`
+      INSERT INTO event_store 
+      (id, aggregate_id, event_type, event_data, event_version, schema_version, timestamp, metadata) 
+      VALUES ${placeholders}
+    `, flatValues);
+  }
+
+  async saveToOutbox(connection, events) {
+    const values = events.map(event => [
+      uuidv4(),
+      event.aggregateId,
+      'domain-events',
+      event.aggregateId,
+      JSON.stringify(event),
+      JSON.stringify({
+        eventType: event.eventType,
+        aggregateId: event.aggregateId,
+        eventVersion: event.eventVersion.toString(),
+        ...this.traceHeaders(event.metadata)
+      }),
+      'pending',
+      event.timestamp
+    ]);
+
+    const placeholders = events.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+
+    await connection.execute(`
+      INSERT INTO event_outbox
+      (id, aggregate_id, topic, message_key, payload, headers, status, created_at)
+      VALUES ${placeholders}
+    `, values.flat());
+  }
+
+  // The relay publishes outside the request, so the trace travels with the outbox row
+  traceHeaders(metadata) {
+    if (!metadata.traceId || !metadata.spanId) {
+      return {};
+    }
+
+    return {
+      [TRACEPARENT_HEADER]: formatTraceparent({ traceId: metadata.traceId, spanId: metadata.spanId, flags: '01' }),
+      [CORRELATION_HEADER]: metadata.correlationId
+    };
   }
 
-  async saveToMongoDB(events) {
+  async saveToMongoDB(aggregateId, events, expectedVersion) {
     const db = this.connectionPool.getMongoDatabase();
-    await db.collection('event_store').insertMany(events);
+    const collection = db.collection('event_store');
+
+    if (!this.mongoIndexesCreated) {
+      await collection.createIndex({ aggregateId: 1, eventVersion: 1 }, { unique: true });
+      this.mongoIndexesCreated = true;
+    }
+
+    const head = await collection.findOne({ aggregateId }, { sort: { eventVersion: -1 } });
+    const actualVersion = head ? head.eventVersion : -1;
+
+    if (actualVersion !== expectedVersion) {
+      throw new ConcurrencyError(aggregateId, expectedVersion, actualVersion);
+    }
+
+    // The unique index rejects a racing writer that passed the check above
+    await collection.insertMany(events);
+  }
+
+  async removeFromMongoDB(events) {
+    try {
+      const db = this.connectionPool.getMongoDatabase();
+      await db.collection('event_store').deleteMany({ id: { $in: events.map(event => event.id) } });
+    } catch (error) {
+      console.error('Failed to remove events from MongoDB after rollback:', error);
+    }
   }
 
   async getEvents(aggregateId, fromVersion = 0) {
@@ -88,7 +192,7 @@ class EventStore {
       .sort({ eventVersion: 1 })
       .toArray();
 
-    return events.map(event => ({
+    return events.map(event => this.upcasterRegistry.upcast({
       ...event,
       eventData: JSON.parse(event.eventData)
     }));
@@ -101,8 +205,11 @@ class EventStore {
         [aggregateId, fromVersion]
       );
 
-      return rows.map(row => ({
+      return rows.map(row => this.upcasterRegistry.upcast({
         ...row,
+        eventType: row.event_type,
+        eventVersion: row.event_version,
+        schemaVersion: row.schema_version,
         eventData: JSON.parse(row.event_data),
         metadata: JSON.parse(row.metadata)
       }));
@@ -118,12 +225,38 @@ class EventStore {
       .sort({ timestamp: 1 })
       .toArray();
 
-    return events.map(event => ({
+    return events.map(event => this.upcasterRegistry.upcast({
       ...event,
       eventData: JSON.parse(event.eventData)
     }));
   }
 
+  registerUpcaster(eventType, fromVersion, upcast) {
+    this.upcasterRegistry.register(eventType, fromVersion, upcast);
+  }
+
+  async getStoredSchemaVersions() {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(`
+        SELECT event_type, COALESCE(schema_version, 1) AS schema_version, COUNT(*) AS count
+        FROM event_store
+        GROUP BY event_type, COALESCE(schema_version, 1)
+        ORDER BY event_type, schema_version
+      `);
+
+      return rows.map(row => ({
+        eventType: row.event_type,
+        schemaVersion: Number(row.schema_version),
+        count: Number(row.count)
+      }));
+    });
+  }
+
+  async findUnregisteredSchemaVersions() {
+    const storedVersions = await this.getStoredSchemaVersions();
+    return this.upcasterRegistry.findUnregisteredVersions(storedVersions);
+  }
+
   registerEventHandler(eventType, handler) {
     if (!this.eventHandlers.has(eventType)) {
       this.eventHandlers.set(eventType, []);
@@ -0,0 +1,14 @@
+// Upcasters for stored domain events, keyed by stored event type (the event class name).
+// Each entry migrates a payload from fromVersion to fromVersion + 1, e.g.
+//   { eventType: 'TransactionCreatedEvent', fromVersion: 1, upcast: (data) => ({ ...data, fee: 0 }) }
+// A type's current schema version is one past its highest registered fromVersion.
+const eventUpcasters = [
+  // v2 adds the credited leg of cross-currency transfers; v1 transfers were always same-currency
+  {
+    eventType: 'FundsTransferredEvent',
+    fromVersion: 1,
+    upcast: (data) => ({ ...data, creditedAmount: data.amount, creditedCurrency: data.currency, fx: null })
+  }
+];
+
+export default eventUpcasters;
@@ -0,0 +1,177 @@
+class OutboxRelay {
+  constructor(connectionPool, kafkaService, options = {}) {
+    this.connectionPool = connectionPool;
+    this.kafkaService = kafkaService;
+    this.logger = options.logger || console;
+    this.pollInterval = options.pollInterval || 1000;
+    this.batchSize = options.batchSize || 100;
+    this.maxAttempts = options.maxAttempts || 10;
+
+    this.intervalId = null;
+    this.isRelaying = false;
+    this.stats = {
+      published: 0,
+      failed: 0,
+      lastRunAt: null,
+      lastPublishedAt: null,
+      lastError: null
+    };
+  }
+
+  start() {
+    if (this.intervalId) return;
+
+    this.intervalId = setInterval(() => {
+      this.relayPending().catch(error => {
+        this.stats.lastError = error.message;
+        this.logger.error('Outbox relay run failed:', error);
+      });
+    }, this.pollInterval);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  async relayPending() {
+    // Skip the tick if the previous batch is still being published
+    if (this.isRelaying) return 0;
+    this.isRelaying = true;
+
+    try {
+      return await this.relayBatch();
+    } finally {
+      this.isRelaying = false;
+      this.stats.lastRunAt = new Date().toISOString();
+    }
+  }
+
+  async relayBatch() {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.beginTransaction();
+
+      try {
+        // SKIP LOCKED lets several relay instances share the outbox without double-publishing
+        const [rows] = await connection.execute(
+          `SELECT * FROM event_outbox WHERE status = 'pending' ORDER BY sequence LIMIT ${parseInt(this.batchSize)} FOR UPDATE SKIP LOCKED`
+        );
+
+        let published = 0;
+        // Aggregates with an earlier event still unpublished: their later events wait, while
+        // other aggregates carry on
+        const held = new Set();
+        const checked = new Set();
+
+        for (const row of rows) {
+          if (held.has(row.aggregate_id)) continue;
+
+          // Catches events held by another relay instance (skipped as locked) or parked as failed
+          if (!checked.has(row.aggregate_id)) {
+            checked.add(row.aggregate_id);
+            if (await this.hasUnsentPredecessor(connection, row)) {
+              held.add(row.aggregate_id);
+              continue;
+            }
+          }
+
+          try {
+            await this.kafkaService.produce(row.topic, {
+              key: row.message_key,
+              value: row.payload,
+              headers: typeof row.headers === 'string' ? JSON.parse(row.headers) : (row.headers || {})
+            });
+
+            await connection.execute(
+              "UPDATE event_outbox SET status = 'sent', attempts = attempts + 1, sent_at = ? WHERE id = ?",
+              [new Date(), row.id]
+            );
+
+            published++;
+          } catch (error) {
+            const attempts = row.attempts + 1;
+            const status = attempts >= this.maxAttempts ? 'failed' : 'pending';
+
+            await connection.execute(
+              'UPDATE event_outbox SET status = ?, attempts = ?, last_error = ? WHERE id = ?',
+              [status, attempts, error.message, row.id]
+            );
+
+            if (status === 'failed') {
+              this.stats.failed++;
+            }
+            this.stats.lastError = error.message;
+            this.logger.error(`Failed to relay outbox message ${row.id}:`, error);
+
+            // Later events for the same aggregate must not overtake this one
+            held.add(row.aggregate_id);
+          }
+        }
+
+        await connection.commit();
+
+        if (published > 0) {
+          this.stats.published += published;
+          this.stats.lastPublishedAt = new Date().toISOString();
+        }
+
+        return published;
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    });
+  }
+
+  async hasUnsentPredecessor(connection, row) {
+    const [rows] = await connection.execute(
+      "SELECT id FROM event_outbox WHERE aggregate_id = ? AND sequence < ? AND status <> 'sent' LIMIT 1",
+      [row.aggregate_id, row.sequence]
+    );
+    return rows.length > 0;
+  }
+
+  // A failed message holds back its aggregate's later events until it is retried
+  async retryFailed(messageId) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [result] = await connection.execute(
+        "UPDATE event_outbox SET status = 'pending', attempts = 0 WHERE id = ? AND status = 'failed'",
+        [messageId]
+      );
+      return result.affectedRows > 0;
+    });
+  }
+
+  async getLag() {
+    const counts = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(`
+        SELECT
+          SUM(status = 'pending') AS pending,
+          SUM(status = 'failed') AS failed,
+          MIN(CASE WHEN status = 'pending' THEN created_at END) AS oldest_pending_at
+        FROM event_outbox
+      `);
+      return rows[0] || {};
+    });
+
+    const oldestPendingAt = counts.oldest_pending_at ? new Date(counts.oldest_pending_at) : null;
+
+    return {
+      pending: Number(counts.pending || 0),
+      failed: Number(counts.failed || 0),
+      oldestPendingAt: oldestPendingAt ? oldestPendingAt.toISOString() : null,
+      lagMs: oldestPendingAt ? Date.now() - oldestPendingAt.getTime() : 0,
+      relay: {
+        running: this.intervalId !== null,
+        pollInterval: this.pollInterval,
+        batchSize: this.batchSize,
+        ...this.stats
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+export default OutboxRelay;
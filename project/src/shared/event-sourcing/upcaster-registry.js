@@ -0,0 +1,75 @@
+class UpcasterRegistry {
+  constructor(upcasters = []) {
+    this.upcasters = new Map(); // eventType -> Map(fromVersion -> upcast)
+    upcasters.forEach(({ eventType, fromVersion, upcast }) => this.register(eventType, fromVersion, upcast));
+  }
+
+  // Register a migration of eventType payloads from fromVersion to fromVersion + 1
+  register(eventType, fromVersion, upcast) {
+    if (!this.upcasters.has(eventType)) {
+      this.upcasters.set(eventType, new Map());
+    }
+
+    const chain = this.upcasters.get(eventType);
+    if (chain.has(fromVersion)) {
+      throw new Error(`Upcaster for ${eventType} v${fromVersion} already registered`);
+    }
+    chain.set(fromVersion, upcast);
+  }
+
+  getCurrentVersion(eventType) {
+    const chain = this.upcasters.get(eventType);
+    if (!chain || chain.size === 0) {
+      return 1;
+    }
+    return Math.max(...chain.keys()) + 1;
+  }
+
+  upcast(event) {
+    const chain = this.upcasters.get(event.eventType);
+    // Events stored before schema versioning are treated as v1
+    let schemaVersion = event.schemaVersion || 1;
+    let eventData = event.eventData;
+
+    while (chain && chain.has(schemaVersion)) {
+      eventData = chain.get(schemaVersion)(eventData, event);
+      schemaVersion++;
+    }
+
+    return { ...event, eventData, schemaVersion };
+  }
+
+  // Stored versions that cannot be brought up to the current schema
+  findUnregisteredVersions(storedVersions) {
+    const unregistered = [];
+
+    for (const { eventType, schemaVersion, count } of storedVersions) {
+      const currentVersion = this.getCurrentVersion(eventType);
+      const chain = this.upcasters.get(eventType) || new Map();
+
+      if (schemaVersion > currentVersion) {
+        unregistered.push({ eventType, schemaVersion, count, currentVersion, reason: 'newer than the registered schema' });
+        continue;
+      }
+
+      for (let version = schemaVersion; version < currentVersion; version++) {
+        if (!chain.has(version)) {
+          unregistered.push({ eventType, schemaVersion, count, currentVersion, reason: `missing upcaster from v${version}` });
+          break;
+        }
+      }
+    }
+
+    return unregistered;
+  }
+
+  getRegisteredTypes() {
+    return Array.from(this.upcasters.keys()).map(eventType => ({
+      eventType,
+      currentVersion: this.getCurrentVersion(eventType),
+      upcasters: Array.from(this.upcasters.get(eventType).keys()).sort((a, b) => a - b)
+    }));
+  }
+}
+
+export default UpcasterRegistry;
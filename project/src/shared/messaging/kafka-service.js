@@ -1,4 +1,5 @@
 import { Kafka } from 'kafkajs';
+import { extractTraceContext, injectTraceHeaders, runWithTraceContext } from '../tracing/trace-context.js';
 
 class InMemoryKafkaService {
   constructor() {
@@ -28,6 +29,7 @@ class InMemoryKafkaService {
       'failed-writes',
       'compensation-events',
       'transaction-events',
+      'account-events',
       'user-events',
       'payment-events',
       'notification-events',
@@ -94,8 +96,7 @@ class InMemoryKafkaService {
       },
       run: async ({ eachMessage }) => {
         // Store handler for later use
-        const topicList = Array.isArray(this.consumers.keys()) ? Array.from(this.consumers.keys()) : [this.consumers.keys()];
-        topicList.forEach(topic => {
+        Array.from(this.consumers.keys()).forEach(topic => {
           const consumers = this.consumers.get(topic) || [];
           consumers.forEach(consumer => {
             if (consumer.groupId === groupId) {
@@ -123,6 +124,7 @@ class InMemoryKafkaService {
 export class KafkaService {
   constructor() {
     this.isTest = process.env.NODE_ENV === 'test';
+    this.stats = { produced: {}, consumed: {}, failed: {} };
 
     if (this.isTest) {
       this.service = new InMemoryKafkaService();
@@ -168,6 +170,7 @@ export class KafkaService {
       'failed-writes',
       'compensation-events',
       'transaction-events',
+      'account-events',
       'user-events',
       'payment-events',
       'notification-events',
@@ -195,18 +198,36 @@ export class KafkaService {
   }
 
   async produce(topic, message) {
+    message = { ...message, headers: injectTraceHeaders(message.headers) };
+
     if (this.isTest) {
-      return await this.service.produce(topic, message);
+      const result = await this.service.produce(topic, message);
+      this.count('produced', topic);
+      return result;
     }
 
     if (!this.producer) {
       await this.initialize();
     }
 
-    return await this.producer.send({
+    const result = await this.producer.send({
       topic,
       messages: [message]
     });
+    this.count('produced', topic);
+    return result;
+  }
+
+  count(kind, topic) {
+    this.stats[kind][topic] = (this.stats[kind][topic] || 0) + 1;
+  }
+
+  getStats() {
+    return {
+      produced: { ...this.stats.produced },
+      consumed: { ...this.stats.consumed },
+      failed: { ...this.stats.failed }
+    };
   }
 
   async createConsumer(groupId) {
@@ -224,9 +245,22 @@ export class KafkaService {
     return consumer;
   }
 
-  async consumeMessages(topics, groupId, messageHandler) {
+  // With { redeliverOnError: true } a handler that throws leaves the message uncommitted, so
+  // Kafka delivers it again; handlers that opt in must tolerate seeing a message twice
+  async consumeMessages(topics, groupId, messageHandler, options = {}) {
+    // Each message is handled inside the trace it was produced in
+    const tracedHandler = async (message) => {
+      try {
+        await runWithTraceContext(extractTraceContext(message.headers), () => messageHandler(message));
+        this.count('consumed', message.topic);
+      } catch (error) {
+        this.count('failed', message.topic);
+        throw error;
+      }
+    };
+
     if (this.isTest) {
-      return await this.service.consumeMessages(topics, groupId, messageHandler);
+      return await this.service.consumeMessages(topics, groupId, tracedHandler);
     }
 
     const consumer = await this.createConsumer(groupId);
@@ -239,7 +273,7 @@ export class KafkaService {
     await consumer.run({
       eachMessage: async ({ topic, partition, message }) => {
         try {
-          await messageHandler({
+          await tracedHandler({
             topic,
             partition,
             offset: message.offset,
@@ -250,6 +284,9 @@ export class KafkaService {
           });
         } catch (error) {
           console.error('Error processing message:', error);
+          if (options.redeliverOnError) {
+            throw error;
+          }
           // Implement dead letter queue logic here
         }
       },
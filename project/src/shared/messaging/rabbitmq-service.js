@@ -1,4 +1,5 @@
 import amqp from 'amqplib';
+import { extractTraceContext, injectTraceHeaders, runWithTraceContext } from '../tracing/trace-context.js';
 
 class InMemoryRabbitMQService {
   constructor() {
@@ -218,6 +219,8 @@ export class RabbitMQService {
   }
 
   async publish(queue, message, options = {}) {
+    options = { ...options, headers: injectTraceHeaders(options.headers) };
+
     if (this.isTest) {
       return await this.service.publish(queue, message, options);
     }
@@ -236,7 +239,11 @@ export class RabbitMQService {
 
   async consume(queue, messageHandler, options = {}) {
     if (this.isTest) {
-      return await this.service.consume(queue, messageHandler, options);
+      const tracedHandler = (msg, consumer) => runWithTraceContext(
+        extractTraceContext(msg.properties.headers),
+        () => messageHandler(msg, consumer)
+      );
+      return await this.service.consume(queue, tracedHandler, options);
     }
 
     if (!this.channel) {
@@ -247,7 +254,10 @@ export class RabbitMQService {
       if (msg) {
         try {
           const content = JSON.parse(msg.content.toString());
-          await messageHandler(content, msg);
+          await runWithTraceContext(
+            extractTraceContext(msg.properties.headers),
+            () => messageHandler(content, msg)
+          );
           this.channel.ack(msg);
         } catch (error) {
           console.error('Error processing message:', error);
@@ -288,6 +298,8 @@ export class RabbitMQService {
   }
 
   async publishToExchange(exchange, routingKey, message, options = {}) {
+    options = { ...options, headers: injectTraceHeaders(options.headers) };
+
     if (this.isTest) {
       return await this.service.publishToExchange(exchange, routingKey, message, options);
     }
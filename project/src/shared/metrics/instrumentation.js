@@ -0,0 +1,203 @@
+import { CONTENT_TYPE } from './metrics-registry.js';
+
+const BREAKER_STATES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+// Request latency and status per route. The matched route pattern is used as the label so
+// ids in paths do not explode the number of series.
+export function httpMetrics(registry) {
+  const duration = registry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds',
+    labelNames: ['method', 'route', 'status_code']
+  });
+  const requests = registry.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests handled',
+    labelNames: ['method', 'route', 'status_code']
+  });
+  const inFlight = registry.gauge({
+    name: 'http_requests_in_flight',
+    help: 'HTTP requests currently being handled'
+  });
+
+  return (req, res, next) => {
+    const endTimer = duration.startTimer();
+    inFlight.inc();
+
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      inFlight.dec();
+
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : (req.baseUrl || 'unmatched');
+      const labels = { method: req.method, route, status_code: res.statusCode };
+      endTimer(labels);
+      requests.inc(labels);
+    };
+
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+  };
+}
+
+// Times CommandBus/QueryBus executions from the events they already emit
+export function instrumentBus(registry, bus, kind) {
+  const duration = registry.histogram({
+    name: `cqrs_${kind}_duration_seconds`,
+    help: `${kind} execution time in seconds`,
+    labelNames: ['type', 'outcome']
+  });
+  const timers = new WeakMap();
+
+  bus.on(`${kind}Executing`, (event) => {
+    timers.set(event[kind], duration.startTimer({ type: event[kind].constructor.name }));
+  });
+
+  const finish = (outcome) => (event) => {
+    const endTimer = timers.get(event[kind]);
+    if (endTimer) {
+      timers.delete(event[kind]);
+      endTimer({ outcome });
+    }
+  };
+
+  bus.on(`${kind}Executed`, finish('success'));
+  bus.on(`${kind}Failed`, finish('failure'));
+}
+
+// breakers: { name: CircuitBreaker }
+export function instrumentCircuitBreakers(registry, breakers) {
+  registry.gauge({
+    name: 'circuit_breaker_state',
+    help: 'Circuit breaker state (0 = closed, 1 = half-open, 2 = open)',
+    labelNames: ['breaker'],
+    collect() {
+      Object.entries(breakers).forEach(([name, breaker]) => {
+        this.set({ breaker: name }, BREAKER_STATES[breaker.state]);
+      });
+    }
+  });
+
+  registry.counter({
+    name: 'circuit_breaker_rejected_total',
+    help: 'Calls rejected without being attempted because the breaker was open',
+    labelNames: ['breaker'],
+    collect() {
+      this.reset();
+      Object.entries(breakers).forEach(([name, breaker]) => {
+        this.inc({ breaker: name }, breaker.rejectedCount || 0);
+      });
+    }
+  });
+
+  const transitions = registry.counter({
+    name: 'circuit_breaker_transitions_total',
+    help: 'Circuit breaker state transitions',
+    labelNames: ['breaker', 'to']
+  });
+
+  Object.entries(breakers).forEach(([name, breaker]) => {
+    breaker.on('stateChange', ({ to }) => transitions.inc({ breaker: name, to }));
+  });
+}
+
+export function instrumentBulkhead(registry, bulkhead) {
+  const poolGauge = (name, help, read) => registry.gauge({
+    name,
+    help,
+    labelNames: ['pool'],
+    collect() {
+      Object.entries(bulkhead.getAllStats()).forEach(([pool, stats]) => {
+        this.set({ pool }, read(stats));
+      });
+    }
+  });
+
+  poolGauge('bulkhead_active', 'Requests holding a bulkhead slot', stats => stats.active);
+  poolGauge('bulkhead_queued', 'Requests waiting for a bulkhead slot', stats => stats.queued);
+  poolGauge('bulkhead_capacity', 'Bulkhead pool size', stats => stats.capacity);
+  poolGauge('bulkhead_utilization_ratio', 'Share of bulkhead slots in use', stats => stats.active / stats.capacity);
+
+  registry.counter({
+    name: 'bulkhead_rejected_total',
+    help: 'Requests rejected by the bulkhead',
+    labelNames: ['pool', 'reason'],
+    collect() {
+      this.reset();
+      Object.entries(bulkhead.getAllStats()).forEach(([pool, stats]) => {
+        this.inc({ pool, reason: 'timeout' }, stats.rejectedRequests);
+        this.inc({ pool, reason: 'shed' }, stats.shedRequests || 0);
+      });
+    }
+  });
+}
+
+export function instrumentKafka(registry, kafkaService) {
+  const topicCounter = (name, help, kind) => registry.counter({
+    name,
+    help,
+    labelNames: ['topic'],
+    collect() {
+      this.reset();
+      Object.entries(kafkaService.getStats()?.[kind] || {}).forEach(([topic, count]) => {
+        this.inc({ topic }, count);
+      });
+    }
+  });
+
+  topicCounter('kafka_messages_produced_total', 'Kafka messages produced', 'produced');
+  topicCounter('kafka_messages_consumed_total', 'Kafka messages consumed successfully', 'consumed');
+  topicCounter('kafka_messages_failed_total', 'Kafka messages whose handler failed', 'failed');
+}
+
+export function instrumentConnectionPool(registry, connectionPool) {
+  const poolGauge = (name, help, field) => registry.gauge({
+    name,
+    help,
+    labelNames: ['database'],
+    collect() {
+      const { mysql } = connectionPool.getStats();
+      if (mysql && mysql[field] !== undefined) {
+        this.set({ database: 'mysql' }, mysql[field]);
+      }
+    }
+  });
+
+  poolGauge('db_pool_connections', 'Connections open in the pool', 'size');
+  poolGauge('db_pool_connections_borrowed', 'Connections currently in use', 'borrowed');
+  poolGauge('db_pool_pending_acquires', 'Callers waiting for a connection', 'pending');
+}
+
+// Wires the standard instrumentation for a service and returns the HTTP middleware
+export function instrumentService(registry, { connectionPool, commandBus, queryBus, kafkaService, dualWriter } = {}) {
+  if (connectionPool) instrumentConnectionPool(registry, connectionPool);
+  if (commandBus) instrumentBus(registry, commandBus, 'command');
+  if (queryBus) instrumentBus(registry, queryBus, 'query');
+  if (kafkaService) instrumentKafka(registry, kafkaService);
+  if (dualWriter && dualWriter.mysqlBreaker) {
+    instrumentCircuitBreakers(registry, {
+      mysql: dualWriter.mysqlBreaker,
+      mongodb: dualWriter.mongoBreaker,
+      spanner: dualWriter.spannerBreaker
+    });
+  }
+
+  return httpMetrics(registry);
+}
+
+export function metricsHandler(registry) {
+  return async (req, res) => {
+    try {
+      res.set('Content-Type', CONTENT_TYPE);
+      res.send(await registry.metricsText());
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+}
@@ -0,0 +1,297 @@
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escapeHelp = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+};
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+class Metric {
+  constructor(type, options) {
+    if (!METRIC_NAME.test(options.name || '')) {
+      throw new Error(`Invalid metric name: ${options.name}`);
+    }
+
+    this.type = type;
+    this.name = options.name;
+    this.help = options.help || options.name;
+    this.labelNames = options.labelNames || [];
+    this.collectFn = options.collect || null;
+    this.values = new Map();
+  }
+
+  labelsKey(labels = {}) {
+    for (const key of Object.keys(labels)) {
+      if (!this.labelNames.includes(key)) {
+        throw new Error(`Unknown label ${key} for metric ${this.name}`);
+      }
+    }
+    return JSON.stringify(this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+  }
+
+  labelsFromKey(key) {
+    const values = JSON.parse(key);
+    return this.labelNames.reduce((labels, name, index) => {
+      if (values[index] !== '') labels[name] = values[index];
+      return labels;
+    }, {});
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  async collect() {
+    if (this.collectFn) {
+      await this.collectFn.call(this);
+    }
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot be decreased`);
+    }
+
+    const key = this.labelsKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  get(labels = {}) {
+    return this.values.get(this.labelsKey(labels)) || 0;
+  }
+
+  serialize(defaultLabels) {
+    const lines = this.header();
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${formatLabels({ ...defaultLabels, ...this.labelsFromKey(key) })} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels = {}, value) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    this.values.set(this.labelsKey(labels), value);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    const key = this.labelsKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  dec(labels = {}, value = 1) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+    this.inc(labels, -value);
+  }
+
+  get(labels = {}) {
+    return this.values.get(this.labelsKey(labels)) || 0;
+  }
+
+  serialize(defaultLabels) {
+    const lines = this.header();
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${formatLabels({ ...defaultLabels, ...this.labelsFromKey(key) })} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+
+    if (this.labelNames.includes('le')) {
+      throw new Error(`Histogram ${this.name} cannot use the reserved label le`);
+    }
+  }
+
+  observe(labels = {}, value) {
+    if (typeof labels === 'number') {
+      value = labels;
+      labels = {};
+    }
+
+    const key = this.labelsKey(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      series.counts[index]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  // Returns a function that records the elapsed time in seconds when called
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  serialize(defaultLabels) {
+    const lines = this.header();
+
+    for (const [key, series] of this.values) {
+      const labels = { ...defaultLabels, ...this.labelsFromKey(key) };
+      let cumulative = 0;
+
+      this.buckets.forEach((bound, index) => {
+        cumulative += series.counts[index];
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    }
+
+    return lines;
+  }
+}
+
+// Holds a service's metrics and renders them in the Prometheus text exposition format.
+// Metrics backed by state that lives elsewhere (pool sizes, breaker state) pass a collect
+// function, which runs on every scrape.
+class MetricsRegistry {
+  constructor(options = {}) {
+    this.metrics = new Map();
+    this.defaultLabels = options.defaultLabels || {};
+
+    if (options.collectDefaultMetrics !== false) {
+      this.registerProcessMetrics();
+    }
+  }
+
+  register(metric) {
+    const existing = this.metrics.get(metric.name);
+    if (existing) {
+      if (existing.type !== metric.type) {
+        throw new Error(`Metric ${metric.name} already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  getMetric(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  registerProcessMetrics() {
+    const startTime = Date.now() / 1000;
+
+    this.gauge({
+      name: 'process_start_time_seconds',
+      help: 'Start time of the process since unix epoch in seconds',
+      collect() { this.set(startTime); }
+    });
+    this.gauge({
+      name: 'process_resident_memory_bytes',
+      help: 'Resident memory size in bytes',
+      collect() { this.set(process.memoryUsage().rss); }
+    });
+    this.gauge({
+      name: 'nodejs_heap_used_bytes',
+      help: 'Node.js heap used in bytes',
+      collect() { this.set(process.memoryUsage().heapUsed); }
+    });
+    this.counter({
+      name: 'process_cpu_seconds_total',
+      help: 'Total user and system CPU time spent in seconds',
+      collect() {
+        const usage = process.cpuUsage();
+        this.reset();
+        this.inc((usage.user + usage.system) / 1e6);
+      }
+    });
+  }
+
+  async metricsText() {
+    const lines = [];
+
+    for (const metric of this.metrics.values()) {
+      try {
+        await metric.collect();
+      } catch (error) {
+        // A failing collector must not take the rest of the scrape down with it
+        continue;
+      }
+      lines.push(...metric.serialize(this.defaultLabels));
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  resetAll() {
+    for (const metric of this.metrics.values()) {
+      metric.reset();
+    }
+  }
+}
+
+export default MetricsRegistry;
@@ -0,0 +1,14 @@
+-- Idempotency Keys Database Migration
+-- This script creates the table used by the shared idempotency middleware
+
+-- Create idempotency_keys table (stored responses replayed for retried requests)
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  idempotency_key VARCHAR(255) PRIMARY KEY, -- SHA-256 of the caller and the client's Idempotency-Key
+  fingerprint CHAR(64) NOT NULL, -- SHA-256 of method, URL and body
+  status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+  response_status INT,
+  response_body JSON,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL, -- end of the processing lease, then of the stored response
+  INDEX idx_expires_at (expires_at)
+);
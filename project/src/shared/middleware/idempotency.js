@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+export class MySQLIdempotencyStore {
+  constructor(connectionPool) {
+    this.connectionPool = connectionPool;
+  }
+
+  async get(key) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        'SELECT * FROM idempotency_keys WHERE idempotency_key = ? AND expires_at > NOW()',
+        [key]
+      );
+
+      if (rows.length === 0) return null;
+
+      const row = rows[0];
+      return {
+        key: row.idempotency_key,
+        fingerprint: row.fingerprint,
+        status: row.status,
+        responseStatus: row.response_status,
+        responseBody: typeof row.response_body === 'string' ? JSON.parse(row.response_body) : row.response_body
+      };
+    });
+  }
+
+  // Returns false when another request already holds the key. The reservation lapses after
+  // lease ms, so a request whose process died does not hold the key until it expires.
+  async reserve(key, fingerprint, lease) {
+    return await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute(
+        'DELETE FROM idempotency_keys WHERE idempotency_key = ? AND expires_at <= NOW()',
+        [key]
+      );
+
+      try {
+        await connection.execute(
+          `INSERT INTO idempotency_keys (idempotency_key, fingerprint, status, created_at, expires_at)
+           VALUES (?, ?, 'processing', NOW(), ?)`,
+          [key, fingerprint, new Date(Date.now() + lease)]
+        );
+        return true;
+      } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') return false;
+        throw error;
+      }
+    });
+  }
+
+  async complete(key, responseStatus, responseBody, ttl) {
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute(
+        `UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ?, expires_at = ?
+         WHERE idempotency_key = ?`,
+        [responseStatus, JSON.stringify(responseBody === undefined ? null : responseBody), new Date(Date.now() + ttl), key]
+      );
+    });
+  }
+
+  async release(key) {
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute('DELETE FROM idempotency_keys WHERE idempotency_key = ?', [key]);
+    });
+  }
+}
+
+export class InMemoryIdempotencyStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    if (!record) return null;
+
+    if (record.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return { ...record };
+  }
+
+  async reserve(key, fingerprint, lease) {
+    if (await this.get(key)) {
+      return false;
+    }
+
+    this.records.set(key, {
+      key,
+      fingerprint,
+      status: 'processing',
+      responseStatus: null,
+      responseBody: null,
+      expiresAt: Date.now() + lease
+    });
+    return true;
+  }
+
+  async complete(key, responseStatus, responseBody, ttl) {
+    const record = this.records.get(key);
+    if (record) {
+      Object.assign(record, { status: 'completed', responseStatus, responseBody, expiresAt: Date.now() + ttl });
+    }
+  }
+
+  async release(key) {
+    this.records.delete(key);
+  }
+}
+
+// The in-memory connection pool has no real tables, so tests keep keys in process memory
+export function createIdempotencyStore(connectionPool) {
+  return connectionPool && !connectionPool.isTest
+    ? new MySQLIdempotencyStore(connectionPool)
+    : new InMemoryIdempotencyStore();
+}
+
+export function fingerprintRequest(req) {
+  const stable = (value) => {
+    if (Array.isArray(value)) return value.map(stable);
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((result, key) => {
+        result[key] = stable(value[key]);
+        return result;
+      }, {});
+    }
+    return value;
+  };
+
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(stable(req.body || {}))}`)
+    .digest('hex');
+}
+
+// Keys are chosen by clients, so each caller gets its own key space: one caller's key can
+// neither replay nor block another caller's request. Hashed to fit the key column.
+export function scopeKey(req, key) {
+  const caller = req.identity ? req.identity.userId : 'anonymous';
+  return crypto.createHash('sha256').update(`${caller}\n${key}`).digest('hex');
+}
+
+export function idempotency(options = {}) {
+  const store = options.store || createIdempotencyStore(options.connectionPool);
+  const ttl = options.ttl || parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000;
+  // How long a request may hold its key while processing before a retry can take over
+  const lease = options.lease || parseInt(process.env.IDEMPOTENCY_LEASE_MS) || 60 * 1000;
+  const logger = options.logger || console;
+
+  const reject = (res, status, error) => res.status(status).json({
+    success: false,
+    error,
+    timestamp: new Date().toISOString()
+  });
+
+  const replay = (res, record, fingerprint) => {
+    if (record.fingerprint !== fingerprint) {
+      return reject(res, 422, 'Idempotency-Key was already used with a different request');
+    }
+    if (record.status !== 'completed') {
+      return reject(res, 409, 'A request with this Idempotency-Key is still being processed');
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.responseStatus).json(record.responseBody);
+  };
+
+  return async (req, res, next) => {
+    const requestKey = req.get('Idempotency-Key');
+
+    if (!requestKey || !MUTATING_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    if (requestKey.length > 255) {
+      return reject(res, 400, 'Idempotency-Key must be at most 255 characters');
+    }
+
+    const key = scopeKey(req, requestKey);
+
+    try {
+      const fingerprint = fingerprintRequest(req);
+      const existing = await store.get(key);
+
+      if (existing) {
+        return replay(res, existing, fingerprint);
+      }
+
+      if (!(await store.reserve(key, fingerprint, lease))) {
+        // Lost the race to a concurrent request with the same key
+        const current = await store.get(key);
+        return current ? replay(res, current, fingerprint) : reject(res, 409, 'Idempotency-Key is in use');
+      }
+
+      let responseBody;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+
+      let settled = false;
+      const settle = async (finished) => {
+        if (settled) return;
+        settled = true;
+
+        try {
+          // Server errors and aborted requests free the key so the client can retry
+          if (finished && res.statusCode < 500) {
+            await store.complete(key, res.statusCode, responseBody, ttl);
+          } else {
+            await store.release(key);
+          }
+        } catch (error) {
+          logger.error(`Failed to store idempotent response for key ${requestKey}:`, error);
+        }
+      };
+
+      res.on('finish', () => settle(true));
+      res.on('close', () => settle(res.writableFinished));
+
+      next();
+    } catch (error) {
+      logger.error('Idempotency check failed:', error);
+      reject(res, 500, 'Idempotency check failed');
+    }
+  };
+}
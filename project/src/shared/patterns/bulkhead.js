@@ -3,9 +3,10 @@ class Bulkhead {
     this.pools = new Map();
     this.defaultPoolSize = options.defaultPoolSize || 10;
     this.queueTimeout = options.queueTimeout || 30000;
+    this.maxQueueDepth = options.maxQueueDepth || Infinity;
   }
 
-  createPool(name, size = this.defaultPoolSize) {
+  createPool(name, size = this.defaultPoolSize, options = {}) {
     if (this.pools.has(name)) {
       return this.pools.get(name);
     }
@@ -13,6 +14,8 @@ class Bulkhead {
     const pool = {
       name,
       size,
+      queueTimeout: options.queueTimeout || this.queueTimeout,
+      maxQueueDepth: options.maxQueueDepth || this.maxQueueDepth,
       active: 0,
       queue: [],
       stats: {
@@ -20,7 +23,8 @@ class Bulkhead {
         completedRequests: 0,
         failedRequests: 0,
         queuedRequests: 0,
-        rejectedRequests: 0
+        rejectedRequests: 0,
+        shedRequests: 0
       }
     };
 
@@ -30,10 +34,18 @@ class Bulkhead {
 
   async execute(poolName, operation, options = {}) {
     const pool = this.pools.get(poolName) || this.createPool(poolName);
-    const timeout = options.timeout || this.queueTimeout;
+    const timeout = options.timeout || pool.queueTimeout;
 
     pool.stats.totalRequests++;
 
+    // Shed load up front rather than letting requests wait out the queue timeout
+    if (pool.active >= pool.size && pool.queue.length >= pool.maxQueueDepth) {
+      pool.stats.shedRequests++;
+      const error = new Error(`Bulkhead queue for pool ${poolName} is full`);
+      error.code = 'BULKHEAD_FULL';
+      throw error;
+    }
+
     return new Promise((resolve, reject) => {
       const task = {
         operation,
@@ -43,7 +55,9 @@ class Bulkhead {
         timeout: setTimeout(() => {
           this.removeFromQueue(pool, task);
           pool.stats.rejectedRequests++;
-          reject(new Error(`Bulkhead timeout for pool ${poolName}`));
+          const error = new Error(`Bulkhead timeout for pool ${poolName}`);
+          error.code = 'BULKHEAD_TIMEOUT';
+          reject(error);
         }, timeout)
       };
 
@@ -100,6 +114,8 @@ class Bulkhead {
       active: pool.active,
       queued: pool.queue.length,
       capacity: pool.size,
+      maxQueueDepth: pool.maxQueueDepth,
+      queueTimeout: pool.queueTimeout,
       utilization: (pool.active / pool.size) * 100
     };
   }
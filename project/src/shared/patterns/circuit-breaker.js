@@ -3,19 +3,30 @@ import { EventEmitter } from 'events';
 class CircuitBreaker extends EventEmitter {
   constructor(options = {}) {
     super();
-    
+
     this.options = {
       timeout: options.timeout || 60000,
       errorThreshold: options.errorThreshold || 50,
       resetTimeout: options.resetTimeout || 30000,
       monitoringPeriod: options.monitoringPeriod || 10000,
+      // Calls slower than this count as failures even when they succeed
+      slowCallThreshold: options.slowCallThreshold || options.timeout || 60000,
+      // Failure rate is only evaluated once this many calls were seen in the window
+      minimumRequests: options.minimumRequests || 1,
+      // Concurrent trial calls let through while HALF_OPEN
+      halfOpenMaxCalls: options.halfOpenMaxCalls || 1,
       ...options
     };
 
     this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
     this.failureCount = 0;
     this.successCount = 0;
+    this.slowCallCount = 0;
     this.requestCount = 0;
+    this.rejectedCount = 0;
+    this.halfOpenCalls = 0;
+    this.transitions = { open: 0, halfOpen: 0, close: 0 };
+    this.lastStateChange = null;
     this.nextAttempt = Date.now();
     this.resetTimeoutId = null;
 
@@ -24,37 +35,77 @@ class CircuitBreaker extends EventEmitter {
   }
 
   async execute(operation) {
-    if (this.state === 'OPEN') {
-      if (Date.now() < this.nextAttempt) {
-        throw new Error('Circuit breaker is OPEN');
-      }
-      this.state = 'HALF_OPEN';
+    if (!this.tryAcquire()) {
+      const error = new Error('Circuit breaker is OPEN');
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
     }
 
+    const startTime = Date.now();
+    let timeoutId;
+
     try {
       const result = await Promise.race([
         operation(),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Operation timeout')), this.options.timeout)
-        )
+        new Promise((_, reject) => {
+          timeoutId = setTimeout(() => reject(new Error('Operation timeout')), this.options.timeout);
+        })
       ]);
 
-      this.onSuccess();
+      this.onSuccess(Date.now() - startTime);
       return result;
     } catch (error) {
       this.onFailure();
       throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Callers that cannot wrap the call in a promise (e.g. a proxied request) take a permit here and
+  // report the outcome through onSuccess/onFailure. Returns false when the call must be rejected.
+  tryAcquire() {
+    if (this.state === 'OPEN') {
+      if (Date.now() < this.nextAttempt) {
+        this.rejectedCount++;
+        return false;
+      }
+      this.transitionTo('HALF_OPEN');
+    }
+
+    if (this.state === 'HALF_OPEN') {
+      if (this.halfOpenCalls >= this.options.halfOpenMaxCalls) {
+        this.rejectedCount++;
+        return false;
+      }
+      this.halfOpenCalls++;
+    }
+
+    return true;
+  }
+
+  // Seconds until the breaker lets a trial call through again
+  getRetryAfter() {
+    if (this.state === 'CLOSED') {
+      return 0;
     }
+    return Math.max(1, Math.ceil((this.nextAttempt - Date.now()) / 1000));
   }
 
-  onSuccess() {
+  onSuccess(duration) {
+    if (duration !== undefined && duration > this.options.slowCallThreshold) {
+      this.slowCallCount++;
+      this.onFailure();
+      return;
+    }
+
     this.successCount++;
     this.requestCount++;
 
     if (this.state === 'HALF_OPEN') {
-      this.state = 'CLOSED';
+      this.halfOpenCalls = Math.max(0, this.halfOpenCalls - 1);
       this.failureCount = 0;
-      this.emit('close');
+      this.transitionTo('CLOSED');
     }
   }
 
@@ -62,28 +113,62 @@ class CircuitBreaker extends EventEmitter {
     this.failureCount++;
     this.requestCount++;
 
+    if (this.state === 'HALF_OPEN') {
+      this.halfOpenCalls = Math.max(0, this.halfOpenCalls - 1);
+      this.trip();
+      return;
+    }
+
     const failureRate = (this.failureCount / this.requestCount) * 100;
 
-    if (this.state === 'HALF_OPEN' || failureRate >= this.options.errorThreshold) {
-      this.state = 'OPEN';
-      this.nextAttempt = Date.now() + this.options.resetTimeout;
-      this.emit('open');
+    if (this.state === 'CLOSED' &&
+        this.requestCount >= this.options.minimumRequests &&
+        failureRate >= this.options.errorThreshold) {
+      this.trip();
+    }
+  }
+
+  trip() {
+    this.nextAttempt = Date.now() + this.options.resetTimeout;
+    this.transitionTo('OPEN');
+
+    // Set timeout to transition to HALF_OPEN
+    clearTimeout(this.resetTimeoutId);
+    this.resetTimeoutId = setTimeout(() => {
+      if (this.state === 'OPEN') {
+        this.transitionTo('HALF_OPEN');
+      }
+    }, this.options.resetTimeout);
+    this.resetTimeoutId.unref?.();
+  }
 
-      // Set timeout to transition to HALF_OPEN
-      this.resetTimeoutId = setTimeout(() => {
-        this.state = 'HALF_OPEN';
-        this.emit('halfOpen');
-      }, this.options.resetTimeout);
+  transitionTo(state) {
+    if (this.state === state) {
+      return;
     }
+
+    const from = this.state;
+    this.state = state;
+    this.lastStateChange = new Date();
+
+    if (state === 'HALF_OPEN') {
+      this.halfOpenCalls = 0;
+    }
+
+    const event = { OPEN: 'open', HALF_OPEN: 'halfOpen', CLOSED: 'close' }[state];
+    this.transitions[event]++;
+    this.emit(event);
+    this.emit('stateChange', { from, to: state, at: this.lastStateChange, stats: this.getState() });
   }
 
   startMonitoring() {
-    setInterval(() => {
+    const intervalId = setInterval(() => {
       // Reset counters periodically
       this.failureCount = Math.floor(this.failureCount * 0.9);
       this.successCount = Math.floor(this.successCount * 0.9);
       this.requestCount = Math.floor(this.requestCount * 0.9);
     }, this.options.monitoringPeriod);
+    intervalId.unref?.();
   }
 
   getState() {
@@ -92,9 +177,14 @@ class CircuitBreaker extends EventEmitter {
       failureCount: this.failureCount,
       successCount: this.successCount,
       requestCount: this.requestCount,
-      failureRate: this.requestCount > 0 ? (this.failureCount / this.requestCount) * 100 : 0
+      slowCallCount: this.slowCallCount,
+      rejectedCount: this.rejectedCount,
+      failureRate: this.requestCount > 0 ? (this.failureCount / this.requestCount) * 100 : 0,
+      transitions: { ...this.transitions },
+      lastStateChange: this.lastStateChange ? this.lastStateChange.toISOString() : null,
+      retryAfter: this.getRetryAfter()
     };
   }
 }
 
-export default CircuitBreaker;
\ No newline at end of file
+export default CircuitBreaker;
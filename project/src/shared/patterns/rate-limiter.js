@@ -1,91 +1,258 @@
 import Redis from 'ioredis';
 
+// Refill the bucket for the time elapsed since the last call, then take `cost` tokens if available.
+// Token counts are fractional, so they are returned as strings to survive Redis' integer conversion.
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = tonumber(bucket[1])
+local updated = tonumber(bucket[2])
+
+if tokens == nil then
+  tokens = capacity
+  updated = now
+end
+
+tokens = math.min(capacity, tokens + math.max(0, now - updated) * refillPerMs)
+
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refillPerMs))
+
+return { allowed, tostring(tokens) }
+`;
+
+// One member per request; the member name carries the request's cost after the last colon
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - windowMs)
+
+local used = 0
+for _, member in ipairs(redis.call('ZRANGE', KEYS[1], 0, -1)) do
+  used = used + tonumber(string.match(member, ':(%d+)$'))
+end
+
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+local oldestAt = tonumber(oldest[2]) or now
+
+if used + cost > limit then
+  return { 0, used, tostring(oldestAt) }
+end
+
+redis.call('ZADD', KEYS[1], now, ARGV[5] .. ':' .. cost)
+redis.call('PEXPIRE', KEYS[1], windowMs)
+
+return { 1, used + cost, tostring(oldestAt) }
+`;
+
+export class RedisRateLimitStore {
+  constructor(redis) {
+    this.redis = redis || new Redis(process.env.REDIS_HOST || 'localhost:6379');
+    this.redis.defineCommand('rateLimitTokenBucket', { numberOfKeys: 1, lua: TOKEN_BUCKET_SCRIPT });
+    this.redis.defineCommand('rateLimitSlidingWindow', { numberOfKeys: 1, lua: SLIDING_WINDOW_SCRIPT });
+  }
+
+  async fixedWindow(key, cost, windowMs) {
+    const results = await this.redis
+      .multi()
+      .incrby(key, cost)
+      .pexpire(key, windowMs)
+      .exec();
+    return Number(results[0][1]);
+  }
+
+  async slidingWindow(key, cost, limit, windowMs, now) {
+    const member = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+    const [allowed, used, oldestAt] = await this.redis.rateLimitSlidingWindow(key, now, windowMs, limit, cost, member);
+    return { allowed: allowed === 1, used: Number(used), oldestAt: Number(oldestAt) };
+  }
+
+  async tokenBucket(key, cost, capacity, refillPerMs, now) {
+    const [allowed, tokens] = await this.redis.rateLimitTokenBucket(key, capacity, refillPerMs, now, cost);
+    return { allowed: allowed === 1, tokens: Number(tokens) };
+  }
+
+  async close() {
+    await this.redis.quit();
+  }
+}
+
+// Same semantics as the Redis store for a single process; used in tests and local development
+export class InMemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+    this.sweeper = setInterval(() => this.sweep(), 60000);
+    this.sweeper.unref();
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  live(key, now) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async fixedWindow(key, cost, windowMs) {
+    const now = Date.now();
+    const entry = this.live(key, now) || { count: 0, expiresAt: now + windowMs };
+    entry.count += cost;
+    this.entries.set(key, entry);
+    return entry.count;
+  }
+
+  async slidingWindow(key, cost, limit, windowMs, now) {
+    const entry = this.live(key, now) || { log: [], expiresAt: now + windowMs };
+    entry.log = entry.log.filter(request => request.at > now - windowMs);
+
+    const used = entry.log.reduce((sum, request) => sum + request.cost, 0);
+    const oldestAt = entry.log.length > 0 ? entry.log[0].at : now;
+
+    if (used + cost > limit) {
+      this.entries.set(key, entry);
+      return { allowed: false, used, oldestAt };
+    }
+
+    entry.log.push({ at: now, cost });
+    entry.expiresAt = now + windowMs;
+    this.entries.set(key, entry);
+    return { allowed: true, used: used + cost, oldestAt };
+  }
+
+  async tokenBucket(key, cost, capacity, refillPerMs, now) {
+    const entry = this.live(key, now) || { tokens: capacity, updated: now };
+    entry.tokens = Math.min(capacity, entry.tokens + Math.max(0, now - entry.updated) * refillPerMs);
+    entry.updated = now;
+
+    const allowed = entry.tokens >= cost;
+    if (allowed) {
+      entry.tokens -= cost;
+    }
+
+    entry.expiresAt = now + Math.ceil(capacity / refillPerMs);
+    this.entries.set(key, entry);
+    return { allowed, tokens: entry.tokens };
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    this.entries.clear();
+  }
+}
+
+// Redis outside tests unless RATE_LIMIT_STORE=memory
+export function createRateLimitStore(type = process.env.RATE_LIMIT_STORE) {
+  const storeType = type || (process.env.NODE_ENV === 'test' ? 'memory' : 'redis');
+  return storeType === 'memory' ? new InMemoryRateLimitStore() : new RedisRateLimitStore();
+}
+
+// All algorithms resolve to { allowed, limit, remaining, resetTime, retryAfter }, with resetTime
+// in epoch milliseconds and retryAfter in seconds (0 when allowed).
 class RateLimiter {
   constructor(options = {}) {
     this.windowMs = options.windowMs || 900000; // 15 minutes
     this.maxRequests = options.maxRequests || 100;
-    this.redis = new Redis(process.env.REDIS_HOST || 'localhost:6379');
+    this.store = options.store || createRateLimitStore(options.storeType);
+    this.logger = options.logger || console;
   }
 
   async isAllowed(key, cost = 1) {
     const now = Date.now();
     const window = Math.floor(now / this.windowMs);
-    const redisKey = `rate_limit:${key}:${window}`;
+    const resetTime = (window + 1) * this.windowMs;
 
     try {
-      const current = await this.redis.get(redisKey);
-      const currentCount = parseInt(current || '0');
-
-      if (currentCount + cost > this.maxRequests) {
-        return {
-          allowed: false,
-          remaining: Math.max(0, this.maxRequests - currentCount),
-          resetTime: (window + 1) * this.windowMs,
-          cost
-        };
-      }
-
-      // Increment counter
-      const pipeline = this.redis.pipeline();
-      pipeline.incrby(redisKey, cost);
-      pipeline.expire(redisKey, Math.ceil(this.windowMs / 1000));
-      await pipeline.exec();
+      const count = await this.store.fixedWindow(`rate_limit:${key}:${window}`, cost, this.windowMs);
+      const allowed = count <= this.maxRequests;
 
       return {
-        allowed: true,
-        remaining: Math.max(0, this.maxRequests - currentCount - cost),
-        resetTime: (window + 1) * this.windowMs,
+        allowed,
+        limit: this.maxRequests,
+        remaining: Math.max(0, this.maxRequests - count),
+        resetTime,
+        retryAfter: allowed ? 0 : Math.ceil((resetTime - now) / 1000),
         cost
       };
     } catch (error) {
-      console.error('Rate limiter error:', error);
-      // Fail open - allow request if Redis is down
-      return { allowed: true, remaining: this.maxRequests, resetTime: now + this.windowMs };
+      return this.failOpen(error, this.maxRequests, now + this.windowMs);
     }
   }
 
   // Sliding window log implementation
-  async slidingWindowLog(key, cost = 1) {
+  async slidingWindowLog(key, cost = 1, options = {}) {
+    const limit = options.limit || this.maxRequests;
+    const windowMs = options.windowMs || this.windowMs;
     const now = Date.now();
-    const windowStart = now - this.windowMs;
-    const redisKey = `sliding_window:${key}`;
 
     try {
-      // Remove expired entries and count current requests
-      const pipeline = this.redis.pipeline();
-      pipeline.zremrangebyscore(redisKey, '-inf', windowStart);
-      pipeline.zcard(redisKey);
-      
-      const results = await pipeline.exec();
-      const currentCount = results[1][1];
-
-      if (currentCount + cost > this.maxRequests) {
-        return {
-          allowed: false,
-          remaining: Math.max(0, this.maxRequests - currentCount),
-          resetTime: now + this.windowMs
-        };
-      }
+      const result = await this.store.slidingWindow(`sliding_window:${key}`, cost, limit, windowMs, now);
+      const resetTime = result.oldestAt + windowMs;
 
-      // Add current request(s)
-      const requests = [];
-      for (let i = 0; i < cost; i++) {
-        requests.push(now + i, `${now}-${i}`);
-      }
-      
-      await this.redis.zadd(redisKey, ...requests);
-      await this.redis.expire(redisKey, Math.ceil(this.windowMs / 1000));
+      return {
+        allowed: result.allowed,
+        limit,
+        remaining: Math.max(0, limit - result.used),
+        resetTime,
+        retryAfter: result.allowed ? 0 : Math.max(1, Math.ceil((resetTime - now) / 1000)),
+        cost
+      };
+    } catch (error) {
+      return this.failOpen(error, limit, now + windowMs);
+    }
+  }
+
+  // capacity: burst size; refillRate: tokens added per second
+  async tokenBucket(key, cost = 1, options = {}) {
+    const capacity = options.capacity || this.maxRequests;
+    const refillRate = options.refillRate || capacity / (this.windowMs / 1000);
+    const refillPerMs = refillRate / 1000;
+    const now = Date.now();
+
+    try {
+      const result = await this.store.tokenBucket(`token_bucket:${key}`, cost, capacity, refillPerMs, now);
+      const remaining = Math.floor(result.tokens);
 
       return {
-        allowed: true,
-        remaining: Math.max(0, this.maxRequests - currentCount - cost),
-        resetTime: now + this.windowMs
+        allowed: result.allowed,
+        limit: capacity,
+        remaining,
+        // When the bucket will be full again
+        resetTime: now + Math.ceil((capacity - result.tokens) / refillPerMs),
+        retryAfter: result.allowed ? 0 : Math.max(1, Math.ceil((cost - result.tokens) / refillRate)),
+        cost
       };
     } catch (error) {
-      console.error('Sliding window rate limiter error:', error);
-      return { allowed: true, remaining: this.maxRequests, resetTime: now + this.windowMs };
+      return this.failOpen(error, capacity, now);
     }
   }
+
+  // Fail open - allow the request if the store is down
+  failOpen(error, limit, resetTime) {
+    this.logger.error('Rate limiter error:', error);
+    return { allowed: true, limit, remaining: limit, resetTime, retryAfter: 0 };
+  }
 }
 
-export default RateLimiter;
\ No newline at end of file
+export default RateLimiter;
@@ -0,0 +1,21 @@
+-- Saga Orchestrator Database Migration
+-- This script creates the table used by the shared SagaOrchestrator
+
+-- Create sagas table (one row per saga instance, updated after every step)
+CREATE TABLE IF NOT EXISTS sagas (
+  id VARCHAR(36) PRIMARY KEY,
+  saga_type VARCHAR(255) NOT NULL,
+  initiating_event JSON NOT NULL,
+  steps JSON NOT NULL,
+  current_step INT NOT NULL DEFAULT 0,
+  status ENUM('pending', 'running', 'compensating', 'completed', 'compensated', 'failed') NOT NULL DEFAULT 'pending',
+  context JSON,
+  completed_steps JSON,
+  compensated_steps JSON,
+  failed_steps JSON,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_saga_type (saga_type),
+  INDEX idx_status (status)
+);
@@ -0,0 +1,319 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import RetryWithBackoff from '../patterns/retry-with-backoff.js';
+
+const UNFINISHED_STATUSES = ['pending', 'running', 'compensating'];
+
+class SagaOrchestrator extends EventEmitter {
+  constructor(connectionPool, options = {}) {
+    super();
+    this.connectionPool = connectionPool;
+    this.logger = options.logger || console;
+    this.defaultTimeout = options.defaultTimeout || 30000;
+    this.defaultRetry = options.defaultRetry || { maxRetries: 3, baseDelay: 500, maxDelay: 5000 };
+    this.definitions = new Map();
+    this.running = new Set();
+  }
+
+  // steps: [{ name, execute(context, saga), compensate?(context, saga), timeout?, retry? }]
+  // A step with a compensation must be safe to execute again (e.g. under a fixed idempotency key):
+  // when its outcome is unknown it is replayed before the saga is compensated.
+  define(sagaType, steps) {
+    if (this.definitions.has(sagaType)) {
+      throw new Error(`Saga type ${sagaType} already defined`);
+    }
+
+    const names = new Set();
+    for (const step of steps) {
+      if (!step.name || typeof step.execute !== 'function') {
+        throw new Error(`Saga ${sagaType} has a step without a name or execute function`);
+      }
+      if (names.has(step.name)) {
+        throw new Error(`Saga ${sagaType} has duplicate step ${step.name}`);
+      }
+      names.add(step.name);
+    }
+
+    this.definitions.set(sagaType, steps);
+  }
+
+  // Stores a saga and runs it to the end
+  async start(sagaType, data, options = {}) {
+    return await this.run(await this.create(sagaType, data, options));
+  }
+
+  // Stores a saga without running it, for callers that run it in the background. A caller-chosen
+  // options.sagaId makes a second create for the same work fail on the primary key (ER_DUP_ENTRY).
+  async create(sagaType, data, options = {}) {
+    const steps = this.definitions.get(sagaType);
+    if (!steps) {
+      throw new Error(`Unknown saga type: ${sagaType}`);
+    }
+
+    const now = new Date();
+    const saga = {
+      id: options.sagaId || uuidv4(),
+      sagaType,
+      data,
+      context: {},
+      currentStep: 0,
+      status: 'pending',
+      completedSteps: [],
+      compensatedSteps: [],
+      failedSteps: [],
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute(
+        `INSERT INTO sagas (id, saga_type, initiating_event, steps, current_step, status, context,
+          completed_steps, compensated_steps, failed_steps, created_at, updated_at)
+         VALUES (?, ?, ?, ?, 0, 'pending', '{}', '[]', '[]', '[]', ?, ?)`,
+        [saga.id, sagaType, JSON.stringify(data), JSON.stringify(steps.map(step => step.name)), now, now]
+      );
+    });
+
+    this.logger.info(`Saga ${saga.id} (${sagaType}) created`);
+    return saga;
+  }
+
+  // Pick up sagas left mid-flight by a crash or restart
+  async resumeUnfinished() {
+    const placeholders = UNFINISHED_STATUSES.map(() => '?').join(', ');
+    const rows = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute(
+        `SELECT * FROM sagas WHERE status IN (${placeholders}) ORDER BY created_at ASC`,
+        UNFINISHED_STATUSES
+      );
+      return rows;
+    });
+
+    const resumable = rows.filter(row => this.definitions.has(row.saga_type));
+    this.logger.info(`Resuming ${resumable.length} unfinished sagas`);
+
+    for (const row of resumable) {
+      const saga = this.fromRow(row);
+      this.run(saga).catch(error => {
+        this.logger.error(`Failed to resume saga ${saga.id}:`, error);
+      });
+    }
+
+    return resumable.length;
+  }
+
+  async run(saga) {
+    if (this.running.has(saga.id)) {
+      return saga;
+    }
+    this.running.add(saga.id);
+
+    try {
+      if (saga.status !== 'compensating') {
+        await this.runForward(saga);
+      }
+
+      if (saga.status === 'compensating') {
+        await this.runCompensation(saga);
+      }
+
+      return saga;
+    } finally {
+      this.running.delete(saga.id);
+    }
+  }
+
+  async runForward(saga) {
+    const steps = this.definitions.get(saga.sagaType);
+    saga.status = 'running';
+    await this.persist(saga);
+
+    while (saga.currentStep < steps.length) {
+      const step = steps[saga.currentStep];
+
+      try {
+        const result = await this.executeWithPolicy(step, 'execute', saga);
+
+        saga.context[step.name] = result === undefined ? null : result;
+        saga.completedSteps.push({ step: step.name, completedAt: new Date() });
+        saga.currentStep++;
+        await this.persist(saga);
+
+        this.emit('stepCompleted', { saga, step: step.name, result });
+      } catch (error) {
+        this.logger.error(`Saga ${saga.id} step ${step.name} failed:`, error);
+
+        // Only a rejection (retryable: false) shows the step did nothing. After a timeout or the last
+        // retry the remote call may still have gone through, e.g. a debit answered too late.
+        const outcomeUnknown = error.retryable !== false && typeof step.compensate === 'function';
+        saga.failedSteps.push({ step: step.name, error: error.message, outcomeUnknown, failedAt: new Date() });
+        saga.error = error.message;
+        saga.status = 'compensating';
+        await this.persist(saga);
+
+        this.emit('stepFailed', { saga, step: step.name, error });
+        return;
+      }
+    }
+
+    saga.status = 'completed';
+    await this.persist(saga);
+    this.logger.info(`Saga ${saga.id} completed`);
+    this.emit('sagaCompleted', { saga });
+  }
+
+  async runCompensation(saga) {
+    const steps = this.definitions.get(saga.sagaType);
+    if (!(await this.settleFailedStep(saga, steps))) {
+      return;
+    }
+
+    const compensated = new Set(saga.compensatedSteps.map(entry => entry.step));
+
+    // Undo completed steps in reverse order, skipping any already compensated before a restart
+    for (const completed of [...saga.completedSteps].reverse()) {
+      const step = steps.find(candidate => candidate.name === completed.step);
+      if (!step || compensated.has(step.name)) continue;
+
+      if (typeof step.compensate === 'function') {
+        try {
+          await this.executeWithPolicy(step, 'compensate', saga);
+        } catch (error) {
+          this.logger.error(`Saga ${saga.id} compensation for ${step.name} failed:`, error);
+
+          saga.failedSteps.push({ step: step.name, compensation: true, error: error.message, failedAt: new Date() });
+          saga.status = 'failed';
+          await this.persist(saga);
+
+          this.emit('sagaFailed', { saga, step: step.name, error });
+          return;
+        }
+      }
+
+      saga.compensatedSteps.push({ step: step.name, compensatedAt: new Date() });
+      await this.persist(saga);
+    }
+
+    saga.status = 'compensated';
+    await this.persist(saga);
+    this.logger.info(`Saga ${saga.id} compensated`);
+    this.emit('sagaCompensated', { saga });
+  }
+
+  // Replays a failed step whose outcome is unknown. The service answers a replay with its stored
+  // response when the first attempt went through, or applies the step now; either way it is then
+  // compensated with the completed steps. A rejection shows it never applied. If the outcome still
+  // cannot be learned, the saga fails for manual recovery instead of undoing the steps around it.
+  async settleFailedStep(saga, steps) {
+    const failed = saga.failedSteps.find(entry => entry.outcomeUnknown && !entry.settledAt);
+    if (!failed) {
+      return true;
+    }
+
+    const step = steps.find(candidate => candidate.name === failed.step);
+    try {
+      const result = await this.executeWithPolicy(step, 'execute', saga);
+
+      saga.context[step.name] = result === undefined ? null : result;
+      saga.completedSteps.push({ step: step.name, completedAt: new Date() });
+      failed.outcome = 'applied';
+    } catch (error) {
+      if (error.retryable !== false) {
+        this.logger.error(`Saga ${saga.id} could not learn the outcome of ${step.name}:`, error);
+
+        saga.failedSteps.push({ step: step.name, compensation: true, error: error.message, failedAt: new Date() });
+        saga.status = 'failed';
+        await this.persist(saga);
+
+        this.emit('sagaFailed', { saga, step: step.name, error });
+        return false;
+      }
+      failed.outcome = 'not applied';
+    }
+
+    failed.settledAt = new Date();
+    await this.persist(saga);
+    return true;
+  }
+
+  async executeWithPolicy(step, action, saga) {
+    const retryLogic = new RetryWithBackoff({ ...this.defaultRetry, ...step.retry });
+    const timeout = step.timeout || this.defaultTimeout;
+
+    // Errors flagged retryable: false (e.g. a business rejection) fail the step immediately
+    return await retryLogic.execute(
+      () => this.withTimeout(() => step[action](saga.context, saga), timeout, `${step.name}.${action}`),
+      (error) => error.retryable !== false
+    );
+  }
+
+  async withTimeout(operation, timeout, label) {
+    let timeoutId;
+    const timer = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error(`Saga step ${label} timed out after ${timeout}ms`)), timeout);
+    });
+
+    try {
+      return await Promise.race([operation(), timer]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async persist(saga) {
+    saga.updatedAt = new Date();
+
+    await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      await connection.execute(
+        `UPDATE sagas SET current_step = ?, status = ?, context = ?, completed_steps = ?,
+          compensated_steps = ?, failed_steps = ?, error = ?, updated_at = ?
+         WHERE id = ?`,
+        [
+          saga.currentStep,
+          saga.status,
+          JSON.stringify(saga.context),
+          JSON.stringify(saga.completedSteps),
+          JSON.stringify(saga.compensatedSteps),
+          JSON.stringify(saga.failedSteps),
+          saga.error,
+          saga.updatedAt,
+          saga.id
+        ]
+      );
+    });
+  }
+
+  async getSaga(sagaId) {
+    const rows = await this.connectionPool.executeWithMySQLConnection(async (connection) => {
+      const [rows] = await connection.execute('SELECT * FROM sagas WHERE id = ?', [sagaId]);
+      return rows;
+    });
+
+    return rows.length > 0 ? this.fromRow(rows[0]) : null;
+  }
+
+  fromRow(row) {
+    const parse = (value, fallback) => {
+      if (value === null || value === undefined) return fallback;
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    };
+
+    return {
+      id: row.id,
+      sagaType: row.saga_type,
+      data: parse(row.initiating_event, {}),
+      context: parse(row.context, {}),
+      currentStep: Number(row.current_step),
+      status: row.status,
+      completedSteps: parse(row.completed_steps, []),
+      compensatedSteps: parse(row.compensated_steps, []),
+      failedSteps: parse(row.failed_steps, []),
+      error: row.error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default SagaOrchestrator;
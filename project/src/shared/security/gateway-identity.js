@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+
+export const IDENTITY_HEADER = 'x-authenticated-identity';
+export const IDENTITY_SIGNATURE_HEADER = 'x-identity-signature';
+
+const getSecret = (secret) => secret || process.env.GATEWAY_IDENTITY_SECRET || process.env.JWT_SECRET || 'default-secret';
+
+const sign = (value, secret) => crypto.createHmac('sha256', getSecret(secret)).update(value).digest('base64url');
+
+// identity: { userId, email, roles, scopes, plan, merchantId }
+export function signIdentity(identity, secret) {
+  const value = Buffer.from(JSON.stringify({ ...identity, issuedAt: Date.now() })).toString('base64url');
+  return { value, signature: sign(value, secret) };
+}
+
+export function verifyIdentity(value, signature, options = {}) {
+  if (!value || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(value, options.secret));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const identity = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    const maxAge = options.maxAge || 60000;
+
+    if (Date.now() - identity.issuedAt > maxAge) {
+      return null;
+    }
+    return identity;
+  } catch {
+    return null;
+  }
+}
+
+// Exposes the identity the gateway verified as req.identity (null when absent or not signed by the gateway)
+export function gatewayIdentity(options = {}) {
+  return (req, res, next) => {
+    req.identity = verifyIdentity(req.get(IDENTITY_HEADER), req.get(IDENTITY_SIGNATURE_HEADER), options);
+    next();
+  };
+}
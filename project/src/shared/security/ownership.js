@@ -0,0 +1,34 @@
+// Services call each other through the gateway with a service token ("service:<name>"); the
+// gateway's policy table has already limited them to the routes their scopes allow
+export function isServiceIdentity(identity) {
+  return Boolean(identity) && String(identity.userId || '').startsWith('service:');
+}
+
+// Admins and services act for any customer
+export function actsForAnyone(identity) {
+  return Boolean(identity) && (isServiceIdentity(identity) || (identity.roles || []).includes('admin'));
+}
+
+// Whether the caller may read or change a record owned by ownerId
+export function actsFor(identity, ownerId) {
+  return Boolean(identity) && (actsForAnyone(identity) || (Boolean(ownerId) && identity.userId === ownerId));
+}
+
+// Whether the caller may read or change a record of the merchant merchantId
+export function actsForMerchant(identity, merchantId) {
+  return Boolean(identity) && (actsForAnyone(identity) || (Boolean(merchantId) && identity.merchantId === merchantId));
+}
+
+// Answers 401 unless the gateway forwarded a verified identity (see gatewayIdentity)
+export function requireIdentity() {
+  return (req, res, next) => {
+    if (req.identity) {
+      return next();
+    }
+    res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      timestamp: new Date().toISOString()
+    });
+  };
+}
@@ -0,0 +1,15 @@
+import jwt from 'jsonwebtoken';
+
+// Short-lived token for calls one service makes through the API gateway. Access is granted
+// through scopes in the gateway policy table rather than user roles.
+export function createServiceToken(serviceName, scopes = [], options = {}) {
+  return jwt.sign(
+    {
+      sub: `service:${serviceName}`,
+      service: serviceName,
+      scopes
+    },
+    options.secret || process.env.JWT_SECRET || 'default-secret',
+    { algorithm: 'HS256', expiresIn: options.expiresIn || '5m' }
+  );
+}
@@ -0,0 +1,118 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import winston from 'winston';
+
+export const TRACEPARENT_HEADER = 'traceparent';
+export const CORRELATION_HEADER = 'x-correlation-id';
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const storage = new AsyncLocalStorage();
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+// W3C Trace Context: version-traceId-parentId-flags. All-zero ids are invalid.
+export function parseTraceparent(value) {
+  const match = TRACEPARENT_PATTERN.exec(String(value || '').trim().toLowerCase());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], parentSpanId: match[2], flags: match[3] };
+}
+
+export function formatTraceparent(context) {
+  return `00-${context.traceId}-${context.spanId}-${context.flags}`;
+}
+
+// Starts a new span, continuing the caller's trace when a valid traceparent is supplied
+export function createTraceContext({ traceparent, correlationId } = {}) {
+  const parent = parseTraceparent(traceparent);
+
+  return {
+    traceId: parent ? parent.traceId : randomHex(16),
+    spanId: randomHex(8),
+    parentSpanId: parent ? parent.parentSpanId : null,
+    flags: parent ? parent.flags : '01',
+    correlationId: correlationId ? String(correlationId).slice(0, 128) : uuidv4()
+  };
+}
+
+export function getTraceContext() {
+  return storage.getStore() || null;
+}
+
+export function runWithTraceContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+// Kafka delivers header values as Buffers; AMQP and HTTP as strings
+const headerValue = (headers, name) => {
+  if (!headers) return undefined;
+  const value = headers[name] ??
+    Object.entries(headers).find(([key]) => key.toLowerCase() === name)?.[1];
+  return Buffer.isBuffer(value) ? value.toString() : value;
+};
+
+export function extractTraceContext(headers) {
+  return createTraceContext({
+    traceparent: headerValue(headers, TRACEPARENT_HEADER),
+    correlationId: headerValue(headers, CORRELATION_HEADER)
+  });
+}
+
+// Adds the current trace to outgoing headers. Headers already present win, so messages that
+// captured their trace earlier (e.g. outbox rows) keep it when relayed outside any request.
+export function injectTraceHeaders(headers = {}) {
+  const context = getTraceContext();
+  if (!context) {
+    return headers;
+  }
+
+  return {
+    [TRACEPARENT_HEADER]: formatTraceparent(context),
+    [CORRELATION_HEADER]: context.correlationId,
+    ...headers
+  };
+}
+
+// Trace fields recorded alongside persisted events
+export function traceMetadata() {
+  const context = getTraceContext();
+  if (!context) {
+    return {};
+  }
+
+  return {
+    correlationId: context.correlationId,
+    traceId: context.traceId,
+    spanId: context.spanId
+  };
+}
+
+// Accepts or mints a trace for each request, rewrites the request headers so proxied and
+// forwarded calls carry this span as their parent, and echoes the ids back to the client.
+export function tracing() {
+  return (req, res, next) => {
+    const context = extractTraceContext(req.headers);
+
+    req.headers[TRACEPARENT_HEADER] = formatTraceparent(context);
+    req.headers[CORRELATION_HEADER] = context.correlationId;
+    req.traceContext = context;
+
+    res.set('X-Correlation-ID', context.correlationId);
+    res.set('X-Trace-ID', context.traceId);
+
+    runWithTraceContext(context, next);
+  };
+}
+
+// Winston format that stamps log entries with the active trace
+export const traceFormat = winston.format((info) => {
+  const context = getTraceContext();
+  if (context) {
+    info.traceId = context.traceId;
+    info.spanId = context.spanId;
+    info.correlationId = context.correlationId;
+  }
+  return info;
+});
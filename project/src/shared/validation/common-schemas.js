@@ -0,0 +1,21 @@
+import Joi from 'joi';
+
+export const id = Joi.string().trim().min(1).max(128);
+
+// Positive amount with at most two decimal places; numeric strings are converted. Joi's
+// precision() rounds when converting (10.005 would pass as 10.01), so extra places are refused here.
+export const money = Joi.number().positive().custom((value, helpers) => {
+  const cents = value * 100;
+  return Math.abs(cents - Math.round(cents)) < 1e-6 ? value : helpers.error('number.precision', { limit: 2 });
+}, 'two decimal places');
+
+// ISO 4217 code; lower-case input is accepted and upper-cased
+export const currencyCode = Joi.string().uppercase().pattern(/^[A-Z]{3}$/, 'ISO 4217 code');
+
+export const metadata = Joi.object().unknown(true);
+
+export const timestamp = Joi.alternatives().try(Joi.date(), Joi.string().isoDate());
+
+export const idParams = Joi.object({
+  id: id.required()
+});
@@ -0,0 +1,69 @@
+import ValidationError from './validation-error.js';
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  convert: true,
+  errors: { wrap: { label: false } }
+};
+
+const toDetails = (error, location) => error.details.map(detail => ({
+  field: [location, ...detail.path].filter(Boolean).join('.'),
+  message: detail.message,
+  type: detail.type
+}));
+
+// Returns the converted value (defaults applied, numeric strings parsed) or throws a ValidationError
+export function validateSchema(schema, value, options = {}) {
+  const { location, ...joiOptions } = options;
+  const { value: validated, error } = schema.validate(value, { ...VALIDATION_OPTIONS, ...joiOptions });
+
+  if (error) {
+    throw new ValidationError(toDetails(error, location));
+  }
+
+  return validated;
+}
+
+// For command classes: checks the command's own fields and ignores the ones the schema doesn't describe
+export function assertValid(schema, command) {
+  validateSchema(schema, { ...command }, { allowUnknown: true });
+}
+
+export function validationErrorBody(error) {
+  return {
+    success: false,
+    error: 'Validation failed',
+    details: error.details,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// route: { params, query, body } Joi schemas, as declared in a service's schemas module.
+// Every part is checked before responding so the 400 lists all field errors at once.
+export function validateRequest(route) {
+  const parts = ['params', 'query', 'body'].filter(part => route[part]);
+
+  return (req, res, next) => {
+    const details = [];
+    const validated = {};
+
+    parts.forEach((part) => {
+      try {
+        // Unknown body fields are dropped rather than rejected so existing clients keep working
+        validated[part] = validateSchema(route[part], req[part] || {}, { location: part, stripUnknown: true });
+      } catch (error) {
+        details.push(...error.details);
+      }
+    });
+
+    if (details.length > 0) {
+      return res.status(400).json(validationErrorBody(new ValidationError(details)));
+    }
+
+    parts.forEach((part) => {
+      req[part] = validated[part];
+    });
+
+    next();
+  };
+}
@@ -0,0 +1,191 @@
+// Turns the Joi request schemas into OpenAPI 3 (JSON Schema) objects, so the API description is
+// generated from the same definitions the routes validate against.
+
+const STRING_FORMATS = { email: 'email', guid: 'uuid', uri: 'uri', isoDate: 'date-time' };
+
+// Custom rules are described by the name they were given (see common-schemas.js)
+const CUSTOM_RULES = { 'two decimal places': { multipleOf: 0.01 } };
+
+function applyRules(schema, description) {
+  (description.rules || []).forEach(({ name, args = {} }) => {
+    switch (name) {
+      case 'min':
+        if (description.type === 'string') schema.minLength = args.limit;
+        else if (description.type === 'array') schema.minItems = args.limit;
+        else schema.minimum = args.limit;
+        break;
+      case 'max':
+        if (description.type === 'string') schema.maxLength = args.limit;
+        else if (description.type === 'array') schema.maxItems = args.limit;
+        else schema.maximum = args.limit;
+        break;
+      case 'length':
+        if (description.type === 'string') {
+          schema.minLength = args.limit;
+          schema.maxLength = args.limit;
+        }
+        break;
+      case 'greater':
+        schema.minimum = args.limit;
+        schema.exclusiveMinimum = true;
+        break;
+      case 'less':
+        schema.maximum = args.limit;
+        schema.exclusiveMaximum = true;
+        break;
+      case 'sign':
+        if (args.sign === 'positive') {
+          schema.minimum = 0;
+          schema.exclusiveMinimum = true;
+        } else {
+          schema.maximum = 0;
+          schema.exclusiveMaximum = true;
+        }
+        break;
+      case 'integer':
+        schema.type = 'integer';
+        break;
+      case 'precision':
+        schema.multipleOf = 10 ** -args.limit;
+        break;
+      case 'custom':
+        Object.assign(schema, CUSTOM_RULES[args.description]);
+        break;
+      case 'pattern':
+        if (args.regex) schema.pattern = args.regex.replace(/^\/|\/[a-z]*$/g, '');
+        break;
+      default:
+        if (STRING_FORMATS[name]) schema.format = STRING_FORMATS[name];
+    }
+  });
+}
+
+function fromDescription(description) {
+  const flags = description.flags || {};
+  const schema = {};
+
+  switch (description.type) {
+    case 'object':
+      schema.type = 'object';
+      if (description.keys) {
+        schema.properties = {};
+        const required = [];
+        Object.entries(description.keys).forEach(([key, child]) => {
+          if (child.flags && child.flags.presence === 'forbidden') return;
+          schema.properties[key] = fromDescription(child);
+          if (child.flags && child.flags.presence === 'required') required.push(key);
+        });
+        if (required.length > 0) schema.required = required;
+      }
+      break;
+    case 'array':
+      schema.type = 'array';
+      if (description.items && description.items.length > 0) {
+        schema.items = fromDescription(description.items[0]);
+      }
+      break;
+    case 'alternatives':
+      schema.oneOf = (description.matches || [])
+        .filter(match => match.schema)
+        .map(match => fromDescription(match.schema));
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'string':
+    case 'number':
+    case 'boolean':
+      schema.type = description.type;
+      break;
+    default:
+      break;
+  }
+
+  applyRules(schema, description);
+
+  const allowed = description.allow || [];
+  if (allowed.includes(null)) schema.nullable = true;
+  if (flags.only) {
+    schema.enum = allowed.filter(value => value !== null && value !== '');
+  }
+  if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+  if (flags.description) schema.description = flags.description;
+
+  return schema;
+}
+
+export function toJsonSchema(joiSchema) {
+  return fromDescription(joiSchema.describe());
+}
+
+// Express '/payments/:id' -> OpenAPI '/payments/{id}'
+export function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+function parameters(joiSchema, location) {
+  if (!joiSchema) return [];
+  const schema = toJsonSchema(joiSchema);
+
+  return Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    ...(property.description ? { description: property.description } : {}),
+    schema: property
+  }));
+}
+
+// Path parameters the route has no params schema for are documented as plain strings
+function pathParameters(route) {
+  const declared = parameters(route.params, 'path');
+  const names = (route.path.match(/:[A-Za-z0-9_]+/g) || []).map(name => name.slice(1));
+
+  return [
+    ...declared,
+    ...names
+      .filter(name => !declared.some(parameter => parameter.name === name))
+      .map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }))
+  ];
+}
+
+// routes: { operationId: { method, path, summary, status, params, query, body } }
+export function describeRoutes(routes) {
+  const paths = {};
+
+  Object.entries(routes).forEach(([operationId, route]) => {
+    const path = toOpenApiPath(route.path);
+    const operation = {
+      operationId,
+      summary: route.summary,
+      parameters: [...pathParameters(route), ...parameters(route.query, 'query')],
+      responses: {
+        [route.status || 200]: { description: 'Success' }
+      }
+    };
+
+    if (route.body) {
+      const schema = toJsonSchema(route.body);
+      operation.requestBody = {
+        required: Boolean(schema.required),
+        content: { 'application/json': { schema } }
+      };
+    }
+    if (route.params || route.query || route.body) {
+      operation.responses['400'] = { description: 'Validation failed' };
+    }
+
+    paths[path] = { ...paths[path], [route.method]: operation };
+  });
+
+  return paths;
+}
+
+export function describeApi({ title, version = '1.0.0', routes }) {
+  return {
+    openapi: '3.0.3',
+    info: { title, version },
+    paths: describeRoutes(routes)
+  };
+}
@@ -0,0 +1,16 @@
+class ValidationError extends Error {
+  // details: [{ field, message, type }]
+  constructor(details) {
+    super(`Validation errors: ${details.map(detail => detail.message).join(', ')}`);
+    this.name = 'ValidationError';
+    this.code = 'VALIDATION_ERROR';
+    this.retryable = false;
+    this.details = details;
+  }
+
+  static isValidationError(error) {
+    return error instanceof ValidationError;
+  }
+}
+
+export default ValidationError;
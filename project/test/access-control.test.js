@@ -0,0 +1,96 @@
+import { actsFor, actsForAnyone, actsForMerchant, requireIdentity } from '../src/shared/security/ownership.js';
+import jwt from 'jsonwebtoken';
+import { AccessPolicy, createAuthMiddleware, identityFromToken } from '../src/api-gateway/auth/gateway-auth.js';
+import { createServiceToken } from '../src/shared/security/service-token.js';
+
+process.env.NODE_ENV = 'test';
+
+const customer = { userId: 'cus_1', roles: ['user'], scopes: [] };
+const admin = { userId: 'adm_1', roles: ['admin'], scopes: [] };
+const service = { userId: 'service:transaction-service', roles: [], scopes: ['accounts:write'] };
+
+describe('Resource ownership', () => {
+  test('Customers act only for themselves; admins and services for anyone', () => {
+    expect(actsFor(customer, 'cus_1')).toBe(true);
+    expect(actsFor(customer, 'cus_2')).toBe(false);
+    expect(actsFor(customer, undefined)).toBe(false);
+    expect(actsFor(admin, 'cus_2')).toBe(true);
+    expect(actsFor(service, 'cus_2')).toBe(true);
+    expect(actsFor(null, 'cus_1')).toBe(false);
+
+    expect(actsForAnyone(customer)).toBe(false);
+    expect(actsForAnyone({ userId: 'service-account', roles: [] })).toBe(false);
+  });
+
+  test('Merchants act only on their own merchant records', () => {
+    const manager = identityFromToken({ sub: 'usr_9', roles: ['manager'], merchantId: 'mer_1' });
+    expect(manager.merchantId).toBe('mer_1');
+    expect(actsForMerchant(manager, 'mer_1')).toBe(true);
+    expect(actsForMerchant(manager, 'mer_2')).toBe(false);
+
+    // A token without a merchant claim matches no merchant, not even records without one
+    const unattached = identityFromToken({ sub: 'usr_8', roles: ['manager'] });
+    expect(unattached.merchantId).toBeNull();
+    expect(actsForMerchant(unattached, null)).toBe(false);
+
+    expect(actsForMerchant(admin, 'mer_2')).toBe(true);
+    expect(actsForMerchant(service, 'mer_2')).toBe(true);
+  });
+
+  test('Requests without a verified identity are answered with 401', () => {
+    const response = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    requireIdentity()({ identity: null }, response, next);
+    expect(response.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+
+    requireIdentity()({ identity: customer }, response, next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Gateway access policies', () => {
+  const policy = new AccessPolicy();
+  const logger = { warn: () => {} };
+
+  // Runs a request through the gateway's auth middleware for one service
+  const authorize = (serviceName, method, path, claims) => {
+    const token = claims && jwt.sign(claims, 'default-secret', { algorithm: 'HS256' });
+    const req = { method, path, headers: token ? { authorization: `Bearer ${token}` } : {} };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    createAuthMiddleware(serviceName, { logger })(req, res, next);
+    return next.mock.calls.length ? 200 : res.status.mock.calls[0][0];
+  };
+
+  test('Paths match regardless of case, so staff routes cannot be reached by changing it', () => {
+    const rule = policy.match('account', 'PUT', '/Accounts/acc_1/SUSPEND');
+    expect(rule.roles).toEqual(['admin', 'manager']);
+
+    expect(authorize('account', 'PUT', '/ACCOUNTS/acc_1/suspend', { sub: 'cus_1', roles: ['user'] })).toBe(403);
+    expect(authorize('account', 'PUT', '/accounts/acc_1/suspend', { sub: 'mgr_1', roles: ['manager'] })).toBe(200);
+  });
+
+  test('Routes without a rule are refused, even to authenticated callers', () => {
+    expect(policy.match('account', 'DELETE', '/accounts/acc_1')).toBeNull();
+    expect(policy.match('user', 'GET', '/internal/users')).toBeNull();
+    expect(authorize('account', 'DELETE', '/accounts/acc_1', { sub: 'adm_1', roles: ['admin'] })).toBe(403);
+  });
+
+  test('Customers reach their own routes and services reach theirs by scope', () => {
+    expect(authorize('account', 'POST', '/accounts/acc_1/deposit', null)).toBe(401);
+    expect(authorize('account', 'POST', '/accounts/acc_1/deposit', { sub: 'cus_1', roles: ['user'] })).toBe(200);
+    expect(authorize('transaction', 'POST', '/transactions', { sub: 'cus_1', roles: ['user'] })).toBe(200);
+    expect(authorize('user', 'GET', '/profile', { sub: 'cus_1', roles: [] })).toBe(200);
+    expect(authorize('currency', 'POST', '/quotes/qt_1/execute', { sub: 'cus_1', roles: [] })).toBe(200);
+
+    const serviceClaims = jwt.decode(createServiceToken('transaction-service', ['accounts:write']));
+    expect(authorize('account', 'POST', '/accounts/acc_1/withdraw', serviceClaims)).toBe(200);
+    expect(authorize('payment', 'POST', '/payments/pay_1/refund', serviceClaims)).toBe(403);
+
+    // Statistics are for staff, although the path also fits /notifications/:id
+    expect(authorize('notification', 'GET', '/notifications/statistics', { sub: 'cus_1', roles: ['user'] })).toBe(403);
+    expect(authorize('notification', 'GET', '/notifications/ntf_1', { sub: 'cus_1', roles: ['user'] })).toBe(200);
+  });
+});
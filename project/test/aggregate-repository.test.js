@@ -0,0 +1,107 @@
+import AggregateRepository from '../src/shared/event-sourcing/aggregate-repository.js';
+import { AccountAggregate } from '../src/services/account-service/aggregates/account-aggregate.js';
+import { TransactionAggregate } from '../src/services/transaction-service/aggregates/transaction-aggregate.js';
+import { AccountBalanceUpdatedEvent, AccountCreatedEvent, AccountSuspendedEvent } from '../src/services/account-service/events/account-events.js';
+import { TransactionCreatedEvent, TransactionStatusUpdatedEvent } from '../src/services/transaction-service/events/transaction-events.js';
+
+process.env.NODE_ENV = 'test';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+// Keeps one stream and its snapshots the way EventStore returns them: events as stored rows with
+// parsed eventData, getEvents(id, fromVersion) returning only versions after fromVersion
+const memoryEventStore = () => {
+  const events = [];
+  const snapshots = [];
+  return {
+    events,
+    snapshots,
+    getEvents: jest.fn(async (id, fromVersion) => events.filter(event => event.eventVersion > fromVersion)),
+    getLatestSnapshot: jest.fn(async () => snapshots[snapshots.length - 1] || null),
+    createSnapshot: jest.fn(async (id, version, data) => { snapshots.push({ aggregateId: id, version, data }); }),
+    saveEvents: jest.fn(async (id, newEvents, expectedVersion) => newEvents.map((event, index) => {
+      const stored = { aggregateId: id, eventType: event.eventType, eventVersion: expectedVersion + index + 1, eventData: JSON.parse(JSON.stringify(event)) };
+      events.push(stored);
+      return stored;
+    }))
+  };
+};
+
+const balanceUpdate = (oldBalance, newBalance) => new AccountBalanceUpdatedEvent({ accountId: 'acc_1', oldBalance, newBalance, currency: 'USD', timestamp: '2026-01-02T00:00:00Z' });
+const accountOpened = () => new AccountCreatedEvent({ accountId: 'acc_1', userId: 'cus_1', accountType: 'checking', currency: 'USD', initialBalance: 100, timestamp: '2026-01-01T00:00:00Z' });
+
+describe('Aggregates', () => {
+  test('Applied events change state through their on<EventType> handler and wait to be committed', () => {
+    const account = new AccountAggregate('acc_1');
+    account.apply(accountOpened()).apply(balanceUpdate(100, 80)).apply(new AccountSuspendedEvent({ accountId: 'acc_1', timestamp: '2026-01-03T00:00:00Z' }));
+
+    expect(account.balance).toBe(80);
+    expect(account.status).toBe('suspended');
+    expect(account.version).toBe(-1);
+    expect(account.getUncommittedEvents().map(event => event.eventType)).toEqual(['AccountCreated', 'AccountBalanceUpdated', 'AccountSuspended']);
+
+    account.markEventsAsCommitted();
+    expect(account.version).toBe(2);
+    expect(account.getUncommittedEvents()).toEqual([]);
+
+    // Events without a handler are recorded but leave state alone
+    account.apply({ eventType: 'AccountAudited' });
+    expect(account.toSnapshot()).toMatchObject({ balance: 80, status: 'suspended' });
+
+    const transaction = new TransactionAggregate('txn_1');
+    transaction.apply(new TransactionCreatedEvent({ transactionId: 'txn_1', userId: 'cus_1', amount: 25, currency: 'USD', type: 'transfer' }));
+    transaction.apply(new TransactionStatusUpdatedEvent({ transactionId: 'txn_1', oldStatus: 'pending', newStatus: 'completed' }));
+    expect(transaction.state).toMatchObject({ amount: 25, status: 'completed' });
+    expect(transaction.getUncommittedEvents()).toHaveLength(2);
+  });
+
+  test('Loading starts from the latest snapshot and replays only the events after it', async () => {
+    const eventStore = memoryEventStore();
+    const repository = new AggregateRepository(eventStore, id => new AccountAggregate(id), { logger });
+
+    expect(await repository.getById('acc_1')).toBeNull();
+
+    const account = new AccountAggregate('acc_1');
+    account.apply(accountOpened()).apply(balanceUpdate(100, 90)).apply(balanceUpdate(90, 70));
+    await repository.save(account);
+
+    // A snapshot at version 1 that disagrees with the events shows which were replayed
+    eventStore.snapshots.push({ aggregateId: 'acc_1', version: 1, data: { accountId: 'acc_1', balance: 1000, status: 'active' } });
+    const loaded = await repository.getById('acc_1');
+
+    expect(eventStore.getEvents).toHaveBeenLastCalledWith('acc_1', 1);
+    expect(loaded.version).toBe(2);
+    expect(loaded.balance).toBe(70);
+    expect(loaded.state.userId).toBeUndefined();
+
+    eventStore.snapshots.push({ aggregateId: 'acc_1', version: 2, data: { accountId: 'acc_1', balance: 1000, status: 'active' } });
+    expect((await repository.getById('acc_1')).balance).toBe(1000);
+  });
+
+  test('A snapshot is taken when a save crosses a snapshotFrequency boundary', async () => {
+    const eventStore = memoryEventStore();
+    const repository = new AggregateRepository(eventStore, id => new AccountAggregate(id), { logger, snapshotFrequency: 3 });
+
+    const account = new AccountAggregate('acc_1');
+    account.apply(accountOpened()).apply(balanceUpdate(100, 90));
+    await repository.save(account);
+    expect(eventStore.createSnapshot).not.toHaveBeenCalled();
+
+    // Versions 2 and 3 make four events, crossing the boundary at three
+    account.apply(balanceUpdate(90, 80)).apply(balanceUpdate(80, 75));
+    await repository.save(account);
+    expect(eventStore.createSnapshot).toHaveBeenCalledTimes(1);
+    expect(eventStore.snapshots[0]).toMatchObject({ version: 3, data: { balance: 75, status: 'active' } });
+
+    account.apply(balanceUpdate(75, 60));
+    await repository.save(account);
+    expect(eventStore.createSnapshot).toHaveBeenCalledTimes(1);
+
+    // A failed snapshot does not fail the save; the events are committed already
+    eventStore.createSnapshot.mockRejectedValueOnce(new Error('mongo down'));
+    account.apply(balanceUpdate(60, 50));
+    await expect(repository.save(account)).resolves.toHaveLength(1);
+    expect(account.version).toBe(5);
+    expect(await repository.save(account)).toEqual([]);
+  });
+});
@@ -0,0 +1,71 @@
+import Bulkhead from '../src/shared/patterns/bulkhead.js';
+import { getBulkheadConfig } from '../src/api-gateway/config/bulkheads.js';
+
+process.env.NODE_ENV = 'test';
+
+// An operation that holds its slot until released, like a proxied request waiting for its response
+const held = () => {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { operation: () => done, release };
+};
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Bulkhead', () => {
+  test('A slot is held until the operation finishes and is then handed to the next queued request', async () => {
+    const bulkhead = new Bulkhead();
+    bulkhead.createPool('reporting', 2, { maxQueueDepth: 5 });
+    const calls = [held(), held(), held()];
+
+    const results = calls.map((call, index) => bulkhead.execute('reporting', call.operation).then(() => index));
+    await settle();
+    expect(bulkhead.getStats('reporting')).toMatchObject({ active: 2, queued: 1, utilization: 100 });
+
+    // The queued request does not start until a running one has finished
+    calls[2].release();
+    await settle();
+    expect(bulkhead.getStats('reporting')).toMatchObject({ active: 2, queued: 1 });
+
+    calls[0].release();
+    await expect(results[2]).resolves.toBe(2);
+    expect(bulkhead.getStats('reporting')).toMatchObject({ active: 1, queued: 0, completedRequests: 2 });
+
+    calls[1].release();
+    await expect(Promise.all(results)).resolves.toEqual([0, 1, 2]);
+    expect(bulkhead.getStats('reporting')).toMatchObject({ active: 0, completedRequests: 3 });
+  });
+
+  test('Requests beyond the queue depth are shed at once and queued ones give up after the queue timeout', async () => {
+    const bulkhead = new Bulkhead();
+    bulkhead.createPool('analytics', 1, { maxQueueDepth: 1, queueTimeout: 20 });
+    const running = held();
+
+    const first = bulkhead.execute('analytics', running.operation);
+    const queued = bulkhead.execute('analytics', held().operation);
+    await expect(bulkhead.execute('analytics', held().operation)).rejects.toMatchObject({ code: 'BULKHEAD_FULL' });
+    await expect(queued).rejects.toMatchObject({ code: 'BULKHEAD_TIMEOUT' });
+
+    running.release();
+    await first;
+    expect(bulkhead.getStats('analytics')).toMatchObject({ active: 0, queued: 0, shedRequests: 1, rejectedRequests: 1 });
+  });
+
+  test('A failing operation still frees its slot', async () => {
+    const bulkhead = new Bulkhead();
+    bulkhead.createPool('payment', 1);
+
+    await expect(bulkhead.execute('payment', () => Promise.reject(new Error('upstream reset')))).rejects.toThrow('upstream reset');
+    await expect(bulkhead.execute('payment', () => Promise.resolve('ok'))).resolves.toBe('ok');
+    expect(bulkhead.getStats('payment')).toMatchObject({ active: 0, failedRequests: 1, completedRequests: 1 });
+  });
+
+  test('Pool sizes come from the per-service config and can be overridden from the environment', () => {
+    expect(getBulkheadConfig('reporting')).toEqual({ size: 5, queueTimeout: 15000, maxQueueDepth: 10 });
+    expect(getBulkheadConfig('risk')).toEqual({ size: 15, queueTimeout: 5000, maxQueueDepth: 30 });
+
+    process.env.BULKHEAD_PAYMENT_SIZE = '40';
+    expect(getBulkheadConfig('payment')).toMatchObject({ size: 40, maxQueueDepth: 50 });
+    delete process.env.BULKHEAD_PAYMENT_SIZE;
+  });
+});
@@ -0,0 +1,70 @@
+import CircuitBreaker from '../src/shared/patterns/circuit-breaker.js';
+
+process.env.NODE_ENV = 'test';
+
+const failing = () => Promise.reject(new Error('upstream 502'));
+const succeeding = () => Promise.resolve('ok');
+
+describe('Circuit breaker', () => {
+  let now;
+  beforeEach(() => {
+    now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Trips only once enough calls were seen and the failure rate reaches the threshold', async () => {
+    const breaker = new CircuitBreaker({ errorThreshold: 50, minimumRequests: 4, resetTimeout: 30000 });
+
+    // Three failures in a row are not enough to judge the service
+    for (let call = 0; call < 3; call++) {
+      await expect(breaker.execute(failing)).rejects.toThrow('upstream 502');
+    }
+    expect(breaker.getState().state).toBe('CLOSED');
+
+    await expect(breaker.execute(failing)).rejects.toThrow('upstream 502');
+    expect(breaker.getState()).toMatchObject({ state: 'OPEN', failureRate: 100, retryAfter: 30, transitions: { open: 1 } });
+  });
+
+  test('An open breaker rejects without calling the service until the reset timeout passes', async () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 1, resetTimeout: 30000 });
+    const operation = jest.fn(succeeding);
+    await expect(breaker.execute(failing)).rejects.toThrow();
+
+    await expect(breaker.execute(operation)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(operation).not.toHaveBeenCalled();
+
+    now.mockReturnValue(1_020_000);
+    expect(breaker.getRetryAfter()).toBe(10);
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.getState().rejectedCount).toBe(2);
+
+    now.mockReturnValue(1_030_000);
+    await expect(breaker.execute(operation)).resolves.toBe('ok');
+    expect(breaker.getState()).toMatchObject({ state: 'CLOSED', transitions: { open: 1, halfOpen: 1, close: 1 } });
+  });
+
+  test('Half-open lets through a limited number of trial calls and a failed trial re-opens it', () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 1, resetTimeout: 30000, halfOpenMaxCalls: 2 });
+    const changes = [];
+    breaker.on('stateChange', ({ from, to }) => changes.push(`${from}->${to}`));
+    breaker.onFailure();
+
+    now.mockReturnValue(1_030_000);
+    expect([breaker.tryAcquire(), breaker.tryAcquire(), breaker.tryAcquire()]).toEqual([true, true, false]);
+    expect(breaker.getState().state).toBe('HALF_OPEN');
+
+    breaker.onFailure();
+    expect(breaker.getState()).toMatchObject({ state: 'OPEN', retryAfter: 30 });
+    expect(changes).toEqual(['CLOSED->OPEN', 'OPEN->HALF_OPEN', 'HALF_OPEN->OPEN']);
+  });
+
+  test('Slow calls count as failures even when they succeed', () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 2, errorThreshold: 50, slowCallThreshold: 1000 });
+
+    breaker.onSuccess(200);
+    expect(breaker.getState().state).toBe('CLOSED');
+
+    breaker.onSuccess(5000);
+    expect(breaker.getState()).toMatchObject({ state: 'OPEN', slowCallCount: 1, failureCount: 1, successCount: 1 });
+  });
+});
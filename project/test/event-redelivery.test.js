@@ -0,0 +1,59 @@
+import { KafkaService } from '../src/shared/messaging/kafka-service.js';
+import { SettlementService } from '../src/services/settlement-service/settlement-service.js';
+
+process.env.NODE_ENV = 'test';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+// A KafkaService that runs the broker code path against a consumer that hands back eachMessage
+const brokerKafka = () => {
+  const kafka = new KafkaService();
+  kafka.isTest = false;
+  kafka.createConsumer = async () => ({
+    subscribe: async () => {},
+    run: async ({ eachMessage }) => {
+      kafka.eachMessage = eachMessage;
+    }
+  });
+  return kafka;
+};
+
+const delivery = (value) => ({ topic: 'payment-events', partition: 0, message: { offset: '1', value: Buffer.from(value) } });
+
+describe('Kafka message redelivery', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('A failing handler only leaves the message uncommitted when it opts in', async () => {
+    const failing = async () => { throw new Error('database unavailable'); };
+
+    const committed = brokerKafka();
+    await committed.consumeMessages(['payment-events'], 'group', failing);
+    await expect(committed.eachMessage(delivery('{}'))).resolves.toBeUndefined();
+
+    const redelivered = brokerKafka();
+    await redelivered.consumeMessages(['payment-events'], 'group', failing, { redeliverOnError: true });
+    await expect(redelivered.eachMessage(delivery('{}'))).rejects.toThrow('database unavailable');
+    expect(redelivered.getStats().failed).toEqual({ 'payment-events': 1 });
+  });
+
+  test('Settlement lets a failed dispute hold be redelivered and skips unreadable events', async () => {
+    const kafka = brokerKafka();
+    const commandBus = { registerHandler: () => {}, execute: jest.fn().mockRejectedValue(new Error('database unavailable')) };
+    const settlement = new SettlementService({
+      connectionPool: { executeWithMySQLConnection: async (operation) => operation({ execute: async () => [[]] }) },
+      kafkaService: kafka,
+      commandBus,
+      queryBus: { registerHandler: () => {} },
+      logger
+    });
+    await settlement.setupEventHandlers();
+
+    const opened = JSON.stringify({ eventType: 'DisputeOpened', disputeId: 'dp_1', merchantId: 'mer_1', paymentId: 'pay_1', amount: 50 });
+    await expect(kafka.eachMessage(delivery(opened))).rejects.toThrow('database unavailable');
+
+    commandBus.execute.mockResolvedValue({ success: true });
+    await expect(kafka.eachMessage(delivery(opened))).resolves.toBeUndefined();
+    await expect(kafka.eachMessage(delivery('not json'))).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,60 @@
+import { EventStoreService } from '../src/services/event-store-service/event-store-service.js';
+
+process.env.NODE_ENV = 'test';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+// Answers the service's start-up reads: stored schema versions and saved projections
+const pool = (tables) => {
+  const connection = {
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    execute: async (sql) => {
+      if (sql.includes('FROM event_store') && sql.includes('GROUP BY')) return [tables.schemaVersions || []];
+      if (sql.startsWith('SELECT name FROM projections')) return [tables.projections || []];
+      return [[]];
+    }
+  };
+  return { isTest: true, initialize: async () => {}, executeWithMySQLConnection: async (operation) => operation(connection) };
+};
+
+const startService = async (tables) => {
+  const service = new EventStoreService({
+    connectionPool: pool(tables),
+    kafkaService: { initialize: async () => {}, produce: async () => {} },
+    logger
+  });
+  await service.initialize();
+  return service;
+};
+
+describe('Event store service', () => {
+  let service;
+  afterEach(() => {
+    service.outboxRelay.stop();
+    service.projectionSubscriber.stop();
+  });
+
+  test('Starts its outbox relay and reports stored schema versions without an upcaster', async () => {
+    service = await startService({
+      schemaVersions: [
+        { event_type: 'FundsTransferredEvent', schema_version: 1, count: 3 },
+        { event_type: 'AccountCreatedEvent', schema_version: 3, count: 1 }
+      ]
+    });
+
+    expect(service.outboxRelay.intervalId).not.toBeNull();
+    const report = await service.getSchemaVersionReport();
+    expect(report.valid).toBe(false);
+    expect(report.unregistered.map(entry => entry.eventType)).toEqual(['AccountCreatedEvent']);
+    expect(report.registered.map(entry => entry.eventType)).toContain('FundsTransferredEvent');
+  });
+
+  test('Resumes the catch-up subscription of every saved projection on start', async () => {
+    service = await startService({ projections: [{ name: 'account-balances' }, { name: 'daily-volume' }] });
+
+    expect([...service.projectionSubscriber.subscriptions.keys()]).toEqual(['account-balances', 'daily-volume']);
+    expect(service.projectionSubscriber.intervalId).not.toBeNull();
+  });
+});
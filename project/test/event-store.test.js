@@ -0,0 +1,153 @@
+import EventStore from '../src/shared/event-sourcing/event-store.js';
+import AggregateRepository from '../src/shared/event-sourcing/aggregate-repository.js';
+import ConcurrencyError from '../src/shared/event-sourcing/concurrency-error.js';
+import DatabaseConnectionPool from '../src/shared/database/connection-pool.js';
+
+process.env.NODE_ENV = 'test';
+
+class AmountAdded {
+  constructor(amount) {
+    this.amount = amount;
+  }
+}
+
+// A stream head at `version`; the insert into event_store fails with insertError when given
+const storePool = ({ version = null, insertError = null } = {}) => {
+  const calls = [];
+  const connection = {
+    beginTransaction: async () => calls.push('begin'),
+    commit: async () => calls.push('commit'),
+    rollback: async () => calls.push('rollback'),
+    execute: async (sql) => {
+      if (sql.includes('SELECT MAX(event_version)')) return [[{ version }]];
+      if (sql.includes('INSERT INTO event_store') && insertError) throw insertError;
+      if (sql.includes('INSERT')) calls.push(sql.includes('event_outbox') ? 'outbox' : 'events');
+      return [{ affectedRows: 1 }];
+    }
+  };
+  const collection = {
+    createIndex: async () => {},
+    findOne: async () => (version === null ? null : { eventVersion: version }),
+    insertMany: async () => calls.push('mongo'),
+    deleteMany: async () => calls.push('mongo-removed')
+  };
+  return {
+    calls,
+    executeWithMySQLConnection: async (operation) => operation(connection),
+    getMongoDatabase: () => ({ collection: () => collection })
+  };
+};
+
+const mysqlError = (code) => Object.assign(new Error(code), { code });
+
+describe('Event store concurrency', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Appending at the expected version writes the events and their outbox rows together', async () => {
+    const pool = storePool({ version: 1 });
+    const saved = await new EventStore(pool).saveEvents('acc_1', [new AmountAdded(5)], 1);
+
+    expect(saved[0]).toMatchObject({ aggregateId: 'acc_1', eventType: 'AmountAdded', eventVersion: 2 });
+    expect(pool.calls).toEqual(['begin', 'events', 'outbox', 'mongo', 'commit']);
+  });
+
+  test('A stale expected version is refused before anything is written', async () => {
+    const pool = storePool({ version: 3 });
+    const error = await new EventStore(pool).saveEvents('acc_1', [new AmountAdded(5)], 1).catch(failure => failure);
+
+    expect(ConcurrencyError.isConcurrencyError(error)).toBe(true);
+    expect(error).toMatchObject({ expectedVersion: 1, actualVersion: 3 });
+    expect(pool.calls).toEqual(['begin', 'rollback']);
+  });
+
+  test('Duplicate versions and deadlocks between racing appends are concurrency conflicts', async () => {
+    for (const code of ['ER_DUP_ENTRY', 'ER_LOCK_DEADLOCK']) {
+      const pool = storePool({ insertError: mysqlError(code) });
+      await expect(new EventStore(pool).saveEvents('acc_new', [new AmountAdded(5)], -1)).rejects.toBeInstanceOf(ConcurrencyError);
+      expect(pool.calls).toEqual(['begin', 'rollback']);
+    }
+
+    const unrelated = storePool({ insertError: mysqlError('ER_NO_SUCH_TABLE') });
+    await expect(new EventStore(unrelated).saveEvents('acc_new', [new AmountAdded(5)], -1)).rejects.toMatchObject({ code: 'ER_NO_SUCH_TABLE' });
+  });
+
+  test('The repository reloads the aggregate and retries after losing a race', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const stream = [];
+    const eventStore = {
+      getLatestSnapshot: async () => null,
+      getEvents: async () => stream.slice(),
+      saveEvents: jest.fn(async (id, events, expectedVersion) => {
+        if (expectedVersion !== stream.length - 1) {
+          throw new ConcurrencyError(id, expectedVersion, stream.length - 1);
+        }
+        stream.push(...events);
+      })
+    };
+
+    const aggregate = (id) => ({
+      id,
+      version: -1,
+      total: 0,
+      pending: [],
+      loadFromHistory(events) {
+        events.forEach(event => { this.total += event.amount; this.version += 1; });
+      },
+      add(amount) {
+        this.pending.push(new AmountAdded(amount));
+        this.total += amount;
+      },
+      getUncommittedEvents() { return this.pending; },
+      markEventsAsCommitted() {
+        this.version += this.pending.length;
+        this.pending = [];
+      }
+    });
+
+    const repository = new AggregateRepository(eventStore, aggregate, { baseDelay: 1, maxDelay: 1, logger: { error: () => {} } });
+    let raced = false;
+    const updated = await repository.update('acc_1', async (account) => {
+      if (!raced) {
+        // Another writer appends between our read and our save
+        raced = true;
+        stream.push(new AmountAdded(10));
+      }
+      account.add(5);
+    });
+
+    expect(eventStore.saveEvents).toHaveBeenCalledTimes(2);
+    expect(updated.total).toBe(15);
+    expect(stream.map(event => event.amount)).toEqual([10, 5]);
+  });
+});
+
+describe('Event store on the in-memory databases', () => {
+  test('The MongoDB unique index refuses a second event at the same version', async () => {
+    const events = new DatabaseConnectionPool().getMongoDatabase().collection('event_store');
+    await events.createIndex({ aggregateId: 1, eventVersion: 1 }, { unique: true });
+    await events.insertMany([{ id: 'ev_1', aggregateId: 'acc_1', eventVersion: 0 }, { id: 'ev_2', aggregateId: 'acc_1', eventVersion: 1 }]);
+
+    await expect(events.insertMany([{ id: 'ev_3', aggregateId: 'acc_1', eventVersion: 1 }])).rejects.toMatchObject({ code: 11000 });
+    await expect(events.findOne({ aggregateId: 'acc_1' }, { sort: { eventVersion: -1 } })).resolves.toMatchObject({ id: 'ev_2' });
+  });
+
+  test('Conflicting appends to MongoDB are concurrency conflicts and leave one copy of the stream', async () => {
+    const pool = new DatabaseConnectionPool();
+    const store = new EventStore(pool);
+    const stored = () => pool.getMongoDatabase().collection('event_store').find({}).toArray();
+
+    await store.saveEvents('acc_1', [new AmountAdded(5)], -1);
+    await expect(store.saveEvents('acc_1', [new AmountAdded(7)], -1)).rejects.toMatchObject({ expectedVersion: -1, actualVersion: 0 });
+
+    // Both pass the version check before either inserts, so the unique index decides
+    const racing = await Promise.allSettled([
+      store.saveEvents('acc_2', [new AmountAdded(1), new AmountAdded(2)], -1),
+      store.saveEvents('acc_2', [new AmountAdded(3)], -1)
+    ]);
+    expect(racing.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(racing[1].reason).toBeInstanceOf(ConcurrencyError);
+
+    const events = await stored();
+    expect(events.map(event => [event.aggregateId, event.eventVersion])).toEqual([['acc_1', 0], ['acc_2', 0], ['acc_2', 1]]);
+  });
+});
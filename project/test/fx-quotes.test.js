@@ -0,0 +1,112 @@
+import { CurrencyCommandHandler } from '../src/services/currency-service/handlers/currency-command-handler.js';
+import { ExecuteFxQuoteCommand, ReleaseFxQuoteCommand } from '../src/services/currency-service/commands/currency-commands.js';
+
+process.env.NODE_ENV = 'test';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+const customer = { userId: 'cus_1', roles: ['user'], scopes: [] };
+const accountService = { userId: 'service:account-service', roles: [], scopes: ['currency:write'] };
+
+const quoteRow = (fields = {}) => ({
+  id: 'qt_1',
+  from_currency: 'USD',
+  to_currency: 'EUR',
+  amount: '100.00',
+  converted_amount: '91.77',
+  rate: '0.9200',
+  fee: '0.25',
+  user_id: 'cus_1',
+  status: 'open',
+  expires_at: new Date(Date.now() + 30000),
+  ...fields
+});
+
+// Answers the quote lookup with the given row and records the conversions and other writes
+const quoteHandler = (row) => {
+  const conversions = [];
+  const writes = [];
+  const events = [];
+  const connection = {
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    execute: async (sql, params) => {
+      if (sql.startsWith('SELECT * FROM fx_quotes')) return [[row]];
+      if (sql.includes('INSERT INTO currency_conversions')) conversions.push(params);
+      writes.push(sql.trim().split(' ')[0]);
+      return [{ affectedRows: 1 }];
+    }
+  };
+  const handler = new CurrencyCommandHandler({
+    connectionPool: { executeWithMySQLConnection: async (operation) => operation(connection) },
+    eventStore: { saveEvent: async (event) => events.push(event) },
+    kafkaService: { publishMessage: async () => {} },
+    logger
+  });
+  return { handler, conversions, writes, events };
+};
+
+const execute = (handler, identity) => handler.handle(new ExecuteFxQuoteCommand({ quoteId: 'qt_1', identity }));
+const release = (handler, identity) => handler.handle(new ReleaseFxQuoteCommand({
+  quoteId: 'qt_1',
+  identity,
+  reason: 'Insufficient funds in account acc_usd',
+  metadata: { journalEntryId: 'je_1' }
+}));
+
+describe('FX quote execution', () => {
+  test('Only the quote owner or a service acting for them executes a quote', async () => {
+    const other = { userId: 'cus_2', roles: ['user'], scopes: [] };
+    await expect(execute(quoteHandler(quoteRow()).handler, other)).rejects.toMatchObject({ code: 'FX_QUOTE_FORBIDDEN' });
+
+    const owned = quoteHandler(quoteRow());
+    await expect(execute(owned.handler, customer)).resolves.toMatchObject({ quoteId: 'qt_1', convertedAmount: 91.77 });
+    expect(owned.conversions[0][7]).toBe('cus_1');
+
+    const forCustomer = quoteHandler(quoteRow());
+    await expect(execute(forCustomer.handler, accountService)).resolves.toMatchObject({ quoteId: 'qt_1' });
+    expect(forCustomer.conversions[0][7]).toBe('cus_1');
+  });
+
+  test('A quote without an owner is not open to every caller', async () => {
+    await expect(execute(quoteHandler(quoteRow({ user_id: null })).handler, customer)).rejects.toMatchObject({ code: 'FX_QUOTE_FORBIDDEN' });
+  });
+
+  test('Executing requires the caller identity', async () => {
+    await expect(execute(quoteHandler(quoteRow()).handler, undefined)).rejects.toThrow('Caller identity is required');
+  });
+});
+
+describe('FX quote release', () => {
+  test('An executed quote is made executable again and its conversion removed', async () => {
+    const executed = quoteHandler(quoteRow({ status: 'executed', conversion_id: 'cv_1' }));
+
+    await expect(release(executed.handler, accountService)).resolves.toEqual({ quoteId: 'qt_1', conversionId: 'cv_1', released: true });
+    expect(executed.writes).toEqual(['UPDATE', 'DELETE']);
+    expect(executed.events).toEqual([expect.objectContaining({
+      eventType: 'FX_QUOTE_RELEASED',
+      quoteId: 'qt_1',
+      conversionId: 'cv_1',
+      userId: 'cus_1',
+      reason: 'Insufficient funds in account acc_usd',
+      metadata: { journalEntryId: 'je_1' }
+    })]);
+  });
+
+  test('Releasing a quote that is not executed changes nothing', async () => {
+    const open = quoteHandler(quoteRow());
+
+    await expect(release(open.handler, accountService)).resolves.toEqual({ quoteId: 'qt_1', released: false });
+    expect(open.writes).toEqual([]);
+    expect(open.events).toEqual([]);
+  });
+
+  test('Only the quote owner or a service acting for them releases a quote', async () => {
+    const other = { userId: 'cus_2', roles: ['user'], scopes: [] };
+    const executed = quoteHandler(quoteRow({ status: 'executed', conversion_id: 'cv_1' }));
+
+    await expect(release(executed.handler, other)).rejects.toMatchObject({ code: 'FX_QUOTE_FORBIDDEN' });
+    expect(executed.writes).toEqual([]);
+  });
+});
@@ -0,0 +1,142 @@
+import jwt from 'jsonwebtoken';
+import { CurrencyClient } from '../src/services/account-service/clients/currency-client.js';
+import { Ledger } from '../src/services/account-service/ledger/ledger.js';
+import { AccountCommandHandler } from '../src/services/account-service/handlers/account-command-handler.js';
+import { TransferFundsCommand } from '../src/services/account-service/commands/account-commands.js';
+
+process.env.NODE_ENV = 'test';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+const reply = (status, body) => ({ ok: status < 400, status, statusText: String(status), json: async () => body });
+
+const accounts = {
+  acc_usd: { id: 'acc_usd', user_id: 'cus_1', balance: '500', currency: 'USD', status: 'active' },
+  acc_eur: { id: 'acc_eur', user_id: 'cus_2', balance: '0', currency: 'EUR', status: 'active' }
+};
+
+// Runs a USD -> EUR transfer through the real ledger; calls records the order in which the
+// accounts are locked, the quote is settled and the entry is committed or rolled back
+const transferHandler = ({ failCommit = false, releaseFails = false } = {}) => {
+  const calls = [];
+  const connection = {
+    beginTransaction: async () => calls.push('begin'),
+    commit: async () => {
+      calls.push('commit');
+      if (failCommit) throw new Error('Lost connection to MySQL server during query');
+    },
+    rollback: async () => calls.push('rollback'),
+    execute: async (sql, params) => {
+      if (sql.includes('FOR UPDATE')) {
+        calls.push('lock');
+        return [[accounts.acc_eur, accounts.acc_usd]];
+      }
+      if (sql.includes('FROM accounts')) {
+        return [[accounts[params[0]]]];
+      }
+      return [{ affectedRows: 1 }];
+    }
+  };
+  const connectionPool = { executeWithMySQLConnection: async (operation) => operation(connection) };
+  const currencyClient = {
+    getQuote: jest.fn(async () => ({ quoteId: 'qt_1', rate: 0.92, fee: 0.25, convertedAmount: 91.77, lockedUntil: new Date(Date.now() + 30000).toISOString() })),
+    executeQuote: jest.fn(async () => calls.push('execute')),
+    releaseQuote: jest.fn(async () => {
+      calls.push('release');
+      if (releaseFails) throw new Error('Currency quote release failed: Service Unavailable');
+    })
+  };
+  const handler = new AccountCommandHandler({
+    connectionPool,
+    ledger: new Ledger({ connectionPool, logger }),
+    currencyClient,
+    dualWriter: { writeToAllDatabases: async () => {} },
+    accountRepository: { update: async () => {} },
+    kafkaService: { produce: async () => {} },
+    logger: { ...logger, error: jest.fn() }
+  });
+  return { calls, currencyClient, handler };
+};
+
+const transfer = (amount = 100) => new TransferFundsCommand({
+  fromAccountId: 'acc_usd',
+  toAccountId: 'acc_eur',
+  amount,
+  currency: 'USD',
+  reference: 'ref_1',
+  transferredBy: 'cus_1'
+});
+
+describe('Cross-currency transfers', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Quotes are created for the account owner, executed and released through the gateway', async () => {
+    jest.spyOn(global, 'fetch')
+      .mockResolvedValueOnce(reply(201, { success: true, data: { quoteId: 'qt_1', rate: 0.92, fee: 0.25, convertedAmount: 91.7700004, expiresAt: '2026-10-19T10:00:30.000Z' } }))
+      .mockResolvedValueOnce(reply(410, { success: false, error: 'FX quote qt_1 expired', code: 'FX_QUOTE_EXPIRED' }));
+    const client = new CurrencyClient({ gatewayUrl: 'http://gateway' });
+
+    const quote = await client.getQuote('USD', 'EUR', 100, 'cus_1');
+    expect(quote).toMatchObject({ quoteId: 'qt_1', rate: 0.92, fee: 0.25, convertedAmount: 91.77, lockedUntil: '2026-10-19T10:00:30.000Z' });
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://gateway/api/currency/quotes');
+    expect(JSON.parse(request.body)).toEqual({ from: 'USD', to: 'EUR', amount: 100, userId: 'cus_1' });
+    expect(jwt.decode(request.headers.Authorization.slice('Bearer '.length)).sub).toBe('service:account-service');
+
+    await expect(client.executeQuote('qt_1')).rejects.toMatchObject({ code: 'FX_QUOTE_EXPIRED' });
+    expect(global.fetch.mock.calls[1][0]).toBe('http://gateway/api/currency/quotes/qt_1/execute');
+
+    global.fetch.mockResolvedValueOnce(reply(200, { success: true, data: { quoteId: 'qt_1', released: true } }));
+    await expect(client.releaseQuote('qt_1', 'Insufficient funds', { journalEntryId: 'je_1' })).resolves.toEqual({ quoteId: 'qt_1', released: true });
+    expect(global.fetch.mock.calls[2][0]).toBe('http://gateway/api/currency/quotes/qt_1/release');
+    expect(JSON.parse(global.fetch.mock.calls[2][1].body)).toEqual({ reason: 'Insufficient funds', metadata: { journalEntryId: 'je_1' } });
+  });
+
+  test('The quote is executed before the accounts are locked and the entry is posted under its journal entry id', async () => {
+    const { calls, currencyClient, handler } = transferHandler();
+
+    const result = await handler.handleTransferFunds(transfer());
+
+    expect(calls).toEqual(['execute', 'begin', 'lock', 'commit']);
+    expect(currencyClient.executeQuote).toHaveBeenCalledWith('qt_1', { journalEntryId: result.transferId, reference: 'ref_1' });
+    expect(currencyClient.releaseQuote).not.toHaveBeenCalled();
+    expect(result.creditedAmount).toBe(91.77);
+    expect(result.toAccount.balance).toBe(91.77);
+  });
+
+  test('A refused quote posts nothing', async () => {
+    const { calls, currencyClient, handler } = transferHandler();
+    const expired = Object.assign(new Error('Currency quote execution failed: expired'), { code: 'FX_QUOTE_EXPIRED' });
+    currencyClient.executeQuote.mockRejectedValueOnce(expired);
+
+    await expect(handler.handleTransferFunds(transfer())).rejects.toBe(expired);
+    expect(calls).toEqual([]);
+    expect(currencyClient.releaseQuote).not.toHaveBeenCalled();
+  });
+
+  test('The quote is released when the entry is rejected or its commit fails', async () => {
+    const overdrawn = transferHandler();
+    await expect(overdrawn.handler.handleTransferFunds(transfer(600))).rejects.toThrow('Insufficient funds in account acc_usd');
+    expect(overdrawn.calls).toEqual(['execute', 'begin', 'lock', 'rollback', 'release']);
+    const [quoteId, reason, { journalEntryId }] = overdrawn.currencyClient.releaseQuote.mock.calls[0];
+    expect(quoteId).toBe('qt_1');
+    expect(reason).toBe('Insufficient funds in account acc_usd');
+    expect(journalEntryId).toBe(overdrawn.currencyClient.executeQuote.mock.calls[0][1].journalEntryId);
+
+    const lost = transferHandler({ failCommit: true });
+    await expect(lost.handler.handleTransferFunds(transfer())).rejects.toThrow('Lost connection');
+    expect(lost.calls).toEqual(['execute', 'begin', 'lock', 'commit', 'rollback', 'release']);
+  });
+
+  test('A release that fails is logged and the transfer error is still reported', async () => {
+    const { calls, handler } = transferHandler({ failCommit: true, releaseFails: true });
+
+    await expect(handler.handleTransferFunds(transfer())).rejects.toThrow('Lost connection');
+    expect(calls[calls.length - 1]).toBe('release');
+    expect(handler.logger.error).toHaveBeenCalledWith(
+      'Failed to release FX quote of a transfer that was not posted',
+      expect.objectContaining({ quoteId: 'qt_1', error: 'Currency quote release failed: Service Unavailable' })
+    );
+  });
+});
@@ -0,0 +1,59 @@
+import { PaymentCommandHandler } from '../../src/services/payment-service/handlers/payment-command-handler.js';
+import { PaymentAggregate } from '../../src/services/payment-service/aggregates/payment-aggregate.js';
+import AggregateRepository from '../../src/shared/event-sourcing/aggregate-repository.js';
+import { InMemoryPaymentStore } from '../../src/services/payment-service/payments/payment-store.js';
+
+export const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+// Lets work the command handlers start with setImmediate run to completion
+export const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// Event streams and the payments read model kept in memory
+export const createPaymentStores = () => {
+  const streams = new Map();
+  const payments = new InMemoryPaymentStore();
+
+  const eventStore = {
+    async saveEvents(aggregateId, events) {
+      const stream = streams.get(aggregateId) || [];
+      events.forEach(event => stream.push({
+        eventVersion: stream.length,
+        eventData: JSON.parse(JSON.stringify(event))
+      }));
+      streams.set(aggregateId, stream);
+    },
+    async getEvents(aggregateId, fromVersion = -1) {
+      return (streams.get(aggregateId) || []).filter(event => event.eventVersion > fromVersion);
+    },
+    async getLatestSnapshot() {
+      return null;
+    },
+    async createSnapshot() {}
+  };
+
+  const connectionPool = {
+    isTest: true,
+    executeWithMySQLConnection: async (operation) => operation({ execute: async () => [[]] }),
+    getMongoDatabase: () => ({
+      collection: () => ({ updateOne: async () => {}, findOne: async () => null, find: () => ({ toArray: async () => [] }) })
+    })
+  };
+
+  const dualWriter = { async writeToAllDatabases() {} };
+
+  return { streams, rows: payments.payments, payments, eventStore, connectionPool, dualWriter };
+};
+
+// A payment command handler on the given stores that charges through `gateways` and collects
+// what it publishes in `published`. Fraud checks always pass.
+export const createPaymentHandler = (stores, { gateways, published = [] }) => {
+  const handler = new PaymentCommandHandler({
+    ...stores,
+    kafkaService: { produce: async (topic, message) => published.push(JSON.parse(message.value)) },
+    gateways,
+    paymentRepository: new AggregateRepository(stores.eventStore, (id) => new PaymentAggregate(id)),
+    logger
+  });
+  handler.performFraudCheck = async () => ({ riskScore: 0, riskFactors: [] });
+  return handler;
+};
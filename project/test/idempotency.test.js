@@ -0,0 +1,96 @@
+import express from 'express';
+import { fingerprintRequest, idempotency, InMemoryIdempotencyStore, scopeKey } from '../src/shared/middleware/idempotency.js';
+
+process.env.NODE_ENV = 'test';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+// A service that counts the payments it creates; X-Test-User stands in for the gateway identity
+const paymentService = async (options = {}) => {
+  const created = [];
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.identity = req.get('X-Test-User') ? { userId: req.get('X-Test-User'), roles: [] } : null;
+    next();
+  });
+  app.use(idempotency({ store: options.store || new InMemoryIdempotencyStore(), logger, ...options }));
+  app.post('/payments', async (req, res) => {
+    if (options.hold) await options.hold;
+    created.push({ userId: req.identity && req.identity.userId, amount: req.body.amount });
+    res.status(201).json({ success: true, data: { id: `pay_${created.length}` } });
+  });
+
+  const server = await new Promise(resolve => { const listening = app.listen(0, () => resolve(listening)); });
+  const post = (user, key, body) => fetch(`http://127.0.0.1:${server.address().port}/payments`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': key, ...(user ? { 'X-Test-User': user } : {}) },
+    body: JSON.stringify(body)
+  });
+  return { created, post, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+describe('Idempotency keys', () => {
+  let service;
+  afterEach(async () => service && service.close());
+
+  test('A retried request is answered with the stored response', async () => {
+    service = await paymentService();
+
+    const first = await service.post('cus_1', 'key-1', { amount: 10 });
+    const retried = await service.post('cus_1', 'key-1', { amount: 10 });
+
+    expect(retried.status).toBe(201);
+    expect(retried.headers.get('Idempotent-Replayed')).toBe('true');
+    expect(await retried.json()).toEqual(await first.json());
+    expect(service.created).toHaveLength(1);
+
+    expect((await service.post('cus_1', 'key-1', { amount: 20 })).status).toBe(422);
+  });
+
+  test('Callers who pick the same key do not see or block each other', async () => {
+    service = await paymentService();
+
+    await service.post('cus_1', 'order-1', { amount: 10 });
+    const other = await service.post('cus_2', 'order-1', { amount: 99 });
+
+    expect(other.status).toBe(201);
+    expect(other.headers.get('Idempotent-Replayed')).toBeNull();
+    expect(service.created).toEqual([{ userId: 'cus_1', amount: 10 }, { userId: 'cus_2', amount: 99 }]);
+  });
+
+  test('A key held by a request that never finished is free again once its lease ends', async () => {
+    const store = new InMemoryIdempotencyStore();
+    const now = jest.spyOn(Date, 'now');
+    now.mockReturnValue(1_000_000);
+
+    // A request that died while processing leaves its reservation behind
+    const request = { identity: { userId: 'cus_1' }, method: 'POST', originalUrl: '/payments', body: { amount: 10 } };
+    await store.reserve(scopeKey(request, 'key-1'), fingerprintRequest(request), 30000);
+    service = await paymentService({ store, lease: 30000, ttl: 24 * 60 * 60 * 1000 });
+
+    expect((await service.post('cus_1', 'key-1', { amount: 10 })).status).toBe(409);
+
+    now.mockReturnValue(1_030_001);
+    const retried = await service.post('cus_1', 'key-1', { amount: 10 });
+    expect(retried.status).toBe(201);
+
+    // The completed response outlives the lease
+    now.mockReturnValue(1_030_001 + 60 * 60 * 1000);
+    expect((await service.post('cus_1', 'key-1', { amount: 10 })).headers.get('Idempotent-Replayed')).toBe('true');
+    expect(service.created).toHaveLength(1);
+    now.mockRestore();
+  });
+
+  test('A concurrent request with a key still being processed is answered 409', async () => {
+    let release;
+    service = await paymentService({ hold: new Promise(resolve => { release = resolve; }) });
+
+    const first = service.post('cus_1', 'key-1', { amount: 10 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect((await service.post('cus_1', 'key-1', { amount: 10 })).status).toBe(409);
+
+    release();
+    expect((await first).status).toBe(201);
+  });
+});
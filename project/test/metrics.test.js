@@ -0,0 +1,121 @@
+import express from 'express';
+import MetricsRegistry from '../src/shared/metrics/metrics-registry.js';
+import { httpMetrics, instrumentBulkhead, instrumentCircuitBreakers, metricsHandler } from '../src/shared/metrics/instrumentation.js';
+import CircuitBreaker from '../src/shared/patterns/circuit-breaker.js';
+import Bulkhead from '../src/shared/patterns/bulkhead.js';
+
+process.env.NODE_ENV = 'test';
+
+const linesOf = (text, name) => text.split('\n').filter(line => line.startsWith(name));
+
+describe('Prometheus metrics', () => {
+  let registry;
+  beforeEach(() => {
+    registry = new MetricsRegistry({ collectDefaultMetrics: false, defaultLabels: { service: 'payment-service' } });
+  });
+
+  test('Counters and gauges are exposed with their help, type and labels', async () => {
+    const payments = registry.counter({ name: 'payments_total', help: 'Payments processed', labelNames: ['status'] });
+    payments.inc({ status: 'captured' });
+    payments.inc({ status: 'captured' }, 2);
+    payments.inc({ status: 'failed' });
+    registry.gauge({ name: 'queue_depth', help: 'Messages waiting' }).set(7);
+
+    expect(await registry.metricsText()).toBe([
+      '# HELP payments_total Payments processed',
+      '# TYPE payments_total counter',
+      'payments_total{service="payment-service",status="captured"} 3',
+      'payments_total{service="payment-service",status="failed"} 1',
+      '# HELP queue_depth Messages waiting',
+      '# TYPE queue_depth gauge',
+      'queue_depth{service="payment-service"} 7',
+      ''
+    ].join('\n'));
+    expect(() => payments.inc(-1)).toThrow('cannot be decreased');
+  });
+
+  test('Histogram buckets are cumulative and end with +Inf, _sum and _count', async () => {
+    const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['route'], buckets: [1, 0.1, 0.5] });
+    [0.05, 0.3, 0.3, 0.7, 4].forEach(value => latency.observe({ route: '/payments' }, value));
+
+    expect(linesOf(await registry.metricsText(), 'latency_seconds')).toEqual([
+      'latency_seconds_bucket{service="payment-service",route="/payments",le="0.1"} 1',
+      'latency_seconds_bucket{service="payment-service",route="/payments",le="0.5"} 3',
+      'latency_seconds_bucket{service="payment-service",route="/payments",le="1"} 4',
+      'latency_seconds_bucket{service="payment-service",route="/payments",le="+Inf"} 5',
+      'latency_seconds_sum{service="payment-service",route="/payments"} 5.35',
+      'latency_seconds_count{service="payment-service",route="/payments"} 5'
+    ]);
+  });
+
+  test('Label values are escaped and undeclared or reserved labels are refused', async () => {
+    const errors = registry.counter({ name: 'errors_total', help: 'Errors\nby "reason"', labelNames: ['reason'] });
+    errors.inc({ reason: 'bad "quote"\\path\nnext line' });
+
+    const text = await registry.metricsText();
+    expect(text).toContain('# HELP errors_total Errors\\nby "reason"');
+    expect(text).toContain('errors_total{service="payment-service",reason="bad \\"quote\\"\\\\path\\nnext line"} 1');
+
+    expect(() => errors.inc({ status: 'failed' })).toThrow('Unknown label status for metric errors_total');
+    expect(() => registry.histogram({ name: 'sizes', labelNames: ['le'] })).toThrow('reserved label le');
+    expect(() => registry.gauge({ name: 'bad-name' })).toThrow('Invalid metric name');
+    expect(() => registry.gauge({ name: 'errors_total' })).toThrow('already registered as a counter');
+  });
+
+  test('HTTP requests are labelled with the route pattern rather than the raw path', async () => {
+    const app = express();
+    app.use(httpMetrics(registry));
+    const router = express.Router();
+    router.get('/payments/:id', (req, res) => res.json({ id: req.params.id }));
+    app.use('/api', router);
+    app.get('/metrics', metricsHandler(registry));
+    const server = await new Promise(resolve => { const listening = app.listen(0, () => resolve(listening)); });
+    const get = path => fetch(`http://127.0.0.1:${server.address().port}${path}`);
+
+    try {
+      await get('/api/payments/pay_1');
+      await get('/api/payments/pay_2');
+      await get('/nowhere');
+
+      const scrape = await get('/metrics');
+      expect(scrape.headers.get('Content-Type')).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      const text = await scrape.text();
+      expect(linesOf(text, 'http_requests_total')).toEqual([
+        'http_requests_total{service="payment-service",method="GET",route="/api/payments/:id",status_code="200"} 2',
+        'http_requests_total{service="payment-service",method="GET",route="unmatched",status_code="404"} 1'
+      ]);
+      expect(text).not.toContain('pay_1');
+      expect(text).toContain('http_request_duration_seconds_count{service="payment-service",method="GET",route="/api/payments/:id",status_code="200"} 2');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('Breaker and bulkhead gauges are read from their current state on every scrape', async () => {
+    const account = new CircuitBreaker({ minimumRequests: 1 });
+    const payment = new CircuitBreaker();
+    instrumentCircuitBreakers(registry, { account, payment });
+    const bulkhead = new Bulkhead();
+    bulkhead.createPool('account', 4);
+    instrumentBulkhead(registry, bulkhead);
+
+    account.onFailure();
+    account.tryAcquire();
+    let release;
+    const held = bulkhead.execute('account', () => new Promise(resolve => { release = resolve; }));
+
+    const text = await registry.metricsText();
+    expect(linesOf(text, 'circuit_breaker_state')).toEqual([
+      'circuit_breaker_state{service="payment-service",breaker="account"} 2',
+      'circuit_breaker_state{service="payment-service",breaker="payment"} 0'
+    ]);
+    expect(text).toContain('circuit_breaker_rejected_total{service="payment-service",breaker="account"} 1');
+    expect(text).toContain('circuit_breaker_transitions_total{service="payment-service",breaker="account",to="OPEN"} 1');
+    expect(text).toContain('bulkhead_active{service="payment-service",pool="account"} 1');
+    expect(text).toContain('bulkhead_utilization_ratio{service="payment-service",pool="account"} 0.25');
+
+    release();
+    await held;
+    expect(await registry.metricsText()).toContain('bulkhead_active{service="payment-service",pool="account"} 0');
+  });
+});
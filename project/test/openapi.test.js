@@ -0,0 +1,60 @@
+import fs from 'fs';
+import path from 'path';
+import { describeApi, toOpenApiPath } from '../src/shared/validation/schema-description.js';
+
+process.env.NODE_ENV = 'test';
+
+// Operational endpoints every service exposes outside its API description
+const OPERATIONAL_ROUTES = ['/health', '/metrics', '/openapi.json'];
+
+const ROUTE_REGISTRATION = /\bapp\.(get|post|put|patch|delete)\(\s*['"`]([^'"`]+)['"`]/g;
+
+const services = [
+  ['account-service', 'account-schemas.js', 'accountRoutes'],
+  ['analytics-service', 'analytics-schemas.js', 'analyticsRoutes'],
+  ['audit-service', 'audit-schemas.js', 'auditRoutes'],
+  ['currency-service', 'currency-schemas.js', 'currencyRoutes'],
+  ['event-store-service', 'event-store-schemas.js', 'eventStoreRoutes'],
+  ['notification-service', 'notification-schemas.js', 'notificationRoutes'],
+  ['payment-service', 'payment-schemas.js', 'paymentRoutes'],
+  ['reporting-service', 'reporting-schemas.js', 'reportingRoutes'],
+  ['risk-assessment-service', 'risk-schemas.js', 'riskRoutes'],
+  ['settlement-service', 'settlement-schemas.js', 'settlementRoutes'],
+  ['transaction-service', 'transaction-schemas.js', 'transactionRoutes'],
+  ['user-service', 'user-schemas.js', 'userRoutes']
+];
+
+// Reads the routes from source rather than importing the servers, which connect and listen on import
+function registeredRoutes(serviceDir) {
+  const source = fs.readFileSync(path.join(__dirname, '../src/services', serviceDir, 'server.js'), 'utf8');
+  return [...source.matchAll(ROUTE_REGISTRATION)]
+    .map(([, method, routePath]) => ({ method, path: routePath }))
+    .filter(route => !OPERATIONAL_ROUTES.includes(route.path));
+}
+
+describe('OpenAPI descriptions', () => {
+  test.each(services)('%s documents every registered route', async (serviceDir, schemasFile, exportName) => {
+    const schemas = await import(`../src/services/${serviceDir}/schemas/${schemasFile}`);
+    const spec = describeApi({ title: serviceDir, routes: schemas[exportName] });
+
+    const undocumented = registeredRoutes(serviceDir)
+      .filter(route => !(spec.paths[toOpenApiPath(route.path)] || {})[route.method])
+      .map(route => `${route.method.toUpperCase()} ${route.path}`);
+
+    expect(undocumented).toEqual([]);
+    console.log(`✓ ${serviceDir} routes are all documented`);
+  });
+
+  test('Path parameters are described for every templated path', async () => {
+    const { paymentRoutes } = await import('../src/services/payment-service/schemas/payment-schemas.js');
+    const spec = describeApi({ title: 'payment-service', routes: paymentRoutes });
+
+    Object.entries(spec.paths).forEach(([specPath, operations]) => {
+      const names = (specPath.match(/\{([^}]+)\}/g) || []).map(name => name.slice(1, -1));
+      Object.values(operations).forEach((operation) => {
+        const documented = operation.parameters.filter(p => p.in === 'path').map(p => p.name);
+        expect(documented.sort()).toEqual(names.sort());
+      });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import OutboxRelay from '../src/shared/event-sourcing/outbox-relay.js';
+
+process.env.NODE_ENV = 'test';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+// An event_outbox table in memory; rows in locked are invisible to the relay's SKIP LOCKED read
+const outbox = (rows, locked = new Set()) => {
+  const connection = {
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+    execute: async (sql, params = []) => {
+      if (sql.includes('FOR UPDATE SKIP LOCKED')) {
+        return [rows.filter(row => row.status === 'pending' && !locked.has(row.id)).sort((a, b) => a.sequence - b.sequence)];
+      }
+      if (sql.startsWith('SELECT id FROM event_outbox')) {
+        const [aggregateId, sequence] = params;
+        return [rows.filter(row => row.aggregate_id === aggregateId && row.sequence < sequence && row.status !== 'sent')];
+      }
+      if (sql.includes("SET status = 'sent'")) {
+        const row = rows.find(candidate => candidate.id === params[1]);
+        Object.assign(row, { status: 'sent', attempts: row.attempts + 1 });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.includes("SET status = 'pending'")) {
+        const row = rows.find(candidate => candidate.id === params[0] && candidate.status === 'failed');
+        if (row) Object.assign(row, { status: 'pending', attempts: 0 });
+        return [{ affectedRows: row ? 1 : 0 }];
+      }
+      const row = rows.find(candidate => candidate.id === params[3]);
+      Object.assign(row, { status: params[0], attempts: params[1], last_error: params[2] });
+      return [{ affectedRows: 1 }];
+    }
+  };
+  return { executeWithMySQLConnection: async (operation) => operation(connection) };
+};
+
+const row = (sequence, aggregateId) => ({
+  id: `msg_${sequence}`, sequence, aggregate_id: aggregateId, topic: 'account-events',
+  message_key: aggregateId, payload: `{"sequence":${sequence}}`, headers: null, status: 'pending', attempts: 0
+});
+
+describe('Outbox relay', () => {
+  test('A failing message holds back only its own aggregate', async () => {
+    const rows = [row(1, 'acc_a'), row(2, 'acc_b'), row(3, 'acc_a'), row(4, 'acc_b')];
+    const sent = [];
+    const kafka = {
+      produce: async (topic, message) => {
+        if (message.key === 'acc_a') throw new Error('broker rejected message');
+        sent.push(message.value);
+      }
+    };
+    const relay = new OutboxRelay(outbox(rows), kafka, { logger, maxAttempts: 2 });
+
+    await expect(relay.relayPending()).resolves.toBe(2);
+    expect(sent).toEqual(['{"sequence":2}', '{"sequence":4}']);
+    expect(rows.map(candidate => candidate.status)).toEqual(['pending', 'sent', 'pending', 'sent']);
+
+    // Marked failed after maxAttempts, it keeps holding acc_a rather than letting msg_3 overtake it
+    await relay.relayPending();
+    await relay.relayPending();
+    expect(rows[0]).toMatchObject({ status: 'failed', attempts: 2 });
+    expect(rows[2]).toMatchObject({ status: 'pending', attempts: 0 });
+
+    // Once retried and delivered, acc_a's events go out in order
+    kafka.produce = async (topic, message) => sent.push(message.value);
+    await expect(relay.retryFailed('msg_1')).resolves.toBe(true);
+    await expect(relay.retryFailed('msg_1')).resolves.toBe(false);
+    await expect(relay.relayPending()).resolves.toBe(2);
+    expect(sent.slice(2)).toEqual(['{"sequence":1}', '{"sequence":3}']);
+  });
+
+  test('Events are not published ahead of an earlier one another relay instance holds', async () => {
+    const rows = [row(1, 'acc_a'), row(2, 'acc_a'), row(3, 'acc_b')];
+    const sent = [];
+    const relay = new OutboxRelay(outbox(rows, new Set(['msg_1'])), { produce: async (topic, message) => sent.push(message.value) }, { logger });
+
+    await expect(relay.relayPending()).resolves.toBe(1);
+    expect(sent).toEqual(['{"sequence":3}']);
+    expect(rows[1].status).toBe('pending');
+  });
+});
@@ -0,0 +1,211 @@
+import { DisputeCommandHandler } from '../src/services/payment-service/handlers/dispute-command-handler.js';
+import { InMemoryDisputeStore } from '../src/services/payment-service/disputes/dispute-store.js';
+import { SimulatorGateway } from '../src/services/payment-service/gateways/simulator-gateway.js';
+import { GatewayRegistry } from '../src/services/payment-service/gateways/gateway-registry.js';
+import { canTransitionDispute } from '../src/services/payment-service/state/dispute-state-machine.js';
+import {
+  ProcessPaymentCommand,
+  OpenDisputeCommand,
+  SubmitDisputeEvidenceCommand,
+  AcceptDisputeCommand,
+  ResolveDisputeCommand
+} from '../src/services/payment-service/commands/payment-commands.js';
+import { createPaymentStores, createPaymentHandler, logger, settle } from './helpers/payment-fixtures.js';
+
+process.env.NODE_ENV = 'test';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Dispute state machine', () => {
+  test('Only the gateway decides a dispute under review', () => {
+    expect(canTransitionDispute('needs_response', 'accepted')).toBe(true);
+    expect(canTransitionDispute('under_review', 'accepted')).toBe(false);
+    expect(canTransitionDispute('under_review', 'won')).toBe(true);
+    ['won', 'lost', 'accepted'].forEach((status) => {
+      expect(canTransitionDispute(status, 'under_review')).toBe(false);
+    });
+  });
+});
+
+describe('Dispute command handler', () => {
+  let stores;
+  let payments;
+  let disputes;
+  let simulator;
+  let published;
+
+  const createPayment = async () => {
+    const { paymentId } = await payments.handle(new ProcessPaymentCommand({
+      id: `pay_${stores.rows.size + 1}`,
+      customerId: 'cus_1',
+      amount: 100,
+      currency: 'USD',
+      paymentMethod: 'credit_card',
+      paymentMethodId: '4242424242424242',
+      metadata: { merchantId: 'mer_1' }
+    }));
+    // Authorization runs after the command returns
+    await settle();
+    return paymentId;
+  };
+
+  // Opens a dispute the way the webhook route does, from the simulator's delivery
+  const openDispute = async (paymentId, options = {}) => {
+    const transactionId = stores.rows.get(paymentId).gatewayTransactionId;
+    const event = simulator.parseWebhook(JSON.stringify(simulator.openDispute(transactionId, options)));
+
+    return await disputes.handle(new OpenDisputeCommand({
+      id: `dp_${disputes.disputes.disputes.size + 1}`,
+      paymentId: event.paymentId,
+      gateway: 'simulator',
+      gatewayDisputeId: event.disputeId,
+      amount: event.amount,
+      currency: event.currency,
+      reason: event.reason,
+      evidenceDueBy: event.evidenceDueBy,
+      createdAt: new Date().toISOString()
+    }));
+  };
+
+  const addEvidence = (disputeId, data) => disputes.handle(new SubmitDisputeEvidenceCommand({
+    disputeId,
+    evidenceId: `ev_${Date.now()}_${Math.random()}`,
+    evidence: {},
+    documents: [],
+    submit: false,
+    submittedBy: 'usr_1',
+    ...data
+  }));
+
+  const payment = async (paymentId) => await payments.paymentRepository.getById(paymentId);
+  const publishedTypes = () => published.map(event => event.eventType);
+
+  beforeEach(() => {
+    stores = createPaymentStores();
+    simulator = new SimulatorGateway();
+    published = [];
+
+    const gateways = new GatewayRegistry({ defaultGateway: 'simulator' }).register(simulator);
+    payments = createPaymentHandler(stores, { gateways, published });
+
+    disputes = new DisputeCommandHandler({
+      disputes: new InMemoryDisputeStore(),
+      paymentHandler: payments,
+      gateways,
+      logger
+    });
+  });
+
+  test('Opens a dispute once per gateway dispute and freezes the payment', async () => {
+    const paymentId = await createPayment();
+    const { disputeId, data } = await openDispute(paymentId, { amount: 40 });
+
+    expect(data).toMatchObject({ paymentId, merchantId: 'mer_1', amount: 40, status: 'needs_response' });
+    expect((await payment(paymentId)).status).toBe('disputed');
+    expect(published.find(event => event.eventType === 'DisputeOpened')).toMatchObject({ disputeId, merchantId: 'mer_1' });
+
+    const redelivered = await disputes.handle(new OpenDisputeCommand({
+      id: 'dp_other',
+      paymentId,
+      gateway: 'simulator',
+      gatewayDisputeId: data.gatewayDisputeId,
+      amount: 40
+    }));
+    expect(redelivered.disputeId).toBe(disputeId);
+    expect(publishedTypes().filter(type => type === 'DisputeOpened')).toHaveLength(1);
+  });
+
+  test('Submits saved drafts and documents to the gateway together', async () => {
+    const paymentId = await createPayment();
+    const { disputeId, data } = await openDispute(paymentId);
+
+    await addEvidence(disputeId, {
+      evidence: { productDescription: 'Blue widget', customerName: 'A. Customer' },
+      documents: [{ filename: 'receipt.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF receipt').toString('base64') }]
+    });
+    expect((await disputes.disputes.get(disputeId)).status).toBe('needs_response');
+
+    await addEvidence(disputeId, {
+      evidence: { customerName: 'Ada Customer', shippingTrackingNumber: '1Z999' },
+      submit: true
+    });
+
+    expect((await disputes.disputes.get(disputeId)).status).toBe('under_review');
+    const submitted = simulator.getDispute(data.gatewayDisputeId).evidence;
+    expect(submitted.evidence).toEqual({
+      productDescription: 'Blue widget',
+      customerName: 'Ada Customer',
+      shippingTrackingNumber: '1Z999'
+    });
+    expect(submitted.documents.map(document => document.content.toString())).toEqual(['%PDF receipt']);
+    expect(publishedTypes()).toContain('DisputeEvidenceSubmitted');
+
+    await expect(addEvidence(disputeId, { evidence: { note: 'late' } }))
+      .rejects.toMatchObject({ name: 'DisputeStateError' });
+  });
+
+  test('Rejects documents over the size limit and evidence after the deadline', async () => {
+    disputes.maxDocumentBytes = 4;
+    const paymentId = await createPayment();
+    const { disputeId } = await openDispute(paymentId);
+
+    await expect(addEvidence(disputeId, {
+      documents: [{ filename: 'big.txt', contentType: 'text/plain', content: Buffer.from('too big').toString('base64') }]
+    })).rejects.toMatchObject({ name: 'ValidationError' });
+
+    const overdue = await openDispute(await createPayment(), { evidenceDueBy: new Date(Date.now() - HOUR).toISOString() });
+    await expect(addEvidence(overdue.disputeId, { submit: true }))
+      .rejects.toThrow(/evidence deadline passed/);
+  });
+
+  test('A lost dispute charges the disputed amount back', async () => {
+    const paymentId = await createPayment();
+    const { disputeId } = await openDispute(paymentId, { amount: 40 });
+    await addEvidence(disputeId, { evidence: { note: 'delivered' }, submit: true });
+
+    await disputes.handle(new ResolveDisputeCommand({ disputeId, outcome: 'lost' }));
+    await disputes.handle(new ResolveDisputeCommand({ disputeId, outcome: 'lost' }));
+
+    const charged = await payment(paymentId);
+    expect(charged.status).toBe('partially_refunded');
+    expect(charged.refundableAmount).toBe(60);
+    expect(publishedTypes().filter(type => type === 'DisputeClosed')).toHaveLength(1);
+  });
+
+  test('A won dispute returns the payment to captured', async () => {
+    const paymentId = await createPayment();
+    const { disputeId } = await openDispute(paymentId);
+    await addEvidence(disputeId, { evidence: { note: 'delivered' }, submit: true });
+
+    const { data } = await disputes.handle(new ResolveDisputeCommand({ disputeId, outcome: 'won' }));
+
+    expect(data.status).toBe('won');
+    expect((await payment(paymentId)).status).toBe('captured');
+  });
+
+  test('Accepting a dispute concedes it at the gateway and refunds the payment', async () => {
+    const paymentId = await createPayment();
+    const { disputeId, data } = await openDispute(paymentId);
+
+    await disputes.handle(new AcceptDisputeCommand({ disputeId, acceptedBy: 'usr_1' }));
+
+    expect((await disputes.disputes.get(disputeId)).status).toBe('accepted');
+    expect(simulator.getDispute(data.gatewayDisputeId).status).toBe('lost');
+    expect((await payment(paymentId)).status).toBe('refunded');
+    expect(published.find(event => event.eventType === 'DisputeClosed')).toMatchObject({ outcome: 'accepted' });
+
+    // The gateway later reports the accepted dispute as lost
+    await disputes.handle(new ResolveDisputeCommand({ disputeId, outcome: 'lost' }));
+    expect((await disputes.disputes.get(disputeId)).status).toBe('accepted');
+  });
+
+  test('Reminds merchants once when an evidence deadline approaches', async () => {
+    const soon = await openDispute(await createPayment(), { evidenceDueBy: new Date(Date.now() + 24 * HOUR).toISOString() });
+    await openDispute(await createPayment(), { evidenceDueBy: new Date(Date.now() + 10 * 24 * HOUR).toISOString() });
+
+    expect(await disputes.remindApproachingDeadlines()).toBe(1);
+    expect(await disputes.remindApproachingDeadlines()).toBe(0);
+    expect(published.filter(event => event.eventType === 'DisputeDeadlineApproaching'))
+      .toEqual([expect.objectContaining({ disputeId: soon.disputeId, merchantId: 'mer_1' })]);
+  });
+});
@@ -0,0 +1,290 @@
+import crypto from 'crypto';
+import { SimulatorGateway } from '../src/services/payment-service/gateways/simulator-gateway.js';
+import { PaymentGateway } from '../src/services/payment-service/gateways/payment-gateway.js';
+import { GatewayRegistry, createGatewayRegistry } from '../src/services/payment-service/gateways/gateway-registry.js';
+import GatewayError from '../src/services/payment-service/gateways/gateway-error.js';
+import { PaymentService } from '../src/services/payment-service/payment-service.js';
+import { StripeGateway } from '../src/services/payment-service/gateways/stripe-gateway.js';
+import { PayPalGateway } from '../src/services/payment-service/gateways/paypal-gateway.js';
+import { crc32, signPayload } from '../src/services/payment-service/gateways/webhook-signature.js';
+import { InMemoryWebhookEventStore } from '../src/services/payment-service/webhooks/webhook-event-store.js';
+import { PAYPAL_TEST_CERTIFICATE, PAYPAL_TEST_PRIVATE_KEY } from './helpers/paypal-certificate.js';
+
+process.env.NODE_ENV = 'test';
+
+const SECRET = 'whsec_test';
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const authorization = (card, overrides = {}) => ({
+  paymentId: 'pay_1',
+  amount: 100,
+  currency: 'USD',
+  paymentMethod: 'credit_card',
+  paymentMethodId: card,
+  capture: true,
+  ...overrides
+});
+
+describe('Simulator payment gateway', () => {
+  let gateway;
+
+  beforeEach(() => {
+    gateway = new SimulatorGateway();
+  });
+
+  test('Authorizes and captures with the success card', async () => {
+    const { token } = await gateway.tokenize({ type: 'credit_card', token: '4242 4242 4242 4242' });
+    const result = await gateway.authorize(authorization(token));
+
+    expect(result).toMatchObject({ status: 'captured', amount: 100, capturedAmount: 100, fee: 3.2 });
+  });
+
+  test.each([
+    ['4000000000000002', 'generic_decline'],
+    ['4000000000009995', 'insufficient_funds'],
+    ['4000000000000069', 'expired_card']
+  ])('Declines card %s with %s', async (card, declineCode) => {
+    const error = await gateway.authorize(authorization(card)).catch(e => e);
+
+    expect(GatewayError.isGatewayError(error)).toBe(true);
+    expect(error).toMatchObject({ code: 'PAYMENT_DECLINED', declineCode, retryable: false });
+  });
+
+  test('Timeouts are retryable and replayed by idempotency key', async () => {
+    const timeout = await gateway.authorize(authorization('4000000000000408')).catch(e => e);
+    expect(GatewayError.isRetryable(timeout)).toBe(true);
+
+    const request = authorization('4000000000000416', { idempotencyKey: 'pay_1' });
+    await expect(gateway.authorize(request)).rejects.toMatchObject({ code: 'GATEWAY_TIMEOUT' });
+
+    const retried = await gateway.authorize(request);
+    expect(retried.status).toBe('captured');
+    expect(gateway.transactions.size).toBe(1);
+  });
+
+  test('3-D Secure cards require an action before the charge completes', async () => {
+    const pending = await gateway.authorize(authorization('4000000000003220'));
+    expect(pending.status).toBe('requires_action');
+    expect(pending.nextAction.type).toBe('three_d_secure');
+
+    const event = gateway.parseWebhook(JSON.stringify(gateway.completeAction(pending.transactionId)));
+    expect(event).toMatchObject({ type: 'payment.succeeded', paymentId: 'pay_1', transactionId: pending.transactionId });
+
+    const failing = await gateway.authorize(authorization('4000008400001629'));
+    expect(gateway.completeAction(failing.transactionId)).toMatchObject({
+      type: 'payment.failed',
+      data: { reason: 'authentication_failed' }
+    });
+  });
+
+  test('Supports partial captures, voids and refunds within the authorized amount', async () => {
+    const auth = await gateway.authorize(authorization('4242424242424242', { capture: false }));
+    expect(auth.status).toBe('authorized');
+
+    expect((await gateway.capture(auth.transactionId, 40)).status).toBe('partially_captured');
+    expect((await gateway.capture(auth.transactionId)).capturedAmount).toBe(100);
+    await expect(gateway.capture(auth.transactionId, 1)).rejects.toMatchObject({ code: 'GATEWAY_INVALID_REQUEST' });
+    await expect(gateway.void(auth.transactionId)).rejects.toMatchObject({ code: 'GATEWAY_INVALID_REQUEST' });
+
+    expect((await gateway.refund(auth.transactionId, 60)).status).toBe('succeeded');
+    await expect(gateway.refund(auth.transactionId, 50)).rejects.toMatchObject({ code: 'GATEWAY_INVALID_REQUEST' });
+
+    const voidable = await gateway.authorize(authorization('4242424242424242', { capture: false }));
+    expect(await gateway.void(voidable.transactionId))
+      .toEqual({ transactionId: voidable.transactionId, status: 'voided', releasedAmount: 100 });
+
+    const partial = await gateway.authorize(authorization('4242424242424242', { capture: false }));
+    await gateway.capture(partial.transactionId, 30);
+    expect((await gateway.void(partial.transactionId)).releasedAmount).toBe(70);
+    await expect(gateway.capture(partial.transactionId, 1)).rejects.toMatchObject({ code: 'GATEWAY_INVALID_REQUEST' });
+    expect((await gateway.refund(partial.transactionId, 30)).status).toBe('succeeded');
+
+    const failingRefund = await gateway.authorize(authorization('4000000000005126'));
+    await expect(gateway.refund(failingRefund.transactionId, 10)).rejects.toMatchObject({ declineCode: 'refund_failed' });
+  });
+
+  test('Rejects card numbers that fail the Luhn check', async () => {
+    await expect(gateway.tokenize({ type: 'credit_card', token: '4242424242424241' }))
+      .rejects.toMatchObject({ code: 'GATEWAY_INVALID_REQUEST', declineCode: 'invalid_number' });
+  });
+});
+
+describe('Payment gateway registry', () => {
+  test('Routes payment methods to registered gateways and falls back to the default', () => {
+    class CardGateway extends PaymentGateway {}
+    const registry = new GatewayRegistry({ defaultGateway: 'simulator', routes: { credit_card: 'cards' } })
+      .register(new SimulatorGateway())
+      .register(new CardGateway('cards'));
+
+    expect(registry.resolve('credit_card').name).toBe('cards');
+    expect(registry.resolve('paypal').name).toBe('simulator');
+    expect(() => registry.register(new SimulatorGateway())).toThrow('already registered');
+  });
+
+  test('Registers the simulator only when enabled with a webhook secret', () => {
+    const development = createGatewayRegistry({ env: { NODE_ENV: 'development' } });
+    expect(development.getRegisteredGateways()).toEqual([]);
+    expect(() => development.resolve('credit_card')).toThrow('No payment gateway available for credit_card');
+
+    const withoutSecret = createGatewayRegistry({ env: { PAYMENT_SIMULATOR_ENABLED: 'true' } });
+    expect(withoutSecret.getRegisteredGateways()).toEqual([]);
+
+    const live = createGatewayRegistry({
+      env: { PAYMENT_SIMULATOR_ENABLED: 'true', SIMULATOR_WEBHOOK_SECRET: SECRET, STRIPE_SECRET_KEY: 'sk_test' }
+    });
+    expect(live.resolve('credit_card').name).toBe('stripe');
+    expect(live.resolve('bank_transfer').name).toBe('simulator');
+    expect(() => live.get('simulator').verifyWebhook(Buffer.from('{}'), {})).toThrow();
+  });
+});
+
+describe('Webhook signature verification', () => {
+  const stripe = new StripeGateway({ secretKey: 'sk_test', webhookSecret: SECRET });
+  const body = Buffer.from(JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded', data: { object: { id: 'pi_1' } } }));
+
+  test('Accepts a Stripe-Signature computed over the raw body', () => {
+    expect(() => stripe.verifyWebhook(body, { 'stripe-signature': signPayload(SECRET, body.toString()) })).not.toThrow();
+  });
+
+  test.each([
+    ['a tampered body', Buffer.from(body.toString().replace('pi_1', 'pi_2')), signPayload(SECRET, body.toString())],
+    ['another secret', body, signPayload('whsec_other', body.toString())],
+    ['a stale timestamp', body, signPayload(SECRET, body.toString(), nowSeconds() - 301)],
+    ['no signature', body, undefined]
+  ])('Rejects %s', (name, payload, header) => {
+    expect(() => stripe.verifyWebhook(payload, { 'stripe-signature': header }))
+      .toThrow(expect.objectContaining({ code: 'WEBHOOK_SIGNATURE_INVALID' }));
+  });
+
+  test('Rejects every delivery when no webhook secret is configured', () => {
+    const unconfigured = new StripeGateway({ secretKey: 'sk_test' });
+    expect(() => unconfigured.verifyWebhook(body, { 'stripe-signature': signPayload(SECRET, body.toString()) }))
+      .toThrow('No webhook secret is configured');
+  });
+
+  describe('PayPal', () => {
+    const CERT_URL = 'https://api.sandbox.paypal.com/v1/notifications/certs/CERT-1';
+    let downloads;
+    let paypal;
+
+    const signed = (overrides = {}) => {
+      const transmissionTime = overrides.transmissionTime || new Date().toISOString();
+      const message = `tx-1|${transmissionTime}|WH-1|${crc32(body)}`;
+      return {
+        'paypal-transmission-id': 'tx-1',
+        'paypal-transmission-time': transmissionTime,
+        'paypal-transmission-sig': crypto.sign('sha256', Buffer.from(message), PAYPAL_TEST_PRIVATE_KEY).toString('base64'),
+        'paypal-cert-url': CERT_URL,
+        'paypal-auth-algo': 'SHA256withRSA',
+        ...overrides.headers
+      };
+    };
+
+    beforeEach(() => {
+      downloads = [];
+      paypal = new PayPalGateway({
+        clientId: 'client',
+        webhookId: 'WH-1',
+        fetchCertificate: async (url) => {
+          downloads.push(url);
+          return PAYPAL_TEST_CERTIFICATE;
+        }
+      });
+    });
+
+    test('Computes the CRC-32 PayPal signs', () => {
+      expect(crc32('123456789')).toBe(0xCBF43926);
+    });
+
+    test('Verifies transmission signatures with the certificate PayPal serves', async () => {
+      await expect(paypal.verifyWebhook(body, signed())).resolves.toBeUndefined();
+      await expect(paypal.verifyWebhook(body, signed())).resolves.toBeUndefined();
+      expect(downloads).toEqual([CERT_URL]);
+
+      await expect(paypal.verifyWebhook(body, { ...signed(), 'paypal-transmission-id': 'tx-2' }))
+        .rejects.toThrow('Webhook signature does not match');
+      await expect(paypal.verifyWebhook(Buffer.from(`${body} `), signed()))
+        .rejects.toThrow('Webhook signature does not match');
+    });
+
+    test('Rejects certificates from anywhere but PayPal and stale transmissions', async () => {
+      await expect(paypal.verifyWebhook(body, signed({ headers: { 'paypal-cert-url': 'https://paypal.com.example.org/cert' } })))
+        .rejects.toThrow('Webhook certificate is not served by PayPal');
+      await expect(paypal.verifyWebhook(body, signed({ headers: { 'paypal-cert-url': 'http://api.paypal.com/cert' } })))
+        .rejects.toThrow('Webhook certificate is not served by PayPal');
+      await expect(paypal.verifyWebhook(body, signed({ transmissionTime: new Date(Date.now() - 3600 * 1000).toISOString() })))
+        .rejects.toThrow('outside the tolerance window');
+      await expect(paypal.verifyWebhook(body, signed({ headers: { 'paypal-auth-algo': 'SHA1withRSA' } })))
+        .rejects.toMatchObject({ code: 'WEBHOOK_SIGNATURE_INVALID' });
+      expect(downloads).toEqual([]);
+    });
+  });
+});
+
+describe('Payment webhook processing', () => {
+  let simulator;
+  let service;
+
+  beforeEach(() => {
+    simulator = new SimulatorGateway({ webhookSecret: SECRET });
+    service = new PaymentService({
+      logger,
+      gateways: new GatewayRegistry({ defaultGateway: 'simulator' }).register(simulator),
+      webhookEvents: new InMemoryWebhookEventStore()
+    });
+    service.handlePaymentSuccess = jest.fn().mockResolvedValue();
+  });
+
+  const deliver = (event) => {
+    const { body, headers } = simulator.signWebhook(event);
+    return service.handleWebhookEvent('simulator', Buffer.from(body), headers);
+  };
+
+  test('Processes an event once and acknowledges redeliveries', async () => {
+    const event = { id: 'evt_sim_1', type: 'payment.succeeded', data: { paymentId: 'pay_1', transactionId: 'txn_1' } };
+
+    expect(await deliver(event)).toMatchObject({ duplicate: false, status: 'processed' });
+    expect(await deliver(event)).toMatchObject({ duplicate: true, status: 'processed' });
+    expect(service.handlePaymentSuccess).toHaveBeenCalledTimes(1);
+  });
+
+  test('Stores unknown event types for inspection', async () => {
+    await deliver({ id: 'evt_sim_2', type: 'payout.paid', data: { amount: 10 } });
+
+    const [stored] = await service.getWebhookEvents({ status: 'unhandled' });
+    expect(stored).toMatchObject({ gateway: 'simulator', eventId: 'evt_sim_2', eventType: 'payout.paid' });
+    expect(stored.payload.data).toEqual({ amount: 10 });
+  });
+
+  test('Lets a redelivery retry an event whose handling failed', async () => {
+    const event = { id: 'evt_sim_3', type: 'payment.succeeded', data: { paymentId: 'pay_3' } };
+    service.handlePaymentSuccess.mockRejectedValueOnce(new Error('database unavailable'));
+
+    await expect(deliver(event)).rejects.toThrow('database unavailable');
+    expect(await deliver(event)).toMatchObject({ duplicate: false, status: 'processed' });
+  });
+
+  test('Applies payment outcomes only from the gateway that charged the payment', async () => {
+    delete service.handlePaymentSuccess;
+    const other = new SimulatorGateway({ name: 'other', webhookSecret: 'whsec_other' });
+    service.gateways.register(other);
+    service.commandHandler.getPaymentById = async (id) => ({ id, gateway: 'simulator', gatewayTransactionId: 'txn_5' });
+    service.applyGatewayOutcome = jest.fn().mockResolvedValue();
+
+    const forged = other.signWebhook({ id: 'evt_other_5', type: 'payment.succeeded', data: { paymentId: 'pay_5', transactionId: 'txn_5' } });
+    await service.handleWebhookEvent('other', Buffer.from(forged.body), forged.headers);
+    await deliver({ id: 'evt_sim_6', type: 'payment.succeeded', data: { paymentId: 'pay_5', transactionId: 'txn_other' } });
+    expect(service.applyGatewayOutcome).not.toHaveBeenCalled();
+
+    await deliver({ id: 'evt_sim_5', type: 'payment.succeeded', data: { paymentId: 'pay_5', transactionId: 'txn_5' } });
+    expect(service.applyGatewayOutcome).toHaveBeenCalledWith('pay_5', 'captured', expect.anything());
+  });
+
+  test('Rejects unsigned deliveries before recording them', async () => {
+    const body = Buffer.from(JSON.stringify({ id: 'evt_sim_4', type: 'payment.succeeded', data: {} }));
+
+    await expect(service.handleWebhookEvent('simulator', body, {})).rejects.toMatchObject({ code: 'WEBHOOK_SIGNATURE_INVALID' });
+    expect(await service.getWebhookEvents()).toEqual([]);
+  });
+});
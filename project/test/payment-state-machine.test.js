@@ -0,0 +1,222 @@
+import { PaymentAggregate } from '../src/services/payment-service/aggregates/payment-aggregate.js';
+import { SimulatorGateway } from '../src/services/payment-service/gateways/simulator-gateway.js';
+import { GatewayRegistry } from '../src/services/payment-service/gateways/gateway-registry.js';
+import { canTransition } from '../src/services/payment-service/state/payment-state-machine.js';
+import {
+  ProcessPaymentCommand,
+  CapturePaymentCommand,
+  VoidPaymentCommand,
+  RefundPaymentCommand,
+  UpdatePaymentStatusCommand
+} from '../src/services/payment-service/commands/payment-commands.js';
+import { MySQLPaymentStore } from '../src/services/payment-service/payments/payment-store.js';
+import { createPaymentStores, createPaymentHandler, settle } from './helpers/payment-fixtures.js';
+
+process.env.NODE_ENV = 'test';
+
+
+describe('Payment state machine', () => {
+  test('Final states have no way out', () => {
+    ['refunded', 'voided', 'failed'].forEach((status) => {
+      expect(canTransition(status, 'captured')).toBe(false);
+    });
+    expect(canTransition('partially_captured', 'partially_captured')).toBe(true);
+    expect(canTransition('captured', 'captured')).toBe(false);
+  });
+
+  test('The aggregate rejects illegal transitions without recording events', () => {
+    const payment = new PaymentAggregate('pay_1');
+    payment.apply({ eventType: 'PaymentInitiated', paymentId: 'pay_1', amount: 100, currency: 'USD' });
+
+    expect(() => payment.transitionTo('refunded', 'refund')).toThrow(expect.objectContaining({
+      code: 'ILLEGAL_PAYMENT_TRANSITION',
+      fromStatus: 'created',
+      toStatus: 'refunded'
+    }));
+    expect(payment.getUncommittedEvents()).toHaveLength(1);
+  });
+});
+
+describe('Payments read model', () => {
+  test('Finds expired authorizations by status and expiry and maps rows to payments', async () => {
+    const statements = [];
+    const store = new MySQLPaymentStore({
+      executeWithMySQLConnection: async (operation) => operation({
+        execute: async (sql, params) => {
+          statements.push({ sql, params });
+          return [[{
+            id: 'pay_1',
+            customer_id: 'cus_1',
+            amount: '100.00',
+            currency: 'USD',
+            status: 'authorized',
+            capture: 0,
+            gateway: 'simulator',
+            gateway_transaction_id: 'sim_1',
+            captured_amount: '0.00',
+            refunded_amount: '0.00',
+            authorization_expires_at: new Date('2026-01-01T00:00:00.000Z'),
+            metadata: '{"merchantId":"mer_1"}'
+          }]];
+        }
+      })
+    });
+    const now = new Date('2026-01-02T00:00:00.000Z');
+
+    const [payment] = await store.findExpiredAuthorizations(now, ['authorized', 'partially_captured']);
+
+    expect(statements[0].sql).toMatch(/FROM payments WHERE status IN \(\?, \?\)\s+AND authorization_expires_at <= \?/);
+    expect(statements[0].params).toEqual(['authorized', 'partially_captured', now]);
+    expect(payment).toMatchObject({
+      id: 'pay_1',
+      amount: 100,
+      capture: false,
+      gatewayTransactionId: 'sim_1',
+      capturedAmount: 0,
+      metadata: { merchantId: 'mer_1' }
+    });
+  });
+});
+
+describe('Payment command handler', () => {
+  let stores;
+  let handler;
+  let simulator;
+
+  const createPayment = async (overrides = {}) => {
+    const { paymentId } = await handler.handle(new ProcessPaymentCommand({
+      id: `pay_${stores.rows.size + 1}`,
+      customerId: 'cus_1',
+      amount: 100,
+      currency: 'USD',
+      paymentMethod: 'credit_card',
+      paymentMethodId: '4242424242424242',
+      ...overrides
+    }));
+    // Authorization runs after the command returns
+    await settle();
+    return paymentId;
+  };
+
+  const statusOf = async (paymentId) => (await handler.paymentRepository.getById(paymentId)).status;
+
+  beforeEach(() => {
+    stores = createPaymentStores();
+    simulator = new SimulatorGateway();
+    handler = createPaymentHandler(stores, {
+      gateways: new GatewayRegistry({ defaultGateway: 'simulator' }).register(simulator)
+    });
+  });
+
+  test('Captures an authorization in several parts', async () => {
+    const paymentId = await createPayment({ capture: false });
+    expect(await statusOf(paymentId)).toBe('authorized');
+
+    await handler.handle(new CapturePaymentCommand({ paymentId, amount: 30 }));
+    await handler.handle(new CapturePaymentCommand({ paymentId, amount: 30 }));
+    expect(await statusOf(paymentId)).toBe('partially_captured');
+
+    await expect(handler.handle(new CapturePaymentCommand({ paymentId, amount: 50 })))
+      .rejects.toThrow('Capture amount cannot exceed the uncaptured 40');
+
+    const { data } = await handler.handle(new CapturePaymentCommand({ paymentId }));
+    expect(data).toMatchObject({ status: 'captured', capturedAmount: 100 });
+  });
+
+  test('Rejects moving a refunded payment back to captured', async () => {
+    const paymentId = await createPayment();
+    expect(await statusOf(paymentId)).toBe('captured');
+
+    await handler.handle(new RefundPaymentCommand({ paymentId, refundId: 'ref_1', amount: 100, reason: 'requested_by_customer' }));
+    await settle();
+    expect(await statusOf(paymentId)).toBe('refunded');
+
+    await expect(handler.handle(new UpdatePaymentStatusCommand({ paymentId, status: 'captured' })))
+      .rejects.toMatchObject({ name: 'PaymentStateError', fromStatus: 'refunded' });
+    await expect(handler.handle(new RefundPaymentCommand({ paymentId, refundId: 'ref_2', amount: 1, reason: 'again' })))
+      .rejects.toMatchObject({ name: 'PaymentStateError' });
+  });
+
+  const gatewayTransaction = (paymentId) =>
+    simulator.transactions.get(stores.rows.get(paymentId).gatewayTransactionId);
+
+  test('Voids authorizations only before they are captured', async () => {
+    const paymentId = await createPayment({ capture: false });
+    await handler.handle(new VoidPaymentCommand({ paymentId, reason: 'order_cancelled' }));
+    expect(await statusOf(paymentId)).toBe('voided');
+    expect(gatewayTransaction(paymentId).status).toBe('voided');
+
+    const captured = await createPayment();
+    await expect(handler.handle(new VoidPaymentCommand({ paymentId: captured })))
+      .rejects.toMatchObject({ fromStatus: 'captured', toStatus: 'voided' });
+  });
+
+  test('Voiding a partly captured payment releases the rest and keeps the capture refundable', async () => {
+    const paymentId = await createPayment({ capture: false });
+    await handler.handle(new CapturePaymentCommand({ paymentId, amount: 40 }));
+
+    const { data } = await handler.handle(new VoidPaymentCommand({ paymentId, reason: 'partial_shipment' }));
+    expect(data).toMatchObject({ status: 'captured', capturedAmount: 40 });
+    expect(gatewayTransaction(paymentId).status).toBe('captured');
+
+    const released = await handler.paymentRepository.getById(paymentId);
+    expect(released.capturableAmount).toBe(0);
+    expect(released.refundableAmount).toBe(40);
+    await expect(handler.handle(new CapturePaymentCommand({ paymentId, amount: 10 })))
+      .rejects.toMatchObject({ name: 'PaymentStateError' });
+  });
+
+  test('Captures and releases the rest of an authorization after a partial refund', async () => {
+    const paymentId = await createPayment({ capture: false });
+    await handler.handle(new CapturePaymentCommand({ paymentId, amount: 40 }));
+    await handler.handle(new RefundPaymentCommand({ paymentId, refundId: 'ref_1', amount: 40, reason: 'damaged' }));
+    await settle();
+    // Everything captured came back, but 60 can still be captured
+    expect(await statusOf(paymentId)).toBe('partially_refunded');
+
+    const { data } = await handler.handle(new CapturePaymentCommand({ paymentId, amount: 20 }));
+    expect(data).toMatchObject({ status: 'partially_refunded', capturedAmount: 60, refundedAmount: 40 });
+
+    await handler.handle(new VoidPaymentCommand({ paymentId }));
+    const released = await handler.paymentRepository.getById(paymentId);
+    expect(released.status).toBe('partially_refunded');
+    expect(released.capturableAmount).toBe(0);
+    expect(released.refundableAmount).toBe(20);
+  });
+
+  test('Expired authorizations are voided and partial captures closed', async () => {
+    const untouched = await createPayment({ capture: false });
+    const partial = await createPayment({ capture: false });
+    await handler.handle(new CapturePaymentCommand({ paymentId: partial, amount: 25 }));
+
+    const captured = await createPayment();
+
+    expect(await handler.expireAuthorizations()).toBe(0);
+    const afterExpiry = new Date(Date.now() + handler.authorizationTtl + 60 * 1000);
+    expect((await handler.getExpiredAuthorizations(afterExpiry)).map(payment => payment.id)).toEqual([untouched, partial]);
+    expect(await handler.expireAuthorizations(afterExpiry)).toBe(2);
+
+    expect(await statusOf(untouched)).toBe('voided');
+    const closed = await handler.paymentRepository.getById(partial);
+    expect(closed.status).toBe('captured');
+    expect(closed.refundableAmount).toBe(25);
+    // The gateway was told to release the uncaptured 75
+    expect(gatewayTransaction(partial).status).toBe('captured');
+    expect(gatewayTransaction(untouched).status).toBe('voided');
+    expect(await statusOf(captured)).toBe('captured');
+    expect(await handler.getExpiredAuthorizations(afterExpiry)).toEqual([]);
+  });
+
+  test('Stores every transition in the payment event stream', async () => {
+    const paymentId = await createPayment({ capture: false });
+    await handler.handle(new CapturePaymentCommand({ paymentId, amount: 40 }));
+    await handler.handle(new CapturePaymentCommand({ paymentId }));
+
+    const transitions = stores.streams.get(paymentId)
+      .map(event => event.eventData)
+      .filter(event => event.eventType === 'PaymentStatusChanged')
+      .map(event => `${event.fromStatus}->${event.toStatus}`);
+
+    expect(transitions).toEqual(['created->authorized', 'authorized->partially_captured', 'partially_captured->captured']);
+  });
+});
@@ -0,0 +1,190 @@
+import { ProjectionSubscriber } from '../src/services/event-store-service/subscriptions/projection-subscriber.js';
+import { EventStoreQueryHandler } from '../src/services/event-store-service/handlers/event-store-query-handler.js';
+import { GetProjectionQuery } from '../src/services/event-store-service/queries/event-store-queries.js';
+
+process.env.NODE_ENV = 'test';
+
+const logger = { info: () => {}, warn: jest.fn(), error: () => {}, debug: () => {} };
+
+const event = (position, eventType = 'AccountCreated', aggregateType = 'Account') => ({
+  id: `evt_${position}`,
+  global_position: position,
+  aggregate_type: aggregateType,
+  event_type: eventType,
+  data: JSON.stringify({ position })
+});
+
+// Answers the subscriber's statements like MySQL would. Writes inside a transaction land on commit;
+// openTransactions lists the trx ids information_schema.innodb_trx shows, null when it is not readable.
+const projectionDatabase = (events) => {
+  const db = {
+    events,
+    openTransactions: [],
+    projection: { name: 'accounts', aggregate_type: 'Account', event_types: '["AccountCreated"]', initial_state: '{}', state: '{}', last_event_id: null },
+    checkpoint: null,
+    commits: []
+  };
+  const head = () => db.events.reduce((max, row) => Math.max(max, row.global_position), 0) || null;
+
+  const connection = () => {
+    let pending = null;
+    const write = change => (pending ? pending.push(change) : change());
+
+    return {
+      beginTransaction: async () => { pending = []; },
+      commit: async () => {
+        pending.forEach(change => change());
+        db.commits.push(pending.length);
+        pending = null;
+      },
+      rollback: async () => { pending = null; },
+      execute: async (sql, params = []) => {
+        if (sql.startsWith('SELECT name FROM projections')) return [[{ name: db.projection.name }]];
+        if (sql.startsWith('SELECT * FROM projections')) return [[db.projection]];
+        if (sql.includes('INSERT INTO projection_checkpoints')) {
+          db.checkpoint = db.checkpoint || { position: 0, status: 'catching_up', events_processed: 0, last_error: null };
+          return [{}];
+        }
+        if (sql.includes('FROM projections p JOIN projection_checkpoints')) {
+          return [[{ ...db.projection, position: db.checkpoint.position, events_processed: db.checkpoint.events_processed }]];
+        }
+        if (sql.includes('information_schema.innodb_trx')) {
+          if (!db.openTransactions) throw new Error('Access denied; you need the PROCESS privilege');
+          return [db.openTransactions.map(id => ({ trx_id: id }))];
+        }
+        if (sql.startsWith('SELECT * FROM events')) {
+          const limit = Number(/LIMIT (\d+)/.exec(sql)[1]);
+          return [db.events.filter(row => row.global_position > params[0]).sort((a, b) => a.global_position - b.global_position).slice(0, limit)];
+        }
+        if (sql.includes('MAX(global_position)')) return [[{ head: head() }]];
+        if (sql.startsWith('SELECT position FROM projection_checkpoints')) return [[{ position: db.checkpoint.position }]];
+        if (sql.startsWith('SELECT * FROM projection_checkpoints')) return [[db.checkpoint]];
+        if (sql.startsWith('UPDATE projections SET state = ?')) {
+          write(() => Object.assign(db.projection, { state: params[0], last_event_id: params[1] }));
+        } else if (sql.startsWith('UPDATE projections SET state = COALESCE')) {
+          write(() => Object.assign(db.projection, { state: db.projection.initial_state, last_event_id: null }));
+        } else if (sql.includes('SET position = ?, status = ?')) {
+          write(() => Object.assign(db.checkpoint, {
+            position: params[0], status: params[1], events_processed: db.checkpoint.events_processed + params[2], last_error: null
+          }));
+        } else if (sql.includes("SET position = 0, status = 'rebuilding'")) {
+          write(() => Object.assign(db.checkpoint, { position: 0, status: 'rebuilding', events_processed: 0 }));
+        } else if (sql.includes("SET status = 'failed'")) {
+          write(() => Object.assign(db.checkpoint, { status: 'failed', last_error: params[0] }));
+        }
+        return [{ affectedRows: 1 }];
+      }
+    };
+  };
+
+  return { db, connectionPool: { executeWithMySQLConnection: async operation => operation(connection()) } };
+};
+
+// Counts the events the projection applies
+const countEvents = (state, data) => ({ count: (state.count || 0) + 1, last: data.position });
+
+const subscribed = async (events, options = {}) => {
+  const { db, connectionPool } = projectionDatabase(events);
+  const subscriber = new ProjectionSubscriber({ connectionPool, logger, applyEvent: countEvents, gapTimeout: 5000, ...options });
+  await subscriber.subscribe('accounts');
+  return { db, connectionPool, subscriber };
+};
+
+describe('Projection subscriptions', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Events are applied in global order and state moves with the checkpoint in one transaction', async () => {
+    const { db, subscriber } = await subscribed([event(2), event(1), event(3, 'TransactionCompleted', 'Transaction'), event(4, 'AccountClosed')]);
+
+    expect(await subscriber.catchUp('accounts')).toBe(4);
+    expect(JSON.parse(db.projection.state)).toEqual({ count: 2, last: 2 });
+    expect(db.projection.last_event_id).toBe('evt_4');
+    expect(db.checkpoint).toMatchObject({ position: 4, status: 'live', events_processed: 4 });
+    expect(db.commits).toEqual([2]);
+
+    // A failing event leaves both where they were and marks the projection failed
+    db.events.push(event(5), event(6));
+    subscriber.applyEvent = (state, data) => {
+      if (data.position === 6) throw new Error('Projection handler failed');
+      return countEvents(state, data);
+    };
+    await subscriber.pollAll();
+    expect(JSON.parse(db.projection.state)).toEqual({ count: 2, last: 2 });
+    expect(db.checkpoint).toMatchObject({ position: 4, status: 'failed', last_error: 'Projection handler failed' });
+  });
+
+  test('A gap is waited on while its transaction may still commit and filled in order when it does', async () => {
+    const { db, subscriber } = await subscribed([event(1), event(3)]);
+    db.openTransactions = ['trx_7'];
+
+    expect(await subscriber.catchUp('accounts')).toBe(1);
+    expect(await subscriber.catchUp('accounts')).toBe(0);
+    expect(db.checkpoint.position).toBe(1);
+
+    db.events.push(event(2));
+    db.openTransactions = [];
+    expect(await subscriber.catchUp('accounts')).toBe(2);
+    expect(JSON.parse(db.projection.state)).toEqual({ count: 3, last: 3 });
+  });
+
+  test('A gap left by a rolled-back insert is passed once the transactions open when it appeared have ended', async () => {
+    const { db, subscriber } = await subscribed([event(1), event(3), event(4)]);
+    db.openTransactions = ['trx_7', 'trx_8'];
+
+    expect(await subscriber.catchUp('accounts')).toBe(1);
+
+    // trx_7 rolled back; a transaction that started after the gap appeared cannot hold its position
+    db.openTransactions = ['trx_8', 'trx_9'];
+    expect(await subscriber.catchUp('accounts')).toBe(0);
+    db.openTransactions = ['trx_9'];
+    expect(await subscriber.catchUp('accounts')).toBe(2);
+    expect(db.checkpoint).toMatchObject({ position: 4, status: 'live' });
+  });
+
+  test('Without access to open transactions a gap is passed after gapTimeout', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    const { db, subscriber } = await subscribed([event(1), event(3)]);
+    db.openTransactions = null;
+
+    expect(await subscriber.catchUp('accounts')).toBe(1);
+    now.mockReturnValue(1_004_999);
+    expect(await subscriber.catchUp('accounts')).toBe(0);
+    now.mockReturnValue(1_005_000);
+    expect(await subscriber.catchUp('accounts')).toBe(1);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('A rebuild replays from position zero without waiting on holes it already passed', async () => {
+    const { db, subscriber } = await subscribed([event(1), event(3), event(4), event(6)]);
+    db.openTransactions = [];
+    await subscriber.catchUp('accounts');
+    await subscriber.catchUp('accounts');
+    await subscriber.catchUp('accounts');
+    expect(db.checkpoint.position).toBe(6);
+
+    // An unrelated long-running transaction would otherwise hold every old hole up
+    db.openTransactions = ['trx_42'];
+    db.projection.state = JSON.stringify({ count: 99 });
+
+    expect(await subscriber.rebuild('accounts')).toEqual({ rebuilt: true, eventsProcessed: 4 });
+    expect(JSON.parse(db.projection.state)).toEqual({ count: 4, last: 6 });
+    expect(db.checkpoint).toMatchObject({ position: 6, status: 'live', events_processed: 4 });
+  });
+
+  test('The projection reports its subscription status and lag behind the head of the store', async () => {
+    const { db, connectionPool, subscriber } = await subscribed([event(1), event(2), event(3)], { batchSize: 2 });
+    const queryHandler = new EventStoreQueryHandler({ connectionPool, logger, projectionSubscriber: subscriber });
+    await subscriber.processBatch('accounts', subscriber.subscriptions.get('accounts'));
+
+    const { data } = await queryHandler.handle(new GetProjectionQuery('accounts'));
+    expect(data.state).toEqual({ count: 2, last: 2 });
+    expect(data.subscription).toMatchObject({
+      status: 'catching_up', checkpoint: 2, headPosition: 3, lag: 1, eventsProcessed: 2, lastError: null, active: true
+    });
+
+    await subscriber.catchUp('accounts');
+    const caughtUp = await subscriber.getStatus('accounts');
+    expect(caughtUp).toMatchObject({ status: 'live', lag: 0, eventsProcessed: 3 });
+    expect(db.checkpoint.position).toBe(3);
+  });
+});
@@ -0,0 +1,87 @@
+import RateLimiter, { InMemoryRateLimitStore } from '../src/shared/patterns/rate-limiter.js';
+import { createIpLimitMiddleware, createQuotaMiddleware } from '../src/api-gateway/auth/quota.js';
+
+process.env.NODE_ENV = 'test';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+// Runs the request through each middleware in turn, as express would, and reports where it stopped
+const run = async (middlewares, req) => {
+  const res = { headers: {}, set: jest.fn(function set(headers, value) {
+    Object.assign(this.headers, typeof headers === 'string' ? { [headers]: value } : headers);
+    return this;
+  }), status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+  for (const middleware of middlewares) {
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    if (!passed) {
+      return { status: res.status.mock.calls[0][0], headers: res.headers, body: res.json.mock.calls[0][0] };
+    }
+  }
+  return { status: 200, headers: res.headers };
+};
+
+describe('Gateway rate limiting', () => {
+  let store;
+  let limiter;
+
+  beforeEach(() => {
+    store = new InMemoryRateLimitStore();
+    limiter = new RateLimiter({ store, logger });
+  });
+  afterEach(() => store.close());
+
+  test('The per-IP bucket refuses a flood before authentication runs', async () => {
+    const authenticate = jest.fn((req, res, next) => res.status(401).json({ error: 'Invalid token' }));
+    const chain = [createIpLimitMiddleware({ limiter, logger, quota: { capacity: 3, refillRate: 0.001 } }), authenticate];
+    const forged = { ip: '203.0.113.7', headers: { authorization: 'Bearer forged' } };
+
+    const statuses = [];
+    for (let attempt = 0; attempt < 5; attempt++) {
+      statuses.push((await run(chain, forged)).status);
+    }
+
+    expect(statuses).toEqual([401, 401, 401, 429, 429]);
+    expect(authenticate).toHaveBeenCalledTimes(3);
+
+    const refused = await run(chain, forged);
+    expect(Number(refused.headers['Retry-After'])).toBeGreaterThan(0);
+
+    // Another address has its own bucket
+    expect((await run(chain, { ...forged, ip: '203.0.113.8' })).status).toBe(401);
+  });
+
+  test('Plan quotas follow the caller and answer with RateLimit headers', async () => {
+    const quota = createQuotaMiddleware('payment', { limiter, apiKeys: new Map(), logger });
+    const anonymous = (ip) => ({ ip, headers: {} });
+
+    // The anonymous plan allows a burst of 5 payment requests per address
+    const statuses = [];
+    for (let attempt = 0; attempt < 6; attempt++) {
+      statuses.push((await run([quota], anonymous('198.51.100.1'))).status);
+    }
+    expect(statuses).toEqual([200, 200, 200, 200, 200, 429]);
+
+    const user = await run([quota], { ip: '198.51.100.1', headers: {}, user: { userId: 'cus_1' } });
+    expect(user.status).toBe(200);
+    expect(user.headers['RateLimit-Limit']).toBe('30');
+    expect(user.headers['RateLimit-Remaining']).toBe('29');
+  });
+
+  test('Token buckets refill at their rate and the limiter fails open when the store is down', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    const bucket = { capacity: 2, refillRate: 1 };
+
+    expect((await limiter.tokenBucket('k', 1, bucket)).allowed).toBe(true);
+    expect((await limiter.tokenBucket('k', 1, bucket)).allowed).toBe(true);
+    const empty = await limiter.tokenBucket('k', 1, bucket);
+    expect(empty).toMatchObject({ allowed: false, retryAfter: 1 });
+
+    now.mockReturnValue(1_001_000);
+    expect((await limiter.tokenBucket('k', 1, bucket)).allowed).toBe(true);
+
+    const broken = new RateLimiter({ store: { tokenBucket: async () => { throw new Error('redis down'); } }, logger });
+    expect(await broken.tokenBucket('k', 1, bucket)).toMatchObject({ allowed: true });
+  });
+});
@@ -0,0 +1,84 @@
+import http from 'http';
+import express from 'express';
+import { RealtimeHub } from '../src/api-gateway/realtime/realtime-hub.js';
+import { realtimeGroupId } from '../src/api-gateway/realtime/user-events.js';
+
+process.env.NODE_ENV = 'test';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+// Serves the hub's streams; X-Test-User stands in for the identity of a redeemed stream ticket
+const streamServer = async (hub) => {
+  const app = express();
+  app.get('/stream', (req, res) => hub.connect(req, res, { userId: req.get('X-Test-User') }));
+  const server = await new Promise(resolve => { const listening = app.listen(0, () => resolve(listening)); });
+
+  // Opens a stream and collects what arrives on it
+  const open = (userId) => new Promise((resolve) => {
+    const stream = { text: '', status: null };
+    const request = http.get({ port: server.address().port, path: '/stream', headers: { 'X-Test-User': userId } }, (response) => {
+      stream.status = response.statusCode;
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => { stream.text += chunk; });
+      stream.close = () => request.destroy();
+      // Connected once the ready event (or a refusal) has arrived
+      const ready = () => (stream.text.includes('event: ready') || response.statusCode !== 200) && resolve(stream);
+      response.on('data', ready);
+      response.on('end', () => resolve(stream));
+    });
+  });
+
+  return { open, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 50 && !check(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Realtime event streams', () => {
+  let hub;
+  let server;
+  afterEach(async () => {
+    hub.close();
+    await server.close();
+  });
+
+  test('Domain events reach only the streams of the user they belong to', async () => {
+    hub = new RealtimeHub({ logger });
+    server = await streamServer(hub);
+    const own = await server.open('cus_1');
+    const other = await server.open('cus_2');
+
+    await hub.handleMessage({
+      topic: 'account-events',
+      value: JSON.stringify({ eventType: 'AccountBalanceUpdated', userId: 'cus_1', accountId: 'acc_1', newBalance: 75, oldBalance: 50, currency: 'USD' })
+    });
+    await hub.handleMessage({ topic: 'account-events', value: 'not json' });
+    await waitFor(() => own.text.includes('account.balance'));
+
+    expect(own.text).toMatch(/event: account\.balance\ndata: \{"accountId":"acc_1","balance":75,"previousBalance":50/);
+    expect(other.text).not.toContain('account.balance');
+    expect(hub.getStats()).toEqual({ users: 2, connections: 2, delivered: 1 });
+
+    own.close();
+    await waitFor(() => hub.getStats().connections === 1);
+    expect(hub.getStats().users).toBe(1);
+  });
+
+  test('A user may hold only a few streams at once', async () => {
+    hub = new RealtimeHub({ logger, maxConnectionsPerUser: 1 });
+    server = await streamServer(hub);
+
+    await server.open('cus_1');
+    expect((await server.open('cus_1')).status).toBe(429);
+  });
+
+  test('Each gateway instance keeps the same consumer group across restarts', () => {
+    expect(realtimeGroupId({ instanceId: undefined, hostname: 'gw-a', port: 3000 })).toBe('api-gateway-realtime-gw-a-3000');
+    expect(realtimeGroupId({ instanceId: undefined, hostname: 'gw-a', port: 3000 }))
+      .not.toBe(realtimeGroupId({ instanceId: undefined, hostname: 'gw-a', port: 3001 }));
+    expect(realtimeGroupId({ instanceId: 'gateway-0', hostname: 'pod-7f9c', port: 3000 })).toBe('api-gateway-realtime-gateway-0');
+  });
+});
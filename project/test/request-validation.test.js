@@ -0,0 +1,40 @@
+import { validateRequest } from '../src/shared/validation/request-validation.js';
+import { toJsonSchema } from '../src/shared/validation/schema-description.js';
+import { money } from '../src/shared/validation/common-schemas.js';
+import { accountRoutes } from '../src/services/account-service/schemas/account-schemas.js';
+
+process.env.NODE_ENV = 'test';
+
+// Runs a request body through the route's validation middleware
+const validate = (route, body) => {
+  const req = { params: { id: 'acc_1' }, query: {}, body };
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  validateRequest(route)(req, res, next);
+  return next.mock.calls.length ? { status: 200, body: req.body } : { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+describe('Request validation', () => {
+  const deposit = accountRoutes.depositFunds;
+
+  test('Amounts with more than two decimal places are refused, not rounded', () => {
+    const refused = validate(deposit, { amount: 10.005, currency: 'USD', depositedBy: 'cus_1' });
+    expect(refused.status).toBe(400);
+    expect(refused.body.details).toEqual([expect.objectContaining({ field: 'body.amount', type: 'number.precision' })]);
+    expect(validate(deposit, { amount: '10.005', currency: 'USD', depositedBy: 'cus_1' }).status).toBe(400);
+
+    const accepted = validate(deposit, { amount: '10.01', currency: 'usd', depositedBy: 'cus_1' });
+    expect(accepted.body).toEqual({ amount: 10.01, currency: 'USD', depositedBy: 'cus_1' });
+    [0.29, 19.99, 1234567.89].forEach(amount => expect(money.validate(amount).error).toBeUndefined());
+  });
+
+  test('Account movements name their currency', () => {
+    const missing = validate(deposit, { amount: 25, depositedBy: 'cus_1' });
+    expect(missing.status).toBe(400);
+    expect(missing.body.details).toEqual([expect.objectContaining({ field: 'body.currency', type: 'any.required' })]);
+  });
+
+  test('The API description keeps the two decimal places of amounts', () => {
+    expect(toJsonSchema(money)).toEqual({ type: 'number', minimum: 0, exclusiveMinimum: true, multipleOf: 0.01 });
+  });
+});
@@ -0,0 +1,156 @@
+import express from 'express';
+import { ServiceRegistry } from '../src/api-gateway/registry/service-registry.js';
+import { createDiscoveryRouter } from '../src/api-gateway/registry/discovery-router.js';
+import { RegistryClient } from '../src/shared/discovery/registry-client.js';
+
+process.env.NODE_ENV = 'test';
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} };
+
+const registryWith = (urls, options = {}) => {
+  const registry = new ServiceRegistry({ logger, ...options });
+  urls.forEach(url => registry.register({ service: 'account', url }));
+  return registry;
+};
+
+const chosenPorts = (registry, times) => Array.from({ length: times }, () => new URL(registry.choose('account').url).port);
+
+// The gateway's discovery routes on their own, without authentication in front of them
+const discoveryServer = async (registry) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/discovery', createDiscoveryRouter({ registry, services: ['account', 'payment'] }));
+  const server = await new Promise(resolve => { const listening = app.listen(0, () => resolve(listening)); });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+describe('Service registry', () => {
+  let now;
+  beforeEach(() => {
+    now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Round-robin takes the available instances in turn', () => {
+    const registry = registryWith(['http://a:3101', 'http://b:3102', 'http://c:3103']);
+
+    expect(chosenPorts(registry, 4)).toEqual(['3101', '3102', '3103', '3101']);
+    expect(registry.choose('payment')).toBeNull();
+  });
+
+  test('Least-connections picks the instance with the fewest requests in flight', () => {
+    const registry = registryWith(['http://a:3101', 'http://b:3102', 'http://c:3103'], { strategy: 'least-connections' });
+    const [a, b, c] = registry.getAvailableInstances('account');
+    registry.acquire(a);
+    registry.acquire(a);
+    registry.acquire(c);
+
+    expect(registry.choose('account')).toBe(b);
+
+    registry.acquire(b);
+    registry.acquire(b);
+    registry.release(a);
+    registry.release(a);
+    expect(registry.choose('account')).toBe(a);
+  });
+
+  test('An instance is ejected after failureThreshold failures and retried once ejectionTime has passed', () => {
+    const registry = registryWith(['http://a:3101', 'http://b:3102'], { failureThreshold: 2, ejectionTime: 30000 });
+    const [a] = registry.getAvailableInstances('account');
+    const ejected = jest.fn();
+    registry.on('ejected', ejected);
+
+    registry.reportFailure(a, 'connection refused');
+    expect(registry.isAvailable(a)).toBe(true);
+    registry.reportFailure(a, 'connection refused');
+    expect(a.status).toBe('ejected');
+    expect(chosenPorts(registry, 3)).toEqual(['3102', '3102', '3102']);
+
+    // Back in rotation for a trial once the window has passed; a failed probe puts it out again
+    now.mockReturnValue(1_030_000);
+    expect(registry.getAvailableInstances('account')).toContain(a);
+    registry.reportFailure(a, 'health check timed out');
+    expect(registry.isAvailable(a)).toBe(false);
+    expect(a.ejectedUntil).toBe(1_060_000);
+    expect(ejected).toHaveBeenCalledTimes(2);
+
+    now.mockReturnValue(1_060_000);
+    registry.reportSuccess(a);
+    expect(a).toMatchObject({ status: 'healthy', consecutiveFailures: 0, ejectedUntil: null });
+  });
+
+  test('Health checks drop registered instances that stopped heartbeating but keep static ones', async () => {
+    const registry = new ServiceRegistry({ logger, heartbeatTtl: 30000, failureThreshold: 1 });
+    registry.seed('account', 'http://static:3002');
+    registry.register({ service: 'account', url: 'http://fresh:3102' });
+    registry.register({ service: 'account', url: 'http://stale:3103' });
+    jest.spyOn(global, 'fetch').mockImplementation(async (url) => ({ ok: !url.startsWith('http://fresh'), status: 503 }));
+
+    now.mockReturnValue(1_020_000);
+    registry.heartbeat('account', 'account@fresh:3102');
+    now.mockReturnValue(1_040_000);
+    await registry.checkAll();
+
+    const instances = registry.getSnapshot().account.instances;
+    expect(instances.map(instance => instance.id)).toEqual(['account@static:3002', 'account@fresh:3102']);
+    expect(instances[1]).toMatchObject({ status: 'ejected', available: false, consecutiveFailures: 1 });
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['http://static:3002/health', 'http://fresh:3102/health']);
+  });
+
+  describe('discovery routes', () => {
+    let registry;
+    let gateway;
+    beforeEach(async () => {
+      now.mockRestore();
+      registry = new ServiceRegistry({ logger });
+      gateway = await discoveryServer(registry);
+    });
+    afterEach(async () => gateway.close());
+
+    test('A client whose heartbeat is answered 404 registers again', async () => {
+      const client = new RegistryClient({ serviceName: 'account', gatewayUrl: gateway.url, url: 'http://account-1:3002', logger });
+
+      await client.heartbeat();
+      expect(client.instanceId).toBe('account@account-1:3002');
+
+      // The gateway restarted and forgot the instance
+      registry.deregister('account', client.instanceId);
+      await client.heartbeat();
+      expect(registry.getInstance('account', 'account@account-1:3002')).toMatchObject({ status: 'healthy', static: false });
+
+      await client.stop();
+      expect(registry.getInstances('account').size).toBe(0);
+    });
+
+    test('The routes report the live state of the registry', async () => {
+      const post = body => fetch(`${gateway.url}/api/discovery/register`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      expect((await post({ service: 'ledger', url: 'http://ledger:4000' })).status).toBe(400);
+      expect((await post({ service: 'account', url: 'not a url' })).status).toBe(400);
+      expect((await post({ service: 'account', url: 'http://account-1:3002' })).status).toBe(201);
+      expect((await post({ service: 'account', url: 'http://account-2:3002' })).status).toBe(201);
+
+      registry.eject(registry.getInstance('account', 'account@account-2:3002'), 'health check timed out');
+      const state = await (await fetch(`${gateway.url}/api/discovery/services`)).json();
+      expect(state).toMatchObject({ services: ['account', 'payment'], strategy: 'round-robin' });
+      expect(state.registry.account.available).toBe(1);
+      expect(state.registry.account.instances.map(instance => [instance.id, instance.status])).toEqual([
+        ['account@account-1:3002', 'healthy'],
+        ['account@account-2:3002', 'ejected']
+      ]);
+
+      const heartbeat = `${gateway.url}/api/discovery/services/account/instances/${encodeURIComponent('account@account-1:3002')}/heartbeat`;
+      expect((await fetch(heartbeat, { method: 'PUT' })).status).toBe(200);
+      const instance = `${gateway.url}/api/discovery/services/account/instances/${encodeURIComponent('account@account-1:3002')}`;
+      expect((await fetch(instance, { method: 'DELETE' })).status).toBe(204);
+      expect((await fetch(heartbeat, { method: 'PUT' })).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,272 @@
+import { SubscriptionCommandHandler, invoicePaymentId } from '../src/services/payment-service/handlers/subscription-command-handler.js';
+import { InMemorySubscriptionStore } from '../src/services/payment-service/subscriptions/subscription-store.js';
+import { addInterval, periodEndAfter } from '../src/services/payment-service/subscriptions/billing-periods.js';
+import { SimulatorGateway } from '../src/services/payment-service/gateways/simulator-gateway.js';
+import { GatewayRegistry } from '../src/services/payment-service/gateways/gateway-registry.js';
+import RetryWithBackoff from '../src/shared/patterns/retry-with-backoff.js';
+import {
+  CreateSubscriptionCommand,
+  ChangeSubscriptionPlanCommand,
+  PauseSubscriptionCommand,
+  ResumeSubscriptionCommand,
+  CancelSubscriptionCommand,
+  UpdateSubscriptionPaymentMethodCommand
+} from '../src/services/payment-service/commands/payment-commands.js';
+import { createPaymentStores, createPaymentHandler, logger } from './helpers/payment-fixtures.js';
+
+process.env.NODE_ENV = 'test';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const GOOD_CARD = '4242424242424242';
+const DECLINED_CARD = '4000000000000002';
+const TIMEOUT_CARD = '4000000000000408';
+
+describe('Billing periods', () => {
+  test('Monthly periods end on the last day of shorter months', () => {
+    expect(addInterval('2026-01-31T10:00:00.000Z', 'month').toISOString()).toBe('2026-02-28T10:00:00.000Z');
+    expect(addInterval('2028-01-31T10:00:00.000Z', 'month').toISOString()).toBe('2028-02-29T10:00:00.000Z');
+    expect(addInterval('2026-03-15T00:00:00.000Z', 'month', 3).toISOString()).toBe('2026-06-15T00:00:00.000Z');
+    expect(addInterval('2028-02-29T00:00:00.000Z', 'year').toISOString()).toBe('2029-02-28T00:00:00.000Z');
+    expect(addInterval('2026-12-30T00:00:00.000Z', 'week', 2).toISOString()).toBe('2027-01-13T00:00:00.000Z');
+  });
+});
+
+describe('Billing schedule', () => {
+  test('Counts every period from the anchor so the billing day does not drift', () => {
+    const anchor = '2026-01-31T10:00:00.000Z';
+    const ends = [];
+    let end = new Date(anchor);
+    for (let i = 0; i < 4; i++) {
+      end = periodEndAfter(anchor, 'month', 1, end);
+      ends.push(end.toISOString().slice(0, 10));
+    }
+    expect(ends).toEqual(['2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+
+    expect(periodEndAfter(anchor, 'month', 3, '2026-05-01T00:00:00.000Z').toISOString()).toBe('2026-07-31T10:00:00.000Z');
+    expect(periodEndAfter('2028-02-29T00:00:00.000Z', 'year', 1, '2029-02-28T00:00:00.000Z').toISOString())
+      .toBe('2030-02-28T00:00:00.000Z');
+    expect(periodEndAfter('2026-01-01T00:00:00.000Z', 'week', 2, '2026-01-15T00:00:00.000Z').toISOString())
+      .toBe('2026-01-29T00:00:00.000Z');
+  });
+});
+
+describe('Subscription command handler', () => {
+  let stores;
+  let billing;
+  let published;
+  let simulator;
+  let payments;
+
+  const subscribe = async (data = {}) => {
+    const { subscriptionId } = await billing.handle(new CreateSubscriptionCommand({
+      id: `sub_${billing.subscriptions.subscriptions.size + 1}`,
+      customerId: 'cus_1',
+      planId: 'basic',
+      amount: 30,
+      currency: 'USD',
+      interval: 'month',
+      paymentMethod: 'credit_card',
+      paymentMethodId: GOOD_CARD,
+      ...data
+    }));
+    return subscriptionId;
+  };
+
+  const subscription = (id) => billing.subscriptions.get(id);
+  const invoices = (id) => billing.subscriptions.listInvoices(id);
+  const publishedOf = (eventType) => published.filter(event => event.eventType === eventType);
+
+  // Moves the current period (and the schedule it is on) back so that it ended `ago` milliseconds before now
+  const endPeriod = async (id, ago = HOUR) => {
+    const { currentPeriodStart, currentPeriodEnd, billingAnchor } = await subscription(id);
+    const shift = currentPeriodEnd.getTime() - Date.now() + ago;
+    await billing.subscriptions.update(id, {
+      currentPeriodStart: new Date(currentPeriodStart.getTime() - shift),
+      currentPeriodEnd: new Date(currentPeriodEnd.getTime() - shift),
+      billingAnchor: new Date(billingAnchor.getTime() - shift)
+    });
+  };
+
+  beforeEach(() => {
+    stores = createPaymentStores();
+    published = [];
+
+    simulator = new SimulatorGateway();
+    const gateways = new GatewayRegistry({ defaultGateway: 'simulator' }).register(simulator);
+    payments = createPaymentHandler(stores, { gateways, published });
+    payments.retryLogic = new RetryWithBackoff({ maxRetries: 1, baseDelay: 1, jitterMax: 1 });
+
+    billing = new SubscriptionCommandHandler({
+      subscriptions: new InMemorySubscriptionStore(),
+      paymentHandler: payments,
+      dunningSchedule: [DAY, 3 * DAY],
+      unsettledRecheckDelay: HOUR,
+      logger
+    });
+  });
+
+  test('Charges the first period on creation and each renewal once', async () => {
+    const id = await subscribe();
+    const created = await subscription(id);
+    expect(created.status).toBe('active');
+    expect(await invoices(id)).toEqual([expect.objectContaining({ type: 'renewal', amount: 30, status: 'paid' })]);
+
+    await endPeriod(id);
+    const { currentPeriodEnd } = await subscription(id);
+    expect(await billing.runBilling()).toMatchObject({ renewed: 1 });
+    expect(await billing.runBilling()).toMatchObject({ renewed: 0 });
+
+    const renewed = await subscription(id);
+    expect(renewed.currentPeriodStart).toEqual(currentPeriodEnd);
+    expect(renewed.currentPeriodEnd).toEqual(addInterval((await subscription(id)).billingAnchor, 'month', 2));
+    expect((await invoices(id)).map(invoice => invoice.status)).toEqual(['paid', 'paid']);
+    expect(publishedOf('SubscriptionPayment')).toHaveLength(2);
+    expect(stores.rows.size).toBe(2);
+  });
+
+  test('Starts billing on a future start date', async () => {
+    const startDate = new Date(Date.now() + 10 * DAY).toISOString();
+    const id = await subscribe({ startDate });
+
+    expect(await invoices(id)).toHaveLength(0);
+    expect((await subscription(id)).currentPeriodEnd.toISOString()).toBe(startDate);
+
+    await billing.runBilling(new Date(Date.now() + 11 * DAY));
+    expect(await invoices(id)).toEqual([expect.objectContaining({ amount: 30, status: 'paid' })]);
+  });
+
+  test('Retries a failed renewal on the dunning schedule before cancelling', async () => {
+    const id = await subscribe();
+    await billing.subscriptions.update(id, { paymentMethodId: DECLINED_CARD });
+    await endPeriod(id);
+
+    await billing.runBilling();
+    const [, invoice] = await invoices(id);
+    expect((await subscription(id)).status).toBe('past_due');
+    expect(invoice).toMatchObject({ status: 'open', attemptCount: 1, failureReason: expect.stringMatching(/declined/) });
+
+    // Not due yet, then due after the first delay
+    expect(await billing.runBilling(new Date(Date.now() + HOUR))).toMatchObject({ retried: 0 });
+    expect(await billing.runBilling(new Date(Date.now() + DAY + HOUR))).toMatchObject({ retried: 1 });
+    expect((await billing.subscriptions.getInvoice(invoice.id)).attemptCount).toBe(2);
+
+    await billing.runBilling(new Date(Date.now() + 5 * DAY));
+    expect((await billing.subscriptions.getInvoice(invoice.id)).status).toBe('uncollectible');
+    expect((await subscription(id))).toMatchObject({ status: 'cancelled', cancellationReason: 'payment_failed' });
+    expect(publishedOf('SubscriptionPaymentFailed').map(event => Boolean(event.nextAttemptAt))).toEqual([true, true, false]);
+  });
+
+  test('Asks again about a charge the gateway did not answer instead of charging anew', async () => {
+    const id = await subscribe({ paymentMethodId: TIMEOUT_CARD });
+    const [invoice] = await invoices(id);
+    const paymentId = invoicePaymentId(invoice.id, 1);
+
+    // Neither paid nor failed: the attempt is handed back and nobody is told about a failure
+    expect(invoice).toMatchObject({ status: 'open', attemptCount: 0, paymentId });
+    expect((await subscription(id)).status).toBe('active');
+    expect(publishedOf('SubscriptionPaymentFailed')).toHaveLength(0);
+    expect(stores.rows.get(paymentId).status).toBe('created');
+
+    // The gateway answers this time; the same payment goes through under the same idempotency key
+    simulator.scenarioFor = () => ({ outcome: 'success' });
+    expect(await billing.runBilling(new Date(Date.now() + 30 * 60 * 1000))).toMatchObject({ retried: 0 });
+    expect(await billing.runBilling(new Date(Date.now() + 2 * HOUR))).toMatchObject({ retried: 1 });
+
+    expect(await billing.subscriptions.getInvoice(invoice.id)).toMatchObject({ status: 'paid', attemptCount: 1, paymentId });
+    expect(stores.rows.size).toBe(1);
+    expect(simulator.transactions.size).toBe(1);
+  });
+
+  test('Charges each attempt at an invoice under its own stable payment id', async () => {
+    const id = await subscribe({ paymentMethodId: DECLINED_CARD });
+    const [invoice] = await invoices(id);
+    await billing.runBilling(new Date(Date.now() + DAY + HOUR));
+
+    expect(Array.from(stores.rows.keys())).toEqual([invoicePaymentId(invoice.id, 1), invoicePaymentId(invoice.id, 2)]);
+    expect(invoicePaymentId(invoice.id, 2)).toBe(invoicePaymentId(invoice.id, 2));
+  });
+
+  test('A new payment method settles a past due invoice straight away', async () => {
+    const id = await subscribe({ paymentMethodId: DECLINED_CARD });
+    expect((await subscription(id)).status).toBe('past_due');
+
+    await billing.handle(new UpdateSubscriptionPaymentMethodCommand({ subscriptionId: id, paymentMethodId: GOOD_CARD }));
+
+    expect((await subscription(id)).status).toBe('active');
+    expect(await invoices(id)).toEqual([expect.objectContaining({ status: 'paid', attemptCount: 2 })]);
+  });
+
+  test('Prorates an upgrade as a charge and a downgrade as credit', async () => {
+    const id = await subscribe();
+
+    const upgrade = await billing.handle(new ChangeSubscriptionPlanCommand({
+      subscriptionId: id, planId: 'pro', amount: 90, interval: 'month'
+    }));
+    // Almost the whole period is left
+    expect(upgrade.data.prorationInvoice.amount).toBeGreaterThan(59);
+    expect(upgrade.data.prorationInvoice).toMatchObject({ type: 'proration', status: 'paid' });
+
+    const downgrade = await billing.handle(new ChangeSubscriptionPlanCommand({
+      subscriptionId: id, planId: 'basic', amount: 30, interval: 'month'
+    }));
+    expect(downgrade.data.prorationInvoice).toBeNull();
+    expect(downgrade.data.creditBalance).toBeGreaterThan(59);
+
+    // The credit pays for the next renewal
+    await endPeriod(id);
+    await billing.runBilling();
+    const renewal = (await invoices(id)).pop();
+    expect(renewal).toMatchObject({ type: 'renewal', amount: 0, creditApplied: 30, status: 'paid' });
+    expect((await subscription(id)).creditBalance).toBeCloseTo(downgrade.data.creditBalance - 30, 2);
+  });
+
+  test('A new billing interval starts a new period charged less the unused part of the old one', async () => {
+    const id = await subscribe();
+
+    const { data } = await billing.handle(new ChangeSubscriptionPlanCommand({
+      subscriptionId: id, amount: 300, interval: 'year'
+    }));
+
+    expect(data.interval).toBe('year');
+    // Next to none of the monthly period was used
+    expect(data.prorationInvoice.amount).toBeCloseTo(270, 1);
+    expect(data.currentPeriodEnd).toEqual(addInterval(data.currentPeriodStart, 'year'));
+  });
+
+  test('Pauses billing and starts a new period on resume', async () => {
+    const id = await subscribe();
+    const resumeAt = new Date(Date.now() + 40 * DAY);
+    await billing.handle(new PauseSubscriptionCommand({ subscriptionId: id, resumeAt: resumeAt.toISOString() }));
+    await endPeriod(id);
+
+    expect(await billing.runBilling()).toMatchObject({ renewed: 0, resumed: 0 });
+    expect(await billing.runBilling(new Date(resumeAt.getTime() + HOUR))).toMatchObject({ resumed: 1 });
+
+    const resumed = await subscription(id);
+    expect(resumed).toMatchObject({ status: 'active', resumeAt: null });
+    expect(resumed.currentPeriodEnd.getTime()).toBeGreaterThan(resumeAt.getTime());
+    expect(await invoices(id)).toHaveLength(2);
+
+    await expect(billing.handle(new ResumeSubscriptionCommand({ subscriptionId: id })))
+      .rejects.toMatchObject({ name: 'SubscriptionStateError' });
+  });
+
+  test('Cancels at the end of the period unless resumed first', async () => {
+    const id = await subscribe();
+    await billing.handle(new CancelSubscriptionCommand({ subscriptionId: id, reason: 'too expensive' }));
+    await billing.handle(new ResumeSubscriptionCommand({ subscriptionId: id }));
+    expect((await subscription(id)).cancelAtPeriodEnd).toBe(false);
+
+    await billing.handle(new CancelSubscriptionCommand({ subscriptionId: id, reason: 'too expensive' }));
+    expect((await subscription(id)).status).toBe('active');
+
+    await endPeriod(id);
+    await billing.runBilling();
+
+    expect(await subscription(id)).toMatchObject({ status: 'cancelled', cancellationReason: 'too expensive' });
+    expect(await invoices(id)).toHaveLength(1);
+    expect(publishedOf('SubscriptionCancelled')).toEqual([expect.objectContaining({ reason: 'too expensive' })]);
+  });
+});
@@ -0,0 +1,125 @@
+import express from 'express';
+import EventStore from '../src/shared/event-sourcing/event-store.js';
+import {
+  createTraceContext,
+  extractTraceContext,
+  formatTraceparent,
+  getTraceContext,
+  injectTraceHeaders,
+  parseTraceparent,
+  runWithTraceContext,
+  tracing
+} from '../src/shared/tracing/trace-context.js';
+
+process.env.NODE_ENV = 'test';
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+const TRACEPARENT = `00-${TRACE_ID}-${PARENT_ID}-01`;
+
+class FundsDeposited {
+  constructor(amount) {
+    this.amount = amount;
+  }
+}
+
+describe('Trace context', () => {
+  test('traceparent headers are parsed per W3C Trace Context', () => {
+    expect(parseTraceparent(TRACEPARENT)).toEqual({ traceId: TRACE_ID, parentSpanId: PARENT_ID, flags: '01' });
+    expect(parseTraceparent(` ${TRACEPARENT.toUpperCase()} `)).toMatchObject({ traceId: TRACE_ID });
+
+    [
+      undefined,
+      '',
+      'not-a-traceparent',
+      `01-${TRACE_ID}-${PARENT_ID}-01`,
+      `00-${TRACE_ID.slice(1)}-${PARENT_ID}-01`,
+      `00-${TRACE_ID}-${PARENT_ID}-1`,
+      `00-${'0'.repeat(32)}-${PARENT_ID}-01`,
+      `00-${TRACE_ID}-${'0'.repeat(16)}-01`
+    ].forEach(value => expect(parseTraceparent(value)).toBeNull());
+  });
+
+  test('Each request continues the caller\'s trace in a new span and echoes its correlation id', async () => {
+    const app = express();
+    app.use(tracing());
+    app.get('/trace', (req, res) => res.json({ header: req.headers.traceparent, context: getTraceContext() }));
+    const server = await new Promise(resolve => { const listening = app.listen(0, () => resolve(listening)); });
+    const get = headers => fetch(`http://127.0.0.1:${server.address().port}/trace`, { headers });
+
+    try {
+      const continued = await get({ traceparent: TRACEPARENT, 'X-Correlation-ID': 'order-42' });
+      const { header, context } = await continued.json();
+      expect(context).toMatchObject({ traceId: TRACE_ID, parentSpanId: PARENT_ID, correlationId: 'order-42' });
+      expect(context.spanId).toMatch(/^[0-9a-f]{16}$/);
+      expect(context.spanId).not.toBe(PARENT_ID);
+      expect(header).toBe(formatTraceparent(context));
+      expect(continued.headers.get('X-Correlation-ID')).toBe('order-42');
+      expect(continued.headers.get('X-Trace-ID')).toBe(TRACE_ID);
+
+      // A missing or invalid traceparent starts a new trace with a new correlation id
+      const started = await get({ traceparent: `00-${'0'.repeat(32)}-${PARENT_ID}-01` });
+      const fresh = (await started.json()).context;
+      expect(fresh.traceId).toMatch(/^[0-9a-f]{32}$/);
+      expect(fresh.traceId).not.toBe(TRACE_ID);
+      expect(fresh.parentSpanId).toBeNull();
+      expect(started.headers.get('X-Correlation-ID')).toBe(fresh.correlationId);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('The trace survives a round trip through Kafka and AMQP message headers', () => {
+    const producer = createTraceContext({ traceparent: TRACEPARENT, correlationId: 'order-42' });
+    expect(injectTraceHeaders({ key: 'value' })).toEqual({ key: 'value' });
+
+    const headers = runWithTraceContext(producer, () => injectTraceHeaders({ eventType: 'FundsDeposited' }));
+    expect(headers).toEqual({
+      traceparent: formatTraceparent(producer),
+      'x-correlation-id': 'order-42',
+      eventType: 'FundsDeposited'
+    });
+
+    // Kafka hands header values to consumers as Buffers; AMQP as strings, possibly re-cased
+    const kafkaHeaders = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key, Buffer.from(value)]));
+    const amqpHeaders = { Traceparent: headers.traceparent, 'X-Correlation-ID': headers['x-correlation-id'] };
+
+    [kafkaHeaders, amqpHeaders].forEach((received) => {
+      const consumer = extractTraceContext(received);
+      expect(consumer).toMatchObject({ traceId: TRACE_ID, parentSpanId: producer.spanId, correlationId: 'order-42' });
+      expect(consumer.spanId).not.toBe(producer.spanId);
+    });
+
+    // Headers a message already carries, e.g. from its outbox row, are kept
+    const relayed = runWithTraceContext(producer, () => injectTraceHeaders({ traceparent: TRACEPARENT }));
+    expect(relayed.traceparent).toBe(TRACEPARENT);
+  });
+
+  test('Stored events record the correlation and trace ids of the request that wrote them', async () => {
+    const inserts = [];
+    const connection = {
+      beginTransaction: async () => {},
+      commit: async () => {},
+      rollback: async () => {},
+      execute: async (sql, params) => {
+        if (sql.includes('SELECT MAX(event_version)')) return [[{ version: null }]];
+        inserts.push({ sql, params });
+        return [{ affectedRows: 1 }];
+      }
+    };
+    const collection = { createIndex: async () => {}, findOne: async () => null, insertMany: async () => {} };
+    const eventStore = new EventStore({
+      executeWithMySQLConnection: async (operation) => operation(connection),
+      getMongoDatabase: () => ({ collection: () => collection })
+    });
+
+    const context = createTraceContext({ traceparent: TRACEPARENT, correlationId: 'order-42' });
+    const [event] = await runWithTraceContext(context, () => eventStore.saveEvents('acc_1', [new FundsDeposited(10)], -1));
+
+    expect(event.metadata).toEqual({ correlationId: 'order-42', traceId: TRACE_ID, spanId: context.spanId });
+    const stored = inserts.find(insert => insert.sql.includes('INSERT INTO event_store'));
+    expect(JSON.parse(stored.params[7])).toEqual(event.metadata);
+    const outbox = inserts.find(insert => insert.sql.includes('INSERT INTO event_outbox'));
+    expect(JSON.parse(outbox.params[5])).toMatchObject({ traceparent: `00-${TRACE_ID}-${context.spanId}-01`, 'x-correlation-id': 'order-42' });
+  });
+});
@@ -0,0 +1,279 @@
+import express from 'express';
+import SagaOrchestrator from '../src/shared/saga/saga-orchestrator.js';
+import RetryWithBackoff from '../src/shared/patterns/retry-with-backoff.js';
+import { TransactionService } from '../src/services/transaction-service/transaction-service.js';
+import { TRANSFER_SAGA, createTransferNotifier, createTransferSagaSteps } from '../src/services/transaction-service/sagas/transfer-saga.js';
+import TransactionStateError from '../src/services/transaction-service/state/transaction-state-error.js';
+import { validateRequest } from '../src/shared/validation/request-validation.js';
+import { accountRoutes } from '../src/services/account-service/schemas/account-schemas.js';
+import { paymentRoutes } from '../src/services/payment-service/schemas/payment-schemas.js';
+import { riskRoutes } from '../src/services/risk-assessment-service/schemas/risk-schemas.js';
+import { notificationRoutes } from '../src/services/notification-service/schemas/notification-schemas.js';
+
+process.env.NODE_ENV = 'test';
+
+const logger = { info: () => {}, warn: jest.fn(), error: () => {}, debug: () => {} };
+
+// Keeps saga rows in memory and answers the orchestrator's three statements like MySQL would
+const sagaPool = () => {
+  const rows = new Map();
+  const connection = {
+    execute: async (sql, params) => {
+      if (sql.startsWith('INSERT INTO sagas')) {
+        if (rows.has(params[0])) {
+          throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+        }
+        rows.set(params[0], { id: params[0], saga_type: params[1], initiating_event: params[2], status: 'pending' });
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE sagas')) {
+        rows.get(params[8]).status = params[1];
+        return [{ affectedRows: 1 }];
+      }
+      return [[...rows.values()].filter(row => !params.length || params.includes(row.id) || params.includes(row.status))];
+    }
+  };
+  return { rows, executeWithMySQLConnection: async (operation) => operation(connection) };
+};
+
+const pendingTransfer = { id: 'txn_1', userId: 'cus_1', fromAccount: 'acc_1', toAccount: 'acc_2', amount: 25, currency: 'USD', status: 'pending' };
+
+const transactionService = ({ transaction = pendingTransfer, steps, notifyTransfer = async () => {} } = {}) => {
+  const orchestrator = new SagaOrchestrator(sagaPool(), { logger });
+  orchestrator.define(TRANSFER_SAGA, steps);
+
+  const statuses = [];
+  const service = new TransactionService({
+    eventStore: {},
+    logger,
+    queryBus: { execute: async () => ({ success: true, transaction }) },
+    commandBus: { execute: async (command) => statuses.push(command.status) },
+    sagaOrchestrator: orchestrator,
+    notifyTransfer,
+    notificationRetry: new RetryWithBackoff({ maxRetries: 1, baseDelay: 1, jitterMax: 1 })
+  });
+  service.setupSagaHandlers();
+  return { service, orchestrator, statuses };
+};
+
+// Stands in for the gateway and the services behind it: every POST route checks its body against
+// the service's own route schema before answering like the service would. refused paths answer 422.
+const serviceGateway = async ({ refused = [] } = {}) => {
+  const received = [];
+  const answers = {
+    risk: () => ({ id: 'risk_1', riskLevel: 'low', recommendations: [] }),
+    account: () => ({ transactionId: `atx_${received.length}` }),
+    payment: () => ({ paymentId: 'pay_1' }),
+    notification: () => ({ id: 'ntf_1' })
+  };
+  const services = { risk: riskRoutes, account: accountRoutes, payment: paymentRoutes, notification: notificationRoutes };
+
+  const app = express();
+  app.use(express.json());
+  Object.entries(services).forEach(([service, routes]) => {
+    Object.values(routes).filter(route => route.method === 'post').forEach((route) => {
+      app.post(`/api/${service}${route.path}`, validateRequest(route), (req, res) => {
+        received.push({ route: `${service}${route.path}`, body: req.body });
+        if (refused.includes(route.path)) {
+          return res.status(422).json({ success: false, error: 'Refused' });
+        }
+        res.status(route.status || 200).json({ success: true, data: answers[service]() });
+      });
+    });
+  });
+
+  const server = await new Promise(resolve => { const listening = app.listen(0, () => resolve(listening)); });
+  return {
+    received,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+const settled = (orchestrator, event) => new Promise(resolve => orchestrator.once(event, resolve));
+
+describe('Transfer saga', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('Processing returns once the saga is stored and runs the transfer in the background', async () => {
+    let releaseDebit;
+    const debit = new Promise(resolve => { releaseDebit = resolve; });
+    const { service, orchestrator, statuses } = transactionService({
+      steps: [{ name: 'debit', execute: () => debit }]
+    });
+
+    const saga = await service.processTransaction('txn_1');
+    expect(saga.id).toBe('txn_1');
+    expect(saga.completedSteps).toEqual([]);
+    expect(saga.data).toMatchObject({ amount: 25, paymentMethod: 'bank_transfer' });
+    expect(statuses).toEqual(['processing']);
+
+    const completed = settled(orchestrator, 'sagaCompleted');
+    releaseDebit({ accountTransactionId: 'atx_1' });
+    await completed;
+    await new Promise(resolve => setImmediate(resolve));
+    expect(statuses).toEqual(['processing', 'completed']);
+  });
+
+  test('Only a pending transaction without a saga can be processed', async () => {
+    const processed = transactionService({ transaction: { ...pendingTransfer, status: 'completed' }, steps: [{ name: 'debit', execute: async () => ({}) }] });
+    await expect(processed.service.processTransaction('txn_1')).rejects.toThrow(TransactionStateError);
+
+    // Two requests that both read the transaction as pending start one saga between them
+    const { service } = transactionService({ steps: [{ name: 'debit', execute: async () => ({}) }] });
+    const results = await Promise.allSettled([service.processTransaction('txn_1'), service.processTransaction('txn_1')]);
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(TransactionStateError.isTransactionStateError(results.find(result => result.reason).reason)).toBe(true);
+  });
+
+  test('A notification that cannot be sent neither fails nor compensates the transfer', async () => {
+    const compensate = jest.fn();
+    const notifyTransfer = jest.fn().mockRejectedValue(Object.assign(new Error('notification-service down'), { retryable: true }));
+    const { service, orchestrator, statuses } = transactionService({
+      steps: [{ name: 'debit', execute: async () => ({}), compensate }],
+      notifyTransfer
+    });
+
+    const completed = settled(orchestrator, 'sagaCompleted');
+    await service.processTransaction('txn_1');
+    const { saga } = await completed;
+    await service.sendTransferNotification(saga);
+
+    expect(saga.status).toBe('completed');
+    expect(compensate).not.toHaveBeenCalled();
+    expect(statuses).toContain('completed');
+    expect(notifyTransfer.mock.calls.length).toBeGreaterThan(1);
+    expect(logger.warn).toHaveBeenCalled();
+    expect(createTransferSagaSteps().map(step => step.name)).toEqual(['risk-check', 'debit', 'credit', 'payment']);
+  });
+
+  test('A step answered 409 while its earlier attempt is in progress is retried', async () => {
+    const responses = [
+      { ok: false, status: 409, statusText: 'Conflict', json: async () => ({ error: 'A request with this Idempotency-Key is still being processed' }) },
+      { ok: true, status: 200, json: async () => ({ data: { transactionId: 'atx_1' } }) }
+    ];
+    jest.spyOn(global, 'fetch').mockImplementation(async () => responses.shift());
+
+    const debit = createTransferSagaSteps({ gatewayUrl: 'http://gateway' }).find(step => step.name === 'debit');
+    const orchestrator = new SagaOrchestrator(sagaPool(), { logger, defaultRetry: { maxRetries: 2, baseDelay: 1, jitterMax: 1 } });
+    const saga = { id: 'txn_1', data: pendingTransfer, context: {} };
+
+    await expect(orchestrator.executeWithPolicy(debit, 'execute', saga)).resolves.toEqual({ accountTransactionId: 'atx_1' });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[1][1].headers['Idempotency-Key']).toBe('txn_1:debit');
+  });
+
+  describe('a step that timed out or ran out of retries', () => {
+    // The debit reaches the account service but its answer comes too late; risk-check ran before it
+    const timedOutDebit = (replay) => ({
+      name: 'debit',
+      timeout: 20,
+      execute: jest.fn(replay).mockReturnValueOnce(new Promise(() => {})).mockReturnValueOnce(new Promise(() => {})),
+      compensate: jest.fn(async () => {})
+    });
+    const riskCheck = { name: 'risk-check', execute: async () => ({}), compensate: jest.fn(async () => {}) };
+
+    const runSaga = async (debit) => {
+      const orchestrator = new SagaOrchestrator(sagaPool(), { logger, defaultRetry: { maxRetries: 1, baseDelay: 1, jitterMax: 1 } });
+      orchestrator.define(TRANSFER_SAGA, [riskCheck, debit, { name: 'credit', execute: jest.fn() }]);
+      return orchestrator.start(TRANSFER_SAGA, pendingTransfer, { sagaId: 'txn_1' });
+    };
+
+    test('is replayed and compensated when it went through', async () => {
+      const debit = timedOutDebit(async () => ({ accountTransactionId: 'atx_1' }));
+      const saga = await runSaga(debit);
+
+      expect(saga.status).toBe('compensated');
+      expect(debit.compensate).toHaveBeenCalledWith(expect.objectContaining({ debit: { accountTransactionId: 'atx_1' } }), saga);
+      expect(riskCheck.compensate).toHaveBeenCalled();
+      expect(saga.compensatedSteps.map(entry => entry.step)).toEqual(['debit', 'risk-check']);
+      expect(saga.failedSteps[0]).toMatchObject({ step: 'debit', outcomeUnknown: true, outcome: 'applied' });
+    });
+
+    test('is not compensated when the replay shows it was refused', async () => {
+      const debit = timedOutDebit(async () => { throw Object.assign(new Error('Insufficient funds'), { retryable: false }); });
+      const saga = await runSaga(debit);
+
+      expect(saga.status).toBe('compensated');
+      expect(debit.compensate).not.toHaveBeenCalled();
+      expect(saga.compensatedSteps.map(entry => entry.step)).toEqual(['risk-check']);
+      expect(saga.failedSteps[0]).toMatchObject({ outcome: 'not applied' });
+    });
+
+    test('fails the saga for manual recovery when its outcome stays unknown', async () => {
+      riskCheck.compensate.mockClear();
+      const debit = timedOutDebit(async () => { throw new Error('account-service unavailable'); });
+      const saga = await runSaga(debit);
+
+      expect(saga.status).toBe('failed');
+      expect(debit.compensate).not.toHaveBeenCalled();
+      expect(riskCheck.compensate).not.toHaveBeenCalled();
+    });
+
+    test('is never replayed after a rejection', async () => {
+      const payment = {
+        name: 'payment',
+        execute: jest.fn().mockRejectedValue(Object.assign(new Error('Card declined'), { retryable: false })),
+        compensate: jest.fn()
+      };
+      const orchestrator = new SagaOrchestrator(sagaPool(), { logger, defaultRetry: { maxRetries: 1, baseDelay: 1, jitterMax: 1 } });
+      orchestrator.define(TRANSFER_SAGA, [payment]);
+      const saga = await orchestrator.start(TRANSFER_SAGA, pendingTransfer);
+
+      expect(saga.status).toBe('compensated');
+      expect(payment.execute).toHaveBeenCalledTimes(1);
+      expect(payment.compensate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('against the services\' request schemas', () => {
+    let gateway;
+    afterEach(async () => gateway.close());
+
+    const runTransfer = async (data) => {
+      const orchestrator = new SagaOrchestrator(sagaPool(), { logger, defaultRetry: { maxRetries: 1, baseDelay: 1, jitterMax: 1 } });
+      orchestrator.define(TRANSFER_SAGA, createTransferSagaSteps({ gatewayUrl: gateway.url }));
+      return orchestrator.start(TRANSFER_SAGA, { transactionId: 'txn_1', ...pendingTransfer, ...data }, { sagaId: 'txn_1' });
+    };
+
+    test('Every step sends a body the called service accepts', async () => {
+      gateway = await serviceGateway();
+      const saga = await runTransfer({ paymentMethod: 'debit_card', paymentMethodId: 'pm_1' });
+
+      expect(saga.status).toBe('completed');
+      expect(gateway.received.map(request => request.route)).toEqual([
+        'risk/risk-assessment/transactions',
+        'account/accounts/:id/withdraw',
+        'account/accounts/:id/deposit',
+        'payment/payments'
+      ]);
+      expect(gateway.received[3].body).toMatchObject({ customerId: 'cus_1', amount: 25, paymentMethod: 'debit_card', paymentMethodId: 'pm_1' });
+
+      await createTransferNotifier({ gatewayUrl: gateway.url })(saga);
+      expect(gateway.received[4].route).toBe('notification/notifications');
+    });
+
+    test('A transfer that names no payment method pays by bank transfer', async () => {
+      gateway = await serviceGateway();
+      const saga = await runTransfer({});
+
+      expect(saga.status).toBe('completed');
+      expect(gateway.received[3].body).toMatchObject({ paymentMethod: 'bank_transfer' });
+    });
+
+    test('Compensations send bodies the called services accept', async () => {
+      gateway = await serviceGateway({ refused: ['/payments'] });
+      const saga = await runTransfer({ paymentMethod: 'debit_card' });
+
+      expect(saga.status).toBe('compensated');
+      expect(gateway.received.map(request => request.route).slice(4)).toEqual([
+        'account/accounts/:id/withdraw',
+        'account/accounts/:id/deposit'
+      ]);
+
+      const payment = createTransferSagaSteps({ gatewayUrl: gateway.url }).find(step => step.name === 'payment');
+      await payment.compensate({ payment: { paymentId: 'pay_1' } }, saga);
+      expect(gateway.received[6]).toMatchObject({ route: 'payment/payments/:id/refund', body: { amount: 25 } });
+    });
+  });
+});